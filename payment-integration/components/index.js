@@ -4,8 +4,11 @@
 
 // 支付弹窗管理器
 export { default as PaymentDialogManager } from './payment-dialog-manager.vue'
+// 支付弹窗（Vue 3 + Element Plus）
+export { default as PaymentDialogNext } from './payment-dialog-next.vue'
 
 // 默认导出所有组件
 export default {
   PaymentDialogManager: () => import('./payment-dialog-manager.vue'),
+  PaymentDialogNext: () => import('./payment-dialog-next.vue'),
 }
@@ -0,0 +1,756 @@
+/**
+ * 支付弹窗组件逻辑
+ * @file payment-integration/components/payment-dialog-mixin.js
+ */
+
+import QRCode from 'qrcode'
+import { PAYMENT_STATUS, PAYMENT_TYPES, SCAN_MODES } from '../constants/paymentTypes.js'
+import PaymentStateMachine from '../utils/PaymentStateMachine.js'
+import StatusPoller from '../services/StatusPoller.js'
+import {
+  AUTO_CLOSE_DELAY,
+  INIT_EVENT_DELAY,
+  TIMER_INTERVAL,
+  DIALOG_EVENTS,
+  DIALOG_COMMANDS,
+  QRCODE_OPTIONS,
+  getStatusView,
+  getStatusActions,
+  isQRCodeVisible,
+} from './payment-dialog-view.js'
+
+/**
+ * 组件销毁前清理（Vue 2 的 beforeDestroy 与 Vue 3 的 beforeUnmount 共用）
+ */
+function teardown() {
+  // 🔧 标记组件已销毁
+  this.isDestroyed = true
+
+  // 清理事件监听器
+  this.removeClickListener()
+
+  // 取消状态机订阅
+  if (this.unsubscribeState) {
+    this.unsubscribeState()
+    this.unsubscribeState = null
+  }
+
+  // 清理定时器和轮询
+  this.cleanup()
+
+  // 销毁弹窗自行创建的轮询器
+  if (this.ownsPoller && this.statusPoller) {
+    this.statusPoller.destroy()
+  }
+  this.statusPoller = null
+}
+
+/**
+ * 通用支付弹窗逻辑
+ * @description 支持多种支付场景和状态处理；Vue 2（Element UI）与 Vue 3（Element Plus）弹窗组件共用，
+ * 只使用两个版本都支持的选项式 API
+ */
+export default {
+  emits: DIALOG_EVENTS,
+
+  props: {
+    // 是否显示
+    visible: {
+      type: Boolean,
+      default: false,
+    },
+    // 是否医保支付
+    isInsuranceCharge: {
+      type: Boolean,
+      default: false,
+    },
+
+    // 支付信息
+    paymentInfo: {
+      type: Object,
+      required: true,
+      validator: (value) => {
+        return value.chargeInfoId
+      },
+    },
+
+    // 弹窗配置
+    config: {
+      type: Object,
+      default: () => ({}),
+    },
+
+    // 是否自动轮询
+    autoPolling: {
+      type: Boolean,
+      default: true,
+    },
+
+    // 轮询间隔(毫秒)
+    pollingInterval: {
+      type: Number,
+      default: 3000,
+    },
+
+    // 支付状态轮询器（由服务层传入，与支付驱动共用；未传入时弹窗自行创建）
+    poller: {
+      type: Object,
+      default: null,
+    },
+
+    // 支付状态机（由服务层传入，未传入时弹窗自行创建）
+    stateMachine: {
+      type: Object,
+      default: null,
+    },
+  },
+
+  data() {
+    return {
+      PAYMENT_STATUS,
+      scanMode: SCAN_MODES.PASSIVE,
+      qrCodeUrl: '',
+      dialogVisible: false,
+      payQRCode: '',
+      loading: false,
+      error: null,
+      currentStatus: PAYMENT_STATUS.PASSIVE_INIT,
+      actionLoadingMap: {},
+      timer: null,
+      timeLeft: 60, // 60秒倒计时
+      isQuerying: false, // 🔧 新增：防止并发查询
+      isDestroyed: false, // 🔧 新增：标记组件是否已销毁
+      clickListenerAdded: false, // 🔧 新增：标记是否已添加点击监听器
+      initTimeout: null, // 🔧 新增：保存初始化定时器引用
+      queryTimeout: null, // 🔧 新增：保存查询定时器引用
+      closeTimeout: null, // 🔧 新增：保存关闭定时器引用
+    }
+  },
+
+  computed: {
+    /**
+     * 弹窗配置(合并默认配置)
+     */
+    dialogConfig() {
+      const defaultConfig = this.getDefaultConfig()
+      return {
+        ...defaultConfig,
+        ...this.config,
+      }
+    },
+
+    /*
+     * 支付场景
+     */
+    scene() {
+      return this.paymentInfo.payType || PAYMENT_TYPES.GUOWEI
+    },
+
+    /**
+     * 是否显示二维码
+     */
+    isActiveMode() {
+      return this.scanMode === SCAN_MODES.ACTIVE
+    },
+
+    /**
+     * 当前支付状态显示信息
+     */
+    paymentStatus() {
+      return getStatusView(this.currentStatus, {
+        isActiveMode: this.isActiveMode,
+        isInsuranceCharge: this.isInsuranceCharge,
+      })
+    },
+
+    /**
+     * 当前状态下可用的操作按钮
+     */
+    currentActions() {
+      const actions = this.getActionsForStatus(this.currentStatus)
+      return actions.map((action) => ({
+        ...action,
+        loading: this.actionLoadingMap[action.key] || false,
+      }))
+    },
+
+    /**
+     * 是否显示二维码
+     */
+    isShowQrcode() {
+      return isQRCodeVisible(this.currentStatus, this.isActiveMode)
+    },
+  },
+
+  watch: {
+    visible: {
+      handler(val) {
+        this.dialogVisible = val
+        if (val) {
+          // 🔧 先清理之前的资源，避免快速切换时的竞态条件
+          this.cleanup()
+          // 重置销毁标记
+          this.isDestroyed = false
+          this.initPayment()
+        } else {
+          this.cleanup()
+        }
+      },
+      immediate: true,
+    },
+
+    currentStatus(newStatus, oldStatus) {
+      this.$emit('status-change', {
+        from: oldStatus,
+        to: newStatus,
+        paymentInfo: this.paymentInfo,
+      })
+
+      // 自动处理终态
+      if (this.isFinalStatus(newStatus)) {
+        this.handleFinalStatus(newStatus)
+      }
+
+      // 🔧 优化：简化轮询控制逻辑
+      if (this.isActiveMode) {
+        if (this.isShowQrcode) {
+          this.startTimer()
+          this.startPolling()
+        } else {
+          this.stopPolling()
+          this.timeLeft = this.dialogConfig.countdown
+          this.stopTimer()
+        }
+      } else {
+        // 被扫模式
+        if (newStatus === PAYMENT_STATUS.PASSIVE_INIT) {
+          this.$nextTick(() => {
+            this.focusScannerInput()
+          })
+        }
+
+        if (newStatus === PAYMENT_STATUS.PROCESSING) {
+          this.startTimer()
+          this.startPolling()
+        } else {
+          this.stopPolling()
+          this.timeLeft = this.dialogConfig.countdown
+          this.stopTimer()
+        }
+      }
+    },
+  },
+
+  beforeDestroy: teardown,
+
+  beforeUnmount: teardown,
+
+  methods: {
+    /**
+     * 获取默认配置
+     */
+    getDefaultConfig() {
+      const configMap = {
+        [PAYMENT_TYPES.GUOWEI]: {
+          width: '600px',
+          countdown: 60,
+        },
+      }
+      return configMap[this.scene] || { width: '600px', countdown: 60 }
+    },
+
+    // 获取主扫默认文案
+    getActiveDefaultText() {
+      return `${this.isInsuranceCharge ? '医保结算成功' : '统一支付结算'}`
+    },
+
+    // 开始倒计时
+    startTimer() {
+      if (this.timeLeft > 0) {
+        this.stopTimer()
+
+        // 🔧 检查组件是否已销毁
+        if (this.isDestroyed) {
+          return
+        }
+
+        this.timer = setInterval(() => {
+          // 🔧 每次倒计时前检查组件是否已销毁
+          if (this.isDestroyed) {
+            this.stopTimer()
+            return
+          }
+
+          if (this.timeLeft > 0) {
+            this.timeLeft--
+          } else {
+            this.stopTimer()
+            this.stopPolling()
+          }
+        }, TIMER_INTERVAL)
+      }
+    },
+
+    // 更新二维码URL
+    updateQRCodeUrl(url) {
+      if (url) {
+        this.generateQRCode(url)
+      }
+    },
+
+    // 🔧 优化：生成二维码时检查组件状态
+    async generateQRCode(url) {
+      if (!url) {
+        this.qrCodeUrl = ''
+        return
+      }
+
+      try {
+        // 生成二维码
+        const qrCodeDataUrl = await QRCode.toDataURL(url, QRCODE_OPTIONS)
+
+        // 🔧 检查组件是否已销毁
+        if (!this.isDestroyed) {
+          this.qrCodeUrl = qrCodeDataUrl
+        }
+      } catch (err) {
+        // 二维码生成失败时清空 URL
+        if (!this.isDestroyed) {
+          this.qrCodeUrl = ''
+        }
+        // 开发环境才输出，避免生产环境泄露信息
+        if (process.env.NODE_ENV === 'development') {
+          console.error('生成二维码失败:', err)
+        }
+      }
+    },
+
+    // 扫码枪扫码
+    async handlePayQRCodeChange() {
+      this.updateStatus(PAYMENT_STATUS.PROCESSING)
+      this.$emit('create-payment', {
+        paymentInfo: {
+          ...this.paymentInfo,
+          payQRCode: this.payQRCode,
+        },
+      })
+      this.payQRCode = ''
+    },
+
+    /**
+     * 获取不同状态下的操作按钮
+     */
+    getActionsForStatus(status) {
+      const handlers = {
+        [DIALOG_COMMANDS.CANCEL]: this.handleCancelPayment,
+        [DIALOG_COMMANDS.REFRESH]: this.handleRefreshQrCode,
+        [DIALOG_COMMANDS.QUERY]: this.handleQueryStatus,
+        [DIALOG_COMMANDS.RETRY]: this.handleRetryPayment,
+        [DIALOG_COMMANDS.ABANDON]: this.handleAbandonPayment,
+        [DIALOG_COMMANDS.WAIT]: this.handlePendingStatus,
+      }
+      return getStatusActions(status, this.isActiveMode).map((action) => ({
+        ...action,
+        handler: handlers[action.command],
+      }))
+    },
+
+    /**
+     * 初始化支付
+     */
+    async initPayment() {
+      this.loading = true
+      this.error = null
+      this.isDestroyed = false // 🔧 重置销毁标记
+      this.isQuerying = false // 🔧 重置查询标记
+      this.timeLeft = this.dialogConfig.countdown
+      this.scanMode = this.paymentInfo.payScanMode || SCAN_MODES.PASSIVE
+      const defaultStatus = this.isActiveMode
+        ? PAYMENT_STATUS.ACTIVE_INIT
+        : PAYMENT_STATUS.PASSIVE_INIT
+      this.updateStatus(defaultStatus)
+
+      try {
+        // 🔧 清理之前的初始化定时器
+        if (this.initTimeout) {
+          clearTimeout(this.initTimeout)
+          this.initTimeout = null
+        }
+
+        // 开始轮询(如果启用)
+        if (this.autoPolling) {
+          this.startPolling()
+        }
+
+        // 🔧 保存定时器引用以便清理
+        this.initTimeout = setTimeout(() => {
+          if (this.isDestroyed) return // 🔧 检查组件是否已销毁
+
+          this.$emit('init-dialog', this.paymentInfo)
+
+          // 🔧 只在被扫模式下添加点击监听器
+          if (!this.isActiveMode) {
+            this.$nextTick(() => {
+              this.focusScannerInput()
+            })
+            // 添加点击监听器（避免重复添加）
+            this.addClickListener()
+          }
+
+          this.initTimeout = null
+        }, INIT_EVENT_DELAY)
+      } catch (error) {
+        this.error = error.message || '初始化失败'
+        if (process.env.NODE_ENV === 'development') {
+          console.error('Payment init error:', error)
+        }
+      } finally {
+        this.loading = false
+      }
+    },
+
+    // 🔧 新增：添加点击监听器（避免重复添加）
+    addClickListener() {
+      if (!this.clickListenerAdded) {
+        document.addEventListener('click', this.focusScannerInput)
+        this.clickListenerAdded = true
+      }
+    },
+
+    // 🔧 新增：移除点击监听器
+    removeClickListener() {
+      if (this.clickListenerAdded) {
+        document.removeEventListener('click', this.focusScannerInput)
+        this.clickListenerAdded = false
+      }
+    },
+
+    // 聚焦到扫码输入框
+    focusScannerInput() {
+      if (!this.isDestroyed && this.$refs.payQRCodeInput) {
+        this.$refs.payQRCodeInput.focus()
+      }
+    },
+
+    /**
+     * 开始轮询支付状态
+     */
+    startPolling() {
+      // 🔧 检查组件是否已销毁
+      if (this.isDestroyed) {
+        return
+      }
+
+      this.getPoller().start()
+    },
+
+    /**
+     * 停止轮询
+     */
+    stopPolling() {
+      if (this.statusPoller) {
+        this.statusPoller.stop()
+      }
+    },
+
+    /**
+     * 获取轮询器（首次调用时创建，未传入时定时发出 query-status 事件）
+     */
+    getPoller() {
+      if (!this.statusPoller) {
+        this.ownsPoller = !this.poller
+        this.statusPoller =
+          this.poller ||
+          new StatusPoller(() => this.queryPaymentStatus(true), {
+            interval: this.pollingInterval,
+            stateMachine: this.getStateMachine(),
+          })
+      }
+      return this.statusPoller
+    },
+
+    /**
+     * 🔧 优化：查询支付状态（防止并发）
+     * @param {boolean} silent - 是否静默查询(不显示loading)
+     */
+    async queryPaymentStatus(silent = false) {
+      // 🔧 检查组件是否已销毁
+      if (this.isDestroyed) {
+        return
+      }
+
+      // 防止并发查询
+      if (this.isQuerying) {
+        return
+      }
+
+      this.isQuerying = true
+
+      try {
+        if (!silent) {
+          this.setActionLoading('query', true)
+        }
+
+        this.$emit('query-status', {
+          paymentInfo: this.paymentInfo,
+        })
+      } finally {
+        // 🔧 清理之前的查询定时器
+        if (this.queryTimeout) {
+          clearTimeout(this.queryTimeout)
+        }
+
+        // 延迟重置查询标记，避免过于频繁的查询
+        this.queryTimeout = setTimeout(() => {
+          if (!this.isDestroyed) {
+            this.isQuerying = false
+          }
+          this.queryTimeout = null
+        }, 500)
+      }
+    },
+
+    /**
+     * 获取状态机（首次调用时创建并订阅状态变化）
+     */
+    getStateMachine() {
+      if (!this.machine) {
+        this.machine =
+          this.stateMachine ||
+          new PaymentStateMachine(null, {
+            context: { chargeInfoId: this.paymentInfo.chargeInfoId },
+          })
+        this.unsubscribeState = this.machine.on('state:changed', ({ to }) => {
+          if (!this.isDestroyed) {
+            this.currentStatus = to
+          }
+        })
+      }
+      return this.machine
+    },
+
+    /**
+     * 更新支付状态（经状态机校验，非法迁移会被拒绝）
+     */
+    updateStatus(status) {
+      this.getStateMachine().transition(status)
+    },
+
+    /**
+     * 判断是否为终态
+     */
+    isFinalStatus(status) {
+      return PaymentStateMachine.isFinalStatus(status)
+    },
+
+    /**
+     * 处理终态
+     */
+    handleFinalStatus(status) {
+      // 停止轮询
+      this.stopPolling()
+
+      // 触发终态事件
+      this.$emit('final-status', {
+        status,
+        paymentInfo: this.paymentInfo,
+      })
+
+      // 自动关闭(成功状态)
+      if (status === PAYMENT_STATUS.SUCCESS) {
+        // 🔧 清理之前的关闭定时器
+        if (this.closeTimeout) {
+          clearTimeout(this.closeTimeout)
+        }
+
+        // 🔧 保存定时器引用以便清理
+        this.closeTimeout = setTimeout(() => {
+          if (!this.isDestroyed) {
+            this.handleCloseDialog()
+          }
+          this.closeTimeout = null
+        }, AUTO_CLOSE_DELAY)
+      }
+    },
+
+    /**
+     * 处理操作按钮点击
+     */
+    async handleAction(action) {
+      if (action.disabled || action.loading) {
+        return
+      }
+
+      if (typeof action.handler === 'function') {
+        await action.handler()
+      }
+    },
+
+    /**
+     * 设置操作按钮loading状态
+     */
+    setActionLoading(key, loading) {
+      this.actionLoadingMap = { ...this.actionLoadingMap, [key]: loading }
+    },
+
+    /**
+     * 查询状态按钮处理
+     */
+    async handleQueryStatus() {
+      this.queryPaymentStatus()
+    },
+
+    /**
+     * 取消支付按钮处理
+     */
+    async handleCancelPayment() {
+      this.stopPolling()
+      this.setActionLoading('cancel', true)
+      this.$emit('cancel-payment', {
+        paymentInfo: this.paymentInfo,
+      })
+    },
+
+    /**
+     * 重新支付按钮处理
+     */
+    async handleRetryPayment() {
+      // 重新初始化
+      this.setActionLoading('retry', true)
+      this.$emit('retry-payment', {
+        paymentInfo: this.paymentInfo,
+      })
+      // 🔧 等待初始化完成，避免竞态条件
+      await this.initPayment()
+    },
+
+    /**
+     * 关闭弹窗
+     */
+    handleCloseDialog() {
+      this.dialogVisible = false
+      this.$emit('update:visible', false)
+    },
+
+    /**
+     * 刷新支付码
+     */
+    handleRefreshQrCode() {
+      this.stopPolling()
+      this.setActionLoading('refresh', true)
+      this.$emit('refresh-qrcode', {
+        paymentInfo: this.paymentInfo,
+      })
+    },
+
+    /**
+     * 放弃支付按钮处理
+     */
+    async handleAbandonPayment() {
+      try {
+        await this.$confirm('确定要放弃支付吗?', '提示', {
+          confirmButtonText: '确定',
+          cancelButtonText: '继续支付',
+          type: 'warning',
+        })
+        this.$emit('abandon-payment', {
+          paymentInfo: this.paymentInfo,
+        })
+        this.updateStatus(PAYMENT_STATUS.ABANDONED)
+      } finally {
+        this.setActionLoading('close', false)
+      }
+    },
+
+    /**
+     * 弹窗关闭事件
+     */
+    handleClose() {
+      if (this.loading) {
+        return
+      }
+
+      // 非终态时需要确认
+      if (!this.isFinalStatus(this.currentStatus)) {
+        this.handleCancelPayment()
+      } else {
+        this.handleCloseDialog()
+      }
+    },
+
+    /**
+     * 重新加载
+     */
+    reload() {
+      this.initPayment()
+    },
+
+    /**
+     * 格式化金额
+     */
+    formatAmount(amount) {
+      if (!amount && amount !== 0) return '0.00'
+      return (Number(amount) / 100).toFixed(2)
+    },
+
+    /**
+     * 🔧 优化：清理资源
+     */
+    cleanup() {
+      try {
+        // 确保定时器被清理
+        this.stopTimer()
+        // 确保轮询被停止
+        this.stopPolling()
+        // 🔧 清理所有 setTimeout 定时器
+        if (this.initTimeout) {
+          clearTimeout(this.initTimeout)
+          this.initTimeout = null
+        }
+        if (this.queryTimeout) {
+          clearTimeout(this.queryTimeout)
+          this.queryTimeout = null
+        }
+        if (this.closeTimeout) {
+          clearTimeout(this.closeTimeout)
+          this.closeTimeout = null
+        }
+        // 移除点击监听器
+        this.removeClickListener()
+        // 清空加载状态映射
+        this.actionLoadingMap = {}
+        // 清空其他引用
+        this.qrCodeUrl = ''
+        this.payQRCode = ''
+        this.error = null
+        // 重置查询标记
+        this.isQuerying = false
+      } catch (error) {
+        // 容错处理：确保清理过程不会抛出异常
+        if (process.env.NODE_ENV === 'development') {
+          console.error('Error in cleanup', error)
+        }
+      }
+    },
+
+    stopTimer() {
+      if (this.timer) {
+        try {
+          clearInterval(this.timer)
+        } catch (error) {
+          // 容错处理：如果清理定时器失败，只记录错误
+          if (process.env.NODE_ENV === 'development') {
+            console.warn('清理定时器失败:', error)
+          }
+        } finally {
+          this.timer = null
+        }
+      }
+    },
+
+    // 返回等待操作支付页面
+    handlePendingStatus() {
+      this.updateStatus(PAYMENT_STATUS.WAITING)
+    },
+  },
+}
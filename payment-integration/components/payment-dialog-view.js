@@ -0,0 +1,219 @@
+/**
+ * 支付弹窗视图规则
+ * @description 各支付状态下的提示文案、操作按钮和二维码展示规则，不依赖 UI 框架，Vue 弹窗与 DOM 弹窗共用
+ * @file payment-integration/components/payment-dialog-view.js
+ */
+
+import { PAYMENT_STATUS } from '../constants/paymentTypes.js'
+
+// 常量定义
+export const AUTO_CLOSE_DELAY = 3000 // 自动关闭延迟时间（毫秒）
+export const INIT_EVENT_DELAY = 50 // 初始化事件延迟时间（毫秒）
+export const TIMER_INTERVAL = 1000 // 定时器间隔（毫秒）
+
+/**
+ * 弹窗对外发出的事件
+ */
+export const DIALOG_EVENTS = [
+  'status-change',
+  'init-dialog',
+  'create-payment',
+  'query-status',
+  'final-status',
+  'cancel-payment',
+  'retry-payment',
+  'abandon-payment',
+  'refresh-qrcode',
+  'update:visible',
+]
+
+/**
+ * 操作按钮命令（由各弹窗实现映射到具体处理函数）
+ */
+export const DIALOG_COMMANDS = {
+  /** 取消支付 */
+  CANCEL: 'cancel',
+  /** 刷新支付码 */
+  REFRESH: 'refresh',
+  /** 刷新结果 */
+  QUERY: 'query',
+  /** 重新支付 */
+  RETRY: 'retry',
+  /** 放弃支付 */
+  ABANDON: 'abandon',
+  /** 返回等待支付 */
+  WAIT: 'wait',
+}
+
+/**
+ * 二维码生成参数
+ */
+export const QRCODE_OPTIONS = {
+  width: 200,
+  margin: 2,
+  color: {
+    dark: '#000000',
+    light: '#FFFFFF',
+  },
+  errorCorrectionLevel: 'M',
+}
+
+/**
+ * 获取支付状态提示
+ * @param {string} status - 支付状态
+ * @param {Object} options - 选项
+ * @param {boolean} options.isActiveMode - 是否主扫模式
+ * @param {boolean} options.isInsuranceCharge - 是否医保支付
+ * @returns {Object|undefined} { text, type, icon }
+ */
+export function getStatusView(status, { isActiveMode, isInsuranceCharge }) {
+  const activeDefaultText = `${isInsuranceCharge ? '医保结算成功' : '统一支付结算'}`
+
+  const statusMap = {
+    [PAYMENT_STATUS.PASSIVE_INIT]: {
+      text: `${isInsuranceCharge ? '医保结算成功,' : '统一支付结算,'}请患者扫码支付`,
+      type: 'info',
+      icon: 'el-icon-time',
+    },
+    [PAYMENT_STATUS.ACTIVE_INIT]: {
+      text: activeDefaultText,
+      type: 'info',
+      icon: 'el-icon-time',
+    },
+    [PAYMENT_STATUS.WAITING]: {
+      text: '等待支付',
+      type: 'warning',
+      icon: 'el-icon-time',
+    },
+    [PAYMENT_STATUS.PENDING]: {
+      text: isActiveMode ? activeDefaultText : '扫码成功，统一平台支付中...',
+      type: 'warning',
+      icon: 'el-icon-time',
+    },
+    [PAYMENT_STATUS.PROCESSING]: {
+      text: isActiveMode ? activeDefaultText : '扫码成功，统一平台支付中...',
+      type: 'info',
+      icon: 'el-icon-loading',
+    },
+    [PAYMENT_STATUS.SUCCESS]: {
+      text: '统一平台支付成功，HIS结算中...',
+      type: 'success',
+      icon: 'el-icon-success',
+    },
+    [PAYMENT_STATUS.FAILED]: {
+      text: '统一平台支付失败',
+      type: 'danger',
+      icon: 'el-icon-error',
+    },
+    [PAYMENT_STATUS.CANCELLED]: {
+      text: '等待支付',
+      type: 'info',
+      icon: 'el-icon-close',
+    },
+    [PAYMENT_STATUS.CLOSED]: {
+      text: '等待支付',
+      type: 'info',
+      icon: 'el-icon-close',
+    },
+    [PAYMENT_STATUS.ABANDONED]: {
+      text: '已放弃支付',
+      type: 'info',
+      icon: 'el-icon-close',
+    },
+    [PAYMENT_STATUS.TIMEOUT]: {
+      text: '支付超时',
+      type: 'warning',
+      icon: 'el-icon-warning',
+    },
+  }
+  return statusMap[status]
+}
+
+/**
+ * 主扫默认按钮
+ */
+const ACTIVE_DEFAULT_ACTIONS = [
+  {
+    key: 'cancel',
+    label: '取消支付',
+    plain: true,
+    type: 'primary',
+    command: DIALOG_COMMANDS.CANCEL,
+  },
+  { key: 'refresh', label: '刷新支付码', type: 'primary', command: DIALOG_COMMANDS.REFRESH },
+  { key: 'query', label: '刷新结果', type: 'primary', command: DIALOG_COMMANDS.QUERY },
+]
+
+/**
+ * 被扫支付中按钮
+ */
+const PASSIVE_PAYING_ACTIONS = [
+  {
+    key: 'cancel',
+    label: '取消支付',
+    plain: true,
+    type: 'primary',
+    command: DIALOG_COMMANDS.CANCEL,
+  },
+  { key: 'query', label: '刷新结果', type: 'primary', command: DIALOG_COMMANDS.QUERY },
+]
+
+/**
+ * 等待操作按钮（放弃或重新支付）
+ */
+const WAITING_ACTIONS = [
+  {
+    key: 'close',
+    label: '放弃支付',
+    plain: true,
+    type: 'danger',
+    command: DIALOG_COMMANDS.ABANDON,
+  },
+  { key: 'retry', label: '重新支付', type: 'primary', command: DIALOG_COMMANDS.RETRY },
+]
+
+/**
+ * 返回等待支付按钮
+ */
+const BACK_TO_WAITING_ACTIONS = [
+  { key: 'close', label: '返回等待支付', type: 'primary', command: DIALOG_COMMANDS.WAIT },
+]
+
+/**
+ * 获取不同状态下的操作按钮
+ * @param {string} status - 支付状态
+ * @param {boolean} isActiveMode - 是否主扫模式
+ * @returns {Array<Object>} 按钮（key、label、type、plain、command）
+ */
+export function getStatusActions(status, isActiveMode) {
+  const actionsMap = {
+    [PAYMENT_STATUS.PASSIVE_INIT]: [
+      { key: 'close', label: '取消支付', type: 'primary', command: DIALOG_COMMANDS.WAIT },
+    ],
+    [PAYMENT_STATUS.ACTIVE_INIT]: ACTIVE_DEFAULT_ACTIONS,
+    [PAYMENT_STATUS.WAITING]: WAITING_ACTIONS,
+    [PAYMENT_STATUS.PROCESSING]: isActiveMode ? ACTIVE_DEFAULT_ACTIONS : PASSIVE_PAYING_ACTIONS,
+    [PAYMENT_STATUS.PENDING]: isActiveMode ? ACTIVE_DEFAULT_ACTIONS : PASSIVE_PAYING_ACTIONS,
+    [PAYMENT_STATUS.SUCCESS]: [],
+    [PAYMENT_STATUS.CANCELLED]: WAITING_ACTIONS,
+    [PAYMENT_STATUS.CLOSED]: WAITING_ACTIONS,
+    [PAYMENT_STATUS.FAILED]: BACK_TO_WAITING_ACTIONS,
+    [PAYMENT_STATUS.TIMEOUT]: BACK_TO_WAITING_ACTIONS,
+  }
+  return (actionsMap[status] || []).map((action) => ({ ...action }))
+}
+
+/**
+ * 是否显示支付二维码（主扫模式下等待患者扫码时）
+ * @param {string} status - 支付状态
+ * @param {boolean} isActiveMode - 是否主扫模式
+ * @returns {boolean}
+ */
+export function isQRCodeVisible(status, isActiveMode) {
+  const showPayStatus = [
+    PAYMENT_STATUS.ACTIVE_INIT,
+    PAYMENT_STATUS.PROCESSING,
+    PAYMENT_STATUS.PENDING,
+  ]
+  return isActiveMode && showPayStatus.includes(status)
+}
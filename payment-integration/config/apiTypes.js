@@ -24,3 +24,8 @@ export const CLINICAL = `${GATEWAY}/haic-c-clinical`
 export const OUTPATIENT_DICT = `${GATEWAY}/haic-f-outpatient-fpva`
 // 支付
 export const PAYMENT = `${GATEWAY}/haic-c-settlement`
+
+/**
+ * 幂等键请求头
+ */
+export const IDEMPOTENCY_HEADER = 'X-Idempotency-Key'
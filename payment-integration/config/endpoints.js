@@ -0,0 +1,67 @@
+/**
+ * 支付接口端点默认配置
+ * @description 按支付平台（PAYMENT_TYPE_SWITCHES）定义接口路径与各支付环境（PAYMENT_ENV）的基础地址；
+ * 网关上下文不同的部署通过系统开关或 init 选项覆盖，由 EndpointRegistry 合并并校验
+ */
+
+import { PAYMENT, VERSION } from './apiTypes.js'
+import { PAYMENT_TYPE_SWITCHES } from '../constants/switchCodes.js'
+import { PAYMENT_ENV } from '../constants/paymentTypes.js'
+
+// 结算服务默认基础地址
+const SETTLEMENT_BASE_URL = `/${PAYMENT}/${VERSION}`
+
+/**
+ * 各环境使用同一基础地址
+ * @param {string} baseUrl - 基础地址
+ * @returns {Object} key: PAYMENT_ENV，value: 基础地址
+ */
+const sameForAllEnvs = (baseUrl) =>
+  Object.values(PAYMENT_ENV).reduce((baseUrls, env) => ({ ...baseUrls, [env]: baseUrl }), {})
+
+/**
+ * 默认端点配置
+ * @description key: 支付类型，value: { baseUrls: { [PAYMENT_ENV]: 基础地址 }, paths: { 接口名: 相对路径 } }
+ */
+export const DEFAULT_ENDPOINTS = {
+  [PAYMENT_TYPE_SWITCHES.GUOWEI_PAYMENT]: {
+    baseUrls: sameForAllEnvs(SETTLEMENT_BASE_URL),
+    paths: {
+      // 创建支付订单
+      createPayOrder: 'settlement/payment/createPayOrder',
+      // 支付订单状态查询
+      queryPayOrderResult: 'settlement/payment/queryPayOrderResult',
+      // 订单关闭
+      closePayOrder: 'settlement/payment/closePayOrder',
+      // 订单退款
+      refundPayOrder: 'settlement/payment/refundPayOrder',
+      // 退款结果查询
+      queryRefundOrderResult: 'settlement/payment/queryRefundOrderResult',
+    },
+  },
+  [PAYMENT_TYPE_SWITCHES.YUANQI_PAYMENT]: {
+    baseUrls: sameForAllEnvs(SETTLEMENT_BASE_URL),
+    paths: {
+      // 结算（获取报文）
+      preCreatePayOrder: 'settlement/payment/preCreatePayOrder',
+      // 结算（保存报文）
+      sufCreatePayOrder: 'settlement/payment/sufCreatePayOrder',
+      // 退费确认（获取报文）
+      preRefundPayOrder: 'settlement/payment/preRefundPayOrder',
+      // 退费确认（保存报文）
+      sufRefundPayOrder: 'settlement/payment/sufRefundPayOrder',
+      // 交易查询（获取报文）
+      preQueryPayOrder: 'settlement/payment/preQueryPayOrder',
+      // 交易查询（保存报文，返回支付状态）
+      sufQueryPayOrder: 'settlement/payment/sufQueryPayOrder',
+      // 撤销交易（获取报文）
+      preReversePayOrder: 'settlement/payment/preReversePayOrder',
+      // 撤销交易（保存报文）
+      sufReversePayOrder: 'settlement/payment/sufReversePayOrder',
+      // 退费查询（获取报文）
+      preQueryRefundOrder: 'settlement/payment/preQueryRefundOrder',
+      // 退费查询（保存报文，返回退款状态）
+      sufQueryRefundOrder: 'settlement/payment/sufQueryRefundOrder',
+    },
+  },
+}
@@ -0,0 +1,30 @@
+/**
+ * 源启终端服务默认配置
+ * @description 源启收费/退费报文由工作站本地的终端服务（OrgineTerminal）提交；
+ * 各工作站的地址、端口、请求头与超时可通过 init 选项或工作站偏好设置覆盖，由 resolveTerminalOptions 合并并校验
+ */
+
+/**
+ * 工作站偏好设置键（值为配置对象或 JSON 字符串）
+ */
+export const TERMINAL_PREFERENCE_KEY = 'YUANQI_TERMINAL'
+
+/**
+ * 默认终端服务配置
+ */
+export const DEFAULT_TERMINAL_OPTIONS = {
+  // 完整地址，设置后忽略 protocol、host、port、path
+  url: null,
+  protocol: 'http',
+  host: 'localhost',
+  port: 10001,
+  path: '/OrgineTerminal/OrginePowerWCAService',
+  // 请求头（跨域调用时自定义请求头会触发预检请求，终端服务不支持时覆盖为 null 去掉）
+  headers: {
+    'X-Requested-With': 'XMLHttpRequest',
+  },
+  // 收费/退费超时（毫秒），需覆盖患者在终端上操作的时间，0 表示不限制
+  timeout: 120000,
+  // 健康检查超时（毫秒）
+  healthTimeout: 3000,
+}
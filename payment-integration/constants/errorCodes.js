@@ -21,6 +21,9 @@ export const ERROR_CODES = {
   PAYMENT_FAILED: 'BUSINESS_ERROR_4002',
   REFUND_FAILED: 'BUSINESS_ERROR_4003',
   INVALID_PARAMS: 'BUSINESS_ERROR_4004',
+  REFUND_EXCEEDS_BALANCE: 'BUSINESS_ERROR_4005', // 退款金额超过可退余额
+  COMPENSATION_FAILED: 'BUSINESS_ERROR_4006', // 冲正补偿重试耗尽
+  PAYMENT_IN_PROGRESS: 'BUSINESS_ERROR_4007', // 结算正在其他操作中（本页或其他标签页）
 
   // 服务相关错误 (5000-5099)
   SERVICE_ERROR: 'SERVICE_ERROR_5001',
@@ -65,6 +68,9 @@ export const ERROR_MESSAGES = {
   [ERROR_CODES.PAYMENT_FAILED]: '支付失败，请重试',
   [ERROR_CODES.REFUND_FAILED]: '退款失败，请联系客服',
   [ERROR_CODES.INVALID_PARAMS]: '参数错误，请检查输入',
+  [ERROR_CODES.REFUND_EXCEEDS_BALANCE]: '退款金额超过可退余额',
+  [ERROR_CODES.COMPENSATION_FAILED]: '冲正失败，请联系管理员处理',
+  [ERROR_CODES.PAYMENT_IN_PROGRESS]: '该结算正在处理中，请稍后重试',
 
   [ERROR_CODES.SERVICE_ERROR]: '服务处理失败',
   [ERROR_CODES.SERVICE_UNAVAILABLE]: '服务暂不可用',
@@ -56,6 +56,31 @@ export const SCAN_MODES = {
   PASSIVE: '2',
 }
 
+/**
+ * 支付服务能力
+ * @description BasePaymentService.getCapabilities 返回对象的字段，PaymentManager 调用前据此校验
+ */
+export const PAYMENT_CAPABILITIES = {
+  /** 支持的扫码模式（SCAN_MODES 数组） */
+  SCAN_MODES: 'scanModes',
+  /** 异步支付结果：先创建订单再查询结果（createPayment、无界面支付）；同步服务由 processPayment 直接返回结果 */
+  ASYNC_RESULT: 'asyncResult',
+  /** 查询支付状态 */
+  QUERY: 'query',
+  /** 取消订单 */
+  CANCEL: 'cancel',
+  /** 关闭订单 */
+  CLOSE: 'close',
+  /** 退款 */
+  REFUND: 'refund',
+  /** 部分退款（否则只能全额退款） */
+  PARTIAL_REFUND: 'partialRefund',
+  /** 查询退款结果 */
+  REFUND_QUERY: 'refundQuery',
+  /** 冲正（恢复未完结交易） */
+  REVERSAL: 'reversal',
+}
+
 /**
  * 退款状态
  */
@@ -81,6 +106,91 @@ export const BUSINESS_TYPES = {
   OTHER: '5',
 }
 
+/**
+ * 支付业务场景
+ * @description 门诊/住院支付入口允许的业务类型及支付弹窗挂载节点
+ */
+export const PAYMENT_SCENES = {
+  OUTPATIENT: {
+    name: 'outpatient',
+    businessTypes: [BUSINESS_TYPES.OUTPATIENT_REGISTER, BUSINESS_TYPES.OUTPATIENT_CHARGE],
+    // 门诊应用容器
+    dialogNodeId: '#haic-spa-outpatient-container',
+  },
+  INPATIENT: {
+    name: 'inpatient',
+    businessTypes: [BUSINESS_TYPES.INPATIENT_PREPAY, BUSINESS_TYPES.INPATIENT_CHARGE],
+    // 住院应用容器
+    dialogNodeId: '#haic-spa-hospital-container',
+  },
+}
+
+/**
+ * 支付结果类型
+ * @description processOutpatientPayment / processInpatientPayment 返回的归一化结果
+ */
+export const PAYMENT_OUTCOMES = {
+  /** 支付成功 */
+  SUCCESS: 'success',
+  /** 放弃支付 */
+  ABANDONED: 'abandoned',
+  /** 取消支付（关闭弹窗） */
+  CANCELLED: 'cancelled',
+  /** 支付失败 */
+  FAILED: 'failed',
+}
+
+/**
+ * 交易日志步骤
+ * @description TransactionJournal 按 chargeInfoId 记录的支付步骤
+ */
+export const JOURNAL_STEPS = {
+  /** 创建支付订单请求已发出（国卫） */
+  ORDER_CREATING: 'order_creating',
+  /** 支付订单已创建（国卫） */
+  ORDER_CREATED: 'order_created',
+  /** 发起收费请求已发出（源启） */
+  PRE_CREATING: 'pre_creating',
+  /** 发起收费完成，待确认收费（源启） */
+  PRE_CREATED: 'pre_created',
+  /** 冲正中 */
+  REVERSING: 'reversing',
+  /** 支付完成（终态） */
+  COMPLETED: 'completed',
+  /** 订单已关闭（终态） */
+  CLOSED: 'closed',
+  /** 已冲正（终态） */
+  REVERSED: 'reversed',
+  /** 人工确认完结（终态） */
+  CONFIRMED: 'confirmed',
+}
+
+/**
+ * 未完结交易的处理方式
+ */
+export const JOURNAL_ACTIONS = {
+  /** 查询支付平台订单状态 */
+  QUERY: 'query',
+  /** 确认交易已完结（支付平台返回支付成功，或强制确认） */
+  CONFIRM: 'confirm',
+  /** 冲正（关闭或退款） */
+  REVERSE: 'reverse',
+}
+
+/**
+ * 冲正补偿状态
+ */
+export const COMPENSATION_STATUS = {
+  /** 待执行（已登记或等待重新执行） */
+  PENDING: 'pending',
+  /** 执行中 */
+  RUNNING: 'running',
+  /** 已完成 */
+  SUCCEEDED: 'succeeded',
+  /** 重试耗尽，需人工处理 */
+  FAILED: 'failed',
+}
+
 /**
  * 支付环境
  */
@@ -90,6 +200,17 @@ export const PAYMENT_ENV = {
   MOCK: 'mock', // 模拟环境
 }
 
+/**
+ * 支付弹窗渲染方式
+ * @description DialogManager 通过 DialogRenderer 渲染支付弹窗
+ */
+export const DIALOG_RENDERERS = {
+  /** Vue 弹窗组件（自动识别 Vue 2 / Vue 3） */
+  VUE: 'vue',
+  /** 原生 DOM 弹窗，不依赖 UI 框架 */
+  DOM: 'dom',
+}
+
 /**
  * 验证支付类型是否有效
  * @param {string} type - 支付类型
@@ -114,6 +235,12 @@ export default {
   SCAN_MODES,
   REFUND_STATUS,
   BUSINESS_TYPES,
+  PAYMENT_SCENES,
+  PAYMENT_OUTCOMES,
+  JOURNAL_STEPS,
+  JOURNAL_ACTIONS,
+  COMPENSATION_STATUS,
+  PAYMENT_CAPABILITIES,
   PAYMENT_ENV,
   isValidPaymentType,
   isValidPaymentStatus,
@@ -10,6 +10,10 @@
 export const PAYMENT_SWITCH_CODES = {
   PAYMENT_TYPE: 'SETT034', // 聚合支付平台 1.讯飞水滴支付；2.国卫统一支付，默认1.讯飞水滴支付
   PAYMENT_ENABLED: 'SETT009', // 是否启用聚合支付 0.否；1.是，默认0.否
+  PAYMENT_ENV: 'SETT035', // 支付环境 production.生产；sandbox.沙箱；mock.模拟，默认production
+  PAYMENT_ENDPOINTS: 'SETT036', // 支付接口端点覆盖配置（JSON），默认空，使用内置端点
+  PAYMENT_ROUTES: 'SETT037', // 支付路由规则（JSON 数组），按业务类型/院区/金额选择支付平台，默认空，全部使用 SETT034
+  PAYMENT_BACKUP_TYPE: 'SETT038', // 备用聚合支付平台（取值同 SETT034），主平台不可用时新订单切换到备用平台，默认空，不切换
 }
 
 /**
@@ -23,6 +27,8 @@ export const PAYMENT_TYPE_SWITCHES = {
   GUOWEI_PAYMENT: '2',
   // 源启统一支付
   YUANQI_PAYMENT: '3',
+  // 模拟支付（支付环境为 PAYMENT_ENV.MOCK 时使用，不对应系统开关取值）
+  MOCK_PAYMENT: 'mock',
 }
 
 /**
@@ -85,6 +91,8 @@ export const CACHE_STRATEGY_SWITCHES = {
   LOCAL_STORAGE: 'localStorage',
   // 会话存储
   SESSION_STORAGE: 'sessionStorage',
+  // IndexedDB
+  INDEXED_DB: 'indexedDB',
   // 无缓存
   NO_CACHE: 'none',
 }
@@ -4,11 +4,16 @@
  * @note 本框架专注于聚合支付平台接入,不直接对接支付宝、微信等支付渠道
  */
 
-import { PAYMENT_TYPE_SWITCHES } from '../constants/switchCodes.js'
 import PaymentError from '../utils/PaymentError.js'
-import GuoweiPaymentService from '../services/GuoWeiPaymentService/index.js'
-import YuanqiPaymentService from '../services/YuanQIPaymentService/index.js'
 import { defaultLogger } from '../utils/Logger.js'
+import { createHttpClient } from '../transports/index.js'
+
+/**
+ * 支付服务注册表
+ * @description key: paymentType，value: { ServiceClass, metadata }
+ * @note 由 PaymentFactory.register 维护，服务包在加载时自行注册
+ */
+const serviceRegistry = new Map()
 
 /**
  * 聚合支付策略工厂类
@@ -32,10 +37,61 @@ class PaymentFactory {
     return PaymentFactory.instance
   }
 
+  /**
+   * 注册支付服务
+   * @param {string} paymentType - 支付类型（对应系统开关 SETT034 的值）
+   * @param {Function} ServiceClass - 服务类（需继承 BasePaymentService）
+   * @param {Object} [metadata] - 服务描述信息
+   * @param {string} [metadata.name] - 服务名称
+   * @param {string} [metadata.description] - 服务描述
+   */
+  static register(paymentType, ServiceClass, metadata = {}) {
+    if (!paymentType || typeof paymentType !== 'string') {
+      throw PaymentError.createParamError('支付类型必须是非空字符串', 'paymentType', paymentType)
+    }
+    if (typeof ServiceClass !== 'function') {
+      throw PaymentError.createParamError('服务类必须是构造函数', 'ServiceClass', ServiceClass)
+    }
+
+    const factory = PaymentFactory.getInstance()
+    if (serviceRegistry.has(paymentType)) {
+      factory.logger.warn('Payment service already registered, overriding', { paymentType })
+      // 已缓存的旧服务实例不再有效
+      factory.clearServiceCache(paymentType)
+    }
+
+    serviceRegistry.set(paymentType, {
+      ServiceClass,
+      metadata: {
+        name: metadata.name || ServiceClass.name,
+        description: metadata.description || '',
+        ...metadata,
+      },
+    })
+    factory.logger.info('Payment service registered', { paymentType })
+  }
+
+  /**
+   * 注销支付服务
+   * @param {string} paymentType - 支付类型
+   * @returns {boolean} 是否存在并已注销
+   */
+  static unregister(paymentType) {
+    if (!serviceRegistry.has(paymentType)) {
+      return false
+    }
+    const factory = PaymentFactory.getInstance()
+    factory.clearServiceCache(paymentType)
+    serviceRegistry.delete(paymentType)
+    factory.logger.info('Payment service unregistered', { paymentType })
+    return true
+  }
+
   /**
    * 创建支付服务
    * @param {string} paymentType - 支付类型（从后端配置获取）
    * @param {Object} config - 配置对象
+   * @param {HttpClient|Object} [config.httpClient] - HTTP 客户端或 axios 实例，不传使用默认客户端
    * @returns {BasePaymentService} 支付服务实例
    */
   static create(paymentType, config = {}) {
@@ -68,10 +124,11 @@ class PaymentFactory {
       // 根据 paymentType 获取服务类
       const ServiceClass = this.getServiceClassByType(paymentType)
 
-      // 创建服务实例
+      // 创建服务实例（HTTP 客户端统一在此创建，服务与 API 模块共用）
       const service = new ServiceClass({
         ...config,
         paymentType,
+        httpClient: createHttpClient(config.httpClient),
       })
 
       // 缓存服务实例
@@ -105,23 +162,11 @@ class PaymentFactory {
    * @returns {Function} 服务类构造函数
    */
   getServiceClassByType(paymentType) {
-    // 根据 paymentType 直接映射到对应的服务类
-    switch (paymentType) {
-      case PAYMENT_TYPE_SWITCHES.GUOWEI_PAYMENT:
-        // '2' - 国卫支付
-        return GuoweiPaymentService
-      case PAYMENT_TYPE_SWITCHES.YUANQI_PAYMENT:
-        // '3' - 源启统一支付
-        return YuanqiPaymentService
-
-      // 预留：其他厂商支持
-      // case PAYMENT_TYPE_SWITCHES.OTHER_ELECTRONIC:
-      //   // '3' - 其他支付方式
-      //   return OtherPaymentService
-
-      default:
-        throw PaymentError.createConfigError(`不支持的支付类型: ${paymentType}`, { paymentType })
+    const entry = serviceRegistry.get(paymentType)
+    if (!entry) {
+      throw PaymentError.createConfigError(`不支持的支付类型: ${paymentType}`, { paymentType })
     }
+    return entry.ServiceClass
   }
 
   /**
@@ -177,24 +222,10 @@ class PaymentFactory {
    * @returns {Array} 支持的支付类型
    */
   getSupportedPaymentTypes() {
-    return [
-      {
-        type: PAYMENT_TYPE_SWITCHES.GUOWEI_PAYMENT,
-        name: '国卫统一支付',
-        description: '国卫统一支付服务',
-      },
-      {
-        type: PAYMENT_TYPE_SWITCHES.YUANQI_PAYMENT,
-        name: '源启统一支付',
-        description: '源启统一支付服务',
-      },
-      // 预留：其他厂商
-      // {
-      //   type: PAYMENT_TYPE_SWITCHES.OTHER_ELECTRONIC,
-      //   name: '其他方式支付',
-      //   description: '其他支付服务',
-      // },
-    ]
+    return Array.from(serviceRegistry.entries()).map(([type, { metadata }]) => ({
+      ...metadata,
+      type,
+    }))
   }
 
   /**
@@ -203,12 +234,7 @@ class PaymentFactory {
    * @returns {boolean} 是否支持
    */
   isPaymentTypeSupported(paymentType) {
-    try {
-      this.getServiceClassByType(paymentType)
-      return true
-    } catch {
-      return false
-    }
+    return serviceRegistry.has(paymentType)
   }
 
   /**
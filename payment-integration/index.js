@@ -6,14 +6,65 @@
 // 导出管理器
 export { default as PaymentManager } from './managers/PaymentManager.js'
 export { default as ErrorManager } from './managers/ErrorManager.js'
+export { default as TransactionJournal } from './managers/TransactionJournal.js'
+export {
+  default as IdempotencyManager,
+  IDEMPOTENT_OPERATIONS,
+} from './managers/IdempotencyManager.js'
+export { default as RefundLedger } from './managers/RefundLedger.js'
+export { default as RefundTracker } from './managers/RefundTracker.js'
+export { default as CompensationManager } from './managers/CompensationManager.js'
+export { default as ProviderHealthTracker } from './managers/ProviderHealthTracker.js'
+export { default as PaymentLockManager } from './managers/PaymentLockManager.js'
+export { default as PaymentStatusSync } from './managers/PaymentStatusSync.js'
 
 // 导出工厂
 export { default as PaymentFactory } from './factories/PaymentFactory.js'
 
+// 导出服务基类（扩展厂商继承后通过 PaymentFactory.register 注册）
+export { default as BasePaymentService } from './services/BasePaymentService.js'
+
+// 导出无界面支付驱动
+export { default as HeadlessPaymentDriver } from './services/HeadlessPaymentDriver.js'
+
+// 导出支付会话（每笔结算的支付过程状态）
+export { default as PaymentSession } from './services/PaymentSession.js'
+export { default as StatusPoller } from './services/StatusPoller.js'
+
+// 导出弹窗渲染器（实现 DialogRenderer 接口即可接入 React 等宿主）
+export {
+  DialogRenderer,
+  VueDialogRenderer,
+  DomDialogRenderer,
+  Vue2DialogRenderer,
+  Vue3DialogRenderer,
+  createVueDialogRenderer,
+  isVue3,
+} from './renderers/index.js'
+
+// 导出 HTTP 传输层与支付结果推送通道
+export {
+  HttpClient,
+  AxiosHttpClient,
+  FetchHttpClient,
+  createHttpClient,
+  PaymentNotifyChannel,
+  NOTIFY_TRANSPORTS,
+} from './transports/index.js'
+
+// 导出模拟支付（PAYMENT_ENV.MOCK）
+export { default as MockPaymentService } from './services/MockPaymentService/index.js'
+export { default as MockPaymentGateway, MOCK_OUTCOMES } from './mock/MockPaymentGateway.js'
+
 // 导出配置和工具
 export { default as PaymentConfig } from './utils/PaymentConfig.js'
 export { default as Logger } from './utils/Logger.js'
 export { default as EventEmitter } from './utils/EventEmitter.js'
+export { default as PaymentStateMachine } from './utils/PaymentStateMachine.js'
+export { default as EndpointRegistry } from './utils/EndpointRegistry.js'
+export { default as PaymentRouter } from './utils/PaymentRouter.js'
+export { DEFAULT_ENDPOINTS } from './config/endpoints.js'
+export { DEFAULT_TERMINAL_OPTIONS, TERMINAL_PREFERENCE_KEY } from './config/terminal.js'
 
 // 导出错误类
 export { default as PaymentError } from './utils/PaymentError.js'
@@ -23,9 +74,23 @@ export {
   getGlobalVue,
   getSwitchModule,
   getPreferenceItem,
+  getHostHttpClient,
   isGlobalEnvironmentAvailable,
 } from './utils/GlobalAccessor.js'
 
 export { PAYMENT_TYPE_SWITCHES } from './constants/switchCodes.js'
 
-export { BUSINESS_TYPES, PAYMENT_STATUS } from './constants/paymentTypes.js'
+export { ERROR_CODES } from './constants/errorCodes.js'
+
+export {
+  BUSINESS_TYPES,
+  PAYMENT_STATUS,
+  SCAN_MODES,
+  PAYMENT_CAPABILITIES,
+  PAYMENT_OUTCOMES,
+  JOURNAL_ACTIONS,
+  COMPENSATION_STATUS,
+  REFUND_STATUS,
+  DIALOG_RENDERERS,
+  PAYMENT_ENV,
+} from './constants/paymentTypes.js'
@@ -0,0 +1,284 @@
+/**
+ * 冲正补偿管理器
+ * @description 以 saga 方式执行冲正等补偿操作：每完成一步即持久化，失败后按退避间隔重试且跳过已完成的步骤，
+ * 重试耗尽后保留记录并通过 compensation:failed 事件上报，等待人工重新执行
+ */
+
+import EventEmitter from '../utils/EventEmitter.js'
+import Logger from '../utils/Logger.js'
+import { createJournalStore, JOURNAL_STORES } from '../utils/JournalStorage.js'
+import { COMPENSATION_STATUS } from '../constants/paymentTypes.js'
+
+/**
+ * 默认重试配置
+ */
+const DEFAULT_OPTIONS = {
+  maxAttempts: 5, // 每次执行的最大尝试次数
+  interval: 1000, // 首次重试间隔（毫秒）
+  backoff: 2, // 间隔递增倍数
+  maxInterval: 30000, // 最大重试间隔（毫秒）
+}
+
+class CompensationManager extends EventEmitter {
+  /**
+   * 构造函数
+   * @param {Object} [options] - 配置选项
+   * @param {string} [options.storage] - 存储策略（CACHE_STRATEGY_SWITCHES），不传则自动选择
+   * @param {number} [options.maxAttempts=5] - 每次执行的最大尝试次数
+   * @param {number} [options.interval=1000] - 首次重试间隔（毫秒）
+   * @param {number} [options.backoff=2] - 间隔递增倍数
+   * @param {number} [options.maxInterval=30000] - 最大重试间隔（毫秒）
+   */
+  constructor(options = {}) {
+    super()
+    const { storage, ...retryOptions } = options
+    this.options = { ...DEFAULT_OPTIONS, ...retryOptions }
+    this.logger = new Logger('CompensationManager')
+    this.store = createJournalStore(storage, JOURNAL_STORES.COMPENSATIONS)
+    // 执行中的补偿（key: chargeInfoId）
+    this.running = new Map()
+  }
+
+  /**
+   * 执行补偿
+   * @description 同一结算ID重复执行时返回同一个 Promise；已有记录（上次中断或失败）时沿用其数据并跳过已完成的步骤。
+   * 每个步骤的返回值会被持久化，供后续步骤（包括重新执行时）读取，因此必须可序列化
+   * @param {Object} saga - 补偿定义
+   * @param {string} saga.chargeInfoId - 结算ID
+   * @param {string} [saga.paymentType] - 支付类型，重新执行时据此创建支付服务
+   * @param {string} [saga.reason] - 补偿原因
+   * @param {Object} [saga.data] - 补偿数据（退款单号、幂等键等），首次执行时持久化
+   * @param {Array<Object>} saga.steps - 补偿步骤 [{ name, run(data, results) }]，按顺序执行
+   * @param {Object} [options] - 本次执行的重试配置，覆盖构造配置
+   * @returns {Promise<Object>} 补偿记录（status 为 SUCCEEDED 或 FAILED），不抛出异常
+   */
+  execute(saga, options = {}) {
+    const existing = this.running.get(saga.chargeInfoId)
+    if (existing) {
+      return existing.promise
+    }
+
+    const entry = { cancelled: false, timer: null, wake: null }
+    entry.promise = this._run(saga, { ...this.options, ...options }, entry).finally(() => {
+      this.running.delete(saga.chargeInfoId)
+    })
+    this.running.set(saga.chargeInfoId, entry)
+    return entry.promise
+  }
+
+  /**
+   * 执行补偿步骤直到成功或重试耗尽
+   * @private
+   */
+  async _run(saga, options, entry) {
+    const { chargeInfoId, steps } = saga
+    const now = new Date().toISOString()
+    const record = (await this._load(chargeInfoId)) || {
+      chargeInfoId,
+      paymentType: saga.paymentType || '',
+      reason: saga.reason || '',
+      data: saga.data || {},
+      results: {},
+      attempts: 0,
+      lastError: null,
+      createdAt: now,
+    }
+    record.status = COMPENSATION_STATUS.RUNNING
+    await this._save(record)
+
+    this.logger.info('Compensation started', { chargeInfoId, reason: record.reason })
+    this.emit('compensation:started', this._event(record))
+
+    let delay = options.interval
+    for (let attempt = 1; !entry.cancelled; attempt++) {
+      record.attempts++
+      try {
+        for (const step of steps) {
+          if (Object.prototype.hasOwnProperty.call(record.results, step.name)) {
+            continue
+          }
+          const result = await step.run(record.data, record.results)
+          record.results[step.name] = result ?? null
+          await this._save(record)
+          this.emit('compensation:step', { ...this._event(record), step: step.name })
+        }
+
+        record.status = COMPENSATION_STATUS.SUCCEEDED
+        record.lastError = null
+        await this._remove(chargeInfoId)
+        this.logger.info('Compensation succeeded', { chargeInfoId, attempts: record.attempts })
+        this.emit('compensation:succeeded', this._event(record))
+        return record
+      } catch (error) {
+        record.lastError = error?.message || String(error)
+        await this._save(record)
+        if (attempt >= options.maxAttempts) {
+          break
+        }
+        this.logger.warn('Compensation step failed, will retry', {
+          chargeInfoId,
+          attempts: record.attempts,
+          error: record.lastError,
+        })
+        this.emit('compensation:retrying', { ...this._event(record), delay })
+        await this._wait(delay, entry)
+        delay = Math.min(delay * options.backoff, options.maxInterval)
+      }
+    }
+
+    record.status = COMPENSATION_STATUS.FAILED
+    await this._save(record)
+    this.logger.error('Compensation failed, manual retry required', {
+      chargeInfoId,
+      attempts: record.attempts,
+      error: record.lastError,
+    })
+    this.emit('compensation:failed', this._event(record))
+    return record
+  }
+
+  /**
+   * 生成事件数据
+   * @private
+   */
+  _event(record) {
+    return {
+      chargeInfoId: record.chargeInfoId,
+      paymentType: record.paymentType,
+      reason: record.reason,
+      status: record.status,
+      attempts: record.attempts,
+      error: record.lastError,
+      completedSteps: Object.keys(record.results),
+      timestamp: new Date().toISOString(),
+    }
+  }
+
+  /**
+   * 读取补偿记录（存储异常时视为不存在）
+   * @private
+   */
+  async _load(chargeInfoId) {
+    try {
+      return await this.store.get(chargeInfoId)
+    } catch (error) {
+      this.logger.warn('Failed to load compensation record', { chargeInfoId, error })
+      return null
+    }
+  }
+
+  /**
+   * 持久化补偿记录（存储异常不中断补偿）
+   * @private
+   */
+  async _save(record) {
+    record.updatedAt = new Date().toISOString()
+    try {
+      await this.store.put(record)
+    } catch (error) {
+      this.logger.warn('Failed to persist compensation record', {
+        chargeInfoId: record.chargeInfoId,
+        error,
+      })
+    }
+  }
+
+  /**
+   * 移除补偿记录
+   * @private
+   */
+  async _remove(chargeInfoId) {
+    try {
+      await this.store.remove(chargeInfoId)
+    } catch (error) {
+      this.logger.warn('Failed to remove compensation record', { chargeInfoId, error })
+    }
+  }
+
+  /**
+   * 等待下一次重试（取消时立即返回）
+   * @private
+   */
+  _wait(ms, entry) {
+    return new Promise((resolve) => {
+      entry.wake = resolve
+      entry.timer = setTimeout(resolve, ms)
+    })
+  }
+
+  /**
+   * 获取补偿记录
+   * @param {string} chargeInfoId - 结算ID
+   * @returns {Promise<Object|null>} 补偿记录
+   */
+  get(chargeInfoId) {
+    return this.store.get(chargeInfoId)
+  }
+
+  /**
+   * 获取未完成的补偿记录
+   * @description 包括重试耗尽（FAILED）与上次执行被中断（RUNNING）的记录
+   * @param {string} [status] - 按状态过滤（COMPENSATION_STATUS）
+   * @returns {Promise<Array>} 补偿记录列表（按创建时间排序）
+   */
+  async getAll(status) {
+    const records = await this.store.getAll()
+    return records
+      .filter((record) => !status || record.status === status)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+  }
+
+  /**
+   * 是否正在执行补偿
+   * @param {string} chargeInfoId - 结算ID
+   * @returns {boolean}
+   */
+  isRunning(chargeInfoId) {
+    return this.running.has(chargeInfoId)
+  }
+
+  /**
+   * 移除补偿记录（人工确认已处理后调用）
+   * @param {string} chargeInfoId - 结算ID
+   * @returns {Promise<void>}
+   */
+  async remove(chargeInfoId) {
+    const entry = this.running.get(chargeInfoId)
+    this.stop(chargeInfoId)
+    // 等待执行中的补偿结束，避免其结束时重新写入记录
+    await entry?.promise
+    await this.store.remove(chargeInfoId)
+  }
+
+  /**
+   * 停止补偿（当前步骤完成后不再重试，记录标记为 FAILED）
+   * @param {string} chargeInfoId - 结算ID
+   */
+  stop(chargeInfoId) {
+    const entry = this.running.get(chargeInfoId)
+    if (!entry) {
+      return
+    }
+    entry.cancelled = true
+    clearTimeout(entry.timer)
+    entry.wake?.()
+  }
+
+  /**
+   * 获取当前存储类型
+   * @returns {string} 存储类型
+   */
+  getStorageType() {
+    return this.store.type
+  }
+
+  /**
+   * 销毁（停止所有补偿，保留持久化记录）
+   */
+  destroy() {
+    Array.from(this.running.keys()).forEach((chargeInfoId) => this.stop(chargeInfoId))
+    this.removeAllListeners()
+  }
+}
+
+export default CompensationManager
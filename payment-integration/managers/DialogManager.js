@@ -6,6 +6,7 @@
 
 import EventEmitter from '../utils/EventEmitter.js'
 import Logger from '../utils/Logger.js'
+import { createVueDialogRenderer, isVue3 } from '../renderers/index.js'
 
 class DialogManager extends EventEmitter {
   constructor() {
@@ -15,6 +16,8 @@ class DialogManager extends EventEmitter {
     this.dialogContainer = null
     this.Vue = null
     this.UniversalPaymentDialog = null
+    // 渲染器工厂，每个弹窗创建一个渲染器
+    this.createRenderer = null
     this.dialogPromises = new Map()
   }
 
@@ -29,23 +32,41 @@ class DialogManager extends EventEmitter {
   }
 
   /**
-   * 初始化弹窗管理器
-   * @param {Vue} Vue - Vue构造函数
-   * @param {VueComponent} UniversalPaymentDialog - 弹窗组件
+   * 初始化弹窗管理器（Vue 弹窗）
+   * @description 根据传入的 Vue 自动选择渲染器：Vue 2 传构造函数，Vue 3 传 Vue 模块（含 createApp）
+   * @param {Vue|Object} Vue - Vue构造函数（Vue 2）或 Vue 模块（Vue 3）
+   * @param {VueComponent} UniversalPaymentDialog - 弹窗组件（需与 Vue 版本匹配）
+   * @param {Object} [options] - 渲染器选项
+   * @param {Function} [options.setupApp] - Vue 3 弹窗应用挂载前的回调，用于安装 Element Plus 等插件
    */
-  initialize(Vue, UniversalPaymentDialog) {
+  initialize(Vue, UniversalPaymentDialog, options = {}) {
     this.Vue = Vue
     this.UniversalPaymentDialog = UniversalPaymentDialog
-    this.logger.info('DialogManager initialized')
+    this.createRenderer = () => createVueDialogRenderer(Vue, UniversalPaymentDialog, options)
+    this.logger.info('DialogManager initialized', { vue3: isVue3(Vue), version: Vue?.version })
+  }
+
+  /**
+   * 使用自定义渲染器（原生 DOM、React 等非 Vue 宿主）
+   * @param {Function} createRenderer - 渲染器工厂，每次打开弹窗时调用，返回 DialogRenderer 实例
+   */
+  useRenderer(createRenderer) {
+    if (typeof createRenderer !== 'function') {
+      throw new Error('createRenderer must be a function returning a DialogRenderer')
+    }
+    this.Vue = null
+    this.UniversalPaymentDialog = null
+    this.createRenderer = createRenderer
+    this.logger.info('DialogManager initialized with custom renderer')
   }
 
   /**
    * 检查是否已初始化
    */
   checkInitialized() {
-    if (!this.Vue || !this.UniversalPaymentDialog) {
+    if (!this.createRenderer) {
       throw new Error(
-        'DialogManager not initialized. Please call DialogManager.getInstance().initialize(Vue, UniversalPaymentDialog) first.'
+        'DialogManager not initialized. Please call DialogManager.getInstance().initialize(Vue, UniversalPaymentDialog) or useRenderer(createRenderer) first.'
       )
     }
   }
@@ -57,8 +78,10 @@ class DialogManager extends EventEmitter {
    * @param {Object} options.config - 弹窗配置
    * @param {boolean} options.autoPolling - 是否自动轮询
    * @param {number} options.pollingInterval - 轮询间隔
+   * @param {PaymentStateMachine} [options.stateMachine] - 支付状态机
+   * @param {StatusPoller} [options.poller] - 支付状态轮询器（与支付驱动共用）
    * @returns {Object} 弹窗控制对象
-   * @returns {VueComponent} returns.instance - Vue组件实例
+   * @returns {DialogRenderer} returns.instance - 弹窗渲染器（屏蔽 UI 框架差异）
    * @returns {string} returns.dialogId - 弹窗ID
    * @returns {Function} returns.close - 关闭弹窗的方法
    * @returns {Function} returns.waitForResult - 异步方法，返回Promise，等待弹窗终止状态
@@ -73,6 +96,8 @@ class DialogManager extends EventEmitter {
       autoPolling = false,
       pollingInterval = 3000,
       isInsuranceCharge = false,
+      stateMachine = null,
+      poller = null,
     } = options
 
     const dialogKey = this._getDialogKey(paymentInfo)
@@ -108,7 +133,7 @@ class DialogManager extends EventEmitter {
 
     try {
       // 创建弹窗实例
-      dialogInstance = await this._createVueDialogInstance(
+      dialogInstance = await this._createDialogInstance(
         {
           dialogId,
           strategy,
@@ -117,6 +142,8 @@ class DialogManager extends EventEmitter {
           autoPolling,
           pollingInterval,
           isInsuranceCharge,
+          stateMachine,
+          poller,
         },
         nodeId
       )
@@ -161,8 +188,8 @@ class DialogManager extends EventEmitter {
       this.dialogPromises.delete(dialogKey)
     }
 
-    dialogInstance.$once('final-status', handleFinalStatus)
-    dialogInstance.$once('close', handleClose)
+    dialogInstance.once('final-status', handleFinalStatus)
+    dialogInstance.once('close', handleClose)
 
     // 创建返回对象
     const dialogController = {
@@ -180,8 +207,8 @@ class DialogManager extends EventEmitter {
         this.logger.info('Manually closing dialog', { dialogId })
 
         // 触发关闭事件
-        if (dialogInstance && typeof dialogInstance.$emit === 'function') {
-          dialogInstance.$emit('close', result || { status: 'cancelled' })
+        if (dialogInstance && dialogInstance.isOpen()) {
+          dialogInstance.emit('close', result || { status: 'cancelled' })
         } else {
           // 如果实例已销毁，直接 resolve
           handleClose(result || { status: 'cancelled' })
@@ -203,30 +230,22 @@ class DialogManager extends EventEmitter {
   }
 
   /**
-   * 创建 Vue 组件实例
+   * 创建渲染器并打开弹窗
    * @private
+   * @returns {DialogRenderer} 弹窗渲染器
    */
-  _createVueDialogInstance(options, nodeId) {
-    const { isInsuranceCharge, paymentInfo, config, autoPolling, pollingInterval } = options
-
-    const DialogComponent = this.Vue.extend(this.UniversalPaymentDialog)
-
-    const instance = new DialogComponent({
-      propsData: {
-        visible: true,
-        paymentInfo,
-        config,
-        autoPolling,
-        pollingInterval,
-        isInsuranceCharge,
-      },
-    })
-
-    // 绑定策略方法到弹窗事件
-    // this._bindStrategyMethods(instance, strategy)
+  _createDialogInstance(options, nodeId) {
+    const {
+      isInsuranceCharge,
+      paymentInfo,
+      config,
+      autoPolling,
+      pollingInterval,
+      stateMachine,
+      poller,
+    } = options
 
-    // 挂载组件
-    instance.$mount()
+    const renderer = this.createRenderer()
 
     // 优化 DOM 查找：使用缓存或更高效的查找方式
     let haicContainer = document.body.querySelector(nodeId || '#haic-spa-outpatient-container')
@@ -235,9 +254,21 @@ class DialogManager extends EventEmitter {
       this.logger.warn('Container #haic-spa-outpatient-container not found, using body as fallback')
       haicContainer = document.body
     }
-    haicContainer.appendChild(instance.$el)
 
-    return instance
+    // 打开弹窗
+    return renderer.open(
+      {
+        visible: true,
+        paymentInfo,
+        config,
+        autoPolling,
+        pollingInterval,
+        isInsuranceCharge,
+        stateMachine,
+        poller,
+      },
+      haicContainer
+    )
   }
 
   /**
@@ -265,38 +296,23 @@ class DialogManager extends EventEmitter {
 
       // 移除所有事件监听
       try {
-        instance.$off()
+        instance.off()
       } catch (error) {
         this.logger.warn('Failed to remove all event listeners', { dialogId, error })
       }
 
-      // 清理定时器（如果组件有定时器）
-      if (instance.stopPolling && typeof instance.stopPolling === 'function') {
-        try {
-          instance.stopPolling()
-        } catch (error) {
-          this.logger.warn('Failed to stop polling', { dialogId, error })
-        }
-      }
-
-      if (instance.stopTimer && typeof instance.stopTimer === 'function') {
-        try {
-          instance.stopTimer()
-        } catch (error) {
-          this.logger.warn('Failed to stop timer', { dialogId, error })
-        }
+      // 清理定时器（轮询和倒计时）
+      try {
+        instance.stopTimers()
+      } catch (error) {
+        this.logger.warn('Failed to stop timers', { dialogId, error })
       }
 
       // 延迟销毁，等待动画完成
       const ANIMATION_DELAY = 300 // 动画延迟时间（毫秒）
       const cleanupTimer = setTimeout(() => {
         try {
-          if (instance.$el && instance.$el.parentNode) {
-            instance.$el.parentNode.removeChild(instance.$el)
-          }
-          if (instance.$destroy && typeof instance.$destroy === 'function') {
-            instance.$destroy()
-          }
+          instance.close()
         } catch (error) {
           this.logger.error('Failed to destroy dialog instance', { dialogId, error })
         }
@@ -427,6 +443,7 @@ class DialogManager extends EventEmitter {
       // 清空引用
       this.Vue = null
       this.UniversalPaymentDialog = null
+      this.createRenderer = null
       this.dialogContainer = null
     } catch (error) {
       this.logger.error('Error in destroy', error)
@@ -47,6 +47,9 @@ class ErrorManager {
     mapping.set(ERROR_CODES.BUSINESS_ERROR, 'BusinessError')
     mapping.set(ERROR_CODES.PAYMENT_FAILED, 'BusinessError')
     mapping.set(ERROR_CODES.REFUND_FAILED, 'BusinessError')
+    mapping.set(ERROR_CODES.REFUND_EXCEEDS_BALANCE, 'BusinessError')
+    mapping.set(ERROR_CODES.COMPENSATION_FAILED, 'BusinessError')
+    mapping.set(ERROR_CODES.PAYMENT_IN_PROGRESS, 'BusinessError')
 
     // 参数错误映射
     mapping.set(ERROR_CODES.PARAM_ERROR, 'ParamError')
@@ -0,0 +1,131 @@
+/**
+ * 幂等键管理器
+ * @description 为创建订单、退款等写操作生成幂等键，同一逻辑操作的重试复用同一个键，重复的进行中调用合并为一个 Promise
+ */
+
+import { defaultLogger } from '../utils/Logger.js'
+
+/**
+ * 需要幂等控制的操作
+ */
+export const IDEMPOTENT_OPERATIONS = {
+  /** 创建支付订单 */
+  CREATE_PAYMENT: 'createPayment',
+  /** 收费（源启发起收费 + 确认收费） */
+  CHARGE: 'charge',
+  /** 退款 */
+  REFUND: 'refund',
+  /** 撤销交易（源启撤销获取与保存报文） */
+  CLOSE_PAYMENT: 'closePayment',
+}
+
+class IdempotencyManager {
+  constructor() {
+    this.logger = defaultLogger.child('IdempotencyManager')
+    // 进行中的操作（key: `${chargeInfoId}:${operation}:${fingerprint}`）
+    this.inflight = new Map()
+  }
+
+  /**
+   * 获取单例
+   * @returns {IdempotencyManager} 管理器实例
+   */
+  static getInstance() {
+    if (!IdempotencyManager.instance) {
+      IdempotencyManager.instance = new IdempotencyManager()
+    }
+    return IdempotencyManager.instance
+  }
+
+  /**
+   * 生成幂等键
+   * @param {string} chargeInfoId - 结算ID
+   * @param {string} operation - 操作类型
+   * @returns {string} 幂等键
+   */
+  generateKey(chargeInfoId, operation) {
+    const random = Math.random().toString(36).substr(2, 9)
+    return `${operation}-${chargeInfoId}-${Date.now().toString(36)}-${random}`
+  }
+
+  /**
+   * 以幂等方式执行操作
+   * @description 同一 chargeInfoId + 操作 + 指纹已有进行中的调用时直接返回该调用的 Promise；
+   * 否则生成新的幂等键并在操作结束（含所有重试）后释放
+   * @param {string} chargeInfoId - 结算ID
+   * @param {string} operation - 操作类型（IDEMPOTENT_OPERATIONS）
+   * @param {Function} task - 操作函数，参数为幂等键
+   * @param {Object} [options] - 选项
+   * @param {string|number} [options.fingerprint] - 操作指纹（如退款金额），区分同一结算下的不同操作
+   * @returns {Promise<any>} 操作结果
+   */
+  execute(chargeInfoId, operation, task, options = {}) {
+    const scopeKey = this._getScopeKey(chargeInfoId, operation, options.fingerprint)
+
+    const existing = this.inflight.get(scopeKey)
+    if (existing) {
+      this.logger.warn('Duplicate in-flight call collapsed', {
+        chargeInfoId,
+        operation,
+        idempotencyKey: existing.key,
+      })
+      return existing.promise
+    }
+
+    const key = this.generateKey(chargeInfoId, operation)
+    const promise = Promise.resolve()
+      .then(() => task(key))
+      .finally(() => {
+        this.inflight.delete(scopeKey)
+      })
+
+    this.inflight.set(scopeKey, {
+      key,
+      chargeInfoId,
+      operation,
+      promise,
+      startedAt: new Date().toISOString(),
+    })
+    this.logger.debug('Idempotent operation started', { chargeInfoId, operation, key })
+
+    return promise
+  }
+
+  /**
+   * 获取结算下进行中的幂等键
+   * @param {string} chargeInfoId - 结算ID
+   * @returns {Array<Object>} 进行中的操作（operation、key、startedAt）
+   */
+  getKeys(chargeInfoId) {
+    return Array.from(this.inflight.values())
+      .filter((entry) => entry.chargeInfoId === chargeInfoId)
+      .map(({ operation, key, startedAt }) => ({ operation, key, startedAt }))
+  }
+
+  /**
+   * 是否存在进行中的操作
+   * @param {string} chargeInfoId - 结算ID
+   * @param {string} [operation] - 操作类型，不传则检查所有操作
+   * @returns {boolean}
+   */
+  isInflight(chargeInfoId, operation) {
+    return this.getKeys(chargeInfoId).some((entry) => !operation || entry.operation === operation)
+  }
+
+  /**
+   * 生成作用域键
+   * @private
+   */
+  _getScopeKey(chargeInfoId, operation, fingerprint) {
+    return `${chargeInfoId}:${operation}:${fingerprint ?? ''}`
+  }
+
+  /**
+   * 清理（不影响进行中的 Promise）
+   */
+  clear() {
+    this.inflight.clear()
+  }
+}
+
+export default IdempotencyManager
@@ -0,0 +1,563 @@
+/**
+ * 结算锁管理器
+ * @description 按 chargeInfoId 加锁，同一结算的收费、退款、撤销等写操作互斥执行，多个标签页不能同时操作同一结算。
+ * 支持 Web Locks（navigator.locks）时由浏览器保证互斥与排队，标签页关闭后锁自动释放，localStorage 只保存持有者信息；
+ * 不支持时退回 localStorage 锁表：释放时通过 BroadcastChannel（不可用时为 storage 事件）通知其他标签页，
+ * 持有期间定时续期，标签页崩溃后锁在租期结束时失效。冲突时默认抛出 PAYMENT_IN_PROGRESS，也可排队等待
+ */
+
+import EventEmitter from '../utils/EventEmitter.js'
+import Logger from '../utils/Logger.js'
+import PaymentError from '../utils/PaymentError.js'
+
+const LOCK_STORAGE_KEY = 'payment_charge_locks'
+const LOCK_CHANNEL_NAME = 'payment-integration-locks'
+
+/**
+ * 默认配置
+ */
+const DEFAULT_OPTIONS = {
+  ttl: 60000, // 锁租期（毫秒），持有期间每 1/3 租期续期一次
+  wait: false, // 冲突时是否排队等待
+  waitTimeout: 60000, // 排队等待超时（毫秒），0 为不限
+  retryInterval: 1000, // 排队期间重新检查锁的间隔（毫秒），用于发现其他标签页的锁已过期
+}
+
+/**
+ * 操作名称（用于冲突时的错误提示）
+ */
+const OPERATION_LABELS = {
+  processPayment: '支付',
+  createHeadlessPayment: '支付',
+  createPayment: '创建支付订单',
+  refund: '退款',
+  cancelPayment: '取消支付',
+  closePayment: '关闭订单',
+  resolvePendingTransaction: '处理未完结交易',
+  retryCompensation: '冲正',
+}
+
+/**
+ * 生成锁ID
+ * @param {string} prefix - 前缀
+ * @returns {string}
+ */
+const createLockId = (prefix) =>
+  `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 9)}`
+
+class PaymentLockManager extends EventEmitter {
+  /**
+   * 构造函数
+   * @param {Object} [options] - 配置选项
+   * @param {number} [options.ttl=60000] - 锁租期（毫秒）
+   * @param {boolean} [options.wait=false] - 冲突时是否排队等待，可在每次调用时覆盖
+   * @param {number} [options.waitTimeout=60000] - 排队等待超时（毫秒），0 为不限
+   * @param {number} [options.retryInterval=1000] - 排队期间重新检查锁的间隔（毫秒）
+   * @param {LockManager|null} [options.locks] - Web Locks 实现，默认 navigator.locks，传 null 时使用 localStorage 锁表
+   */
+  constructor(options = {}) {
+    super()
+    const { locks, ...lockOptions } = options
+    this.options = { ...DEFAULT_OPTIONS, ...lockOptions }
+    this.logger = new Logger('PaymentLockManager')
+    this.webLocks =
+      locks !== undefined
+        ? locks
+        : (typeof navigator !== 'undefined' && navigator.locks?.request && navigator.locks) || null
+    // 当前标签页标识，区分本页与其他标签页持有的锁
+    this.tabId = createLockId('tab')
+    // 本页持有的锁（key: chargeInfoId，value: { lock, renewTimer }）
+    this.held = new Map()
+    // 排队等待的操作（key: chargeInfoId，value: 等待者队列）
+    this.queues = new Map()
+    // localStorage 不可用时的锁表（仅本页互斥）
+    this.memoryLocks = {}
+    // 本页正在归还的 Web Locks 锁（key: chargeInfoId，value: 归还完成的 Promise）
+    this.releasing = new Map()
+    this.destroyed = false
+    this.retryTimer = null
+    this.channel = null
+    this.storageListener = null
+    // Web Locks 自带跨标签页排队，无需释放通知
+    if (!this.webLocks) {
+      this._connect()
+    }
+  }
+
+  /**
+   * 连接跨标签页通知
+   * @private
+   */
+  _connect() {
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(LOCK_CHANNEL_NAME)
+      this.channel.onmessage = ({ data }) => {
+        if (data?.type === 'released') {
+          this._drain(data.chargeInfoId)
+        }
+      }
+      return
+    }
+    if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+      this.storageListener = (event) => {
+        if (event.key === LOCK_STORAGE_KEY) {
+          Array.from(this.queues.keys()).forEach((chargeInfoId) => this._drain(chargeInfoId))
+        }
+      }
+      window.addEventListener('storage', this.storageListener)
+    }
+  }
+
+  /**
+   * 读取锁表（已过期的锁视为不存在）
+   * @private
+   */
+  _readLocks() {
+    let locks = this.memoryLocks
+    try {
+      if (typeof localStorage !== 'undefined') {
+        locks = JSON.parse(localStorage.getItem(LOCK_STORAGE_KEY) || '{}')
+      }
+    } catch (error) {
+      this.logger.warn('Failed to read charge locks', { error })
+    }
+    const now = Date.now()
+    return Object.keys(locks).reduce((result, chargeInfoId) => {
+      if (locks[chargeInfoId]?.expiresAt > now) {
+        result[chargeInfoId] = locks[chargeInfoId]
+      }
+      return result
+    }, {})
+  }
+
+  /**
+   * 写入锁表
+   * @private
+   */
+  _writeLocks(locks) {
+    try {
+      if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(LOCK_STORAGE_KEY, JSON.stringify(locks))
+        return
+      }
+    } catch (error) {
+      this.logger.warn('Failed to write charge locks', { error })
+    }
+    this.memoryLocks = locks
+  }
+
+  /**
+   * 创建锁记录
+   * @private
+   */
+  _createLock(chargeInfoId, operation) {
+    return {
+      chargeInfoId,
+      lockId: createLockId('lock'),
+      tabId: this.tabId,
+      operation,
+      acquiredAt: new Date().toISOString(),
+      expiresAt: Date.now() + this.options.ttl,
+    }
+  }
+
+  /**
+   * 尝试获取锁（localStorage 锁表）
+   * @private
+   * @returns {Object} { acquired, lock, holder }
+   */
+  _tryAcquire(chargeInfoId, operation) {
+    const locks = this._readLocks()
+    if (locks[chargeInfoId]) {
+      return { acquired: false, holder: locks[chargeInfoId] }
+    }
+    const lock = this._createLock(chargeInfoId, operation)
+    this._writeLocks({ ...locks, [chargeInfoId]: lock })
+    // localStorage 没有原子操作，其他标签页可能同时写入，以读回的记录为准
+    const written = this._readLocks()[chargeInfoId]
+    if (written?.lockId !== lock.lockId) {
+      return { acquired: false, holder: written }
+    }
+    return { acquired: true, lock }
+  }
+
+  /**
+   * 请求 Web Locks 锁
+   * @private
+   * @param {string} chargeInfoId - 结算ID
+   * @param {Object} options - navigator.locks.request 选项（ifAvailable、signal）
+   * @returns {Promise<Function|null>} 释放锁的方法（返回锁实际释放的 Promise），ifAvailable 时锁被占用返回 null
+   */
+  _requestWebLock(chargeInfoId, options) {
+    return new Promise((resolve, reject) => {
+      const done = this.webLocks.request(
+        `${LOCK_CHANNEL_NAME}:${chargeInfoId}`,
+        options,
+        (webLock) => {
+          if (!webLock) {
+            resolve(null)
+            return null
+          }
+          // 回调返回的 Promise 完成前一直持有锁
+          return new Promise((release) =>
+            resolve(() => {
+              release()
+              return done
+            })
+          )
+        }
+      )
+      done.catch(reject)
+    })
+  }
+
+  /**
+   * 通过 Web Locks 获取锁
+   * @description 冲突时排队由浏览器按请求先后处理（含其他标签页），超时或销毁时中止请求
+   * @private
+   * @returns {Promise<Function>} 释放锁的方法
+   */
+  async _acquireWebLock(chargeInfoId, operation, wait, waitTimeout) {
+    // 本页刚释放的锁由浏览器异步归还，等归还后再获取
+    await this.releasing.get(chargeInfoId)
+    // 已有排队的操作时不插队
+    if (!this.queues.get(chargeInfoId)?.length) {
+      const releaseWebLock = await this._requestWebLock(chargeInfoId, { ifAvailable: true })
+      if (releaseWebLock) {
+        return this._hold(this._createLock(chargeInfoId, operation), releaseWebLock)
+      }
+    }
+    if (!wait || this.destroyed) {
+      const holder = this._readLocks()[chargeInfoId]
+      this.logger.warn('Charge is locked', { chargeInfoId, operation, holder })
+      throw this._conflictError(chargeInfoId, operation, holder)
+    }
+
+    const waiter = { operation, controller: new AbortController(), timer: null, timedOut: false }
+    if (waitTimeout > 0) {
+      waiter.timer = setTimeout(() => {
+        waiter.timedOut = true
+        waiter.controller.abort()
+      }, waitTimeout)
+    }
+    if (!this.queues.has(chargeInfoId)) {
+      this.queues.set(chargeInfoId, [])
+    }
+    this.queues.get(chargeInfoId).push(waiter)
+    this.logger.info('Waiting for charge lock', { chargeInfoId, operation })
+    this.emit('lock:waiting', { chargeInfoId, operation })
+    try {
+      const releaseWebLock = await this._requestWebLock(chargeInfoId, {
+        signal: waiter.controller.signal,
+      })
+      return this._hold(this._createLock(chargeInfoId, operation), releaseWebLock)
+    } catch (error) {
+      throw this._conflictError(
+        chargeInfoId,
+        operation,
+        this._readLocks()[chargeInfoId],
+        waiter.timedOut ? { waitTimeout } : {}
+      )
+    } finally {
+      clearTimeout(waiter.timer)
+      this._removeWaiter(chargeInfoId, waiter)
+    }
+  }
+
+  /**
+   * 持有锁并定时续期
+   * @description 使用 Web Locks 时锁记录只用于展示持有者（getLocks、冲突提示）
+   * @private
+   * @param {Object} lock - 锁记录
+   * @param {Function} [releaseWebLock] - 释放 Web Locks 锁的方法
+   * @returns {Function} 释放锁的方法
+   */
+  _hold(lock, releaseWebLock) {
+    if (releaseWebLock) {
+      this._writeLocks({ ...this._readLocks(), [lock.chargeInfoId]: lock })
+    }
+    const renewTimer = setInterval(() => this._renew(lock), Math.max(this.options.ttl / 3, 1))
+    this.held.set(lock.chargeInfoId, { lock, renewTimer, releaseWebLock })
+    this.logger.debug('Charge lock acquired', {
+      chargeInfoId: lock.chargeInfoId,
+      operation: lock.operation,
+    })
+    this.emit('lock:acquired', { ...lock })
+    return () => this.release(lock.chargeInfoId, lock.lockId)
+  }
+
+  /**
+   * 续期
+   * @private
+   */
+  _renew(lock) {
+    const locks = this._readLocks()
+    const webLocked = Boolean(this.held.get(lock.chargeInfoId)?.releaseWebLock)
+    if (!webLocked && locks[lock.chargeInfoId]?.lockId !== lock.lockId) {
+      // 续期前锁已过期并被其他标签页获取（如页面长时间挂起），进行中的操作不再互斥
+      this.logger.error('Charge lock lost before renewal', {
+        chargeInfoId: lock.chargeInfoId,
+        operation: lock.operation,
+      })
+      clearInterval(this.held.get(lock.chargeInfoId)?.renewTimer)
+      this.held.delete(lock.chargeInfoId)
+      this.emit('lock:lost', { ...lock })
+      return
+    }
+    locks[lock.chargeInfoId] = { ...lock, expiresAt: Date.now() + this.options.ttl }
+    this._writeLocks(locks)
+  }
+
+  /**
+   * 创建结算正在处理中的错误
+   * @private
+   */
+  _conflictError(chargeInfoId, operation, holder, extra = {}) {
+    const label = OPERATION_LABELS[holder?.operation] || '处理'
+    const where = holder && holder.tabId !== this.tabId ? '其他窗口' : ''
+    return PaymentError.paymentInProgress(`该结算正在${where}${label}，请稍后重试`, {
+      chargeInfoId,
+      operation,
+      heldBy: holder ? { operation: holder.operation, acquiredAt: holder.acquiredAt } : null,
+      remote: Boolean(where),
+      ...extra,
+    })
+  }
+
+  /**
+   * 排队等待锁
+   * @private
+   */
+  _enqueue(chargeInfoId, operation, waitTimeout) {
+    return new Promise((resolve, reject) => {
+      const waiter = { operation, resolve, reject, timer: null }
+      if (waitTimeout > 0) {
+        waiter.timer = setTimeout(() => {
+          this._removeWaiter(chargeInfoId, waiter)
+          reject(
+            this._conflictError(chargeInfoId, operation, this._readLocks()[chargeInfoId], {
+              waitTimeout,
+            })
+          )
+        }, waitTimeout)
+      }
+      if (!this.queues.has(chargeInfoId)) {
+        this.queues.set(chargeInfoId, [])
+      }
+      this.queues.get(chargeInfoId).push(waiter)
+      this.logger.info('Waiting for charge lock', { chargeInfoId, operation })
+      this.emit('lock:waiting', { chargeInfoId, operation })
+      this._scheduleRetry()
+      // 锁可能在入队前已释放
+      this._drain(chargeInfoId)
+    })
+  }
+
+  /**
+   * 移除等待者
+   * @private
+   */
+  _removeWaiter(chargeInfoId, waiter) {
+    const queue = (this.queues.get(chargeInfoId) || []).filter((item) => item !== waiter)
+    if (queue.length > 0) {
+      this.queues.set(chargeInfoId, queue)
+    } else {
+      this.queues.delete(chargeInfoId)
+    }
+  }
+
+  /**
+   * 尝试把锁交给队首的等待者
+   * @private
+   */
+  _drain(chargeInfoId) {
+    const queue = this.queues.get(chargeInfoId)
+    if (this.webLocks || !queue?.length) {
+      return
+    }
+    const waiter = queue[0]
+    const result = this._tryAcquire(chargeInfoId, waiter.operation)
+    if (!result.acquired) {
+      return
+    }
+    clearTimeout(waiter.timer)
+    this._removeWaiter(chargeInfoId, waiter)
+    waiter.resolve(this._hold(result.lock))
+  }
+
+  /**
+   * 排队期间定时重新检查（其他标签页崩溃时不会发出释放通知）
+   * @private
+   */
+  _scheduleRetry() {
+    if (this.retryTimer) {
+      return
+    }
+    this.retryTimer = setInterval(() => {
+      if (this.queues.size === 0) {
+        clearInterval(this.retryTimer)
+        this.retryTimer = null
+        return
+      }
+      Array.from(this.queues.keys()).forEach((chargeInfoId) => this._drain(chargeInfoId))
+    }, this.options.retryInterval)
+  }
+
+  /**
+   * 更新配置
+   * @param {Object} [options] - 配置选项（ttl、wait、waitTimeout、retryInterval），未传的字段使用默认值
+   */
+  configure(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options }
+  }
+
+  /**
+   * 获取结算锁
+   * @description 同一结算已被本页或其他标签页锁定时，默认抛出 PAYMENT_IN_PROGRESS；wait 为 true 时按先后顺序排队，
+   * 超过等待时间仍未获取到锁时抛出 PAYMENT_IN_PROGRESS（context.waitTimeout）
+   * @param {string} chargeInfoId - 结算ID
+   * @param {string} operation - 操作名称（如 refund、cancelPayment）
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.wait] - 冲突时是否排队等待，默认取配置
+   * @param {number} [options.waitTimeout] - 排队等待超时（毫秒），默认取配置
+   * @returns {Promise<Function>} 释放锁的方法（重复调用无副作用）
+   * @throws {PaymentError} 结算正在处理中（PAYMENT_IN_PROGRESS）
+   */
+  async acquire(chargeInfoId, operation, options = {}) {
+    const wait = options.wait ?? this.options.wait
+    const waitTimeout = options.waitTimeout ?? this.options.waitTimeout
+
+    if (this.webLocks) {
+      return this._acquireWebLock(chargeInfoId, operation, wait, waitTimeout)
+    }
+    // 已有排队的操作时不插队
+    if (!this.queues.get(chargeInfoId)?.length) {
+      const result = this._tryAcquire(chargeInfoId, operation)
+      if (result.acquired) {
+        return this._hold(result.lock)
+      }
+      if (!wait) {
+        this.logger.warn('Charge is locked', { chargeInfoId, operation, holder: result.holder })
+        throw this._conflictError(chargeInfoId, operation, result.holder)
+      }
+    } else if (!wait) {
+      throw this._conflictError(chargeInfoId, operation, this._readLocks()[chargeInfoId])
+    }
+    return this._enqueue(chargeInfoId, operation, waitTimeout)
+  }
+
+  /**
+   * 在结算锁内执行操作
+   * @param {string} chargeInfoId - 结算ID
+   * @param {string} operation - 操作名称
+   * @param {Function} task - 操作函数
+   * @param {Object} [options] - 选项（wait、waitTimeout），见 acquire
+   * @returns {Promise<any>} 操作结果
+   * @throws {PaymentError} 结算正在处理中（PAYMENT_IN_PROGRESS）
+   */
+  async run(chargeInfoId, operation, task, options = {}) {
+    const release = await this.acquire(chargeInfoId, operation, options)
+    try {
+      return await task()
+    } finally {
+      release()
+    }
+  }
+
+  /**
+   * 释放结算锁
+   * @param {string} chargeInfoId - 结算ID
+   * @param {string} [lockId] - 锁ID，传入时只释放该次获取的锁
+   */
+  release(chargeInfoId, lockId) {
+    const entry = this.held.get(chargeInfoId)
+    if (!entry || (lockId && entry.lock.lockId !== lockId)) {
+      return
+    }
+    clearInterval(entry.renewTimer)
+    this.held.delete(chargeInfoId)
+    if (entry.releaseWebLock) {
+      const released = entry.releaseWebLock().catch(() => {})
+      this.releasing.set(chargeInfoId, released)
+      released.then(() => {
+        if (this.releasing.get(chargeInfoId) === released) {
+          this.releasing.delete(chargeInfoId)
+        }
+      })
+    }
+
+    const locks = this._readLocks()
+    if (locks[chargeInfoId]?.lockId === entry.lock.lockId) {
+      delete locks[chargeInfoId]
+      this._writeLocks(locks)
+    }
+    if (this.channel) {
+      this.channel.postMessage({ type: 'released', chargeInfoId })
+    }
+    this.logger.debug('Charge lock released', {
+      chargeInfoId,
+      operation: entry.lock.operation,
+    })
+    this.emit('lock:released', { ...entry.lock })
+    this._drain(chargeInfoId)
+  }
+
+  /**
+   * 结算是否已被锁定（本页或其他标签页）
+   * @param {string} chargeInfoId - 结算ID
+   * @returns {boolean}
+   */
+  isLocked(chargeInfoId) {
+    return Boolean(this._readLocks()[chargeInfoId])
+  }
+
+  /**
+   * 获取所有生效的结算锁
+   * @returns {Array<Object>} 锁记录（chargeInfoId、operation、acquiredAt、expiresAt、local 是否本页持有、waiting 本页排队数）
+   */
+  getLocks() {
+    const locks = this._readLocks()
+    return Object.values(locks).map((lock) => ({
+      chargeInfoId: lock.chargeInfoId,
+      operation: lock.operation,
+      acquiredAt: lock.acquiredAt,
+      expiresAt: new Date(lock.expiresAt).toISOString(),
+      local: lock.tabId === this.tabId,
+      waiting: this.queues.get(lock.chargeInfoId)?.length || 0,
+    }))
+  }
+
+  /**
+   * 销毁（释放本页持有的锁，排队中的操作以 PAYMENT_IN_PROGRESS 失败）
+   */
+  destroy() {
+    this.destroyed = true
+    Array.from(this.held.keys()).forEach((chargeInfoId) => this.release(chargeInfoId))
+    this.queues.forEach((queue, chargeInfoId) => {
+      queue.forEach((waiter) => {
+        clearTimeout(waiter.timer)
+        if (waiter.controller) {
+          waiter.controller.abort()
+        } else {
+          waiter.reject(this._conflictError(chargeInfoId, waiter.operation, null))
+        }
+      })
+    })
+    this.queues.clear()
+    clearInterval(this.retryTimer)
+    this.retryTimer = null
+    if (this.channel) {
+      this.channel.close()
+      this.channel = null
+    }
+    if (this.storageListener) {
+      window.removeEventListener('storage', this.storageListener)
+      this.storageListener = null
+    }
+    this.removeAllListeners()
+  }
+}
+
+export { LOCK_STORAGE_KEY }
+
+export default PaymentLockManager
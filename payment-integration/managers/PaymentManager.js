@@ -6,11 +6,60 @@
 import ErrorManager from './ErrorManager.js'
 import PaymentFactory from '../factories/PaymentFactory.js'
 import PaymentConfig from '../utils/PaymentConfig.js'
+import EndpointRegistry from '../utils/EndpointRegistry.js'
+import PaymentRouter from '../utils/PaymentRouter.js'
 import EventEmitter from '../utils/EventEmitter.js'
 import Logger from '../utils/Logger.js'
 import DialogManager from './DialogManager.js'
+import TransactionJournal from './TransactionJournal.js'
+import RefundLedger from './RefundLedger.js'
+import RefundTracker from './RefundTracker.js'
+import CompensationManager from './CompensationManager.js'
+import ProviderHealthTracker from './ProviderHealthTracker.js'
+import PaymentLockManager from './PaymentLockManager.js'
+import PaymentStatusSync, { SESSION_EVENTS } from './PaymentStatusSync.js'
+import IdempotencyManager, { IDEMPOTENT_OPERATIONS } from './IdempotencyManager.js'
+import HeadlessPaymentDriver from '../services/HeadlessPaymentDriver.js'
+import PaymentNotifyChannel from '../transports/PaymentNotifyChannel.js'
 import UniversalPaymentDialog from '../components/payment-dialog-manager.vue'
-import { PAYMENT_TYPE_SWITCHES, PAYMENT_ENABLED_SWITCHES } from '../constants/switchCodes.js'
+import UniversalPaymentDialogNext from '../components/payment-dialog-next.vue'
+import { isVue3, DomDialogRenderer } from '../renderers/index.js'
+import PaymentError from '../utils/PaymentError.js'
+import PaymentStateMachine from '../utils/PaymentStateMachine.js'
+import { PAYMENT_ENABLED_SWITCHES, PAYMENT_TYPE_SWITCHES } from '../constants/switchCodes.js'
+import { ERROR_CODES } from '../constants/errorCodes.js'
+import {
+  PAYMENT_STATUS,
+  PAYMENT_SCENES,
+  PAYMENT_OUTCOMES,
+  JOURNAL_STEPS,
+  JOURNAL_ACTIONS,
+  REFUND_STATUS,
+  DIALOG_RENDERERS,
+  PAYMENT_ENV,
+  PAYMENT_CAPABILITIES,
+} from '../constants/paymentTypes.js'
+// 加载内置支付服务（模块加载时注册到 PaymentFactory）
+import '../services/index.js'
+
+/**
+ * 查询到后关闭支付会话的支付状态
+ */
+const SESSION_FINAL_STATUSES = [PAYMENT_STATUS.SUCCESS, PAYMENT_STATUS.CLOSED]
+
+/**
+ * 支付能力名称（用于不支持时的错误提示）
+ */
+const CAPABILITY_LABELS = {
+  [PAYMENT_CAPABILITIES.ASYNC_RESULT]: '创建支付订单（异步支付结果）',
+  [PAYMENT_CAPABILITIES.QUERY]: '支付状态查询',
+  [PAYMENT_CAPABILITIES.CANCEL]: '取消支付订单',
+  [PAYMENT_CAPABILITIES.CLOSE]: '关闭支付订单',
+  [PAYMENT_CAPABILITIES.REFUND]: '退款',
+  [PAYMENT_CAPABILITIES.PARTIAL_REFUND]: '部分退款',
+  [PAYMENT_CAPABILITIES.REFUND_QUERY]: '退款结果查询',
+  [PAYMENT_CAPABILITIES.REVERSAL]: '冲正',
+}
 
 class PaymentManager extends EventEmitter {
   constructor() {
@@ -18,11 +67,39 @@ class PaymentManager extends EventEmitter {
     this.errorManager = new ErrorManager()
     this.config = null
     this.paymentService = null
+    // 各支付类型的服务实例（key: paymentType），按路由规则分派
+    this.paymentServices = new Map()
+    this.router = new PaymentRouter()
+    // 路由规则（init 选项注入，优先于系统开关）
+    this.routes = null
+    // 故障切换配置（init 选项注入）与生效的备用支付类型
+    this.failover = null
+    this.backupPaymentType = null
+    this.health = null
+    // 已订阅请求结果的支付服务（key: 服务实例，value: 取消订阅函数列表）
+    this.serviceSubscriptions = new Map()
+    // 进行中的支付会话（key: chargeInfoId），保存各结算的支付订单号、冲正方法等订单状态
+    this.sessions = new Map()
+    // 结算锁（同一结算的写操作跨标签页互斥）
+    this.locks = null
+    // 支付状态跨标签页同步
+    this.statusSync = null
+    // 支付结果推送通道（init 选项注入，未配置时只轮询）
+    this.notifyChannel = null
     this.paymentStrategy = null
     this.logger = new Logger('PaymentManager')
     this.initialized = false
     this.dialogManager = DialogManager.getInstance()
     this.dialogInitialized = false
+    this.journal = null
+    this.refundLedger = null
+    this.refundTracker = null
+    this.compensations = null
+    // HTTP 客户端（init 选项注入，由 PaymentFactory 传给支付服务）
+    this.httpClient = null
+    // 源启终端服务配置（init 选项注入，工作站偏好设置优先）
+    this.yuanqiTerminal = null
+    this.idempotency = IdempotencyManager.getInstance()
 
     // 简单的状态标志
     this.loading = false
@@ -44,6 +121,23 @@ class PaymentManager extends EventEmitter {
    * 初始化管理器
    * @param {Object} [options] - 初始化选项
    * @param {boolean} [options.force] - 是否强制重新初始化
+   * @param {string} [options.journalStorage] - 交易日志、退款台账、冲正补偿存储策略（CACHE_STRATEGY_SWITCHES），默认自动选择
+   * @param {Object} [options.refundTracking] - 退款结果轮询配置（interval、backoff、maxInterval、deadline）
+   * @param {Object} [options.compensation] - 冲正补偿重试配置（maxAttempts、interval、backoff、maxInterval）
+   * @param {Vue|Object} [options.Vue] - Vue 构造函数（Vue 2）或 Vue 模块（Vue 3），不传则从宿主全局获取
+   * @param {Function} [options.setupDialogApp] - Vue 3 弹窗应用挂载前的回调，用于安装 Element Plus 等插件
+   * @param {string|Function} [options.dialogRenderer] - 弹窗渲染方式（DIALOG_RENDERERS）或渲染器工厂，默认有 Vue 时使用 Vue 弹窗，否则使用原生 DOM 弹窗
+   * @param {Object} [options.domDialog] - 原生 DOM 弹窗选项（confirm、logoUrl）
+   * @param {string} [options.env] - 支付环境（PAYMENT_ENV），优先于系统开关，默认生产环境
+   * @param {Object} [options.endpoints] - 支付接口端点覆盖配置，优先于系统开关（格式见 EndpointRegistry.configure）
+   * @param {Object} [options.mock] - 模拟环境配置（outcome、delay、refundOutcome、refundDelay、latency、gateway），见 MockPaymentService
+   * @param {HttpClient|Object} [options.httpClient] - HTTP 客户端或 axios 实例，默认使用宿主 imaAxios，宿主不可用时使用 fetch
+   * @param {Array<Object>} [options.routes] - 支付路由规则，优先于系统开关 SETT037（格式见 PaymentRouter.configure），模拟环境不生效
+   * @param {Object|false} [options.failover] - 故障切换配置（paymentType 备用支付类型，优先于系统开关 SETT038；threshold、window、cooldown 健康判定），false 关闭，模拟环境不生效
+   * @param {Object} [options.yuanqiTerminal] - 源启终端服务配置（url、host、port、path、headers、timeout、healthTimeout），工作站偏好设置 YUANQI_TERMINAL 优先
+   * @param {Object} [options.locking] - 结算锁配置（ttl 租期、wait 冲突时是否排队、waitTimeout 排队超时），见 PaymentLockManager
+   * @param {boolean} [options.statusSync=true] - 是否在标签页之间同步支付会话事件，false 关闭
+   * @param {Object|false} [options.notify] - 支付结果推送配置（url、transport、reconnectInterval、maxReconnectInterval），见 PaymentNotifyChannel，false 关闭
    * @returns {Promise<Object>} 配置对象
    */
   async init(options = {}) {
@@ -56,11 +150,87 @@ class PaymentManager extends EventEmitter {
 
       // 加载配置（从系统开关获取最新配置）
       this.config = await PaymentConfig.getConfig()
-      // 检查 paymentType 是否在支持的支付类型中 创建支付服务
-      const supportedPaymentTypes = Object.values(PAYMENT_TYPE_SWITCHES)
-      const isPaymentTypeSupported = supportedPaymentTypes.includes(this.config.paymentType)
+      // 合并并校验接口端点（init 选项优先于系统开关），配置无效时初始化失败
+      this.config.paymentEnv = options.env || this.config.paymentEnv || PAYMENT_ENV.PRODUCTION
+      EndpointRegistry.getInstance().configure({
+        env: this.config.paymentEnv,
+        overrides: [this.config.endpoints, options.endpoints],
+      })
+      // 模拟环境使用模拟支付服务，不调用真实支付平台
+      const paymentType =
+        this.config.paymentEnv === PAYMENT_ENV.MOCK
+          ? PAYMENT_TYPE_SWITCHES.MOCK_PAYMENT
+          : this.config.paymentType
+      // 检查 paymentType 是否已在工厂注册 创建支付服务
+      const isPaymentTypeSupported =
+        PaymentFactory.getInstance().isPaymentTypeSupported(paymentType)
+      if (!this.journal) {
+        this.journal = new TransactionJournal({ storage: options.journalStorage })
+      }
+      if (!this.refundLedger) {
+        this.refundLedger = new RefundLedger({ storage: options.journalStorage })
+      }
+      if (!this.refundTracker) {
+        this.refundTracker = new RefundTracker(options.refundTracking)
+        this._forwardRefundTrackerEvents()
+      }
+      if (!this.compensations) {
+        this.compensations = new CompensationManager({
+          ...options.compensation,
+          storage: options.journalStorage,
+        })
+        this._forwardCompensationEvents()
+      }
+      if (options.httpClient && options.httpClient !== this.httpClient) {
+        // 更换 HTTP 客户端后已缓存的服务不再可用
+        this.httpClient = options.httpClient
+        PaymentFactory.getInstance().clearAllCache()
+      }
+      if (options.yuanqiTerminal && options.yuanqiTerminal !== this.yuanqiTerminal) {
+        // 终端配置随服务创建保存，更换后重新创建服务
+        this.yuanqiTerminal = options.yuanqiTerminal
+        PaymentFactory.getInstance().clearAllCache()
+      }
+      if (options.routes !== undefined) {
+        this.routes = options.routes
+      }
+      if (options.failover !== undefined) {
+        this.failover = options.failover
+      }
+      if (!this.health) {
+        this.health = new ProviderHealthTracker(this.errorManager)
+        this._forwardHealthEvents()
+      }
+      if (!this.locks) {
+        this.locks = new PaymentLockManager(options.locking)
+        this.locks.on('lock:lost', (lock) => this._handleLockLost(lock))
+      } else if (options.locking) {
+        this.locks.configure(options.locking)
+      }
+      if (options.statusSync === false && this.statusSync) {
+        this.statusSync.destroy()
+        this.statusSync = null
+      } else if (options.statusSync !== false && !this.statusSync) {
+        this.statusSync = new PaymentStatusSync()
+        this._subscribeStatusSync()
+      }
+      if (options.notify !== undefined) {
+        this._configureNotifyChannel(options.notify)
+      }
       if (isPaymentTypeSupported) {
-        this.paymentService = PaymentFactory.create(this.config.paymentType, this.config)
+        // 校验路由规则（模拟环境所有业务都使用模拟支付服务，不按规则路由）
+        this.router.configure({
+          defaultPaymentType: paymentType,
+          rules:
+            this.config.paymentEnv === PAYMENT_ENV.MOCK ? null : this.routes ?? this.config.routes,
+          paymentTypes: PaymentFactory.getInstance()
+            .getSupportedPaymentTypes()
+            .map(({ type }) => type),
+        })
+        this.paymentService = this._createPaymentService(paymentType, { mock: options.mock })
+        this.paymentServices = new Map([[paymentType, this.paymentService]])
+        this.router.getPaymentTypes().forEach((type) => this._getPaymentService(type))
+        this._configureFailover()
       } else {
         throw new Error('Payment type not supported')
       }
@@ -82,6 +252,10 @@ class PaymentManager extends EventEmitter {
         timestamp: new Date().toISOString(),
       })
 
+      // 检查上次崩溃遗留的未完结交易与未完成的冲正
+      await this.recoverPendingTransactions()
+      await this.recoverPendingCompensations()
+
       return this.config
     } catch (error) {
       this.logger.error('Failed to initialize payment manager', error)
@@ -122,12 +296,11 @@ class PaymentManager extends EventEmitter {
       }
 
       // 第二步：如果提供了 paymentData，调用 service 层进行业务判断
-      if (paymentData && this.paymentService) {
+      const service = paymentData ? this._routePaymentService(paymentData) : this.paymentService
+      if (paymentData && service) {
         // 检查 service 是否实现了业务判断方法
-        if (typeof this.paymentService.isAggregatedPaymentEnabled === 'function') {
-          const isBusinessEnabled = await this.paymentService.isAggregatedPaymentEnabled(
-            paymentData
-          )
+        if (typeof service.isAggregatedPaymentEnabled === 'function') {
+          const isBusinessEnabled = await service.isAggregatedPaymentEnabled(paymentData)
           this.logger.debug('Business check result for aggregated payment', {
             isBusinessEnabled,
             paymentData,
@@ -141,7 +314,7 @@ class PaymentManager extends EventEmitter {
         paymentEnabled: this.config.paymentEnabled,
         paymentType: this.config.paymentType,
         hasPaymentData: !!paymentData,
-        hasBusinessCheck: typeof this.paymentService?.isAggregatedPaymentEnabled === 'function',
+        hasBusinessCheck: typeof service?.isAggregatedPaymentEnabled === 'function',
       })
 
       return false
@@ -172,21 +345,60 @@ class PaymentManager extends EventEmitter {
   _initializeDialogManager(options = {}) {
     if (this.dialogInitialized) return
 
+    const { dialogRenderer } = options
+    if (typeof dialogRenderer === 'function') {
+      this._useDialogRenderer(dialogRenderer)
+      return
+    }
+    if (dialogRenderer === DIALOG_RENDERERS.DOM) {
+      this._useDialogRenderer(() => new DomDialogRenderer(options.domDialog))
+      return
+    }
+
     const runtimeWindow = typeof window !== 'undefined' ? window : undefined
     const vueCtor =
       options.Vue ||
       options.vue ||
       (runtimeWindow?.__haicApp__?.__TOOLKITS__?.Vue ?? runtimeWindow?.Vue ?? null)
-    const dialogComponent =
-      options.UniversalPaymentDialog || options.dialogComponent || UniversalPaymentDialog
 
     if (!vueCtor) {
-      this.logger.warn('Vue constructor not found, skip dialog manager initialization temporarily')
+      if (dialogRenderer === DIALOG_RENDERERS.VUE) {
+        this.logger.warn(
+          'Vue constructor not found, skip dialog manager initialization temporarily'
+        )
+        return
+      }
+      // 非 Vue 宿主（React、原生页面）使用原生 DOM 弹窗
+      this.logger.info('Vue constructor not found, fallback to DOM dialog renderer')
+      this._useDialogRenderer(() => new DomDialogRenderer(options.domDialog))
       return
     }
 
+    // 未指定弹窗组件时按 Vue 版本选择内置弹窗（Vue 3 使用 Element Plus 版本）
+    const dialogComponent =
+      options.UniversalPaymentDialog ||
+      options.dialogComponent ||
+      (isVue3(vueCtor) ? UniversalPaymentDialogNext : UniversalPaymentDialog)
+
     try {
-      this.dialogManager.initialize(vueCtor, dialogComponent)
+      this.dialogManager.initialize(vueCtor, dialogComponent, {
+        setupApp: options.setupDialogApp,
+      })
+      this.dialogInitialized = true
+      this.logger.info('Dialog manager initialized successfully')
+    } catch (error) {
+      this.logger.error('Dialog manager initialization failed', error)
+    }
+  }
+
+  /**
+   * 使用自定义渲染器初始化弹窗管理器
+   * @private
+   * @param {Function} createRenderer - 渲染器工厂
+   */
+  _useDialogRenderer(createRenderer) {
+    try {
+      this.dialogManager.useRenderer(createRenderer)
       this.dialogInitialized = true
       this.logger.info('Dialog manager initialized successfully')
     } catch (error) {
@@ -229,14 +441,29 @@ class PaymentManager extends EventEmitter {
         orderId: paymentData?.orderId,
         amount: paymentData?.amount,
       })
-
-      // 使用错误管理器执行，但直接抛出原始异常
-      const result = await this.errorManager.executeWithRetry(
-        () => this.paymentService.processPayment(paymentData, isInsuranceCharge, dialogNodeId),
-        {
-          context: { operation: 'processPayment', paymentData, isInsuranceCharge },
-          errorType: 'BusinessError',
-          throwOriginal: true, // 直接抛出原始错误，不经过错误处理
+      const result = await this._withChargeLock(
+        paymentData?.chargeInfoId,
+        'processPayment',
+        async () => {
+          const service = await this._selectPaymentService(paymentData)
+          const session = this._openSession(service, paymentData)
+
+          // 使用错误管理器执行，但直接抛出原始异常
+          return this.errorManager
+            .executeWithRetry(
+              () => service.processPayment(paymentData, isInsuranceCharge, dialogNodeId, session),
+              {
+                context: {
+                  operation: 'processPayment',
+                  paymentType: service.config.paymentType,
+                  paymentData,
+                  isInsuranceCharge,
+                },
+                errorType: 'BusinessError',
+                throwOriginal: true, // 直接抛出原始错误，不经过错误处理
+              }
+            )
+            .finally(() => session.close())
         }
       )
 
@@ -254,24 +481,297 @@ class PaymentManager extends EventEmitter {
     }
   }
 
+  /**
+   * 门诊支付（门诊挂号、门诊收费）
+   * @param {Object} paymentData - 支付数据
+   * @param {string} paymentData.businessType - 业务类型（OUTPATIENT_REGISTER / OUTPATIENT_CHARGE）
+   * @param {string} paymentData.chargeInfoId - 收费信息ID
+   * @param {string} paymentData.onlineType - 线上支付类型（支付宝/微信等）
+   * @param {number} paymentData.orderAmount - 支付金额
+   * @param {Object} [options] - 支付选项
+   * @param {boolean} [options.isInsuranceCharge=false] - 是否医保结算
+   * @param {string} [options.dialogNodeId] - 弹窗挂载节点，默认门诊应用容器
+   * @param {boolean} [options.wait] - 该结算正在处理中时是否排队等待，默认取结算锁配置（不等待，抛出 PAYMENT_IN_PROGRESS）
+   * @param {number} [options.waitTimeout] - 排队等待超时（毫秒）
+   * @returns {Promise<PaymentOutcome>} 支付结果
+   */
+  async processOutpatientPayment(paymentData, options = {}) {
+    return this._processScenePayment(PAYMENT_SCENES.OUTPATIENT, paymentData, options)
+  }
+
+  /**
+   * 住院支付（住院预交金、住院结算）
+   * @param {Object} paymentData - 支付数据
+   * @param {string} paymentData.businessType - 业务类型（INPATIENT_PREPAY / INPATIENT_CHARGE）
+   * @param {string} paymentData.chargeInfoId - 收费信息ID（预交金为押金订单ID）
+   * @param {string} paymentData.onlineType - 线上支付类型（支付宝/微信等）
+   * @param {number} paymentData.orderAmount - 支付金额
+   * @param {Object} [options] - 支付选项
+   * @param {boolean} [options.isInsuranceCharge=false] - 是否医保结算
+   * @param {string} [options.dialogNodeId] - 弹窗挂载节点，默认住院应用容器
+   * @param {boolean} [options.wait] - 该结算正在处理中时是否排队等待
+   * @param {number} [options.waitTimeout] - 排队等待超时（毫秒）
+   * @returns {Promise<PaymentOutcome>} 支付结果
+   */
+  async processInpatientPayment(paymentData, options = {}) {
+    return this._processScenePayment(PAYMENT_SCENES.INPATIENT, paymentData, options)
+  }
+
+  /**
+   * 按业务场景处理支付
+   * @private
+   * @param {Object} scene - 业务场景（PAYMENT_SCENES）
+   * @param {Object} paymentData - 支付数据
+   * @param {Object} options - 支付选项
+   * @returns {Promise<PaymentOutcome>} 支付结果
+   */
+  async _processScenePayment(scene, paymentData, options = {}) {
+    const { isInsuranceCharge = false, dialogNodeId = scene.dialogNodeId } = options
+
+    this._validateScenePayment(scene, paymentData)
+    await this.ensureInitialized()
+
+    this.loading = true
+    this.lastError = null
+
+    try {
+      this.logger.info('Processing scene payment', {
+        scene: scene.name,
+        businessType: paymentData.businessType,
+        chargeInfoId: paymentData.chargeInfoId,
+        orderAmount: paymentData.orderAmount,
+      })
+      const result = await this._withChargeLock(
+        paymentData.chargeInfoId,
+        'processPayment',
+        async () => {
+          const service = await this._selectPaymentService(paymentData)
+          this._assertScanMode(service, paymentData.payScanMode)
+          const session = this._openSession(service, paymentData)
+
+          return this.errorManager
+            .executeWithRetry(
+              () => service.processPayment(paymentData, isInsuranceCharge, dialogNodeId, session),
+              {
+                context: {
+                  operation: 'processPayment',
+                  paymentType: service.config.paymentType,
+                  scene: scene.name,
+                  paymentData,
+                },
+                errorType: 'BusinessError',
+                throwOriginal: true,
+              }
+            )
+            .finally(() => session.close())
+        },
+        options
+      )
+
+      const outcome = this._toPaymentOutcome(paymentData, result)
+      this.logger.info('Scene payment processed', {
+        scene: scene.name,
+        chargeInfoId: outcome.chargeInfoId,
+        outcome: outcome.outcome,
+      })
+      if (outcome.success) {
+        this.emit('paymentSuccess', outcome)
+      }
+
+      return outcome
+    } catch (error) {
+      this.logger.error('Scene payment processing failed', error)
+      this.lastError = error
+      this.emit('paymentError', error)
+      throw error
+    } finally {
+      this.loading = false
+    }
+  }
+
+  /**
+   * 校验业务场景支付数据
+   * @private
+   * @param {Object} scene - 业务场景（PAYMENT_SCENES）
+   * @param {Object} paymentData - 支付数据
+   */
+  _validateScenePayment(scene, paymentData) {
+    if (!paymentData || typeof paymentData !== 'object') {
+      throw PaymentError.createParamError('支付数据不能为空', 'paymentData', paymentData)
+    }
+
+    const { businessType, chargeInfoId, onlineType, orderAmount } = paymentData
+
+    if (!scene.businessTypes.includes(businessType)) {
+      throw PaymentError.createParamError(
+        `业务类型不属于${scene.name}支付场景`,
+        'businessType',
+        businessType
+      )
+    }
+    if (!chargeInfoId) {
+      throw PaymentError.createParamError('结算ID不能为空', 'chargeInfoId', chargeInfoId)
+    }
+    if (!onlineType) {
+      throw PaymentError.createParamError('线上支付类型不能为空', 'onlineType', onlineType)
+    }
+    if (!(Number(orderAmount) > 0)) {
+      throw PaymentError.createParamError('支付金额必须大于0', 'orderAmount', orderAmount)
+    }
+  }
+
+  /**
+   * 将服务层支付结果映射为统一结果
+   * @private
+   * @param {Object} paymentData - 支付数据
+   * @param {Object} result - 服务层 processPayment 返回结果
+   * @returns {PaymentOutcome} 支付结果
+   */
+  _toPaymentOutcome(paymentData, result = {}) {
+    const finalStatus = result?.finalStatus ?? result?.status
+    let outcome = PAYMENT_OUTCOMES.FAILED
+    if (finalStatus === PAYMENT_STATUS.SUCCESS) {
+      outcome = PAYMENT_OUTCOMES.SUCCESS
+    } else if (finalStatus === PAYMENT_STATUS.ABANDONED) {
+      outcome = PAYMENT_OUTCOMES.ABANDONED
+    } else if (finalStatus === PAYMENT_STATUS.CANCELLED || finalStatus === 'cancelled') {
+      // 弹窗被关闭时 DialogManager 返回 { status: 'cancelled' }
+      outcome = PAYMENT_OUTCOMES.CANCELLED
+    }
+
+    return {
+      success: outcome === PAYMENT_OUTCOMES.SUCCESS,
+      outcome,
+      finalStatus,
+      businessType: paymentData.businessType,
+      chargeInfoId: paymentData.chargeInfoId,
+      orderAmount: paymentData.orderAmount,
+      payOrderNo: result?.payOrderNo || '',
+      revertHandler: result?.revertHandler || null,
+      rawResult: result,
+    }
+  }
+
+  /**
+   * 创建无界面支付驱动
+   * @description 不打开支付弹窗，由调用方驱动扫码支付流程（自助机、批量后台等场景）
+   * @param {Object} paymentData - 支付数据
+   * @param {string} paymentData.chargeInfoId - 结算ID
+   * @param {number} paymentData.orderAmount - 支付金额
+   * @param {string} [paymentData.payScanMode] - 扫码模式（SCAN_MODES），默认取配置
+   * @param {Object} [options] - 驱动配置
+   * @param {number} [options.pollingInterval] - 首次轮询间隔（毫秒）
+   * @param {Object} [options.polling] - 轮询配置（maxInterval、backoff、deadline、pauseWhenHidden），见 StatusPoller
+   * @param {boolean} [options.wait] - 该结算正在处理中时是否排队等待
+   * @param {number} [options.waitTimeout] - 排队等待超时（毫秒）
+   * @returns {Promise<HeadlessPaymentDriver>} 支付驱动（持有结算锁，destroy 时释放）
+   * @throws {PaymentError} 结算正在处理中（PAYMENT_IN_PROGRESS）
+   */
+  async createHeadlessPayment(paymentData, options = {}) {
+    await this.ensureInitialized()
+
+    if (!paymentData?.chargeInfoId) {
+      throw PaymentError.createParamError('结算ID不能为空', 'chargeInfoId')
+    }
+    if (!(Number(paymentData.orderAmount) > 0)) {
+      throw PaymentError.createParamError(
+        '支付金额必须大于0',
+        'orderAmount',
+        paymentData.orderAmount
+      )
+    }
+    const service = await this._selectPaymentService(paymentData)
+    this._assertCapability(service, PAYMENT_CAPABILITIES.ASYNC_RESULT, {
+      operation: 'createHeadlessPayment',
+    })
+    this._assertScanMode(service, paymentData.payScanMode)
+
+    // 结算锁持有到驱动销毁（支付会话关闭）为止
+    const release = await this.locks.acquire(
+      paymentData.chargeInfoId,
+      'createHeadlessPayment',
+      options
+    )
+    let driver = null
+    try {
+      // 支付会话由驱动创建，驱动销毁时关闭
+      driver = new HeadlessPaymentDriver(service, paymentData, options)
+    } catch (error) {
+      release()
+      throw error
+    }
+    driver.session.on('session:closed', release)
+    this._trackSession(driver.session)
+    driver.on('state:changed', (event) => {
+      if (event.to === PAYMENT_STATUS.SUCCESS) {
+        this.emit('paymentSuccess', {
+          chargeInfoId: paymentData.chargeInfoId,
+          orderAmount: paymentData.orderAmount,
+          payOrderNo: driver.payOrderNo,
+          finalStatus: event.to,
+        })
+      }
+    })
+    this.logger.info('Headless payment driver created', {
+      chargeInfoId: paymentData.chargeInfoId,
+      payScanMode: driver.paymentInfo.payScanMode,
+    })
+    return driver
+  }
+
   /**
    * 创建支付订单
    * @param {Object} params - 支付参数
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.wait] - 该结算正在处理中时是否排队等待
+   * @param {number} [options.waitTimeout] - 排队等待超时（毫秒）
    * @returns {Promise<Object>} 支付结果
+   * @throws {PaymentError} 结算正在处理中（PAYMENT_IN_PROGRESS）
    */
-  async createPayment(params) {
+  async createPayment(params, options = {}) {
     await this.ensureInitialized()
 
     try {
       this.logger.info('Creating payment order', params)
-
-      const result = await this.errorManager.executeWithRetry(
-        () => this.paymentService.createPayment(params),
-        {
-          context: { operation: 'createPayment', params },
-          errorType: 'NetworkError',
-        }
+      const service = await this._selectPaymentService(params)
+      this._assertCapability(service, PAYMENT_CAPABILITIES.ASYNC_RESULT, {
+        operation: 'createPayment',
+      })
+      this._assertScanMode(service, params?.payScanMode)
+
+      // 幂等键在重试之外生成，网络错误重试时复用同一个键，避免重复创建订单；
+      // 重复的进行中调用先被合并，不同操作再由结算锁互斥
+      const result = await this.idempotency.execute(
+        params?.chargeInfoId,
+        IDEMPOTENT_OPERATIONS.CREATE_PAYMENT,
+        (idempotencyKey) =>
+          this._withChargeLock(
+            params?.chargeInfoId,
+            'createPayment',
+            () =>
+              this.errorManager.executeWithRetry(
+                () => service.createPayment({ ...params, idempotencyKey }),
+                {
+                  context: {
+                    operation: 'createPayment',
+                    paymentType: service.config.paymentType,
+                    params,
+                    idempotencyKey,
+                  },
+                  errorType: 'NetworkError',
+                }
+              ),
+            options
+          )
       )
+      this.health.recordSuccess(service.config.paymentType)
+      if (params?.chargeInfoId) {
+        this._openSession(service, params).update({
+          payOrderNo: result?.payOrderNo,
+          payUrl: result?.payUrl,
+          revertHandler: result?.revertHandler,
+        })
+      }
 
       this.logger.info('Payment order created', result)
       this.emit('paymentCreated', result)
@@ -286,6 +786,7 @@ class PaymentManager extends EventEmitter {
 
   /**
    * 查询支付状态
+   * @description 未传支付订单号时使用该结算支付会话中的订单号；查询到支付成功或订单关闭时关闭会话
    * @param {Object} params - 查询参数
    * @returns {Promise<Object>} 支付状态
    */
@@ -294,14 +795,27 @@ class PaymentManager extends EventEmitter {
 
     try {
       this.logger.info('Querying payment status', params)
+      const service = await this._getChargePaymentService(params)
+      this._assertCapability(service, PAYMENT_CAPABILITIES.QUERY, {
+        operation: 'queryPaymentStatus',
+      })
+      const queryParams = this._withSessionParams(params)
 
       const result = await this.errorManager.executeWithRetry(
-        () => this.paymentService.queryPaymentStatus(params),
+        () => service.queryPaymentStatus(queryParams),
         {
-          context: { operation: 'queryPaymentStatus', params },
+          context: {
+            operation: 'queryPaymentStatus',
+            paymentType: service.config.paymentType,
+            params,
+          },
           errorType: 'NetworkError',
         }
       )
+      this.health.recordSuccess(service.config.paymentType)
+      if (SESSION_FINAL_STATUSES.includes(service.parsePaymentStatus(result))) {
+        this._closeSession(params?.chargeInfoId)
+      }
 
       this.logger.info('Payment status queried', result)
       return result
@@ -313,20 +827,51 @@ class PaymentManager extends EventEmitter {
 
   /**
    * 退款
+   * @description 支持部分退款与多次退款，累计退款（含退款中）不能超过实付金额；
+   * 异步退款会轮询退款结果，得到退款成功/失败后才返回
    * @param {Object} params - 退款参数
-   * @returns {Promise<Object>} 退款结果
+   * @param {string} params.chargeInfoId - 结算ID
+   * @param {number} params.refundAmount - 本次退款金额
+   * @param {string} [params.refundNo] - 退款单号，不传则自动生成
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.wait] - 该结算正在处理中时是否排队等待
+   * @param {number} [options.waitTimeout] - 排队等待超时（毫秒）
+   * @returns {Promise<Object>} 退款结果（含 refundNo、refundStatus）
+   * @throws {PaymentError} 退款金额超过可退余额（REFUND_EXCEEDS_BALANCE）、退款失败（REFUND_FAILED）
+   * 或轮询超过截止时间（TIMEOUT_ERROR，此时可用 refundNo 调用 refundResult 继续查询）
    */
-  async refund(params) {
+  async refund(params, options = {}) {
     await this.ensureInitialized()
 
     try {
       this.logger.info('Processing refund', params)
-      const result = await this.errorManager.executeWithRetry(
-        () => this.paymentService.refund(params),
-        {
-          context: { operation: 'refund', params },
-          errorType: 'BusinessError',
-        }
+      const service = await this._getChargePaymentService(params)
+      await this._assertRefundCapability(service, params)
+      const result = await this.idempotency.execute(
+        params?.chargeInfoId,
+        IDEMPOTENT_OPERATIONS.REFUND,
+        (idempotencyKey) => {
+          // 重试共用同一份参数，服务生成的退款单号在重试间保持不变
+          const refundParams = { ...params, idempotencyKey }
+          return this._withChargeLock(
+            params?.chargeInfoId,
+            'refund',
+            () =>
+              this.errorManager
+                .executeWithRetry(() => service.refund(refundParams), {
+                  context: {
+                    operation: 'refund',
+                    paymentType: service.config.paymentType,
+                    params,
+                    idempotencyKey,
+                  },
+                  errorType: 'BusinessError',
+                })
+                .then((submitted) => this._waitForRefundOutcome(service, refundParams, submitted)),
+            options
+          )
+        },
+        { fingerprint: params?.refundAmount }
       )
 
       this.logger.info('Refund processed', result)
@@ -340,6 +885,565 @@ class PaymentManager extends EventEmitter {
     }
   }
 
+  /**
+   * 等待退款到达终态
+   * @private
+   * @param {BasePaymentService} service - 支付服务
+   * @param {Object} params - 退款参数
+   * @param {Object} submitted - 退款申请结果
+   * @returns {Promise<Object>} 退款结果
+   */
+  async _waitForRefundOutcome(service, params, submitted) {
+    if (submitted?.refundStatus !== REFUND_STATUS.PROCESSING) {
+      return submitted
+    }
+    const outcome = await service.trackRefund({
+      ...params,
+      refundNo: submitted.refundNo,
+    })
+    if (!outcome) {
+      return submitted
+    }
+    if (outcome.refundStatus === REFUND_STATUS.FAILED) {
+      throw PaymentError.fromCode(ERROR_CODES.REFUND_FAILED, {
+        chargeInfoId: params.chargeInfoId,
+        refundNo: submitted.refundNo,
+        result: outcome.result,
+      })
+    }
+    return { ...submitted, refundStatus: outcome.refundStatus, refundResult: outcome.result }
+  }
+
+  /**
+   * 在结算锁内执行操作
+   * @description 缺少结算ID时直接执行
+   * @private
+   * @param {string} [chargeInfoId] - 结算ID
+   * @param {string} operation - 操作名称
+   * @param {Function} task - 操作函数
+   * @param {Object} [options] - 选项（wait、waitTimeout）
+   * @returns {Promise<any>} 操作结果
+   */
+  _withChargeLock(chargeInfoId, operation, task, options = {}) {
+    if (!chargeInfoId) {
+      return task()
+    }
+    return this.locks.run(chargeInfoId, operation, task, {
+      wait: options.wait,
+      waitTimeout: options.waitTimeout,
+    })
+  }
+
+  /**
+   * 打开结算的支付会话
+   * @description 同一结算已有进行中的会话时复用
+   * @private
+   * @param {BasePaymentService} service - 支付服务
+   * @param {Object} paymentData - 支付数据（chargeInfoId 等）
+   * @returns {PaymentSession} 支付会话
+   */
+  _openSession(service, paymentData) {
+    const session = this.sessions.get(paymentData?.chargeInfoId)
+    if (session) {
+      return session
+    }
+    return this._trackSession(service.createSession(paymentData))
+  }
+
+  /**
+   * 跟踪支付会话（会话关闭时移除）
+   * @private
+   * @param {PaymentSession} session - 支付会话
+   * @returns {PaymentSession} 支付会话
+   */
+  _trackSession(session) {
+    if (!session.chargeInfoId) {
+      return session
+    }
+    this.sessions.set(session.chargeInfoId, session)
+    session.on('session:status', (snapshot) =>
+      this._publishSessionEvent('session:status', snapshot)
+    )
+    session.on('session:closed', (snapshot) => {
+      if (this.sessions.get(session.chargeInfoId) === session) {
+        this.sessions.delete(session.chargeInfoId)
+        if (this.notifyChannel) {
+          this.notifyChannel.unsubscribe(session.chargeInfoId)
+        }
+      }
+      // 只有到达终态才广播 session:final，支付失败、页面卸载等中途关闭广播 session:closed
+      this._publishSessionEvent(
+        PaymentStateMachine.isFinalStatus(snapshot.status) ? 'session:final' : 'session:closed',
+        snapshot
+      )
+    })
+    if (this.notifyChannel) {
+      this.notifyChannel.subscribe(session.chargeInfoId)
+      session.setPushConnected(this.notifyChannel.isConnected(session.chargeInfoId))
+    }
+    this._publishSessionEvent('session:created', session.toJSON())
+    return session
+  }
+
+  /**
+   * 触发会话事件并广播到其他标签页
+   * @private
+   * @param {string} event - 事件名（session:created、session:status、session:final、session:closed）
+   * @param {Object} snapshot - 会话快照
+   */
+  _publishSessionEvent(event, snapshot) {
+    this.emit(event, { ...snapshot, remote: false })
+    if (this.statusSync) {
+      this.statusSync.publish(event, snapshot)
+    }
+  }
+
+  /**
+   * 订阅其他标签页的会话事件
+   * @private
+   */
+  _subscribeStatusSync() {
+    SESSION_EVENTS.forEach((event) => {
+      this.statusSync.on(event, (data) => {
+        this.emit(event, data)
+        // 中途关闭的会话只是离开了其他标签页，不同步其状态
+        if (event !== 'session:closed') {
+          this._applyRemoteStatus(data)
+        }
+      })
+    })
+  }
+
+  /**
+   * 将其他标签页的支付状态同步到本页的同一结算
+   * @description 同一支付订单直接同步状态（弹窗随状态机更新或关闭）；
+   * 其他标签页已支付成功而本页是另一笔订单时，撤销本页订单并放弃支付，避免重复收费
+   * @private
+   * @param {Object} data - 其他标签页的会话快照
+   */
+  _applyRemoteStatus(data) {
+    const session = this.sessions.get(data?.chargeInfoId)
+    const stateMachine = session?.stateMachine
+    if (!data.status || !stateMachine || data.status === stateMachine.getStatus()) {
+      return
+    }
+    if (PaymentStateMachine.isFinalStatus(stateMachine.getStatus())) {
+      return
+    }
+    if (data.payOrderNo && data.payOrderNo === session.payOrderNo) {
+      this.logger.info('Syncing payment status from another tab', {
+        chargeInfoId: data.chargeInfoId,
+        status: data.status,
+      })
+      stateMachine.transition(data.status, { remote: true })
+      return
+    }
+    if (data.status === PAYMENT_STATUS.SUCCESS && session.driver) {
+      this.logger.warn('Charge paid in another tab, abandoning local order', {
+        chargeInfoId: data.chargeInfoId,
+        payOrderNo: session.payOrderNo,
+      })
+      session.driver.abandon().catch((error) => {
+        this.logger.error('Failed to abandon local order', {
+          chargeInfoId: data.chargeInfoId,
+          error,
+        })
+      })
+    }
+  }
+
+  /**
+   * 关闭结算的支付会话
+   * @private
+   * @param {string} [chargeInfoId] - 结算ID
+   */
+  _closeSession(chargeInfoId) {
+    const session = this.sessions.get(chargeInfoId)
+    if (session) {
+      session.close()
+    }
+  }
+
+  /**
+   * 补充支付会话中的订单参数
+   * @description 调用方未传支付订单号时使用会话中的订单号
+   * @private
+   * @param {Object} [params] - 请求参数
+   * @returns {Object} 请求参数
+   */
+  _withSessionParams(params) {
+    const session = this.sessions.get(params?.chargeInfoId)
+    if (!session || params.payOrderNo || !session.payOrderNo) {
+      return params
+    }
+    return { ...params, payOrderNo: session.payOrderNo }
+  }
+
+  /**
+   * 创建支付服务（注入交易日志、退款台账等共享组件）
+   * @private
+   */
+  _createPaymentService(paymentType, options = {}) {
+    const service = PaymentFactory.create(paymentType, {
+      ...this.config,
+      ...options,
+      journal: this.journal,
+      refundLedger: this.refundLedger,
+      refundTracker: this.refundTracker,
+      compensations: this.compensations,
+      httpClient: this.httpClient,
+      terminal: this.yuanqiTerminal,
+    })
+    this._watchServiceRequests(service)
+    return service
+  }
+
+  /**
+   * 订阅支付服务的请求结果，计入支付平台健康统计
+   * @description 支付弹窗与无界面驱动直接调用服务创建订单、查询状态，不经过 executeWithRetry，
+   * 由驱动通过服务的 request:failed / request:succeeded 事件上报；工厂缓存的服务只订阅一次
+   * @private
+   * @param {BasePaymentService} service - 支付服务
+   */
+  _watchServiceRequests(service) {
+    if (this.serviceSubscriptions.has(service)) {
+      return
+    }
+    this.serviceSubscriptions.set(service, [
+      service.on('request:failed', ({ error, ...context }) => {
+        this.errorManager.handleError(error, context)
+      }),
+      service.on('request:succeeded', ({ paymentType }) => {
+        this.health?.recordSuccess(paymentType)
+      }),
+    ])
+  }
+
+  /**
+   * 获取处理指定支付类型的服务（未指定时使用默认服务）
+   * @private
+   */
+  _getPaymentService(paymentType) {
+    if (!paymentType) {
+      return this.paymentService
+    }
+    if (!this.paymentServices.has(paymentType)) {
+      this.paymentServices.set(paymentType, this._createPaymentService(paymentType))
+    }
+    return this.paymentServices.get(paymentType)
+  }
+
+  /**
+   * 按路由规则获取新支付的服务
+   * @private
+   * @param {Object} [params] - 支付参数（businessType、campusId、orderAmount）
+   * @returns {BasePaymentService} 支付服务
+   */
+  _routePaymentService(params) {
+    return this._getPaymentService(this.router.resolve(params))
+  }
+
+  /**
+   * 获取已有结算的服务
+   * @description 配置了路由规则时，优先使用退款台账、交易日志记录的支付类型（规则调整后已支付的订单仍由原平台处理），
+   * 没有记录时按路由规则选择
+   * @private
+   * @param {Object} [params] - 请求参数
+   * @returns {Promise<BasePaymentService>} 支付服务
+   */
+  async _getChargePaymentService(params) {
+    const paymentType = await this._getRecordedPaymentType(params?.chargeInfoId)
+    return paymentType ? this._getPaymentService(paymentType) : this._routePaymentService(params)
+  }
+
+  /**
+   * 获取结算记录的支付类型（退款台账、交易日志）
+   * @description 仅在配置了路由规则或故障切换（可能存在多个支付平台）时读取
+   * @private
+   * @param {string} [chargeInfoId] - 结算ID
+   * @returns {Promise<string|null>} 支付类型
+   */
+  async _getRecordedPaymentType(chargeInfoId) {
+    if (!chargeInfoId || (this.router.getRules().length === 0 && !this.backupPaymentType)) {
+      return null
+    }
+    const entry =
+      (await this.refundLedger.get(chargeInfoId)) || (await this.journal.get(chargeInfoId))
+    return entry?.paymentType || null
+  }
+
+  /**
+   * 选择新订单的支付服务
+   * @description 已有交易记录的结算固定使用原支付平台；按路由规则选出的平台不可用且备用平台可用时，切换到备用平台
+   * @private
+   * @param {Object} [params] - 支付参数
+   * @returns {Promise<BasePaymentService>} 支付服务
+   */
+  async _selectPaymentService(params) {
+    const recorded = await this._getRecordedPaymentType(params?.chargeInfoId)
+    if (recorded) {
+      return this._getPaymentService(recorded)
+    }
+
+    const paymentType = this.router.resolve(params)
+    const backupPaymentType = this.backupPaymentType
+    if (
+      !backupPaymentType ||
+      paymentType === backupPaymentType ||
+      this.health.isHealthy(paymentType) ||
+      !this.health.isHealthy(backupPaymentType)
+    ) {
+      return this._getPaymentService(paymentType)
+    }
+
+    this.logger.warn('Payment provider unavailable, failing over to backup', {
+      chargeInfoId: params?.chargeInfoId,
+      paymentType,
+      backupPaymentType,
+    })
+    this.emit('payment:failover', {
+      chargeInfoId: params?.chargeInfoId,
+      from: paymentType,
+      to: backupPaymentType,
+      timestamp: new Date().toISOString(),
+    })
+    return this._getPaymentService(backupPaymentType)
+  }
+
+  /**
+   * 校验支付服务是否具备指定能力
+   * @private
+   * @param {BasePaymentService} service - 支付服务
+   * @param {string} capability - 能力（PAYMENT_CAPABILITIES）
+   * @param {Object} [context] - 错误上下文
+   * @throws {PaymentError} 不支持时抛出 INVALID_SERVICE_TYPE
+   */
+  _assertCapability(service, capability, context = {}) {
+    if (service.getCapabilities()[capability]) {
+      return
+    }
+    throw PaymentError.unsupportedOperation(
+      `当前支付服务（${service.getServiceName?.() || service.constructor.name}）不支持${
+        CAPABILITY_LABELS[capability]
+      }`,
+      { ...context, capability, paymentType: service.config?.paymentType }
+    )
+  }
+
+  /**
+   * 校验支付服务是否支持指定扫码模式（未指定时使用服务默认模式，不校验）
+   * @private
+   * @param {BasePaymentService} service - 支付服务
+   * @param {string} [payScanMode] - 扫码模式（SCAN_MODES）
+   * @throws {PaymentError} 不支持时抛出 INVALID_SERVICE_TYPE
+   */
+  _assertScanMode(service, payScanMode) {
+    if (!payScanMode) {
+      return
+    }
+    const { scanModes = [] } = service.getCapabilities()
+    if (!scanModes.includes(String(payScanMode))) {
+      throw PaymentError.unsupportedOperation(
+        `当前支付服务（${service.getServiceName?.() || service.constructor.name}）不支持该扫码模式`,
+        { capability: PAYMENT_CAPABILITIES.SCAN_MODES, payScanMode, scanModes }
+      )
+    }
+  }
+
+  /**
+   * 校验退款能力（不支持部分退款时，退款金额必须等于可退余额）
+   * @private
+   * @param {BasePaymentService} service - 支付服务
+   * @param {Object} params - 退款参数
+   * @throws {PaymentError} 不支持时抛出 INVALID_SERVICE_TYPE
+   */
+  async _assertRefundCapability(service, params) {
+    const context = { operation: 'refund', chargeInfoId: params?.chargeInfoId }
+    this._assertCapability(service, PAYMENT_CAPABILITIES.REFUND, context)
+    if (service.getCapabilities()[PAYMENT_CAPABILITIES.PARTIAL_REFUND]) {
+      return
+    }
+    const { refundableAmount } = await this.refundLedger.getBalance(params?.chargeInfoId)
+    const toFen = (amount) => Math.round(Number(amount) * 100)
+    if (refundableAmount !== null && toFen(params?.refundAmount) !== toFen(refundableAmount)) {
+      this._assertCapability(service, PAYMENT_CAPABILITIES.PARTIAL_REFUND, {
+        ...context,
+        refundAmount: params?.refundAmount,
+        refundableAmount,
+      })
+    }
+  }
+
+  /**
+   * 配置故障切换
+   * @private
+   * @throws {PaymentError} 备用支付类型未注册（CONFIG_ERROR）
+   */
+  _configureFailover() {
+    const { paymentType, ...healthOptions } = this.failover || {}
+    this.health.configure(healthOptions)
+
+    const backupPaymentType =
+      this.failover === false || this.config.paymentEnv === PAYMENT_ENV.MOCK
+        ? null
+        : paymentType || this.config.backupPaymentType || null
+    if (
+      backupPaymentType &&
+      !PaymentFactory.getInstance().isPaymentTypeSupported(backupPaymentType)
+    ) {
+      throw PaymentError.createConfigError(`备用支付平台 ${backupPaymentType} 未注册`, {
+        backupPaymentType,
+      })
+    }
+    this.backupPaymentType = backupPaymentType
+    if (backupPaymentType) {
+      this._getPaymentService(backupPaymentType)
+      this.logger.info('Payment failover enabled', { backupPaymentType })
+    }
+  }
+
+  /**
+   * 配置支付结果推送通道
+   * @description 替换已有通道，并为进行中的会话重新订阅
+   * @private
+   * @param {Object|false} notify - 推送配置，未配置 url 或为 false 时关闭
+   */
+  _configureNotifyChannel(notify) {
+    if (this.notifyChannel) {
+      this.notifyChannel.destroy()
+      this.notifyChannel = null
+      this.sessions.forEach((session) => session.setPushConnected(false))
+    }
+    if (!notify?.url) {
+      return
+    }
+    this.notifyChannel = new PaymentNotifyChannel(notify)
+    this.notifyChannel.on('connected', ({ chargeInfoId }) => {
+      this.sessions.get(chargeInfoId)?.setPushConnected(true)
+    })
+    this.notifyChannel.on('disconnected', ({ chargeInfoId }) => {
+      this.sessions.get(chargeInfoId)?.setPushConnected(false)
+    })
+    this.notifyChannel.on('notify', (data) => this._handlePaymentNotify(data))
+    this.sessions.forEach((session, chargeInfoId) => this.notifyChannel.subscribe(chargeInfoId))
+  }
+
+  /**
+   * 处理推送的支付通知
+   * @description 推送只作为状态变化的提示：通知的订单号与会话当前订单一致时，非终态由支付驱动直接应用，
+   * 终态（如支付成功）立即查询一次支付平台，只应用查询返回的状态，弹窗随状态机更新；
+   * 缺少订单号、旧订单的通知，以及金额与订单金额不一致的成功通知忽略，由轮询确认
+   * @private
+   * @param {PaymentNotifyData} data - 支付通知
+   */
+  _handlePaymentNotify(data) {
+    this.emit('payment:notify', data)
+    const session = this.sessions.get(data.chargeInfoId)
+    if (!session?.driver || !data.status) {
+      return
+    }
+    const payOrderNo = data.orderId || data.payOrderNo
+    if (!payOrderNo || payOrderNo !== session.payOrderNo) {
+      this.logger.warn('Ignoring notification for another order', {
+        chargeInfoId: data.chargeInfoId,
+        payOrderNo,
+        currentPayOrderNo: session.payOrderNo,
+      })
+      return
+    }
+    const { orderAmount } = session.driver.paymentInfo
+    const toFen = (amount) => Math.round(Number(amount) * 100)
+    if (
+      data.status === PAYMENT_STATUS.SUCCESS &&
+      (data.amount === undefined ||
+        data.amount === null ||
+        toFen(data.amount) !== toFen(orderAmount))
+    ) {
+      this.logger.warn('Ignoring payment success with a mismatched amount', {
+        chargeInfoId: data.chargeInfoId,
+        payOrderNo,
+        amount: data.amount,
+        orderAmount,
+      })
+      return
+    }
+    // 推送未经认证，终态以支付平台的查询结果为准
+    const applied = PaymentStateMachine.isFinalStatus(data.status)
+      ? session.driver.poller.poll()
+      : session.driver.applyStatus(data.status, { source: 'push' })
+    applied.catch((error) => {
+      this.logger.error('Failed to apply payment notification', {
+        chargeInfoId: data.chargeInfoId,
+        error,
+      })
+    })
+  }
+
+  /**
+   * 处理持有期间丢失的结算锁
+   * @description 锁租期已过并被其他标签页获取时（只在 localStorage 锁表模式下发生），进行中的操作不再互斥：
+   * 在交易日志中标注（lockLost），发出 lock:lost 事件提示人工核对
+   * @private
+   * @param {Object} lock - 锁记录（chargeInfoId、operation、acquiredAt）
+   */
+  _handleLockLost(lock) {
+    const lockLost = {
+      operation: lock.operation,
+      acquiredAt: lock.acquiredAt,
+      lostAt: new Date().toISOString(),
+    }
+    this.logger.error('Charge lock lost during operation, it is no longer exclusive', {
+      chargeInfoId: lock.chargeInfoId,
+      ...lockLost,
+    })
+    this.journal?.annotate(lock.chargeInfoId, { lockLost }).catch((error) => {
+      this.logger.warn('Failed to record lost charge lock', {
+        chargeInfoId: lock.chargeInfoId,
+        error,
+      })
+    })
+    this.emit('lock:lost', { chargeInfoId: lock.chargeInfoId, ...lockLost })
+  }
+
+  /**
+   * 转发支付平台健康事件
+   * @private
+   */
+  _forwardHealthEvents() {
+    const events = ['provider:unhealthy', 'provider:recovered']
+    events.forEach((event) => {
+      this.health.on(event, (data) => this.emit(event, data))
+    })
+  }
+
+  /**
+   * 转发退款跟踪事件
+   * @private
+   */
+  _forwardRefundTrackerEvents() {
+    const events = ['refund:progress', 'refund:succeeded', 'refund:failed']
+    events.forEach((event) => {
+      this.refundTracker.on(event, (data) => this.emit(event, data))
+    })
+  }
+
+  /**
+   * 转发冲正补偿事件
+   * @private
+   */
+  _forwardCompensationEvents() {
+    const events = [
+      'compensation:started',
+      'compensation:step',
+      'compensation:retrying',
+      'compensation:succeeded',
+      'compensation:failed',
+    ]
+    events.forEach((event) => {
+      this.compensations.on(event, (data) => this.emit(event, data))
+    })
+  }
+
   /**
    * 退款结果查询
    * @param {Object} params - 退款参数
@@ -350,14 +1454,15 @@ class PaymentManager extends EventEmitter {
 
     try {
       this.logger.info('Processing refund', params)
+      const service = await this._getChargePaymentService(params)
+      this._assertCapability(service, PAYMENT_CAPABILITIES.REFUND_QUERY, {
+        operation: 'refundResult',
+      })
 
-      const result = await this.errorManager.executeWithRetry(
-        () => this.paymentService.refundResult(params),
-        {
-          context: { operation: 'refundResult', params },
-          errorType: 'BusinessError',
-        }
-      )
+      const result = await this.errorManager.executeWithRetry(() => service.refundResult(params), {
+        context: { operation: 'refundResult', paymentType: service.config.paymentType, params },
+        errorType: 'BusinessError',
+      })
 
       this.logger.info('Refund processed', result)
       this.emit('refundResultSuccess', result)
@@ -372,16 +1477,29 @@ class PaymentManager extends EventEmitter {
 
   /**
    * 取消支付订单
+   * @description 未传支付订单号时使用该结算支付会话中的订单号，取消后关闭会话
    * @param {Object} params - 取消参数
+   * @param {Object} [options] - 选项（wait、waitTimeout），见 createPayment
    * @returns {Promise<Object>} 取消结果
+   * @throws {PaymentError} 结算正在处理中（PAYMENT_IN_PROGRESS）
    */
-  async cancelPayment(params) {
+  async cancelPayment(params, options = {}) {
     await this.ensureInitialized()
 
     try {
       this.logger.info('Cancelling payment order', params)
+      const service = await this._getChargePaymentService(params)
+      this._assertCapability(service, PAYMENT_CAPABILITIES.CANCEL, {
+        operation: 'cancelPayment',
+      })
 
-      const result = await this.paymentService.cancelPayment(params)
+      const result = await this._withChargeLock(
+        params?.chargeInfoId,
+        'cancelPayment',
+        () => service.cancelPayment(this._withSessionParams(params)),
+        options
+      )
+      this._closeSession(params?.chargeInfoId)
 
       this.logger.info('Payment order cancelled', result)
       this.emit('paymentCancelled', result)
@@ -395,16 +1513,29 @@ class PaymentManager extends EventEmitter {
 
   /**
    * 关闭支付订单
+   * @description 未传支付订单号时使用该结算支付会话中的订单号，关闭后关闭会话
    * @param {Object} params - 关闭参数
+   * @param {Object} [options] - 选项（wait、waitTimeout），见 createPayment
    * @returns {Promise<Object>} 关闭结果
+   * @throws {PaymentError} 结算正在处理中（PAYMENT_IN_PROGRESS）
    */
-  async closePayment(params) {
+  async closePayment(params, options = {}) {
     await this.ensureInitialized()
 
     try {
       this.logger.info('Closing payment order', params)
+      const service = await this._getChargePaymentService(params)
+      this._assertCapability(service, PAYMENT_CAPABILITIES.CLOSE, {
+        operation: 'closePayment',
+      })
 
-      const result = await this.paymentService.closePayment(params)
+      const result = await this._withChargeLock(
+        params?.chargeInfoId,
+        'closePayment',
+        () => service.closePayment(this._withSessionParams(params)),
+        options
+      )
+      this._closeSession(params?.chargeInfoId)
 
       this.logger.info('Payment order closed', result)
       this.emit('paymentClosed', result)
@@ -416,6 +1547,296 @@ class PaymentManager extends EventEmitter {
     }
   }
 
+  /**
+   * 检查未完结交易
+   * @description 读取交易日志中未到达终态的交易，通过 journal:pending 事件提示业务层处理
+   * @returns {Promise<Array>} 未完结交易列表
+   */
+  async recoverPendingTransactions() {
+    try {
+      const transactions = await this.journal.getPendingTransactions()
+      if (transactions.length > 0) {
+        this.logger.warn('Unfinished payment transactions found', {
+          count: transactions.length,
+          chargeInfoIds: transactions.map((entry) => entry.chargeInfoId),
+        })
+        this.emit('journal:pending', {
+          transactions,
+          actions: Object.values(JOURNAL_ACTIONS),
+          timestamp: new Date().toISOString(),
+        })
+      }
+      return transactions
+    } catch (error) {
+      // 恢复失败不影响初始化
+      this.logger.error('Failed to load pending transactions', error)
+      return []
+    }
+  }
+
+  /**
+   * 获取未完结交易
+   * @returns {Promise<Array>} 未完结交易列表
+   */
+  async getPendingTransactions() {
+    await this.ensureInitialized()
+    return this.journal.getPendingTransactions()
+  }
+
+  /**
+   * 处理未完结交易
+   * @param {string} chargeInfoId - 结算ID
+   * @param {string} action - 处理方式（JOURNAL_ACTIONS）
+   * @param {Object} [options] - 选项（wait、waitTimeout），确认、冲正时在结算锁内执行
+   * @param {boolean} [options.force] - 确认时不查询支付平台，直接按订单金额记为已支付（记录告警日志）
+   * @param {string} [options.reason] - 强制确认的原因（写入日志）
+   * @returns {Promise<Object|null>} 处理结果（查询、确认时为订单状态，强制确认时为 null）
+   * @throws {PaymentError} 结算正在处理中（PAYMENT_IN_PROGRESS）、确认时支付平台未返回支付成功（BUSINESS_ERROR）
+   */
+  async resolvePendingTransaction(chargeInfoId, action, options = {}) {
+    await this.ensureInitialized()
+
+    const entry = await this.journal.get(chargeInfoId)
+    if (!entry) {
+      throw PaymentError.createParamError('未找到未完结交易', 'chargeInfoId', chargeInfoId)
+    }
+
+    const service = this._getPaymentService(entry.paymentType)
+    const params = { ...entry.data, chargeInfoId }
+
+    this.logger.info('Resolving pending transaction', { chargeInfoId, action, step: entry.step })
+
+    try {
+      const resolve = () => this._resolvePendingAction(entry, service, params, action, options)
+      // 查询不改变交易状态，无需加锁
+      const result =
+        action === JOURNAL_ACTIONS.QUERY
+          ? await resolve()
+          : await this._withChargeLock(chargeInfoId, 'resolvePendingTransaction', resolve, options)
+
+      this.emit('journal:resolved', { chargeInfoId, action, result })
+      return result
+    } catch (error) {
+      this.logger.error('Failed to resolve pending transaction', { chargeInfoId, action, error })
+      throw error
+    }
+  }
+
+  /**
+   * 执行未完结交易的处理方式
+   * @private
+   * @param {Object} entry - 交易日志记录
+   * @param {BasePaymentService} service - 支付服务
+   * @param {Object} params - 交易参数
+   * @param {string} action - 处理方式（JOURNAL_ACTIONS）
+   * @param {Object} [options] - 选项（force、reason）
+   * @returns {Promise<Object|null>} 处理结果
+   */
+  async _resolvePendingAction(entry, service, params, action, options = {}) {
+    const { chargeInfoId } = params
+    switch (action) {
+      case JOURNAL_ACTIONS.QUERY:
+        this._assertCapability(service, PAYMENT_CAPABILITIES.QUERY, { chargeInfoId, action })
+        return service.queryPaymentStatus(params)
+      case JOURNAL_ACTIONS.CONFIRM: {
+        let result = null
+        if (options.force) {
+          this.logger.warn('Confirming pending transaction without provider check', {
+            chargeInfoId,
+            step: entry.step,
+            orderAmount: entry.data.orderAmount,
+            reason: options.reason,
+          })
+        } else {
+          // 只有支付平台确认支付成功时才记为已支付
+          this._assertCapability(service, PAYMENT_CAPABILITIES.QUERY, { chargeInfoId, action })
+          result = await service.queryPaymentStatus(params)
+          const paymentStatus = service.parsePaymentStatus(result)
+          if (paymentStatus !== PAYMENT_STATUS.SUCCESS) {
+            throw new PaymentError(
+              '支付平台未确认支付成功，不能确认交易完结',
+              ERROR_CODES.BUSINESS_ERROR,
+              { chargeInfoId, action, paymentStatus }
+            )
+          }
+        }
+        await this.journal.record(chargeInfoId, JOURNAL_STEPS.CONFIRMED)
+        if (entry.data.orderAmount) {
+          await this.refundLedger.recordPayment(chargeInfoId, {
+            paidAmount: entry.data.orderAmount,
+            payOrderNo: entry.data.payOrderNo,
+            paymentType: entry.paymentType,
+          })
+        }
+        return result
+      }
+      case JOURNAL_ACTIONS.REVERSE: {
+        this._assertCapability(service, PAYMENT_CAPABILITIES.REVERSAL, { chargeInfoId, action })
+        const result = await service.reversePayment(params)
+        await this.journal.record(chargeInfoId, JOURNAL_STEPS.REVERSED)
+        return result
+      }
+      default:
+        throw PaymentError.createParamError('不支持的处理方式', 'action', action)
+    }
+  }
+
+  /**
+   * 检查未完成的冲正补偿
+   * @description 读取重试耗尽或上次执行被中断的冲正，通过 compensation:pending 事件提示人工处理
+   * @returns {Promise<Array>} 补偿记录列表
+   */
+  async recoverPendingCompensations() {
+    try {
+      const records = await this.compensations.getAll()
+      const pending = records.filter((record) => !this.compensations.isRunning(record.chargeInfoId))
+      if (pending.length > 0) {
+        this.logger.warn('Unfinished payment compensations found', {
+          count: pending.length,
+          chargeInfoIds: pending.map((record) => record.chargeInfoId),
+        })
+        this.emit('compensation:pending', {
+          compensations: pending,
+          timestamp: new Date().toISOString(),
+        })
+      }
+      return pending
+    } catch (error) {
+      // 恢复失败不影响初始化
+      this.logger.error('Failed to load pending compensations', error)
+      return []
+    }
+  }
+
+  /**
+   * 获取未完成的冲正补偿
+   * @param {string} [status] - 按状态过滤（COMPENSATION_STATUS）
+   * @returns {Promise<Array>} 补偿记录列表
+   */
+  async getCompensations(status) {
+    await this.ensureInitialized()
+    return this.compensations.getAll(status)
+  }
+
+  /**
+   * 重新执行冲正补偿
+   * @description 用于重试耗尽或被中断的冲正，已完成的步骤不会重复执行；重试次数重新计算
+   * @param {string} chargeInfoId - 结算ID
+   * @param {Object} [options] - 选项（wait、waitTimeout），在结算锁内执行
+   * @returns {Promise<Object>} 补偿记录（status 为 SUCCEEDED 或 FAILED）
+   * @throws {PaymentError} 未找到补偿记录（PARAM_ERROR）、结算正在处理中（PAYMENT_IN_PROGRESS）
+   */
+  async retryCompensation(chargeInfoId, options = {}) {
+    await this.ensureInitialized()
+
+    const record = await this.compensations.get(chargeInfoId)
+    if (!record) {
+      throw PaymentError.createParamError('未找到冲正记录', 'chargeInfoId', chargeInfoId)
+    }
+
+    this.logger.info('Retrying compensation', { chargeInfoId, attempts: record.attempts })
+    return this._withChargeLock(
+      chargeInfoId,
+      'retryCompensation',
+      () => this._getPaymentService(record.paymentType).resumeCompensation(record),
+      options
+    )
+  }
+
+  /**
+   * 获取交易日志
+   * @returns {TransactionJournal|null} 交易日志实例
+   */
+  getTransactionJournal() {
+    return this.journal
+  }
+
+  /**
+   * 获取退款台账
+   * @returns {RefundLedger|null} 退款台账实例
+   */
+  getRefundLedger() {
+    return this.refundLedger
+  }
+
+  /**
+   * 获取冲正补偿管理器
+   * @returns {CompensationManager|null} 冲正补偿管理器实例
+   */
+  getCompensationManager() {
+    return this.compensations
+  }
+
+  /**
+   * 查询可退余额
+   * @param {string} chargeInfoId - 结算ID
+   * @returns {Promise<Object>} 余额（元）：paidAmount、refundedAmount、inflightAmount、refundableAmount
+   */
+  async getRefundBalance(chargeInfoId) {
+    await this.ensureInitialized()
+    return this.refundLedger.getBalance(chargeInfoId)
+  }
+
+  /**
+   * 获取支付服务能力
+   * @param {string} [paymentType] - 支付类型，默认当前支付类型
+   * @returns {Object} 能力描述（字段见 PAYMENT_CAPABILITIES）
+   */
+  getCapabilities(paymentType) {
+    if (!this.initialized) {
+      return null
+    }
+    return this._getPaymentService(paymentType).getCapabilities()
+  }
+
+  /**
+   * 获取支付平台健康状态
+   * @returns {Object} { backupPaymentType, providers: { [paymentType]: { healthy, unhealthyUntil } } }
+   */
+  getProviderHealth() {
+    return {
+      backupPaymentType: this.backupPaymentType,
+      providers: this.health ? this.health.getStatus() : {},
+    }
+  }
+
+  /**
+   * 获取结算的支付会话
+   * @param {string} chargeInfoId - 结算ID
+   * @returns {PaymentSession|null} 支付会话，没有进行中的支付时为 null
+   */
+  getSession(chargeInfoId) {
+    return this.sessions.get(chargeInfoId) || null
+  }
+
+  /**
+   * 获取进行中的支付会话
+   * @returns {Array<Object>} 会话快照（chargeInfoId、paymentType、payOrderNo、status 等）
+   */
+  getSessions() {
+    return Array.from(this.sessions.values()).map((session) => session.toJSON())
+  }
+
+  /**
+   * 获取生效的结算锁（本页及其他标签页）
+   * @returns {Array<Object>} 锁记录（chargeInfoId、operation、acquiredAt、expiresAt、local、waiting）
+   */
+  getLocks() {
+    return this.locks ? this.locks.getLocks() : []
+  }
+
+  /**
+   * 按路由规则选择支付类型
+   * @param {Object} [params] - 支付参数
+   * @param {string} [params.businessType] - 业务类型（BUSINESS_TYPES）
+   * @param {string} [params.campusId] - 院区ID
+   * @param {number} [params.orderAmount] - 支付金额（元）
+   * @returns {string|null} 支付类型，未初始化时为 null
+   */
+  resolvePaymentType(params) {
+    return this.initialized ? this.router.resolve(params) : null
+  }
+
   /**
    * 获取支付服务实例
    * @returns {BasePaymentService} 支付服务实例
@@ -541,9 +1962,56 @@ class PaymentManager extends EventEmitter {
     // 清理事件监听器
     this.removeAllListeners()
 
+    // 先断开跨标签页同步与推送通道，关闭本页会话不通知其他标签页
+    if (this.statusSync) {
+      this.statusSync.destroy()
+      this.statusSync = null
+    }
+    if (this.notifyChannel) {
+      this.notifyChannel.destroy()
+      this.notifyChannel = null
+    }
+
+    // 关闭支付会话
+    Array.from(this.sessions.values()).forEach((session) => session.close())
+    this.sessions.clear()
+
     // 清理服务实例
-    if (this.paymentService && typeof this.paymentService.destroy === 'function') {
-      this.paymentService.destroy()
+    this.serviceSubscriptions.forEach((unsubscribes) =>
+      unsubscribes.forEach((unsubscribe) => unsubscribe())
+    )
+    this.serviceSubscriptions.clear()
+    this.paymentServices.forEach((service) => {
+      if (typeof service.destroy === 'function') {
+        service.destroy()
+      }
+    })
+    this.paymentServices.clear()
+
+    // 交易日志、退款台账、冲正补偿保留持久化数据，仅移除监听
+    if (this.journal) {
+      this.journal.destroy()
+      this.journal = null
+    }
+    if (this.refundLedger) {
+      this.refundLedger.destroy()
+      this.refundLedger = null
+    }
+    if (this.refundTracker) {
+      this.refundTracker.destroy()
+      this.refundTracker = null
+    }
+    if (this.compensations) {
+      this.compensations.destroy()
+      this.compensations = null
+    }
+    if (this.health) {
+      this.health.destroy()
+      this.health = null
+    }
+    if (this.locks) {
+      this.locks.destroy()
+      this.locks = null
     }
 
     // 重置状态
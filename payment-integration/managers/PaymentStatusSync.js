@@ -0,0 +1,102 @@
+/**
+ * 支付状态跨标签页同步
+ * @description 通过 BroadcastChannel（不可用时为 localStorage 的 storage 事件）在同一浏览器的多个标签页之间
+ * 广播支付会话事件（创建、状态变更、结束），其他标签页收到后以 remote: true 重新触发同名事件
+ */
+
+import EventEmitter from '../utils/EventEmitter.js'
+import Logger from '../utils/Logger.js'
+
+const SYNC_CHANNEL_NAME = 'payment-integration-sessions'
+const SYNC_STORAGE_KEY = 'payment_session_events'
+
+/**
+ * 同步的会话事件
+ */
+const SESSION_EVENTS = ['session:created', 'session:status', 'session:final', 'session:closed']
+
+class PaymentStatusSync extends EventEmitter {
+  constructor() {
+    super()
+    this.logger = new Logger('PaymentStatusSync')
+    // 当前标签页标识，忽略本页发出的消息
+    this.tabId = `tab-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 9)}`
+    this.channel = null
+    this.storageListener = null
+    this._connect()
+  }
+
+  /**
+   * 连接跨标签页通道
+   * @private
+   */
+  _connect() {
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(SYNC_CHANNEL_NAME)
+      this.channel.onmessage = ({ data }) => this._receive(data)
+      return
+    }
+    if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+      this.storageListener = (event) => {
+        if (event.key !== SYNC_STORAGE_KEY || !event.newValue) {
+          return
+        }
+        try {
+          this._receive(JSON.parse(event.newValue))
+        } catch (error) {
+          this.logger.warn('Failed to parse session event', { error })
+        }
+      }
+      window.addEventListener('storage', this.storageListener)
+    }
+  }
+
+  /**
+   * 处理其他标签页的消息
+   * @private
+   */
+  _receive(message) {
+    if (!message || message.tabId === this.tabId || !SESSION_EVENTS.includes(message.event)) {
+      return
+    }
+    this.emit(message.event, { ...message.payload, remote: true, tabId: message.tabId })
+  }
+
+  /**
+   * 广播会话事件
+   * @param {string} event - 事件名（session:created、session:status、session:final、session:closed）
+   * @param {Object} payload - 会话快照
+   */
+  publish(event, payload) {
+    const message = { event, tabId: this.tabId, payload, timestamp: Date.now() }
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message)
+      } else if (this.storageListener && typeof localStorage !== 'undefined') {
+        // storage 事件只在其他标签页触发，写入即广播
+        localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify(message))
+      }
+    } catch (error) {
+      this.logger.warn('Failed to publish session event', { event, error })
+    }
+  }
+
+  /**
+   * 销毁
+   */
+  destroy() {
+    if (this.channel) {
+      this.channel.close()
+      this.channel = null
+    }
+    if (this.storageListener) {
+      window.removeEventListener('storage', this.storageListener)
+      this.storageListener = null
+    }
+    this.removeAllListeners()
+  }
+}
+
+export { SESSION_EVENTS }
+
+export default PaymentStatusSync
@@ -0,0 +1,191 @@
+/**
+ * 支付平台健康跟踪器
+ * @description 根据 ErrorManager 记录的错误统计各支付平台的健康状态：时间窗口内传输层错误（网络不通、超时、5xx）达到阈值时判定为不可用，
+ * 冷却时间后恢复为可用（再次达到阈值时重新判定为不可用）。错误需通过 executeWithRetry / handleError 的
+ * context.paymentType 标记所属支付平台
+ */
+
+import EventEmitter from '../utils/EventEmitter.js'
+import Logger from '../utils/Logger.js'
+
+/**
+ * 默认配置
+ */
+const DEFAULT_OPTIONS = {
+  threshold: 5, // 时间窗口内的错误次数阈值（每次重试都计入）
+  window: 60000, // 统计时间窗口（毫秒）
+  cooldown: 30000, // 判定不可用后的冷却时间（毫秒）
+}
+
+/**
+ * 读取错误对应的 HTTP 状态码
+ * @description 依次查找错误本身、PaymentError 上下文（FetchHttpClient）和原始错误（axios 的 response）
+ * @param {Object} error - 错误（ErrorManager 记录中的错误）
+ * @returns {number|null} HTTP 状态码，没有响应时为 null
+ */
+const getResponseStatus = (error) => {
+  const sources = [error, error?.context, error?.context?.originalError]
+  for (const source of sources) {
+    const status = source?.status ?? source?.response?.status
+    if (status) {
+      return Number(status)
+    }
+  }
+  return null
+}
+
+class ProviderHealthTracker extends EventEmitter {
+  /**
+   * 构造函数
+   * @param {ErrorManager} errorManager - 错误管理器
+   * @param {Object} [options] - 配置选项
+   * @param {number} [options.threshold=5] - 时间窗口内的错误次数阈值
+   * @param {number} [options.window=60000] - 统计时间窗口（毫秒）
+   * @param {number} [options.cooldown=30000] - 判定不可用后的冷却时间（毫秒）
+   */
+  constructor(errorManager, options = {}) {
+    super()
+    this.errorManager = errorManager
+    this.options = { ...DEFAULT_OPTIONS, ...options }
+    this.logger = new Logger('ProviderHealthTracker')
+    // 各支付平台状态（key: paymentType，value: { since, unhealthyUntil }）
+    this.providers = new Map()
+  }
+
+  /**
+   * 更新配置
+   * @param {Object} [options] - 配置选项（threshold、window、cooldown），未传的字段使用默认值
+   */
+  configure(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options }
+  }
+
+  /**
+   * 获取支付平台状态
+   * @private
+   */
+  _getProvider(paymentType) {
+    if (!this.providers.has(paymentType)) {
+      this.providers.set(paymentType, { since: 0, unhealthyUntil: 0 })
+    }
+    return this.providers.get(paymentType)
+  }
+
+  /**
+   * 统计支付平台的错误
+   * @private
+   */
+  _countFailures(paymentType, since) {
+    return this.errorManager
+      .getErrorHistory({ since: new Date(since).toISOString() })
+      .filter(
+        (record) =>
+          record.context?.paymentType === paymentType && this._isTransportFailure(record.error)
+      ).length
+  }
+
+  /**
+   * 判断错误是否为传输层故障
+   * @description 有 HTTP 响应时只有 5xx 计入；没有响应时只有网络错误、超时计入。
+   * 支付平台已应答的业务拒绝（如付款码过期，服务层抛出的普通 Error）和 4xx 不计入
+   * @private
+   */
+  _isTransportFailure(error) {
+    const status = getResponseStatus(error)
+    if (status) {
+      return status >= 500
+    }
+    return this.errorManager.getErrorType(error) === 'NetworkError'
+  }
+
+  /**
+   * 判断支付平台是否可用
+   * @param {string} paymentType - 支付类型
+   * @returns {boolean}
+   */
+  isHealthy(paymentType) {
+    const provider = this._getProvider(paymentType)
+    const now = Date.now()
+
+    if (provider.unhealthyUntil) {
+      if (now < provider.unhealthyUntil) {
+        return false
+      }
+      // 冷却结束，之前的错误不再计入
+      provider.since = provider.unhealthyUntil
+      provider.unhealthyUntil = 0
+      this.logger.info('Provider cooldown elapsed', { paymentType })
+      this.emit('provider:recovered', { paymentType, timestamp: new Date().toISOString() })
+    }
+
+    const failures = this._countFailures(
+      paymentType,
+      Math.max(now - this.options.window, provider.since)
+    )
+    if (failures < this.options.threshold) {
+      return true
+    }
+
+    provider.unhealthyUntil = now + this.options.cooldown
+    this.logger.warn('Provider marked unhealthy', { paymentType, failures })
+    this.emit('provider:unhealthy', {
+      paymentType,
+      failures,
+      until: new Date(provider.unhealthyUntil).toISOString(),
+      timestamp: new Date().toISOString(),
+    })
+    return false
+  }
+
+  /**
+   * 记录调用成功（之前的错误不再计入，立即恢复为可用）
+   * @param {string} paymentType - 支付类型
+   */
+  recordSuccess(paymentType) {
+    const provider = this._getProvider(paymentType)
+    const wasUnhealthy = provider.unhealthyUntil > Date.now()
+    provider.since = Date.now()
+    provider.unhealthyUntil = 0
+    if (wasUnhealthy) {
+      this.logger.info('Provider recovered', { paymentType })
+      this.emit('provider:recovered', { paymentType, timestamp: new Date().toISOString() })
+    }
+  }
+
+  /**
+   * 获取各支付平台健康状态
+   * @returns {Object} 健康状态（key: paymentType，value: { healthy, unhealthyUntil }）
+   */
+  getStatus() {
+    const status = {}
+    this.providers.forEach((provider, paymentType) => {
+      const healthy = this.isHealthy(paymentType)
+      status[paymentType] = {
+        healthy,
+        unhealthyUntil: healthy ? null : new Date(provider.unhealthyUntil).toISOString(),
+      }
+    })
+    return status
+  }
+
+  /**
+   * 重置健康状态（之前的错误不再计入）
+   * @param {string} [paymentType] - 支付类型，不传则重置全部
+   */
+  reset(paymentType) {
+    const paymentTypes = paymentType ? [paymentType] : Array.from(this.providers.keys())
+    paymentTypes.forEach((type) => {
+      this.providers.set(type, { since: Date.now(), unhealthyUntil: 0 })
+    })
+  }
+
+  /**
+   * 销毁
+   */
+  destroy() {
+    this.providers.clear()
+    this.removeAllListeners()
+  }
+}
+
+export default ProviderHealthTracker
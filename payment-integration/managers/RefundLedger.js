@@ -0,0 +1,272 @@
+/**
+ * 退款台账
+ * @description 按支付订单（chargeInfoId）记录实付、已退、退款中金额，支持部分退款与多次退款，拒绝超额退款
+ */
+
+import EventEmitter from '../utils/EventEmitter.js'
+import Logger from '../utils/Logger.js'
+import PaymentError from '../utils/PaymentError.js'
+import { createJournalStore, JOURNAL_STORES } from '../utils/JournalStorage.js'
+import { REFUND_STATUS } from '../constants/paymentTypes.js'
+
+/**
+ * 元转分（金额统一按分计算，避免浮点误差）
+ * @param {number|string} amount - 金额（元）
+ * @returns {number} 金额（分）
+ */
+const toFen = (amount) => Math.round(Number(amount || 0) * 100)
+
+/**
+ * 分转元
+ * @param {number} fen - 金额（分）
+ * @returns {number} 金额（元）
+ */
+const toYuan = (fen) => fen / 100
+
+/**
+ * 生成退款单号
+ * @param {string} chargeInfoId - 结算ID
+ * @returns {string} 退款单号
+ */
+export function createRefundNo(chargeInfoId) {
+  const random = Math.random().toString(36).substr(2, 6)
+  return `RF${chargeInfoId}${Date.now().toString(36)}${random}`.toUpperCase()
+}
+
+class RefundLedger extends EventEmitter {
+  /**
+   * 构造函数
+   * @param {Object} [options] - 配置选项
+   * @param {string} [options.storage] - 存储策略（CACHE_STRATEGY_SWITCHES），不传则自动选择
+   */
+  constructor(options = {}) {
+    super()
+    this.logger = new Logger('RefundLedger')
+    this.store = createJournalStore(options.storage, JOURNAL_STORES.REFUND_LEDGERS)
+    // 余额校验与占用必须串行，避免并发退款同时通过校验
+    this.writeQueue = Promise.resolve()
+  }
+
+  /**
+   * 计算台账余额
+   * @param {Object|null} entry - 台账记录
+   * @returns {Object} 余额（元）：paidAmount（未知时为 null）、refundedAmount、inflightAmount、refundableAmount（未知时为 null）
+   */
+  static getBalance(entry) {
+    const refunds = entry?.refunds || []
+    const sum = (status) =>
+      refunds
+        .filter((refund) => refund.status === status)
+        .reduce((total, refund) => total + toFen(refund.refundAmount), 0)
+    const refundedFen = sum(REFUND_STATUS.SUCCESS)
+    const inflightFen = sum(REFUND_STATUS.PROCESSING)
+    const hasPaid = entry?.paidAmount !== null && entry?.paidAmount !== undefined
+
+    return {
+      paidAmount: hasPaid ? entry.paidAmount : null,
+      refundedAmount: toYuan(refundedFen),
+      inflightAmount: toYuan(inflightFen),
+      refundableAmount: hasPaid
+        ? toYuan(toFen(entry.paidAmount) - refundedFen - inflightFen)
+        : null,
+    }
+  }
+
+  /**
+   * 串行执行读-改-写
+   * @private
+   */
+  _enqueue(action) {
+    const task = this.writeQueue.then(action)
+    this.writeQueue = task.catch(() => {})
+    return task
+  }
+
+  /**
+   * 创建空台账
+   * @private
+   */
+  _createEntry(chargeInfoId, data = {}) {
+    const now = new Date().toISOString()
+    return {
+      chargeInfoId,
+      payOrderNo: data.payOrderNo || '',
+      paymentType: data.paymentType || '',
+      paidAmount: data.paidAmount ?? null,
+      refunds: [],
+      createdAt: now,
+      updatedAt: now,
+    }
+  }
+
+  /**
+   * 记录支付成功金额
+   * @param {string} chargeInfoId - 结算ID
+   * @param {Object} data - 支付数据
+   * @param {number} data.paidAmount - 实付金额（元）
+   * @param {string} [data.payOrderNo] - 支付订单号
+   * @param {string} [data.paymentType] - 支付类型
+   * @returns {Promise<Object>} 台账记录
+   */
+  recordPayment(chargeInfoId, data = {}) {
+    return this._enqueue(async () => {
+      const entry = (await this.store.get(chargeInfoId)) || this._createEntry(chargeInfoId)
+      entry.paidAmount = Number(data.paidAmount)
+      entry.payOrderNo = data.payOrderNo || entry.payOrderNo
+      entry.paymentType = data.paymentType || entry.paymentType
+      entry.updatedAt = new Date().toISOString()
+      await this.store.put(entry)
+      this.logger.debug('Payment recorded in refund ledger', {
+        chargeInfoId,
+        paidAmount: entry.paidAmount,
+      })
+      return entry
+    })
+  }
+
+  /**
+   * 占用退款额度
+   * @description 校验退款金额不超过可退余额（实付 - 已退 - 退款中），通过后记为退款中；
+   * 同一退款单号重复占用时返回已有记录，已失败的退款单号重新校验后再次占用
+   * @param {string} chargeInfoId - 结算ID
+   * @param {number} refundAmount - 退款金额（元）
+   * @param {Object} [options] - 选项
+   * @param {string} [options.refundNo] - 退款单号，不传则自动生成
+   * @param {number} [options.paidAmount] - 实付金额（台账不存在时用于初始化）
+   * @param {string} [options.payOrderNo] - 支付订单号
+   * @param {string} [options.paymentType] - 支付类型
+   * @returns {Promise<Object>} 退款记录（refundNo、refundAmount、status）
+   * @throws {PaymentError} 退款金额超过可退余额（REFUND_EXCEEDS_BALANCE）
+   */
+  reserve(chargeInfoId, refundAmount, options = {}) {
+    return this._enqueue(async () => {
+      const entry = (await this.store.get(chargeInfoId)) || this._createEntry(chargeInfoId, options)
+
+      const existing = options.refundNo
+        ? entry.refunds.find((refund) => refund.refundNo === options.refundNo)
+        : null
+      if (existing && existing.status !== REFUND_STATUS.FAILED) {
+        return existing
+      }
+      if (existing) {
+        entry.refunds = entry.refunds.filter((refund) => refund !== existing)
+      }
+
+      const { refundableAmount } = RefundLedger.getBalance(entry)
+      if (refundableAmount === null) {
+        // 台账建立前完成的支付无法校验余额，交由后端校验
+        this.logger.warn('Paid amount unknown, refund balance not checked', { chargeInfoId })
+      } else if (toFen(refundAmount) > toFen(refundableAmount)) {
+        throw PaymentError.refundExceedsBalance(
+          `退款金额 ${refundAmount} 超过可退余额 ${refundableAmount}`,
+          { chargeInfoId, refundAmount, refundableAmount }
+        )
+      }
+
+      const now = new Date().toISOString()
+      const refund = {
+        refundNo: options.refundNo || createRefundNo(chargeInfoId),
+        refundAmount: Number(refundAmount),
+        status: REFUND_STATUS.PROCESSING,
+        createdAt: now,
+        updatedAt: now,
+      }
+      entry.refunds.push(refund)
+      entry.payOrderNo = entry.payOrderNo || options.payOrderNo || ''
+      entry.updatedAt = now
+      await this.store.put(entry)
+
+      this.logger.info('Refund reserved', { chargeInfoId, refundNo: refund.refundNo, refundAmount })
+      this.emit('refund:reserved', { chargeInfoId, refund })
+      return refund
+    })
+  }
+
+  /**
+   * 结算退款
+   * @description 退款成功计入已退金额；退款失败释放占用的额度
+   * @param {string} chargeInfoId - 结算ID
+   * @param {string} refundNo - 退款单号
+   * @param {string} status - 退款状态（REFUND_STATUS.SUCCESS / REFUND_STATUS.FAILED）
+   * @returns {Promise<Object|null>} 退款记录，不存在时返回 null
+   */
+  settle(chargeInfoId, refundNo, status) {
+    return this._enqueue(async () => {
+      const entry = await this.store.get(chargeInfoId)
+      const refund = entry?.refunds.find((item) => item.refundNo === refundNo)
+      if (!refund) {
+        this.logger.warn('Refund not found in ledger', { chargeInfoId, refundNo })
+        return null
+      }
+      if (refund.status === status) {
+        return refund
+      }
+
+      refund.status = status
+      refund.updatedAt = new Date().toISOString()
+      entry.updatedAt = refund.updatedAt
+      await this.store.put(entry)
+
+      this.logger.info('Refund settled', { chargeInfoId, refundNo, status })
+      this.emit('refund:settled', { chargeInfoId, refund })
+      return refund
+    })
+  }
+
+  /**
+   * 获取台账记录
+   * @param {string} chargeInfoId - 结算ID
+   * @returns {Promise<Object|null>} 台账记录
+   */
+  async get(chargeInfoId) {
+    await this.writeQueue
+    return this.store.get(chargeInfoId)
+  }
+
+  /**
+   * 获取单笔退款记录
+   * @param {string} chargeInfoId - 结算ID
+   * @param {string} refundNo - 退款单号
+   * @returns {Promise<Object|null>} 退款记录
+   */
+  async getRefund(chargeInfoId, refundNo) {
+    const entry = await this.get(chargeInfoId)
+    return entry?.refunds.find((refund) => refund.refundNo === refundNo) || null
+  }
+
+  /**
+   * 获取可退余额
+   * @param {string} chargeInfoId - 结算ID
+   * @returns {Promise<Object>} 余额（元）
+   */
+  async getBalance(chargeInfoId) {
+    const entry = await this.get(chargeInfoId)
+    return { chargeInfoId, ...RefundLedger.getBalance(entry) }
+  }
+
+  /**
+   * 移除台账记录
+   * @param {string} chargeInfoId - 结算ID
+   * @returns {Promise<void>}
+   */
+  remove(chargeInfoId) {
+    return this._enqueue(() => this.store.remove(chargeInfoId))
+  }
+
+  /**
+   * 获取当前存储类型
+   * @returns {string} 存储类型
+   */
+  getStorageType() {
+    return this.store.type
+  }
+
+  /**
+   * 销毁
+   */
+  destroy() {
+    this.removeAllListeners()
+  }
+}
+
+export default RefundLedger
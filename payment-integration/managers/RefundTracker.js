@@ -0,0 +1,192 @@
+/**
+ * 退款结果跟踪器
+ * @description 退款申请提交后轮询退款结果，直到退款成功/失败或超过截止时间
+ */
+
+import EventEmitter from '../utils/EventEmitter.js'
+import Logger from '../utils/Logger.js'
+import PaymentError from '../utils/PaymentError.js'
+import { ERROR_CODES } from '../constants/errorCodes.js'
+import { REFUND_STATUS } from '../constants/paymentTypes.js'
+
+/**
+ * 默认轮询配置
+ */
+const DEFAULT_OPTIONS = {
+  interval: 2000, // 首次查询间隔（毫秒）
+  backoff: 1.5, // 间隔递增倍数
+  maxInterval: 10000, // 最大查询间隔（毫秒）
+  deadline: 120000, // 截止时间（毫秒），超过后不再查询
+}
+
+class RefundTracker extends EventEmitter {
+  /**
+   * 构造函数
+   * @param {Object} [options] - 轮询配置
+   * @param {number} [options.interval=2000] - 首次查询间隔（毫秒）
+   * @param {number} [options.backoff=1.5] - 间隔递增倍数
+   * @param {number} [options.maxInterval=10000] - 最大查询间隔（毫秒）
+   * @param {number} [options.deadline=120000] - 截止时间（毫秒）
+   */
+  constructor(options = {}) {
+    super()
+    this.options = { ...DEFAULT_OPTIONS, ...options }
+    this.logger = new Logger('RefundTracker')
+    // 跟踪中的退款（key: refundNo）
+    this.tracking = new Map()
+  }
+
+  /**
+   * 判断是否为退款终态
+   * @param {string} refundStatus - 退款状态（REFUND_STATUS）
+   * @returns {boolean}
+   */
+  static isFinalStatus(refundStatus) {
+    return refundStatus === REFUND_STATUS.SUCCESS || refundStatus === REFUND_STATUS.FAILED
+  }
+
+  /**
+   * 跟踪退款结果
+   * @description 同一退款单号重复跟踪时返回同一个 Promise；查询异常不中断轮询，直到截止时间
+   * @param {Object} refund - 退款信息
+   * @param {string} refund.chargeInfoId - 结算ID
+   * @param {string} refund.refundNo - 退款单号
+   * @param {number} [refund.refundAmount] - 退款金额
+   * @param {Function} query - 查询函数，返回 { refundStatus, result }
+   * @param {Object} [options] - 本次跟踪的轮询配置，覆盖构造配置
+   * @returns {Promise<Object>} 退款结果 { chargeInfoId, refundNo, refundStatus, result, attempts }
+   * @throws {PaymentError} 超过截止时间仍未得到结果（TIMEOUT_ERROR）或跟踪被取消
+   */
+  track(refund, query, options = {}) {
+    const existing = this.tracking.get(refund.refundNo)
+    if (existing) {
+      return existing.promise
+    }
+
+    const entry = { cancelled: false, timer: null, wake: null }
+    entry.promise = this._poll(refund, query, { ...this.options, ...options }, entry).finally(
+      () => {
+        this.tracking.delete(refund.refundNo)
+      }
+    )
+    this.tracking.set(refund.refundNo, entry)
+    return entry.promise
+  }
+
+  /**
+   * 轮询退款结果
+   * @private
+   */
+  async _poll(refund, query, options, entry) {
+    const { chargeInfoId, refundNo, refundAmount } = refund
+    const startedAt = Date.now()
+    let delay = options.interval
+    let attempts = 0
+
+    this.logger.info('Refund tracking started', { chargeInfoId, refundNo, options })
+
+    while (!entry.cancelled) {
+      attempts++
+      let refundStatus = null
+      let result = null
+      try {
+        const outcome = await query()
+        refundStatus = outcome?.refundStatus ?? null
+        result = outcome?.result ?? null
+      } catch (error) {
+        this.logger.warn('Refund result query failed, will retry', {
+          chargeInfoId,
+          refundNo,
+          attempts,
+          error: error?.message,
+        })
+      }
+
+      const event = {
+        chargeInfoId,
+        refundNo,
+        refundAmount,
+        refundStatus,
+        attempts,
+        elapsed: Date.now() - startedAt,
+        timestamp: new Date().toISOString(),
+      }
+      this.emit('refund:progress', event)
+
+      if (refundStatus === REFUND_STATUS.SUCCESS) {
+        this.logger.info('Refund succeeded', { chargeInfoId, refundNo, attempts })
+        this.emit('refund:succeeded', { ...event, result })
+        return { chargeInfoId, refundNo, refundStatus, result, attempts }
+      }
+      if (refundStatus === REFUND_STATUS.FAILED) {
+        this.logger.warn('Refund failed', { chargeInfoId, refundNo, attempts })
+        this.emit('refund:failed', { ...event, result })
+        return { chargeInfoId, refundNo, refundStatus, result, attempts }
+      }
+
+      const remaining = options.deadline - (Date.now() - startedAt)
+      if (remaining <= 0) {
+        this.logger.error('Refund tracking deadline exceeded', { chargeInfoId, refundNo, attempts })
+        throw new PaymentError('退款结果查询超时，请稍后查询退款结果', ERROR_CODES.TIMEOUT_ERROR, {
+          chargeInfoId,
+          refundNo,
+          attempts,
+          userMessage: '退款处理中，请稍后查询退款结果',
+        })
+      }
+
+      await this._wait(Math.min(delay, remaining), entry)
+      delay = Math.min(delay * options.backoff, options.maxInterval)
+    }
+
+    throw new PaymentError('退款结果跟踪已取消', ERROR_CODES.BUSINESS_ERROR, {
+      chargeInfoId,
+      refundNo,
+      attempts,
+    })
+  }
+
+  /**
+   * 等待下一次查询（取消时立即返回）
+   * @private
+   */
+  _wait(ms, entry) {
+    return new Promise((resolve) => {
+      entry.wake = resolve
+      entry.timer = setTimeout(resolve, ms)
+    })
+  }
+
+  /**
+   * 是否正在跟踪退款
+   * @param {string} refundNo - 退款单号
+   * @returns {boolean}
+   */
+  isTracking(refundNo) {
+    return this.tracking.has(refundNo)
+  }
+
+  /**
+   * 停止跟踪退款
+   * @param {string} refundNo - 退款单号
+   */
+  stop(refundNo) {
+    const entry = this.tracking.get(refundNo)
+    if (!entry) {
+      return
+    }
+    entry.cancelled = true
+    clearTimeout(entry.timer)
+    entry.wake?.()
+  }
+
+  /**
+   * 销毁（停止所有跟踪）
+   */
+  destroy() {
+    Array.from(this.tracking.keys()).forEach((refundNo) => this.stop(refundNo))
+    this.removeAllListeners()
+  }
+}
+
+export default RefundTracker
@@ -0,0 +1,156 @@
+/**
+ * 支付交易日志
+ * @description 按 chargeInfoId 持久化记录每一步支付操作，页面崩溃后可据此恢复未完结交易
+ */
+
+import EventEmitter from '../utils/EventEmitter.js'
+import Logger from '../utils/Logger.js'
+import { createJournalStore } from '../utils/JournalStorage.js'
+import { JOURNAL_STEPS } from '../constants/paymentTypes.js'
+
+/**
+ * 终态步骤：写入后交易视为已完结，从日志中移除
+ */
+const FINAL_STEPS = [
+  JOURNAL_STEPS.COMPLETED,
+  JOURNAL_STEPS.CLOSED,
+  JOURNAL_STEPS.REVERSED,
+  JOURNAL_STEPS.CONFIRMED,
+]
+
+class TransactionJournal extends EventEmitter {
+  /**
+   * 构造函数
+   * @param {Object} [options] - 配置选项
+   * @param {string} [options.storage] - 存储策略（CACHE_STRATEGY_SWITCHES），不传则自动选择
+   */
+  constructor(options = {}) {
+    super()
+    this.logger = new Logger('TransactionJournal')
+    this.store = createJournalStore(options.storage)
+    // 同一交易的写操作串行执行，避免读-改-写交错
+    this.writeQueue = Promise.resolve()
+  }
+
+  /**
+   * 判断步骤是否为终态
+   * @param {string} step - 日志步骤
+   * @returns {boolean}
+   */
+  static isFinalStep(step) {
+    return FINAL_STEPS.includes(step)
+  }
+
+  /**
+   * 记录支付步骤
+   * @param {string} chargeInfoId - 结算ID
+   * @param {string} step - 日志步骤（JOURNAL_STEPS）
+   * @param {Object} [data] - 步骤数据，合并到交易数据中（payOrderNo、orderAmount 等）
+   * @returns {Promise<Object|null>} 更新后的交易记录，终态时返回 null
+   */
+  record(chargeInfoId, step, data = {}) {
+    const task = this.writeQueue.then(async () => {
+      const now = new Date().toISOString()
+      const existing = await this.store.get(chargeInfoId)
+
+      if (TransactionJournal.isFinalStep(step)) {
+        await this.store.remove(chargeInfoId)
+        this.logger.info('Transaction finished', { chargeInfoId, step })
+        this.emit('transaction:finished', { chargeInfoId, step, entry: existing })
+        return null
+      }
+
+      const entry = {
+        chargeInfoId,
+        paymentType: data.paymentType || existing?.paymentType || '',
+        step,
+        data: { ...(existing?.data || {}), ...data },
+        steps: [...(existing?.steps || []), { step, timestamp: now }],
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+      }
+      await this.store.put(entry)
+      this.logger.debug('Transaction step recorded', { chargeInfoId, step })
+      this.emit('transaction:recorded', entry)
+      return entry
+    })
+
+    // 写入失败不影响后续记录
+    this.writeQueue = task.catch(() => {})
+    return task
+  }
+
+  /**
+   * 标注未完结交易
+   * @description 合并数据到交易记录，不改变当前步骤；没有未完结交易时不记录
+   * @param {string} chargeInfoId - 结算ID
+   * @param {Object} data - 标注数据，合并到交易数据中（如 lockLost）
+   * @returns {Promise<Object|null>} 更新后的交易记录
+   */
+  annotate(chargeInfoId, data) {
+    const task = this.writeQueue.then(async () => {
+      const existing = await this.store.get(chargeInfoId)
+      if (!existing) {
+        return null
+      }
+      const entry = {
+        ...existing,
+        data: { ...existing.data, ...data },
+        updatedAt: new Date().toISOString(),
+      }
+      await this.store.put(entry)
+      this.emit('transaction:recorded', entry)
+      return entry
+    })
+
+    this.writeQueue = task.catch(() => {})
+    return task
+  }
+
+  /**
+   * 获取交易记录
+   * @param {string} chargeInfoId - 结算ID
+   * @returns {Promise<Object|null>} 交易记录
+   */
+  async get(chargeInfoId) {
+    await this.writeQueue
+    return this.store.get(chargeInfoId)
+  }
+
+  /**
+   * 获取所有未完结交易
+   * @returns {Promise<Array>} 交易记录列表（按创建时间排序）
+   */
+  async getPendingTransactions() {
+    await this.writeQueue
+    const entries = await this.store.getAll()
+    return entries.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+  }
+
+  /**
+   * 移除交易记录
+   * @param {string} chargeInfoId - 结算ID
+   * @returns {Promise<void>}
+   */
+  async remove(chargeInfoId) {
+    await this.writeQueue
+    await this.store.remove(chargeInfoId)
+  }
+
+  /**
+   * 获取当前存储类型
+   * @returns {string} 存储类型
+   */
+  getStorageType() {
+    return this.store.type
+  }
+
+  /**
+   * 销毁
+   */
+  destroy() {
+    this.removeAllListeners()
+  }
+}
+
+export default TransactionJournal
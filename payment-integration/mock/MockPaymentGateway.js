@@ -0,0 +1,435 @@
+/**
+ * 模拟支付网关
+ * @description 在内存中模拟国卫支付接口（创建、查询、关闭、退款、退款查询）、源启获取/保存报文接口（收费、退费、查询、撤销、退费查询）和源启终端服务，
+ * 按脚本化的结果（成功、延迟、失败、超时）推进订单状态；MockPaymentService（模拟环境）与本地替身服务（mock/server.js）共用，
+ * 不依赖浏览器或 Node 专有 API
+ */
+
+import { PAYMENT_STATUS, REFUND_STATUS } from '../constants/paymentTypes.js'
+
+/**
+ * 模拟结果
+ */
+export const MOCK_OUTCOMES = {
+  /** 支付成功（delay 毫秒后） */
+  SUCCESS: 'success',
+  /** 延迟支付成功（模拟患者迟迟未付款，默认 5 秒后成功） */
+  DELAY: 'delay',
+  /** 支付失败（delay 毫秒后） */
+  FAILURE: 'failure',
+  /** 一直未支付（订单停留在待支付，由调用方超时处理；源启终端返回 504） */
+  TIMEOUT: 'timeout',
+}
+
+/**
+ * 默认场景
+ */
+const DEFAULT_SCENARIO = {
+  outcome: MOCK_OUTCOMES.SUCCESS, // 支付结果
+  delay: 0, // 到达支付结果的时间（毫秒），DELAY 结果默认 5000
+  refundOutcome: MOCK_OUTCOMES.SUCCESS, // 退款结果
+  refundDelay: 0, // 到达退款结果的时间（毫秒）
+}
+
+// DELAY 结果未指定 delay 时的默认延迟（毫秒）
+const DEFAULT_DELAY = 5000
+
+// 成功响应
+const ok = (data = {}) => ({ code: '200', msg: 'success', data })
+// 业务失败响应
+const fail = (msg, code = '500') => ({ code, msg, data: null })
+
+/**
+ * 规范化场景
+ * @param {Object|string} scenario - 场景或结果（MOCK_OUTCOMES）
+ * @param {Object} [base] - 未指定字段的默认值
+ * @returns {Object} 场景 { outcome, delay, refundOutcome, refundDelay }
+ */
+export function normalizeScenario(scenario = {}, base = DEFAULT_SCENARIO) {
+  const value = typeof scenario === 'string' ? { outcome: scenario } : scenario || {}
+  const merged = { ...base, ...value }
+  if (!Object.values(MOCK_OUTCOMES).includes(merged.outcome)) {
+    throw new Error(`Unknown mock outcome: ${merged.outcome}`)
+  }
+  if (value.delay === undefined && merged.outcome === MOCK_OUTCOMES.DELAY && !merged.delay) {
+    merged.delay = DEFAULT_DELAY
+  }
+  return merged
+}
+
+class MockPaymentGateway {
+  /**
+   * 构造函数
+   * @param {Object} [options] - 默认场景（outcome、delay、refundOutcome、refundDelay）
+   * @param {Function} [options.now] - 当前时间（毫秒），测试中可替换
+   */
+  constructor(options = {}) {
+    const { now, ...scenario } = options
+    this.now = now || (() => Date.now())
+    this.defaults = normalizeScenario(scenario)
+    // 脚本化场景队列，每创建一笔订单取出一个
+    this.queue = []
+    // 订单（key: payOrderNo）
+    this.orders = new Map()
+    // 结算最近一笔订单（key: chargeInfoId，value: payOrderNo）
+    this.latestOrders = new Map()
+    // 退款（key: refundNo）
+    this.refunds = new Map()
+    this.sequence = 0
+  }
+
+  /**
+   * 设置默认场景
+   * @param {Object|string} scenario - 场景或结果
+   */
+  setDefaults(scenario) {
+    this.defaults = normalizeScenario(scenario)
+  }
+
+  /**
+   * 追加脚本化场景（依次用于后续创建的订单，用完后使用默认场景）
+   * @param {...(Object|string)} scenarios - 场景或结果
+   * @returns {MockPaymentGateway} 网关本身
+   */
+  script(...scenarios) {
+    this.queue.push(...scenarios.map((scenario) => normalizeScenario(scenario, this.defaults)))
+    return this
+  }
+
+  /**
+   * 清空订单、退款与脚本
+   */
+  reset() {
+    this.queue = []
+    this.orders.clear()
+    this.latestOrders.clear()
+    this.refunds.clear()
+  }
+
+  /**
+   * 处理接口请求
+   * @param {string} name - 接口名（与端点配置的接口名一致）
+   * @param {Object} [params] - 请求参数
+   * @param {Object|string} [scenario] - 本次请求指定的场景（优先于脚本与默认场景）
+   * @returns {Object} 响应体 { code, msg, data }
+   */
+  handle(name, params = {}, scenario) {
+    const handlers = {
+      createPayOrder: () => this.createPayOrder(params, scenario),
+      queryPayOrderResult: () => this.queryPayOrderResult(params),
+      closePayOrder: () => this.closePayOrder(params),
+      refundPayOrder: () => this.refundPayOrder(params, scenario),
+      queryRefundOrderResult: () => this.queryRefundOrderResult(params),
+      preCreatePayOrder: () => this.preCreatePayOrder(params, scenario),
+      sufCreatePayOrder: () => this.confirmReport('saleConfirm', params),
+      preRefundPayOrder: () => this.preRefundPayOrder(params, scenario),
+      sufRefundPayOrder: () => this.sufRefundPayOrder(params),
+      preQueryPayOrder: () => this.confirmReport('query', params),
+      sufQueryPayOrder: () => this.queryPayOrderResult(params),
+      preReversePayOrder: () => this.confirmReport('reverse', params),
+      sufReversePayOrder: () => this.closePayOrder(params),
+      preQueryRefundOrder: () => this.confirmReport('refundQuery', params),
+      sufQueryRefundOrder: () => this.queryRefundOrderResult(params),
+    }
+    const handler = handlers[name]
+    return handler ? handler() : fail(`Unknown mock endpoint: ${name}`, '404')
+  }
+
+  /**
+   * 取本次订单的场景
+   * @private
+   */
+  _takeScenario(scenario) {
+    if (scenario) {
+      return normalizeScenario(scenario, this.defaults)
+    }
+    return this.queue.shift() || this.defaults
+  }
+
+  /**
+   * 生成单号
+   * @private
+   */
+  _nextNo(prefix) {
+    this.sequence++
+    return `${prefix}${this.now()}${String(this.sequence).padStart(4, '0')}`
+  }
+
+  /**
+   * 创建支付订单
+   * @param {Object} params - 订单参数（chargeInfoId、orderAmount、payQRCode 等）
+   * @param {Object|string} [scenario] - 指定场景
+   * @returns {Object} 响应体（data: payOrderNo、payUrl）
+   */
+  createPayOrder(params, scenario) {
+    if (!params.chargeInfoId) {
+      return fail('chargeInfoId is required', '400')
+    }
+    const payOrderNo = this._nextNo('MOCK')
+    this.orders.set(payOrderNo, {
+      payOrderNo,
+      chargeInfoId: params.chargeInfoId,
+      orderAmount: Number(params.orderAmount) || 0,
+      refundedAmount: 0,
+      createdAt: this.now(),
+      closed: false,
+      scenario: this._takeScenario(scenario ?? params.mockOutcome),
+    })
+    this.latestOrders.set(params.chargeInfoId, payOrderNo)
+    return ok({ payOrderNo, payUrl: `mock://pay/${payOrderNo}` })
+  }
+
+  /**
+   * 查找订单（按订单号，未传时取结算最近一笔）
+   * @param {Object} params - 查询参数（payOrderNo、chargeInfoId）
+   * @returns {Object|null} 订单
+   */
+  findOrder(params = {}) {
+    const payOrderNo = params.payOrderNo || this.latestOrders.get(params.chargeInfoId)
+    return this.orders.get(payOrderNo) || null
+  }
+
+  /**
+   * 计算订单当前状态
+   * @param {Object} order - 订单
+   * @returns {string} 支付状态（PAYMENT_STATUS）
+   */
+  getOrderStatus(order) {
+    if (order.closed) {
+      return PAYMENT_STATUS.CLOSED
+    }
+    const { outcome, delay } = order.scenario
+    if (outcome === MOCK_OUTCOMES.TIMEOUT || this.now() - order.createdAt < delay) {
+      return PAYMENT_STATUS.PENDING
+    }
+    return outcome === MOCK_OUTCOMES.FAILURE ? PAYMENT_STATUS.FAILED : PAYMENT_STATUS.SUCCESS
+  }
+
+  /**
+   * 查询支付订单
+   * @param {Object} params - 查询参数（payOrderNo、chargeInfoId）
+   * @returns {Object} 响应体（data: paymentStatus、payOrderNo、orderAmount）
+   */
+  queryPayOrderResult(params) {
+    const order = this.findOrder(params)
+    if (!order) {
+      return ok({ paymentStatus: null })
+    }
+    return ok({
+      payOrderNo: order.payOrderNo,
+      chargeInfoId: order.chargeInfoId,
+      orderAmount: order.orderAmount,
+      paymentStatus: this.getOrderStatus(order),
+    })
+  }
+
+  /**
+   * 关闭支付订单（已支付的订单不能关闭）
+   * @param {Object} params - 关闭参数（payOrderNo、chargeInfoId）
+   * @returns {Object} 响应体
+   */
+  closePayOrder(params) {
+    const order = this.findOrder(params)
+    if (!order) {
+      return fail('订单不存在', '404')
+    }
+    if (this.getOrderStatus(order) === PAYMENT_STATUS.SUCCESS) {
+      return fail('订单已支付，不能关闭')
+    }
+    order.closed = true
+    return ok({ payOrderNo: order.payOrderNo, paymentStatus: PAYMENT_STATUS.CLOSED })
+  }
+
+  /**
+   * 申请退款
+   * @param {Object} params - 退款参数（payOrderNo、chargeInfoId、refundNo、refundAmount）
+   * @param {Object|string} [scenario] - 指定场景（使用其中的 refundOutcome、refundDelay）
+   * @returns {Object} 响应体（data: refundNo、refundStatus）
+   */
+  refundPayOrder(params, scenario) {
+    const order = this.findOrder(params)
+    if (!order || this.getOrderStatus(order) !== PAYMENT_STATUS.SUCCESS) {
+      return fail('订单未支付，不能退款')
+    }
+    const refundAmount = Number(params.refundAmount) || 0
+    if (refundAmount <= 0 || order.refundedAmount + refundAmount > order.orderAmount) {
+      return fail('退款金额超过可退金额')
+    }
+    const existing = params.refundNo && this.refunds.get(params.refundNo)
+    if (existing) {
+      return ok({ refundNo: existing.refundNo, refundStatus: this.getRefundStatus(existing) })
+    }
+    const refundNo = params.refundNo || this._nextNo('MOCKR')
+    const { refundOutcome, refundDelay } = scenario
+      ? normalizeScenario(scenario, order.scenario)
+      : order.scenario
+    order.refundedAmount += refundAmount
+    this.refunds.set(refundNo, {
+      refundNo,
+      payOrderNo: order.payOrderNo,
+      refundAmount,
+      createdAt: this.now(),
+      outcome: refundOutcome,
+      delay: refundDelay,
+    })
+    return ok({ refundNo, refundStatus: REFUND_STATUS.PROCESSING })
+  }
+
+  /**
+   * 计算退款当前状态（失败的退款退回可退金额）
+   * @param {Object} refund - 退款
+   * @returns {string} 退款状态（REFUND_STATUS）
+   */
+  getRefundStatus(refund) {
+    if (refund.outcome === MOCK_OUTCOMES.TIMEOUT || this.now() - refund.createdAt < refund.delay) {
+      return REFUND_STATUS.PROCESSING
+    }
+    if (refund.outcome !== MOCK_OUTCOMES.FAILURE) {
+      return REFUND_STATUS.SUCCESS
+    }
+    if (!refund.released) {
+      refund.released = true
+      this.orders.get(refund.payOrderNo).refundedAmount -= refund.refundAmount
+    }
+    return REFUND_STATUS.FAILED
+  }
+
+  /**
+   * 查询退款结果
+   * @param {Object} params - 查询参数（refundNo）
+   * @returns {Object} 响应体（data: refundNo、refundStatus）
+   */
+  queryRefundOrderResult(params) {
+    const refund = this.refunds.get(params.refundNo)
+    if (!refund) {
+      return ok({ refundNo: params.refundNo, refundStatus: null })
+    }
+    return ok({
+      refundNo: refund.refundNo,
+      refundAmount: refund.refundAmount,
+      refundStatus: this.getRefundStatus(refund),
+    })
+  }
+
+  /**
+   * 源启结算（获取报文）
+   * @description 报文中带上场景，终端服务据此返回结果；同时以终端流水号登记订单，供交易查询、撤销与退费使用
+   * @param {Object} params - 结算参数
+   * @param {Object|string} [scenario] - 指定场景
+   * @returns {Object} 响应体（data: requestParams）
+   */
+  preCreatePayOrder(params, scenario) {
+    const traceNo = this._nextNo('MOCKT')
+    const orderScenario = this._takeScenario(scenario ?? params.mockOutcome)
+    this.orders.set(traceNo, {
+      payOrderNo: traceNo,
+      chargeInfoId: params.chargeInfoId,
+      orderAmount: Number(params.orderAmount) || 0,
+      refundedAmount: 0,
+      createdAt: this.now(),
+      closed: false,
+      scenario: orderScenario,
+    })
+    this.latestOrders.set(params.chargeInfoId, traceNo)
+    return ok({
+      requestParams: {
+        transType: 'sale',
+        chargeInfoId: params.chargeInfoId,
+        amount: params.orderAmount,
+        traceNo,
+        scenario: orderScenario,
+      },
+    })
+  }
+
+  /**
+   * 源启退费确认（获取报文）
+   * @param {Object} params - 退费参数
+   * @param {Object|string} [scenario] - 指定场景（使用其中的 refundOutcome、refundDelay）
+   * @returns {Object} 响应体（data: requestParams）
+   */
+  preRefundPayOrder(params, scenario) {
+    const { refundOutcome, refundDelay } = this._takeScenario(scenario ?? params.mockOutcome)
+    return ok({
+      requestParams: {
+        transType: 'refund',
+        chargeInfoId: params.chargeInfoId,
+        refundNo: params.refundNo,
+        amount: params.refundAmount,
+        traceNo: this._nextNo('MOCKT'),
+        scenario: { outcome: refundOutcome, delay: refundDelay },
+      },
+    })
+  }
+
+  /**
+   * 源启退费确认（保存报文）
+   * @description 终端退费成功后才会保存报文，按退费成功登记退款，供退费查询使用
+   * @param {Object} params - 退费参数（chargeInfoId、refundNo、refundAmount）
+   * @returns {Object} 响应体（data: requestParams）
+   */
+  sufRefundPayOrder(params) {
+    const order = this.findOrder(params)
+    if (order && params.refundNo && !this.refunds.has(params.refundNo)) {
+      const refundAmount = Number(params.refundAmount) || 0
+      order.refundedAmount += refundAmount
+      this.refunds.set(params.refundNo, {
+        refundNo: params.refundNo,
+        payOrderNo: order.payOrderNo,
+        refundAmount,
+        createdAt: this.now(),
+        outcome: MOCK_OUTCOMES.SUCCESS,
+        delay: 0,
+      })
+    }
+    return this.confirmReport('refundConfirm', params)
+  }
+
+  /**
+   * 源启确认、查询、撤销报文
+   * @description 返回终端服务按成功处理的报文
+   * @param {string} transType - 交易类型
+   * @param {Object} params - 确认参数
+   * @returns {Object} 响应体（data: requestParams）
+   */
+  confirmReport(transType, params) {
+    return ok({
+      requestParams: {
+        transType,
+        chargeInfoId: params.chargeInfoId,
+        refundNo: params.refundNo,
+        traceNo: this._nextNo('MOCKT'),
+        scenario: { outcome: MOCK_OUTCOMES.SUCCESS, delay: 0 },
+      },
+    })
+  }
+
+  /**
+   * 源启终端服务调用
+   * @param {Object} requestParams - 获取报文接口返回的报文
+   * @returns {Object} { status, delay, body }：HTTP 状态码、响应前等待的毫秒数、响应体
+   */
+  callTerminal(requestParams = {}) {
+    const { outcome, delay } = normalizeScenario(requestParams?.scenario || {}, this.defaults)
+    if (outcome === MOCK_OUTCOMES.TIMEOUT) {
+      return { status: 504, delay, body: { result: { code: 'timeout', msg: '终端响应超时' } } }
+    }
+    if (outcome === MOCK_OUTCOMES.FAILURE) {
+      return { status: 200, delay, body: { result: { code: 'fail', msg: '模拟交易失败' } } }
+    }
+    return {
+      status: 200,
+      delay,
+      body: {
+        result: { code: 'success', msg: '交易成功' },
+        data: {
+          transType: requestParams?.transType,
+          traceNo: requestParams?.traceNo,
+          amount: requestParams?.amount,
+        },
+      },
+    }
+  }
+}
+
+export default MockPaymentGateway
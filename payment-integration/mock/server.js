@@ -0,0 +1,432 @@
+/**
+ * 本地支付替身服务
+ * @description 基于 MockPaymentGateway 的 Node HTTP 服务：网关端口模拟国卫支付接口与源启获取/保存报文接口，
+ * 终端端口模拟源启终端服务（OrgineTerminal）；配合 PAYMENT_ENV.SANDBOX 与端点覆盖配置，让真实的支付服务离线走完整流程
+ *
+ * 启动：node mock/server.js [--port 18080] [--terminal-port 10001] [--outcome success] [--delay 0] [--latency 0]
+ *
+ * 指定结果的方式（优先级从高到低）：
+ * - 请求头 X-Mock-Outcome / X-Mock-Delay，或请求体 mockOutcome
+ * - POST /__mock__/script 追加脚本化场景，请求体 { scenarios: ['failure', { outcome: 'delay', delay: 3000 }] }
+ * - POST /__mock__/defaults 设置默认场景，或启动参数 --outcome、--delay、--refund-outcome、--refund-delay
+ *
+ * 其他控制接口：POST /__mock__/reset 清空订单与脚本，GET /__mock__/orders 查看订单与退款
+ *
+ * 支付结果推送：GET /notify?chargeInfoId=xxx 以 SSE 推送该结算最近一笔订单的状态变化（PaymentNotifyData），
+ * 带 Upgrade: websocket 请求头时以 WebSocket 推送；连接建立时先推送一次当前状态
+ */
+
+import http from 'node:http'
+import { createHash } from 'node:crypto'
+import { pathToFileURL } from 'node:url'
+import MockPaymentGateway from './MockPaymentGateway.js'
+
+// 源启终端服务路径（与 YuanQIPaymentService 的终端地址一致）
+const TERMINAL_PATH = '/OrgineTerminal/OrginePowerWCAService'
+
+// 控制接口前缀
+const CONTROL_PREFIX = '/__mock__/'
+
+// 支付结果推送路径
+const NOTIFY_PATH = '/notify'
+
+// WebSocket 握手固定 GUID（RFC 6455）
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+
+/**
+ * 默认配置
+ */
+const DEFAULT_OPTIONS = {
+  host: '127.0.0.1',
+  port: 18080, // 网关端口
+  terminalPort: 10001, // 源启终端端口
+  latency: 0, // 每次响应的模拟网络延迟（毫秒）
+  notifyInterval: 200, // 检查订单状态变化并推送的间隔（毫秒）
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * 读取 JSON 请求体
+ * @param {http.IncomingMessage} req - 请求
+ * @returns {Promise<Object>} 请求体（空或非 JSON 时为空对象）
+ */
+async function readJson(req) {
+  let raw = ''
+  for await (const chunk of req) {
+    raw += chunk
+  }
+  try {
+    return raw ? JSON.parse(raw) : {}
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * 发送 JSON 响应（允许跨域，便于浏览器中的宿主直接调用）
+ * @param {http.ServerResponse} res - 响应
+ * @param {number} status - HTTP 状态码
+ * @param {Object} [body] - 响应体
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  })
+  res.end(body === undefined ? '' : JSON.stringify(body))
+}
+
+/**
+ * 取请求指定的场景
+ * @param {http.IncomingMessage} req - 请求
+ * @param {Object} body - 请求体
+ * @returns {Object|undefined} 场景
+ */
+function requestScenario(req, body) {
+  const outcome = req.headers['x-mock-outcome'] || body.mockOutcome
+  const delay = req.headers['x-mock-delay']
+  if (!outcome && delay === undefined) {
+    return undefined
+  }
+  return {
+    ...(outcome ? { outcome } : {}),
+    ...(delay !== undefined ? { delay: Number(delay) } : {}),
+  }
+}
+
+/**
+ * 编码 WebSocket 文本帧（服务端发出的帧不加掩码）
+ * @param {string} text - 文本
+ * @returns {Buffer} 帧
+ */
+function encodeWebSocketFrame(text) {
+  const payload = Buffer.from(text)
+  let header
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length])
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4)
+    header.writeUInt8(0x81, 0)
+    header.writeUInt8(126, 1)
+    header.writeUInt16BE(payload.length, 2)
+  } else {
+    header = Buffer.alloc(10)
+    header.writeUInt8(0x81, 0)
+    header.writeUInt8(127, 1)
+    header.writeBigUInt64BE(BigInt(payload.length), 2)
+  }
+  return Buffer.concat([header, payload])
+}
+
+/**
+ * 创建支付结果推送器
+ * @description 按结算订阅，定时计算订阅结算最近一笔订单的状态，变化时推送给该结算的所有连接
+ * @param {MockPaymentGateway} gateway - 模拟网关
+ * @param {number} interval - 检查间隔（毫秒）
+ * @returns {Object} { subscribe(chargeInfoId, send), close() }
+ */
+function createNotifier(gateway, interval) {
+  // 订阅（key: chargeInfoId，value: Set<send>）
+  const subscribers = new Map()
+  // 最近推送的状态（key: chargeInfoId，value: payOrderNo:paymentStatus）
+  const lastSent = new Map()
+  let timer = null
+
+  const notification = (chargeInfoId) => {
+    const order = gateway.findOrder({ chargeInfoId })
+    if (!order) {
+      return null
+    }
+    return {
+      chargeInfoId,
+      orderId: order.payOrderNo,
+      tradeNo: order.payOrderNo,
+      status: gateway.getOrderStatus(order),
+      amount: order.orderAmount,
+      payTime: new Date(gateway.now()).toISOString(),
+    }
+  }
+
+  const check = () => {
+    subscribers.forEach((sends, chargeInfoId) => {
+      const data = notification(chargeInfoId)
+      const key = data && `${data.orderId}:${data.status}`
+      if (!data || lastSent.get(chargeInfoId) === key) {
+        return
+      }
+      lastSent.set(chargeInfoId, key)
+      sends.forEach((send) => send(data))
+    })
+  }
+
+  return {
+    /**
+     * 订阅结算的支付结果
+     * @returns {Function} 取消订阅
+     */
+    subscribe(chargeInfoId, send) {
+      if (!subscribers.has(chargeInfoId)) {
+        subscribers.set(chargeInfoId, new Set())
+      }
+      subscribers.get(chargeInfoId).add(send)
+      const current = notification(chargeInfoId)
+      if (current) {
+        send(current)
+      }
+      if (!timer) {
+        timer = setInterval(check, interval)
+      }
+      return () => {
+        const sends = subscribers.get(chargeInfoId)
+        sends?.delete(send)
+        if (sends && sends.size === 0) {
+          subscribers.delete(chargeInfoId)
+          lastSent.delete(chargeInfoId)
+        }
+        if (subscribers.size === 0) {
+          clearInterval(timer)
+          timer = null
+        }
+      }
+    },
+
+    close() {
+      clearInterval(timer)
+      timer = null
+      subscribers.clear()
+      lastSent.clear()
+    },
+  }
+}
+
+/**
+ * 创建本地支付替身服务
+ * @param {Object} [options] - 配置
+ * @param {string} [options.host='127.0.0.1'] - 监听地址
+ * @param {number} [options.port=18080] - 网关端口，0 表示随机端口
+ * @param {number} [options.terminalPort=10001] - 源启终端端口，0 表示随机端口，null 表示不启动
+ * @param {number} [options.latency=0] - 每次响应的模拟网络延迟（毫秒）
+ * @param {number} [options.notifyInterval=200] - 检查订单状态变化并推送的间隔（毫秒）
+ * @param {Object} [options.scenario] - 默认场景（outcome、delay、refundOutcome、refundDelay）
+ * @param {MockPaymentGateway} [options.gateway] - 模拟网关，不传则自行创建
+ * @returns {Object} { gateway, listen(), close() }
+ */
+export function createMockServer(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options }
+  const gateway = config.gateway || new MockPaymentGateway(config.scenario)
+  const notifier = createNotifier(gateway, config.notifyInterval)
+  // 已升级为 WebSocket 的连接（不受 closeAllConnections 管理）
+  const upgradedSockets = new Set()
+
+  const handleNotifyStream = (req, res, chargeInfoId) => {
+    if (!chargeInfoId) {
+      return sendJson(res, 400, { code: '400', msg: 'chargeInfoId is required' })
+    }
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'Access-Control-Allow-Origin': '*',
+    })
+    res.write(': connected\n\n')
+    const unsubscribe = notifier.subscribe(chargeInfoId, (data) => {
+      res.write(`data: ${JSON.stringify(data)}\n\n`)
+    })
+    req.on('close', unsubscribe)
+  }
+
+  const handleUpgrade = (req, socket) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost')
+    const key = req.headers['sec-websocket-key']
+    const chargeInfoId = searchParams.get('chargeInfoId')
+    if (pathname !== NOTIFY_PATH || !key || !chargeInfoId) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n')
+      return
+    }
+    const accept = createHash('sha1')
+      .update(key + WEBSOCKET_GUID)
+      .digest('base64')
+    socket.write(
+      'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    )
+    upgradedSockets.add(socket)
+    const unsubscribe = notifier.subscribe(chargeInfoId, (data) => {
+      socket.write(encodeWebSocketFrame(JSON.stringify(data)))
+    })
+    socket.on('data', (frame) => {
+      // 只处理客户端的关闭帧，其余消息忽略
+      if ((frame[0] & 0x0f) === 0x8) {
+        socket.end(Buffer.from([0x88, 0]))
+      }
+    })
+    socket.on('error', () => socket.destroy())
+    socket.on('close', () => {
+      upgradedSockets.delete(socket)
+      unsubscribe()
+    })
+  }
+
+  const handleControl = async (req, res, action) => {
+    const body = await readJson(req)
+    if (action === 'reset') {
+      gateway.reset()
+      return sendJson(res, 200, { code: '200' })
+    }
+    if (action === 'script') {
+      gateway.script(...(body.scenarios || []))
+      return sendJson(res, 200, { code: '200', data: { queued: gateway.queue.length } })
+    }
+    if (action === 'defaults') {
+      gateway.setDefaults(body)
+      return sendJson(res, 200, { code: '200', data: gateway.defaults })
+    }
+    if (action === 'orders') {
+      return sendJson(res, 200, {
+        code: '200',
+        data: {
+          orders: Array.from(gateway.orders.values()).map((order) => ({
+            ...order,
+            paymentStatus: gateway.getOrderStatus(order),
+          })),
+          refunds: Array.from(gateway.refunds.values()).map((refund) => ({
+            ...refund,
+            refundStatus: gateway.getRefundStatus(refund),
+          })),
+        },
+      })
+    }
+    return sendJson(res, 404, { code: '404', msg: `Unknown control action: ${action}` })
+  }
+
+  const handler = async (req, res) => {
+    try {
+      if (req.method === 'OPTIONS') {
+        return sendJson(res, 204)
+      }
+      const { pathname, searchParams } = new URL(req.url, 'http://localhost')
+      if (pathname.startsWith(CONTROL_PREFIX)) {
+        return await handleControl(req, res, pathname.slice(CONTROL_PREFIX.length))
+      }
+      if (pathname === NOTIFY_PATH && req.method === 'GET') {
+        return handleNotifyStream(req, res, searchParams.get('chargeInfoId'))
+      }
+      const body = await readJson(req)
+      if (config.latency > 0) {
+        await wait(config.latency)
+      }
+      if (pathname === TERMINAL_PATH && req.method === 'GET') {
+        // 健康检查（YuanqiPaymentService.checkTerminal），不消耗脚本化场景
+        return sendJson(res, 200, { result: { code: 'success', msg: '终端服务运行中' } })
+      }
+      if (pathname === TERMINAL_PATH) {
+        const { status, delay, body: result } = gateway.callTerminal(body)
+        await wait(delay)
+        return sendJson(res, status, result)
+      }
+      // 网关地址可配置，按最后一段路径匹配接口名
+      const name = pathname.split('/').pop()
+      return sendJson(res, 200, gateway.handle(name, body, requestScenario(req, body)))
+    } catch (error) {
+      sendJson(res, 500, { code: '500', msg: error.message })
+    }
+  }
+
+  const servers = [http.createServer(handler)]
+  servers[0].on('upgrade', handleUpgrade)
+  if (config.terminalPort !== null) {
+    servers.push(http.createServer(handler))
+  }
+
+  return {
+    gateway,
+
+    /**
+     * 启动监听
+     * @returns {Promise<Object>} { port, terminalPort } 实际监听的端口
+     */
+    async listen() {
+      const ports = [config.port, config.terminalPort]
+      const listening = await Promise.all(
+        servers.map(
+          (server, index) =>
+            new Promise((resolve, reject) => {
+              server.once('error', reject)
+              server.listen(ports[index], config.host, () => resolve(server.address().port))
+            })
+        )
+      )
+      return { port: listening[0], terminalPort: listening[1] ?? null }
+    },
+
+    /**
+     * 停止监听
+     * @returns {Promise<void>}
+     */
+    close() {
+      notifier.close()
+      upgradedSockets.forEach((socket) => socket.destroy())
+      upgradedSockets.clear()
+      return Promise.all(
+        servers.map(
+          (server) =>
+            new Promise((resolve) => {
+              server.closeAllConnections?.()
+              server.close(() => resolve())
+            })
+        )
+      ).then(() => undefined)
+    },
+  }
+}
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv - 参数
+ * @returns {Object} 服务配置
+ */
+function parseArgs(argv) {
+  const args = {}
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1]
+  }
+  const number = (value) => (value === undefined ? undefined : Number(value))
+  const scenario = Object.fromEntries(
+    Object.entries({
+      outcome: args.outcome,
+      delay: number(args.delay),
+      refundOutcome: args['refund-outcome'],
+      refundDelay: number(args['refund-delay']),
+    }).filter(([, value]) => value !== undefined)
+  )
+  return {
+    ...(args.host ? { host: args.host } : {}),
+    ...(args.port ? { port: number(args.port) } : {}),
+    ...(args['terminal-port'] ? { terminalPort: number(args['terminal-port']) } : {}),
+    ...(args.latency ? { latency: number(args.latency) } : {}),
+    scenario,
+  }
+}
+
+// 直接运行时启动服务
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const options = parseArgs(process.argv.slice(2))
+  const host = options.host || DEFAULT_OPTIONS.host
+  const server = createMockServer(options)
+  server.listen().then(({ port, terminalPort }) => {
+    console.log(`Mock payment gateway listening on http://${host}:${port}`)
+    console.log(`Payment notifications: http://${host}:${port}${NOTIFY_PATH} (SSE / WebSocket)`)
+    if (terminalPort) {
+      console.log(`Mock OrgineTerminal listening on http://${host}:${terminalPort}${TERMINAL_PATH}`)
+    }
+    console.log('Default scenario:', server.gateway.defaults)
+  })
+  const shutdown = () => server.close().then(() => process.exit(0))
+  process.on('SIGINT', shutdown)
+  process.on('SIGTERM', shutdown)
+}
@@ -0,0 +1,127 @@
+/**
+ * 支付弹窗渲染器基类
+ * @description DialogManager 只通过渲染器接口打开、更新和关闭支付弹窗，不感知具体 UI 框架；
+ * Vue、原生 DOM 或 React 等宿主实现该接口即可接入
+ */
+
+import EventEmitter from '../utils/EventEmitter.js'
+
+class DialogRenderer {
+  constructor() {
+    // 弹窗事件总线（init-dialog、query-status、final-status 等，见 DIALOG_EVENTS）
+    this.bus = new EventEmitter()
+    this.opened = false
+  }
+
+  /**
+   * 打开弹窗
+   * @param {Object} _props - 弹窗属性（paymentInfo、config、autoPolling、pollingInterval、isInsuranceCharge、stateMachine、poller）
+   * @param {HTMLElement} _container - 挂载容器
+   * @returns {DialogRenderer} 渲染器本身
+   * @abstract
+   */
+  open(_props, _container) {
+    throw new Error('Method not implemented: open')
+  }
+
+  /**
+   * 更新支付状态（经状态机校验）
+   * @param {string} _status - 支付状态
+   * @abstract
+   */
+  updateStatus(_status) {
+    throw new Error('Method not implemented: updateStatus')
+  }
+
+  /**
+   * 设置支付二维码
+   * @param {string} _url - 支付链接
+   * @abstract
+   */
+  setQRCode(_url) {
+    throw new Error('Method not implemented: setQRCode')
+  }
+
+  /**
+   * 设置操作按钮 loading 状态
+   * @param {string} _key - 按钮标识
+   * @param {boolean} _loading - 是否 loading
+   * @abstract
+   */
+  setLoading(_key, _loading) {
+    throw new Error('Method not implemented: setLoading')
+  }
+
+  /**
+   * 关闭弹窗并移除 DOM
+   * @abstract
+   */
+  close() {
+    throw new Error('Method not implemented: close')
+  }
+
+  /**
+   * 停止弹窗的轮询和倒计时（关闭动画期间调用）
+   */
+  stopTimers() {}
+
+  /**
+   * 弹窗是否处于打开状态
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.opened
+  }
+
+  /**
+   * 等待下一次 DOM 更新
+   * @returns {Promise<void>}
+   */
+  nextTick() {
+    return Promise.resolve()
+  }
+
+  /**
+   * 监听弹窗事件
+   * @param {string} event - 事件名称
+   * @param {Function} handler - 处理函数
+   * @returns {Function} 取消监听函数
+   */
+  on(event, handler) {
+    return this.bus.on(event, handler)
+  }
+
+  /**
+   * 监听弹窗事件（只触发一次）
+   * @param {string} event - 事件名称
+   * @param {Function} handler - 处理函数
+   * @returns {Function} 取消监听函数
+   */
+  once(event, handler) {
+    return this.bus.once(event, handler)
+  }
+
+  /**
+   * 取消监听弹窗事件
+   * @param {string} [event] - 事件名称，不传则移除所有事件
+   * @param {Function} [handler] - 处理函数，不传则移除该事件的所有监听
+   */
+  off(event, handler) {
+    if (handler) {
+      this.bus.off(event, handler)
+    } else {
+      this.bus.removeAllListeners(event)
+    }
+  }
+
+  /**
+   * 发出弹窗事件
+   * @param {string} event - 事件名称
+   * @param {any} [payload] - 事件数据
+   */
+  emit(event, payload) {
+    this.bus.emit(event, payload)
+  }
+}
+
+export default DialogRenderer
@@ -0,0 +1,617 @@
+/**
+ * 原生 DOM 支付弹窗渲染器
+ * @description 不依赖 Vue / Element 等 UI 框架，直接操作 DOM 渲染支付弹窗，供 React、原生页面等宿主使用；
+ * 状态文案、操作按钮和二维码展示规则与 Vue 弹窗共用（payment-dialog-view.js）
+ */
+
+import QRCode from 'qrcode'
+import DialogRenderer from './DialogRenderer.js'
+import Logger from '../utils/Logger.js'
+import PaymentStateMachine from '../utils/PaymentStateMachine.js'
+import StatusPoller from '../services/StatusPoller.js'
+import { PAYMENT_STATUS, SCAN_MODES } from '../constants/paymentTypes.js'
+import {
+  AUTO_CLOSE_DELAY,
+  INIT_EVENT_DELAY,
+  TIMER_INTERVAL,
+  DIALOG_COMMANDS,
+  QRCODE_OPTIONS,
+  getStatusView,
+  getStatusActions,
+  isQRCodeVisible,
+} from '../components/payment-dialog-view.js'
+
+const CLASS_PREFIX = 'haic-payment-dialog'
+const STYLE_ID = `${CLASS_PREFIX}-style`
+
+/**
+ * 弹窗样式（首次打开时注入到 head）
+ */
+const DIALOG_STYLE = `
+.${CLASS_PREFIX}{position:fixed;inset:0;z-index:2000;display:flex;align-items:center;justify-content:center;background:rgba(0,0,0,.5)}
+.${CLASS_PREFIX}__box{position:relative;box-sizing:border-box;max-width:90vw;padding:40px 20px 20px;background:#fff;border-radius:4px;box-shadow:0 1px 3px rgba(0,0,0,.3)}
+.${CLASS_PREFIX}__content{display:flex;justify-content:center;gap:20px}
+.${CLASS_PREFIX}__title{display:flex;flex-direction:column;justify-content:center;align-items:center}
+.${CLASS_PREFIX}__title .title-text{font-size:22px;margin:24px}
+.${CLASS_PREFIX}__title .title-text.danger{color:#f56c6c}
+.${CLASS_PREFIX}__input{width:220px;height:32px;padding:0 12px;border:1px solid #dcdfe6;border-radius:4px}
+.${CLASS_PREFIX}__qrcode{display:flex;flex-direction:column;align-items:center;justify-content:center;min-height:300px;margin-left:20px}
+.${CLASS_PREFIX}__qrcode img,.${CLASS_PREFIX}__qrcode .qrcode-loading{width:200px;height:200px;display:flex;align-items:center;justify-content:center}
+.${CLASS_PREFIX}__qrcode .qrcode-text{font-size:16px;margin-top:16px}
+.${CLASS_PREFIX}__footer{display:flex;justify-content:center;gap:10px;margin:20px 0}
+.${CLASS_PREFIX}__button{padding:9px 15px;font-size:14px;border-radius:4px;border:1px solid #3363ff;background:#3363ff;color:#fff;cursor:pointer}
+.${CLASS_PREFIX}__button.is-plain{background:#fff;color:#3363ff}
+.${CLASS_PREFIX}__button.is-danger{border-color:#f56c6c;background:#f56c6c}
+.${CLASS_PREFIX}__button.is-danger.is-plain{background:#fff;color:#f56c6c}
+.${CLASS_PREFIX}__button:disabled{opacity:.6;cursor:not-allowed}
+.${CLASS_PREFIX}__countdown{position:absolute;bottom:20px;right:20px;font-size:14px;color:#3363ff}
+`
+
+/**
+ * 创建元素
+ * @param {string} tag - 标签名
+ * @param {string} [className] - 类名
+ * @param {string} [text] - 文本内容
+ * @returns {HTMLElement}
+ */
+const createElement = (tag, className, text) => {
+  const el = document.createElement(tag)
+  if (className) {
+    el.className = className
+  }
+  if (text !== undefined) {
+    el.textContent = text
+  }
+  return el
+}
+
+class DomDialogRenderer extends DialogRenderer {
+  /**
+   * 构造函数
+   * @param {Object} [options] - 配置选项
+   * @param {Function} [options.confirm] - 放弃支付确认，参数为提示文案，返回 boolean 或 Promise<boolean>，默认 window.confirm
+   * @param {string} [options.logoUrl] - 弹窗标题上方的 logo 地址
+   */
+  constructor(options = {}) {
+    super()
+    this.options = options
+    this.logger = new Logger('DomDialogRenderer')
+    this.el = null
+    this.refs = {}
+    this.props = null
+    this.machine = null
+    this.ownsStateMachine = false
+    this.unsubscribeState = null
+    this.currentStatus = null
+    this.scanMode = SCAN_MODES.PASSIVE
+    this.qrCodeUrl = ''
+    this.actionLoadingMap = {}
+    this.timeLeft = 60
+    this.timer = null
+    this.poller = null
+    this.ownsPoller = false
+    this.initTimeout = null
+    this.queryTimeout = null
+    this.closeTimeout = null
+    this.isQuerying = false
+    this.isDestroyed = false
+    this.clickListenerAdded = false
+    this.focusScannerInput = this.focusScannerInput.bind(this)
+  }
+
+  /**
+   * 打开弹窗
+   * @param {Object} props - 弹窗属性
+   * @param {HTMLElement} container - 挂载容器
+   * @returns {DomDialogRenderer} 渲染器本身
+   */
+  open(props, container) {
+    this.props = {
+      autoPolling: true,
+      pollingInterval: 3000,
+      isInsuranceCharge: false,
+      ...props,
+      config: { width: '600px', countdown: 60, ...(props.config || {}) },
+    }
+    this.ownsStateMachine = !props.stateMachine
+    this.machine =
+      props.stateMachine ||
+      new PaymentStateMachine(null, {
+        context: { chargeInfoId: props.paymentInfo.chargeInfoId },
+      })
+    this.unsubscribeState = this.machine.on('state:changed', ({ from, to }) => {
+      if (!this.isDestroyed) {
+        this._handleStatusChange(to, from)
+      }
+    })
+    // 状态轮询：服务层传入时与支付驱动共用，否则定时发出 query-status 事件
+    this.ownsPoller = !props.poller
+    this.poller =
+      props.poller ||
+      new StatusPoller(() => this._queryPaymentStatus(true), {
+        interval: this.props.pollingInterval,
+        stateMachine: this.machine,
+      })
+
+    this._injectStyle()
+    this.el = this._createDialogElement()
+    container.appendChild(this.el)
+    this.opened = true
+    this._initPayment()
+    return this
+  }
+
+  updateStatus(status) {
+    this.machine?.transition(status)
+  }
+
+  async setQRCode(url) {
+    if (!url) {
+      return
+    }
+    try {
+      const qrCodeDataUrl = await QRCode.toDataURL(url, QRCODE_OPTIONS)
+      if (!this.isDestroyed) {
+        this.qrCodeUrl = qrCodeDataUrl
+        this._render()
+      }
+    } catch (error) {
+      if (!this.isDestroyed) {
+        this.qrCodeUrl = ''
+        this._render()
+      }
+      this.logger.warn('Generate QR code failed', error)
+    }
+  }
+
+  setLoading(key, loading) {
+    this.actionLoadingMap = { ...this.actionLoadingMap, [key]: loading }
+    this._renderActions()
+  }
+
+  stopTimers() {
+    this._stopPolling()
+    this._stopTimer()
+  }
+
+  close() {
+    this.isDestroyed = true
+    this.opened = false
+    this._cleanup()
+    if (this.unsubscribeState) {
+      this.unsubscribeState()
+      this.unsubscribeState = null
+    }
+    if (this.ownsPoller && this.poller) {
+      this.poller.destroy()
+    }
+    this.poller = null
+    if (this.ownsStateMachine && this.machine) {
+      this.machine.destroy()
+    }
+    this.machine = null
+    if (this.el && this.el.parentNode) {
+      this.el.parentNode.removeChild(this.el)
+    }
+    this.el = null
+    this.refs = {}
+    this.bus.removeAllListeners()
+  }
+
+  /**
+   * 是否主扫模式
+   * @private
+   */
+  _isActiveMode() {
+    return this.scanMode === SCAN_MODES.ACTIVE
+  }
+
+  /**
+   * 注入弹窗样式（同一页面只注入一次）
+   * @private
+   */
+  _injectStyle() {
+    if (document.getElementById(STYLE_ID)) {
+      return
+    }
+    const style = createElement('style')
+    style.id = STYLE_ID
+    style.textContent = DIALOG_STYLE
+    document.head.appendChild(style)
+  }
+
+  /**
+   * 创建弹窗 DOM 结构
+   * @private
+   */
+  _createDialogElement() {
+    const root = createElement('div', CLASS_PREFIX)
+    const box = createElement('div', `${CLASS_PREFIX}__box`)
+    box.style.width = this.props.config.width
+    const content = createElement('div', `${CLASS_PREFIX}__content`)
+
+    const title = createElement('div', `${CLASS_PREFIX}__title`)
+    if (this.options.logoUrl) {
+      const logo = createElement('img', 'logo-img')
+      logo.src = this.options.logoUrl
+      logo.alt = ''
+      title.appendChild(logo)
+    }
+    const titleText = createElement('p', 'title-text')
+    const input = createElement('input', `${CLASS_PREFIX}__input`)
+    input.placeholder = '请用扫码枪扫码'
+    input.addEventListener('change', () => this._handlePayQRCodeChange())
+    title.appendChild(titleText)
+    title.appendChild(input)
+
+    const qrcode = createElement('div', `${CLASS_PREFIX}__qrcode`)
+    const qrcodeImage = createElement('img')
+    qrcodeImage.alt = ''
+    const qrcodeLoading = createElement('div', 'qrcode-loading', '加载中...')
+    qrcode.appendChild(qrcodeImage)
+    qrcode.appendChild(qrcodeLoading)
+    qrcode.appendChild(createElement('div', 'qrcode-text', '请患者扫描此收款码'))
+
+    content.appendChild(title)
+    content.appendChild(qrcode)
+
+    const footer = createElement('div', `${CLASS_PREFIX}__footer`)
+    const countdown = createElement('div', `${CLASS_PREFIX}__countdown`)
+
+    box.appendChild(content)
+    box.appendChild(footer)
+    box.appendChild(countdown)
+    root.appendChild(box)
+
+    this.refs = { titleText, input, qrcode, qrcodeImage, qrcodeLoading, footer, countdown }
+    return root
+  }
+
+  /**
+   * 渲染当前状态
+   * @private
+   */
+  _render() {
+    if (!this.el) {
+      return
+    }
+    const { titleText, input, qrcode, qrcodeImage, qrcodeLoading, countdown } = this.refs
+    const view = getStatusView(this.currentStatus, {
+      isActiveMode: this._isActiveMode(),
+      isInsuranceCharge: this.props.isInsuranceCharge,
+    })
+    titleText.textContent = view?.text || ''
+    titleText.className = `title-text ${view?.type || ''}`
+
+    input.style.display =
+      this.currentStatus === PAYMENT_STATUS.PASSIVE_INIT && !this._isActiveMode() ? '' : 'none'
+
+    const showQRCode = isQRCodeVisible(this.currentStatus, this._isActiveMode())
+    qrcode.style.display = showQRCode ? '' : 'none'
+    qrcodeImage.style.display = this.qrCodeUrl ? '' : 'none'
+    qrcodeImage.src = this.qrCodeUrl || ''
+    qrcodeLoading.style.display = this.qrCodeUrl ? 'none' : ''
+
+    const showCountdown =
+      this.timeLeft && (this.currentStatus === PAYMENT_STATUS.PROCESSING || showQRCode)
+    countdown.style.display = showCountdown ? '' : 'none'
+    countdown.textContent = `${this.timeLeft}s`
+
+    this._renderActions()
+  }
+
+  /**
+   * 渲染操作按钮
+   * @private
+   */
+  _renderActions() {
+    const { footer } = this.refs
+    if (!footer) {
+      return
+    }
+    const handlers = {
+      [DIALOG_COMMANDS.CANCEL]: () => this._handleCancelPayment(),
+      [DIALOG_COMMANDS.REFRESH]: () => this._handleRefreshQrCode(),
+      [DIALOG_COMMANDS.QUERY]: () => this._queryPaymentStatus(),
+      [DIALOG_COMMANDS.RETRY]: () => this._handleRetryPayment(),
+      [DIALOG_COMMANDS.ABANDON]: () => this._handleAbandonPayment(),
+      [DIALOG_COMMANDS.WAIT]: () => this.updateStatus(PAYMENT_STATUS.WAITING),
+    }
+
+    footer.textContent = ''
+    getStatusActions(this.currentStatus, this._isActiveMode()).forEach((action) => {
+      const loading = this.actionLoadingMap[action.key] || false
+      const classNames = [`${CLASS_PREFIX}__button`]
+      if (action.plain) classNames.push('is-plain')
+      if (action.type === 'danger') classNames.push('is-danger')
+      const button = createElement(
+        'button',
+        classNames.join(' '),
+        loading ? `${action.label}...` : action.label
+      )
+      button.type = 'button'
+      button.disabled = loading
+      button.addEventListener('click', () => {
+        if (!loading) {
+          handlers[action.command]()
+        }
+      })
+      footer.appendChild(button)
+    })
+  }
+
+  /**
+   * 初始化支付
+   * @private
+   */
+  _initPayment() {
+    this.isQuerying = false
+    this.timeLeft = this.props.config.countdown
+    this.scanMode = this.props.paymentInfo.payScanMode || SCAN_MODES.PASSIVE
+    this.updateStatus(
+      this._isActiveMode() ? PAYMENT_STATUS.ACTIVE_INIT : PAYMENT_STATUS.PASSIVE_INIT
+    )
+    this._render()
+
+    if (this.props.autoPolling) {
+      this._startPolling()
+    }
+
+    clearTimeout(this.initTimeout)
+    this.initTimeout = setTimeout(() => {
+      this.initTimeout = null
+      if (this.isDestroyed) return
+
+      this.emit('init-dialog', this.props.paymentInfo)
+      if (!this._isActiveMode()) {
+        this.focusScannerInput()
+        this._addClickListener()
+      }
+    }, INIT_EVENT_DELAY)
+  }
+
+  /**
+   * 状态变化处理（与 Vue 弹窗的 currentStatus 监听一致）
+   * @private
+   */
+  _handleStatusChange(newStatus, oldStatus) {
+    this.currentStatus = newStatus
+    this.emit('status-change', {
+      from: oldStatus,
+      to: newStatus,
+      paymentInfo: this.props.paymentInfo,
+    })
+
+    if (PaymentStateMachine.isFinalStatus(newStatus)) {
+      this._handleFinalStatus(newStatus)
+    }
+
+    const paying = this._isActiveMode()
+      ? isQRCodeVisible(newStatus, true)
+      : newStatus === PAYMENT_STATUS.PROCESSING
+    if (paying) {
+      this._startTimer()
+      this._startPolling()
+    } else {
+      this._stopPolling()
+      this.timeLeft = this.props.config.countdown
+      this._stopTimer()
+    }
+    if (!this._isActiveMode() && newStatus === PAYMENT_STATUS.PASSIVE_INIT) {
+      setTimeout(this.focusScannerInput)
+    }
+    this._render()
+  }
+
+  /**
+   * 处理终态
+   * @private
+   */
+  _handleFinalStatus(status) {
+    this._stopPolling()
+    this.emit('final-status', { status, paymentInfo: this.props.paymentInfo })
+
+    // 自动关闭(成功状态)
+    if (status === PAYMENT_STATUS.SUCCESS) {
+      clearTimeout(this.closeTimeout)
+      this.closeTimeout = setTimeout(() => {
+        this.closeTimeout = null
+        if (!this.isDestroyed && this.el) {
+          this.el.style.display = 'none'
+          this.emit('update:visible', false)
+        }
+      }, AUTO_CLOSE_DELAY)
+    }
+  }
+
+  /**
+   * 扫码枪扫码
+   * @private
+   */
+  _handlePayQRCodeChange() {
+    const payQRCode = this.refs.input.value
+    this.refs.input.value = ''
+    if (!payQRCode) {
+      return
+    }
+    this.updateStatus(PAYMENT_STATUS.PROCESSING)
+    this.emit('create-payment', {
+      paymentInfo: { ...this.props.paymentInfo, payQRCode },
+    })
+  }
+
+  /**
+   * 查询支付状态（防止并发）
+   * @private
+   * @param {boolean} silent - 是否静默查询(不显示loading)
+   */
+  _queryPaymentStatus(silent = false) {
+    if (this.isDestroyed || this.isQuerying) {
+      return
+    }
+    this.isQuerying = true
+    if (!silent) {
+      this.setLoading('query', true)
+    }
+    this.emit('query-status', { paymentInfo: this.props.paymentInfo })
+
+    // 延迟重置查询标记，避免过于频繁的查询
+    clearTimeout(this.queryTimeout)
+    this.queryTimeout = setTimeout(() => {
+      this.isQuerying = false
+      this.queryTimeout = null
+    }, 500)
+  }
+
+  /**
+   * 取消支付
+   * @private
+   */
+  _handleCancelPayment() {
+    this._stopPolling()
+    this.setLoading('cancel', true)
+    this.emit('cancel-payment', { paymentInfo: this.props.paymentInfo })
+  }
+
+  /**
+   * 刷新支付码
+   * @private
+   */
+  _handleRefreshQrCode() {
+    this._stopPolling()
+    this.setLoading('refresh', true)
+    this.emit('refresh-qrcode', { paymentInfo: this.props.paymentInfo })
+  }
+
+  /**
+   * 重新支付
+   * @private
+   */
+  _handleRetryPayment() {
+    this.setLoading('retry', true)
+    this.emit('retry-payment', { paymentInfo: this.props.paymentInfo })
+    this._cleanup()
+    this._initPayment()
+  }
+
+  /**
+   * 放弃支付（需确认）
+   * @private
+   */
+  async _handleAbandonPayment() {
+    const confirm = this.options.confirm || ((message) => window.confirm(message))
+    try {
+      if (!(await confirm('确定要放弃支付吗?'))) {
+        return
+      }
+      this.emit('abandon-payment', { paymentInfo: this.props.paymentInfo })
+      this.updateStatus(PAYMENT_STATUS.ABANDONED)
+    } finally {
+      this.setLoading('close', false)
+    }
+  }
+
+  /**
+   * 聚焦到扫码输入框
+   */
+  focusScannerInput() {
+    if (!this.isDestroyed && this.refs.input && this.refs.input.style.display !== 'none') {
+      this.refs.input.focus()
+    }
+  }
+
+  /**
+   * 添加点击监听器（点击页面任意位置后重新聚焦扫码输入框）
+   * @private
+   */
+  _addClickListener() {
+    if (!this.clickListenerAdded) {
+      document.addEventListener('click', this.focusScannerInput)
+      this.clickListenerAdded = true
+    }
+  }
+
+  /**
+   * 移除点击监听器
+   * @private
+   */
+  _removeClickListener() {
+    if (this.clickListenerAdded) {
+      document.removeEventListener('click', this.focusScannerInput)
+      this.clickListenerAdded = false
+    }
+  }
+
+  /**
+   * 开始倒计时
+   * @private
+   */
+  _startTimer() {
+    if (this.timeLeft <= 0 || this.isDestroyed) {
+      return
+    }
+    this._stopTimer()
+    this.timer = setInterval(() => {
+      if (this.timeLeft > 0) {
+        this.timeLeft--
+      } else {
+        this._stopTimer()
+        this._stopPolling()
+      }
+      this._render()
+    }, TIMER_INTERVAL)
+  }
+
+  /**
+   * 停止倒计时
+   * @private
+   */
+  _stopTimer() {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+  }
+
+  /**
+   * 开始轮询支付状态
+   * @private
+   */
+  _startPolling() {
+    if (this.isDestroyed || !this.poller) {
+      return
+    }
+    this.poller.start()
+  }
+
+  /**
+   * 停止轮询
+   * @private
+   */
+  _stopPolling() {
+    if (this.poller) {
+      this.poller.stop()
+    }
+  }
+
+  /**
+   * 清理定时器、监听器和临时状态
+   * @private
+   */
+  _cleanup() {
+    this._stopTimer()
+    this._stopPolling()
+    clearTimeout(this.initTimeout)
+    clearTimeout(this.queryTimeout)
+    clearTimeout(this.closeTimeout)
+    this.initTimeout = null
+    this.queryTimeout = null
+    this.closeTimeout = null
+    this._removeClickListener()
+    this.actionLoadingMap = {}
+    this.qrCodeUrl = ''
+    this.isQuerying = false
+  }
+}
+
+export default DomDialogRenderer
@@ -0,0 +1,40 @@
+/**
+ * Vue 2 支付弹窗渲染器
+ * @description 通过 Vue.extend + $mount 创建弹窗，组件事件经 $on 转发到渲染器事件总线
+ */
+
+import VueDialogRenderer from './VueDialogRenderer.js'
+
+class Vue2DialogRenderer extends VueDialogRenderer {
+  open(props, container) {
+    const DialogComponent = this.Vue.extend(this.component)
+    this.instance = new DialogComponent({ propsData: props })
+    this.events.forEach((event) => {
+      this.instance.$on(event, (payload) => this.emit(event, payload))
+    })
+    this.instance.$mount()
+    container.appendChild(this.instance.$el)
+    this.opened = true
+    return this
+  }
+
+  nextTick() {
+    return this.instance ? this.instance.$nextTick() : Promise.resolve()
+  }
+
+  close() {
+    const instance = this.instance
+    this.opened = false
+    this.instance = null
+    this.bus.removeAllListeners()
+    if (!instance) {
+      return
+    }
+    if (instance.$el && instance.$el.parentNode) {
+      instance.$el.parentNode.removeChild(instance.$el)
+    }
+    instance.$destroy()
+  }
+}
+
+export default Vue2DialogRenderer
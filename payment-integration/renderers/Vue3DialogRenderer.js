@@ -0,0 +1,86 @@
+/**
+ * Vue 3 支付弹窗渲染器
+ * @description 通过 createApp + h 创建独立的弹窗应用；Vue 3 组件实例没有 $on/$off，
+ * 组件事件经 onXxx 监听属性转发到渲染器事件总线
+ */
+
+import VueDialogRenderer from './VueDialogRenderer.js'
+
+/**
+ * 事件名转监听属性名（与 Vue 3 的 toHandlerKey 一致）
+ * @example 'final-status' -> 'onFinalStatus'，'update:visible' -> 'onUpdate:visible'
+ * @param {string} event - 事件名称
+ * @returns {string} 监听属性名
+ */
+const toHandlerKey = (event) => {
+  const camelized = event.replace(/-(\w)/g, (_, char) => char.toUpperCase())
+  return `on${camelized.charAt(0).toUpperCase()}${camelized.slice(1)}`
+}
+
+class Vue3DialogRenderer extends VueDialogRenderer {
+  /**
+   * 构造函数
+   * @param {Object} Vue - Vue 模块（需提供 createApp、h、nextTick）
+   * @param {Object} component - 弹窗组件
+   * @param {Object} [options] - 配置选项
+   * @param {Function} [options.setupApp] - 弹窗应用挂载前的回调，用于安装 Element Plus 等插件
+   * @param {Array<string>} [options.events] - 需要转发的组件事件
+   */
+  constructor(Vue, component, options = {}) {
+    super(Vue, component, options)
+    this.setupApp = options.setupApp || null
+    this.app = null
+    this.el = null
+  }
+
+  open(props, container) {
+    const { createApp, h } = this.Vue
+    const listeners = {}
+    this.events.forEach((event) => {
+      listeners[toHandlerKey(event)] = (payload) => this.emit(event, payload)
+    })
+
+    this.el = document.createElement('div')
+    container.appendChild(this.el)
+
+    this.app = createApp({
+      render: () =>
+        h(this.component, {
+          ...props,
+          ...listeners,
+          ref: (instance) => {
+            this.instance = instance
+          },
+        }),
+    })
+    if (this.setupApp) {
+      this.setupApp(this.app)
+    }
+    this.app.mount(this.el)
+    this.opened = true
+    return this
+  }
+
+  nextTick() {
+    return this.Vue.nextTick()
+  }
+
+  close() {
+    this.opened = false
+    this.bus.removeAllListeners()
+    if (!this.app) {
+      return
+    }
+    this.app.unmount()
+    if (this.el && this.el.parentNode) {
+      this.el.parentNode.removeChild(this.el)
+    }
+    this.app = null
+    this.el = null
+    this.instance = null
+  }
+}
+
+export { toHandlerKey }
+
+export default Vue3DialogRenderer
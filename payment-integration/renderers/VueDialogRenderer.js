@@ -0,0 +1,67 @@
+/**
+ * Vue 支付弹窗渲染器
+ * @description 渲染内置的 Vue 弹窗组件，渲染器接口转为组件方法调用，组件事件转发到渲染器事件总线；
+ * 挂载方式由 Vue 2 / Vue 3 子类实现
+ */
+
+import DialogRenderer from './DialogRenderer.js'
+import { DIALOG_EVENTS } from '../components/payment-dialog-view.js'
+
+/**
+ * 判断是否为 Vue 3
+ * @param {Object} Vue - Vue 构造函数（Vue 2）或 Vue 模块（Vue 3）
+ * @returns {boolean}
+ */
+export function isVue3(Vue) {
+  return typeof Vue?.createApp === 'function' || /^3\./.test(Vue?.version || '')
+}
+
+class VueDialogRenderer extends DialogRenderer {
+  /**
+   * 构造函数
+   * @param {Object} Vue - Vue 构造函数（Vue 2）或 Vue 模块（Vue 3）
+   * @param {Object} component - 弹窗组件
+   * @param {Object} [options] - 配置选项
+   * @param {Array<string>} [options.events] - 需要转发的组件事件，默认为弹窗组件的全部事件
+   */
+  constructor(Vue, component, options = {}) {
+    super()
+    this.Vue = Vue
+    this.component = component
+    this.events = options.events || DIALOG_EVENTS
+    // 弹窗组件实例（打开后可用）
+    this.instance = null
+  }
+
+  /**
+   * 调用弹窗组件方法（组件未挂载或方法不存在时忽略）
+   * @param {string} method - 方法名
+   * @param {...any} args - 参数
+   * @returns {any} 方法返回值
+   */
+  invoke(method, ...args) {
+    if (this.instance && typeof this.instance[method] === 'function') {
+      return this.instance[method](...args)
+    }
+    return undefined
+  }
+
+  updateStatus(status) {
+    this.invoke('updateStatus', status)
+  }
+
+  setQRCode(url) {
+    this.invoke('updateQRCodeUrl', url)
+  }
+
+  setLoading(key, loading) {
+    this.invoke('setActionLoading', key, loading)
+  }
+
+  stopTimers() {
+    this.invoke('stopPolling')
+    this.invoke('stopTimer')
+  }
+}
+
+export default VueDialogRenderer
@@ -0,0 +1,27 @@
+/**
+ * 支付弹窗渲染器
+ * @description DialogManager 通过渲染器接口操作支付弹窗，内置 Vue（2 / 3）与原生 DOM 两种实现
+ */
+
+import { isVue3 } from './VueDialogRenderer.js'
+import Vue2DialogRenderer from './Vue2DialogRenderer.js'
+import Vue3DialogRenderer from './Vue3DialogRenderer.js'
+
+/**
+ * 创建 Vue 弹窗渲染器（按 Vue 版本选择实现）
+ * @param {Object} Vue - Vue 构造函数（Vue 2）或 Vue 模块（Vue 3）
+ * @param {Object} component - 弹窗组件（需与 Vue 版本匹配）
+ * @param {Object} [options] - 渲染器选项（Vue 3 支持 setupApp）
+ * @returns {VueDialogRenderer} 弹窗渲染器（未打开）
+ */
+export function createVueDialogRenderer(Vue, component, options = {}) {
+  return isVue3(Vue)
+    ? new Vue3DialogRenderer(Vue, component, options)
+    : new Vue2DialogRenderer(Vue, component, options)
+}
+
+export { isVue3 }
+export { default as DialogRenderer } from './DialogRenderer.js'
+export { default as VueDialogRenderer } from './VueDialogRenderer.js'
+export { default as DomDialogRenderer } from './DomDialogRenderer.js'
+export { Vue2DialogRenderer, Vue3DialogRenderer }
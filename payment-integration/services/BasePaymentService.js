@@ -7,6 +7,13 @@ import PaymentError from '../utils/PaymentError.js'
 import { defaultLogger } from '../utils/Logger.js'
 import { ERROR_CODES } from '../constants/errorCodes.js'
 import EventEmitter from '../utils/EventEmitter.js'
+import IdempotencyManager from '../managers/IdempotencyManager.js'
+import { createRefundNo } from '../managers/RefundLedger.js'
+import CompensationManager from '../managers/CompensationManager.js'
+import { JOURNAL_STEPS, REFUND_STATUS, SCAN_MODES } from '../constants/paymentTypes.js'
+import { CACHE_STRATEGY_SWITCHES } from '../constants/switchCodes.js'
+import { createHttpClient } from '../transports/index.js'
+import PaymentSession from './PaymentSession.js'
 
 class BasePaymentService extends EventEmitter {
   /**
@@ -23,6 +30,246 @@ class BasePaymentService extends EventEmitter {
     }
     this.logger = defaultLogger.child('PaymentService')
     this.requestId = 0
+    // 交易日志（由 PaymentManager 注入）
+    this.journal = this.config.journal || null
+    this.idempotency = IdempotencyManager.getInstance()
+    // 退款台账（由 PaymentManager 注入）
+    this.refundLedger = this.config.refundLedger || null
+    // 退款结果跟踪器（由 PaymentManager 注入）
+    this.refundTracker = this.config.refundTracker || null
+    // 冲正补偿管理器（由 PaymentManager 注入）
+    this.compensations = this.config.compensations || null
+    // HTTP 客户端（由 PaymentFactory 注入，直接实例化服务时使用默认客户端）
+    this.httpClient = createHttpClient(this.config.httpClient)
+  }
+
+  /**
+   * 获取支付服务能力
+   * @description 默认按子类是否实现对应方法推断（扫码模式不限），子类可覆盖以准确声明
+   * @returns {Object} 能力描述（字段见 PAYMENT_CAPABILITIES）
+   */
+  getCapabilities() {
+    const implemented = (method) =>
+      typeof this[method] === 'function' && this[method] !== BasePaymentService.prototype[method]
+    return {
+      scanModes: Object.values(SCAN_MODES),
+      asyncResult: implemented('createPayment'),
+      query: implemented('queryPaymentStatus'),
+      cancel: implemented('cancelPayment'),
+      close: implemented('closePayment'),
+      refund: implemented('refund'),
+      partialRefund: implemented('refund'),
+      refundQuery: implemented('refundResult'),
+      // 默认冲正为全额退款
+      reversal: implemented('reversePayment') || implemented('refund'),
+    }
+  }
+
+  /**
+   * 创建支付会话
+   * @description 未传入会话（直接调用服务而非经 PaymentManager）时，服务自行创建会话保存订单状态
+   * @param {Object} paymentData - 支付数据（chargeInfoId 等）
+   * @returns {PaymentSession} 支付会话
+   */
+  createSession(paymentData) {
+    return new PaymentSession(paymentData || {}, { paymentType: this.config.paymentType })
+  }
+
+  /**
+   * 记录实付金额到退款台账
+   * @description 台账写入失败只记录告警，不影响支付流程
+   * @param {string} chargeInfoId - 结算ID
+   * @param {Object} data - 支付数据（paidAmount、payOrderNo）
+   * @returns {Promise<void>}
+   */
+  async recordPaidAmount(chargeInfoId, data = {}) {
+    if (!this.refundLedger || !chargeInfoId) {
+      return
+    }
+    try {
+      await this.refundLedger.recordPayment(chargeInfoId, {
+        paymentType: this.config.paymentType,
+        ...data,
+      })
+    } catch (error) {
+      this.logger.warn('Failed to record paid amount', { chargeInfoId, error })
+    }
+  }
+
+  /**
+   * 占用退款额度
+   * @description 超过可退余额时抛出 REFUND_EXCEEDS_BALANCE；未注入台账时仅生成退款单号
+   * @param {Object} params - 退款参数（chargeInfoId、refundAmount、refundNo、payOrderNo）
+   * @returns {Promise<Object>} 退款记录（refundNo、refundAmount、status）
+   */
+  async reserveRefund(params) {
+    if (!this.refundLedger) {
+      return {
+        refundNo: params.refundNo || createRefundNo(params.chargeInfoId),
+        refundAmount: params.refundAmount,
+      }
+    }
+    return this.refundLedger.reserve(params.chargeInfoId, params.refundAmount, {
+      refundNo: params.refundNo,
+      payOrderNo: params.payOrderNo,
+      paymentType: this.config.paymentType,
+    })
+  }
+
+  /**
+   * 结算退款额度
+   * @param {string} chargeInfoId - 结算ID
+   * @param {string} refundNo - 退款单号
+   * @param {string} status - 退款状态（REFUND_STATUS.SUCCESS / REFUND_STATUS.FAILED）
+   * @returns {Promise<void>}
+   */
+  async settleRefund(chargeInfoId, refundNo, status) {
+    if (!this.refundLedger || !refundNo) {
+      return
+    }
+    try {
+      await this.refundLedger.settle(chargeInfoId, refundNo, status)
+    } catch (error) {
+      this.logger.warn('Failed to settle refund in ledger', { chargeInfoId, refundNo, error })
+    }
+  }
+
+  /**
+   * 从支付状态查询响应中解析支付状态
+   * @param {Object} result - queryPaymentStatus 返回值
+   * @returns {string|null} 支付状态（PAYMENT_STATUS）
+   */
+  parsePaymentStatus(result) {
+    return result?.paymentStatus ?? null
+  }
+
+  /**
+   * 完成支付记录
+   * @description 支付成功后标记交易日志完结，并记录实付金额到退款台账
+   * @param {Object} paymentInfo - 支付信息（chargeInfoId、orderAmount、payOrderNo）
+   * @returns {Promise<void>}
+   */
+  async completePayment(paymentInfo) {
+    await this.recordJournal(paymentInfo.chargeInfoId, JOURNAL_STEPS.COMPLETED)
+    await this.recordPaidAmount(paymentInfo.chargeInfoId, {
+      paidAmount: paymentInfo.orderAmount,
+      payOrderNo: paymentInfo.payOrderNo,
+    })
+  }
+
+  /**
+   * 从退款结果查询响应中解析退款状态
+   * @param {Object} result - refundResult 返回值
+   * @returns {string|null} 退款状态（REFUND_STATUS）
+   */
+  parseRefundStatus(result) {
+    return result?.refundStatus ?? null
+  }
+
+  /**
+   * 跟踪退款直到得到最终结果
+   * @description 未注入跟踪器或缺少退款单号时返回 null
+   * @param {Object} params - 退款参数（chargeInfoId、refundNo、refundAmount 等，透传给 refundResult）
+   * @returns {Promise<Object|null>} 退款结果（refundStatus、result）
+   */
+  async trackRefund(params) {
+    if (!this.refundTracker || !params?.refundNo) {
+      return null
+    }
+    return this.refundTracker.track(params, async () => {
+      const result = await this.refundResult(params)
+      return { refundStatus: this.parseRefundStatus(result), result }
+    })
+  }
+
+  /**
+   * 确认结果未知的退款
+   * @description 退款请求已发出但结果未知（如请求超时）时不释放占用的额度，按退款单号跟踪退款结果，
+   * refundResult 到达终态时结算台账；未注入跟踪器时抛出原错误，额度保持在途，可用退款单号调用 refundResult 确认
+   * @param {Object} params - 退款参数（chargeInfoId、refundNo、refundAmount 等，透传给 refundResult）
+   * @param {Error} error - 退款请求的错误
+   * @returns {Promise<Object>} 退款结果 { refundNo, refundStatus, refundResult }
+   * @throws {PaymentError} 退款失败（REFUND_FAILED）或跟踪超过截止时间（TIMEOUT_ERROR）
+   */
+  async confirmUnknownRefund(params, error) {
+    this.logger.warn('Refund outcome unknown, tracking by refund number', {
+      chargeInfoId: params.chargeInfoId,
+      refundNo: params.refundNo,
+      error: error?.message,
+    })
+    const outcome = await this.trackRefund(params)
+    if (!outcome) {
+      throw error
+    }
+    if (outcome.refundStatus === REFUND_STATUS.FAILED) {
+      throw PaymentError.fromCode(ERROR_CODES.REFUND_FAILED, {
+        chargeInfoId: params.chargeInfoId,
+        refundNo: params.refundNo,
+        result: outcome.result,
+      })
+    }
+    return {
+      refundNo: params.refundNo,
+      refundStatus: outcome.refundStatus,
+      refundResult: outcome.result,
+    }
+  }
+
+  /**
+   * 执行冲正补偿
+   * @description 未注入补偿管理器时使用内存补偿管理器，页面刷新后无法重新执行
+   * @param {Object} saga - 补偿定义（chargeInfoId、reason、data、steps），见 CompensationManager.execute
+   * @returns {Promise<Object>} 补偿记录（status 为 SUCCEEDED 或 FAILED）
+   */
+  runCompensation(saga) {
+    if (!this.compensations) {
+      this.compensations = new CompensationManager({ storage: CACHE_STRATEGY_SWITCHES.MEMORY })
+    }
+    return this.compensations.execute({ paymentType: this.config.paymentType, ...saga })
+  }
+
+  /**
+   * 以幂等方式执行写操作
+   * @description 参数已携带幂等键（如 PaymentManager 已生成）时直接执行；
+   * 否则按 chargeInfoId 生成幂等键，并合并重复的进行中调用
+   * @param {string} operation - 操作类型（IDEMPOTENT_OPERATIONS）
+   * @param {Object} params - 操作参数
+   * @param {Function} task - 操作函数，参数为携带 idempotencyKey 的操作参数
+   * @param {string|number} [fingerprint] - 操作指纹（如退款金额）
+   * @returns {Promise<any>} 操作结果
+   */
+  withIdempotencyKey(operation, params, task, fingerprint) {
+    if (params?.idempotencyKey) {
+      return task(params)
+    }
+    return this.idempotency.execute(
+      params?.chargeInfoId,
+      operation,
+      (idempotencyKey) => task({ ...params, idempotencyKey }),
+      { fingerprint }
+    )
+  }
+
+  /**
+   * 记录交易日志
+   * @description 日志写入失败只记录告警，不影响支付流程
+   * @param {string} chargeInfoId - 结算ID
+   * @param {string} step - 日志步骤（JOURNAL_STEPS）
+   * @param {Object} [data] - 步骤数据
+   * @returns {Promise<void>}
+   */
+  async recordJournal(chargeInfoId, step, data = {}) {
+    if (!this.journal || !chargeInfoId) {
+      return
+    }
+    try {
+      await this.journal.record(chargeInfoId, step, {
+        paymentType: this.config.paymentType,
+        ...data,
+      })
+    } catch (error) {
+      this.logger.warn('Failed to record transaction journal', { chargeInfoId, step, error })
+    }
   }
 
   /**
@@ -86,6 +333,30 @@ class BasePaymentService extends EventEmitter {
     throw new PaymentError('Method not implemented: closePayment', ERROR_CODES.SYSTEM_ERROR)
   }
 
+  /**
+   * 冲正订单（用于恢复未完结交易）
+   * @description 默认按原订单金额全额退款，支持关闭订单的服务可覆盖
+   * @param {Object} params - 交易参数（来自交易日志）
+   * @param {number} params.orderAmount - 原订单金额
+   * @returns {Promise<Object>} 冲正结果
+   */
+  async reversePayment(params) {
+    return this.refund({
+      ...params,
+      refundAmount: params.orderAmount,
+    })
+  }
+
+  /**
+   * 重新执行补偿（支持补偿的子类实现）
+   * @param {Object} record - 补偿记录（来自 CompensationManager）
+   * @returns {Promise<Object>} 补偿记录
+   * @abstract
+   */
+  async resumeCompensation(record) {
+    throw new PaymentError('Method not implemented: resumeCompensation', ERROR_CODES.SYSTEM_ERROR)
+  }
+
   /**
    * 销毁服务实例
    */
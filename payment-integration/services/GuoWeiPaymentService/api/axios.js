@@ -1,3 +0,0 @@
-const request = window.__haicApp__.__TOOLKITS__.imaAxios
-
-export default request
@@ -2,34 +2,52 @@
  * 国卫支付业务接口编写文件
  */
 
-import request from './axios'
-import { PAYMENT, VERSION } from '../../../config/apiTypes'
-
-// 国卫支付-创建支付订单
-export const createPayOrderApi = (params) => {
-  return request.post(`/${PAYMENT}/${VERSION}/settlement/payment/createPayOrder`, params, {
-    timeout: 60 * 1000,
-  })
-}
-
-// 国卫支付-支付订单状态查询接口
-export const queryPayOrderResultApi = (params) => {
-  return request.post(`/${PAYMENT}/${VERSION}/settlement/payment/queryPayOrderResult`, params, {
-    cancelExceptionMsgTip: true, // 不弹出错误框
-  })
-}
-
-// 国卫支付-订单关闭
-export const closePayOrderApi = (params) => {
-  return request.post(`/${PAYMENT}/${VERSION}/settlement/payment/closePayOrder`, params)
-}
-
-// 国卫支付订单退款对接接口
-export const refundPayOrderApi = (params) => {
-  return request.post(`/${PAYMENT}/${VERSION}/settlement/payment/refundPayOrder`, params)
-}
-
-// 国卫支付订单退款结果查询接口
-export const queryRefundOrderResultApi = (params) => {
-  return request.post(`/${PAYMENT}/${VERSION}/settlement/payment/queryRefundOrderResult`, params)
-}
+import { IDEMPOTENCY_HEADER } from '../../../config/apiTypes'
+import EndpointRegistry from '../../../utils/EndpointRegistry'
+import { PAYMENT_TYPE_SWITCHES } from '../../../constants/switchCodes'
+
+// 接口地址（由端点注册表按支付环境与覆盖配置解析）
+const endpoint = (name) => EndpointRegistry.resolve(PAYMENT_TYPE_SWITCHES.GUOWEI_PAYMENT, name)
+
+// 写操作携带幂等键请求头（重试时复用同一个键）
+const idempotencyHeaders = (params) =>
+  params?.idempotencyKey ? { [IDEMPOTENCY_HEADER]: params.idempotencyKey } : {}
+
+/**
+ * 创建国卫支付接口
+ * @param {HttpClient} request - HTTP 客户端（由 PaymentFactory 注入服务）
+ * @returns {Object} 接口方法
+ */
+export const createPaymentApi = (request) => ({
+  // 国卫支付-创建支付订单
+  createPayOrderApi: (params) => {
+    return request.post(endpoint('createPayOrder'), params, {
+      timeout: 60 * 1000,
+      headers: idempotencyHeaders(params),
+    })
+  },
+
+  // 国卫支付-支付订单状态查询接口
+  queryPayOrderResultApi: (params) => {
+    return request.post(endpoint('queryPayOrderResult'), params, {
+      cancelExceptionMsgTip: true, // 不弹出错误框
+    })
+  },
+
+  // 国卫支付-订单关闭
+  closePayOrderApi: (params) => {
+    return request.post(endpoint('closePayOrder'), params)
+  },
+
+  // 国卫支付订单退款对接接口
+  refundPayOrderApi: (params) => {
+    return request.post(endpoint('refundPayOrder'), params, {
+      headers: idempotencyHeaders(params),
+    })
+  },
+
+  // 国卫支付订单退款结果查询接口
+  queryRefundOrderResultApi: (params) => {
+    return request.post(endpoint('queryRefundOrderResult'), params)
+  },
+})
@@ -5,17 +5,21 @@
 
 import BasePaymentService from '../BasePaymentService.js'
 import PaymentError from '../../utils/PaymentError.js'
+import { ERROR_CODES } from '../../constants/errorCodes.js'
 import DialogManager from '../../managers/DialogManager.js'
-import { SCAN_MODES, PAYMENT_STATUS } from '../../constants/paymentTypes.js'
-import { PAYMENT_WAY_SWITCHES, PAYMENT_TYPE_SWITCHES } from '../../constants/switchCodes.js'
 import {
-  createPayOrderApi,
-  queryPayOrderResultApi,
-  closePayOrderApi,
-  refundPayOrderApi,
-  queryRefundOrderResultApi,
-} from './api/payment.js'
+  SCAN_MODES,
+  PAYMENT_STATUS,
+  JOURNAL_STEPS,
+  REFUND_STATUS,
+} from '../../constants/paymentTypes.js'
+import { PAYMENT_WAY_SWITCHES, PAYMENT_TYPE_SWITCHES } from '../../constants/switchCodes.js'
+import { createPaymentApi } from './api/payment.js'
 import { getPreferenceItem } from '../../utils/GlobalAccessor.js'
+import PaymentStateMachine from '../../utils/PaymentStateMachine.js'
+import HeadlessPaymentDriver from '../HeadlessPaymentDriver.js'
+import PaymentFactory from '../../factories/PaymentFactory.js'
+import { IDEMPOTENT_OPERATIONS } from '../../managers/IdempotencyManager.js'
 class GuoweiPaymentService extends BasePaymentService {
   // ===== 静态常量定义 =====
   /**
@@ -28,49 +32,58 @@ class GuoweiPaymentService extends BasePaymentService {
       ...config,
     }
     super(finalConfig)
+    // 国卫支付接口（使用注入的 HTTP 客户端）
+    this.api = createPaymentApi(this.httpClient)
     this.dialogManager = DialogManager.getInstance()
-    this.revertHandler = null
-    this.payOrderNo = ''
-    // 保存当前弹窗实例和事件处理器引用，用于清理
-    this.currentDialogInstance = null
-    this.eventHandlers = {}
+    // 服务实例由多笔结算共享，支付订单号、冲正方法、弹窗实例等订单状态保存在 PaymentSession 中
   }
 
   // ===== 实时配置获取方法 =====
 
   /**
    * 处理支付
-   * @param {Object} _paymentData - 支付数据
+   * @param {Object} paymentData - 支付数据
+   * @param {boolean} [isInsuranceCharge] - 是否医保结算
+   * @param {string} [nodeId] - 弹窗挂载节点
+   * @param {PaymentSession} [session] - 支付会话（PaymentManager 按结算ID创建），不传则自行创建并在支付结束时关闭
    * @returns {Promise<Object>} 处理结果
-   * @abstract
    */
-  async processPayment(paymentData, isInsuranceCharge, nodeId) {
+  async processPayment(paymentData, isInsuranceCharge, nodeId, session) {
     this.logger.info('Processing Guowei payment', {
       chargeInfoId: paymentData?.chargeInfoId,
       orderAmount: paymentData?.orderAmount,
     })
+    const paymentSession = session || this.createSession(paymentData)
     try {
       // 验证支付数据
       if (!this.validate(paymentData)) {
         throw PaymentError.createParamError('支付数据验证失败', 'paymentData', paymentData)
       }
-      this.config.payScanMode = getPreferenceItem('PAY_SCAN_MODE', SCAN_MODES.PASSIVE)
       let dialogResult = null
-      paymentData.payScanMode = this.config.payScanMode
+      // 调用方指定的扫码模式优先（PaymentManager 已校验），未指定时取工作站偏好设置
+      paymentData.payScanMode =
+        paymentData.payScanMode || getPreferenceItem('PAY_SCAN_MODE', SCAN_MODES.PASSIVE)
       paymentData.payType = this.config.paymentType
 
       // 显示支付弹窗（主扫和被扫模式都使用同一个方法）
-      dialogResult = await this.showPaymentDialog(paymentData, isInsuranceCharge, nodeId)
+      dialogResult = await this.showPaymentDialog(
+        paymentData,
+        isInsuranceCharge,
+        nodeId,
+        paymentSession
+      )
 
       // 等待用户支付完成返回结果
       this.logger.info('Payment process completed', {
         status: dialogResult?.status,
         chargeInfoId: paymentData?.chargeInfoId,
       })
+      // 支付成功的交易日志、退款台账由支付驱动在查询到成功时记录
       return {
         ...dialogResult,
         finalStatus: dialogResult.status,
-        revertHandler: this.revertHandler,
+        payOrderNo: paymentSession.payOrderNo,
+        revertHandler: paymentSession.revertHandler,
       }
     } catch (error) {
       this.logger.error('Payment process failed', {
@@ -78,52 +91,75 @@ class GuoweiPaymentService extends BasePaymentService {
         chargeInfoId: paymentData?.chargeInfoId,
       })
       // 确保错误时也清理资源
-      if (this.currentDialogInstance) {
-        try {
-          this._unbindDialogEvents(this.currentDialogInstance)
-          this.currentDialogInstance = null
-        } catch (cleanupError) {
-          this.logger.warn('Failed to cleanup on payment error', cleanupError)
-        }
-      }
+      this._releaseDialog(paymentSession)
       throw error
+    } finally {
+      if (!session) {
+        paymentSession.close()
+      }
     }
   }
 
   /**
    * 创建支付订单
    * @param {Object} params - 支付参数
-   * @returns {Promise<Object>} 支付结果
-   * @abstract
+   * @param {string} [params.idempotencyKey] - 幂等键，不传则自动生成（同一结算的重复调用合并）
+   * @returns {Promise<Object>} 支付结果（payOrderNo、payUrl、revertHandler，由调用方保存到支付会话）
    */
   async createPayment(paymentInfo) {
+    if (!paymentInfo?.idempotencyKey) {
+      return this.withIdempotencyKey(IDEMPOTENT_OPERATIONS.CREATE_PAYMENT, paymentInfo, (params) =>
+        this.createPayment(params)
+      )
+    }
     this.logger.info('Creating Guowei payment order', paymentInfo)
     try {
-      paymentInfo.payScanMode = this.config.payScanMode
-      const response = await createPayOrderApi(paymentInfo)
+      paymentInfo.payScanMode = paymentInfo.payScanMode || this.config.payScanMode
+      await this.recordJournal(paymentInfo.chargeInfoId, JOURNAL_STEPS.ORDER_CREATING, {
+        businessType: paymentInfo.businessType,
+        orderAmount: paymentInfo.orderAmount,
+        payScanMode: paymentInfo.payScanMode,
+        payType: paymentInfo.payType,
+        idempotencyKey: paymentInfo.idempotencyKey,
+      })
+      const response = await this.api.createPayOrderApi(paymentInfo)
       const responseData = response?.data || {}
       const data = response?.data || null
       if (data?.code && data.code !== '200') {
         throw new Error(data?.message || data?.msg || '创建支付订单失败')
       }
       // 使用可选链和空值合并，避免访问 null 的属性
-      this.payOrderNo = data?.data?.payOrderNo ?? ''
-      if (!this.payOrderNo) {
+      const payOrderNo = data?.data?.payOrderNo ?? ''
+      if (!payOrderNo) {
         throw new Error('支付订单号获取失败')
       }
-      this.revertHandler = async () => {
+      await this.recordJournal(paymentInfo.chargeInfoId, JOURNAL_STEPS.ORDER_CREATED, {
+        payOrderNo,
+      })
+      const revertHandler = async () => {
         try {
-          const refundParams = this.getPayApiParams(paymentInfo)
-          await this.refund({
+          const refundParams = this.getPayApiParams({ ...paymentInfo, payOrderNo })
+          await this.recordJournal(paymentInfo.chargeInfoId, JOURNAL_STEPS.REVERSING, {
+            ...refundParams,
+            orderAmount: paymentInfo.orderAmount,
+          })
+          const refundResult = await this._refundUntilSettled({
             ...refundParams,
             refundAmount: paymentInfo.orderAmount,
           })
+          if (refundResult.refundStatus === REFUND_STATUS.FAILED) {
+            throw new Error('冲正退款失败')
+          }
+          await this.recordJournal(paymentInfo.chargeInfoId, JOURNAL_STEPS.REVERSED)
         } catch (cancelError) {
           this.logger.error('Failed to rollback Guowei payment order', cancelError)
         }
       }
       return {
         message: responseData?.msg || responseData?.message,
+        payOrderNo,
+        payUrl: data?.data?.payUrl || '',
+        revertHandler,
         rawResponse: data?.data || {},
       }
     } catch (error) {
@@ -148,6 +184,25 @@ class GuoweiPaymentService extends BasePaymentService {
 
     return hasRequired
   }
+  /**
+   * 获取支付服务能力
+   * @description 国卫支持主扫、被扫，支付与退款结果异步返回（需轮询）
+   * @returns {Object} 能力描述（字段见 PAYMENT_CAPABILITIES）
+   */
+  getCapabilities() {
+    return {
+      scanModes: [SCAN_MODES.ACTIVE, SCAN_MODES.PASSIVE],
+      asyncResult: true,
+      query: true,
+      cancel: true,
+      close: true,
+      refund: true,
+      partialRefund: true,
+      refundQuery: true,
+      reversal: true,
+    }
+  }
+
   /**
    * 查询支付订单 合支付结果
    * @param {Object} params - 查询参数
@@ -159,7 +214,7 @@ class GuoweiPaymentService extends BasePaymentService {
     try {
       const queryParams = this.getPayApiParams(paymentInfo)
       // 调用查询接口
-      const result = await queryPayOrderResultApi(queryParams)
+      const result = await this.api.queryPayOrderResultApi(queryParams)
       const data = result?.data || null
       if (data?.code && data.code !== '200') {
         throw new Error(data?.message || data?.msg || '查询支付订单失败')
@@ -178,9 +233,20 @@ class GuoweiPaymentService extends BasePaymentService {
    * @param {number} params.refundAmount - 退款金额
    * @param {string} [params.payScanMode] - 扫码模式
    * @param {string} [params.payType] - 支付类型
-   * @returns {Promise<Object>} 退款结果
+   * @param {string} [params.idempotencyKey] - 幂等键，不传则自动生成（同一结算同一金额的重复调用合并）
+   * @param {string} [params.refundNo] - 退款单号，不传则自动生成
+   * @returns {Promise<Object>} 退款申请结果（含 refundNo，refundStatus 为退款中）
+   * @throws {PaymentError} 退款金额超过可退余额（REFUND_EXCEEDS_BALANCE）
    */
   async refund(params) {
+    if (!params?.idempotencyKey) {
+      return this.withIdempotencyKey(
+        IDEMPOTENT_OPERATIONS.REFUND,
+        params,
+        (refundParams) => this.refund(refundParams),
+        params?.refundAmount
+      )
+    }
     this.logger.info('Processing Guowei refund', params)
 
     try {
@@ -199,12 +265,28 @@ class GuoweiPaymentService extends BasePaymentService {
       params.payType = this.config.paymentType
       params.payScanMode = params.payScanMode || this.config.payScanMode
 
+      // 占用退款额度并生成退款单号
+      const refundRecord = await this.reserveRefund(params)
+      params.refundNo = refundRecord.refundNo
+
       // 调用退款接口
-      const result = await refundPayOrderApi(params)
-      await this.refundResult(params)
+      let result = null
+      try {
+        result = await this.api.refundPayOrderApi(params)
+      } catch (submitError) {
+        // 请求超时、网络错误时网关可能已受理退款，保留额度并按退款单号确认结果
+        return this.confirmUnknownRefund(params, submitError)
+      }
+      const data = result?.data || null
+      if (data?.code && data.code !== '200') {
+        // 网关拒绝退款申请，释放占用的额度
+        await this.settleRefund(params.chargeInfoId, params.refundNo, REFUND_STATUS.FAILED)
+        throw new Error(data?.message || data?.msg || '退款申请失败')
+      }
 
-      this.logger.info('Refund completed', result)
-      return result
+      // 国卫为异步退款，退款结果由 trackRefund 轮询
+      this.logger.info('Refund submitted', result)
+      return { ...result, refundNo: params.refundNo, refundStatus: REFUND_STATUS.PROCESSING }
     } catch (error) {
       this.logger.error('Refund failed', error)
       throw error
@@ -218,6 +300,7 @@ class GuoweiPaymentService extends BasePaymentService {
    * @param {number} params.refundAmount - 退款金额
    * @param {string} [params.payScanMode] - 扫码模式
    * @param {string} [params.payType] - 支付类型
+   * @param {string} [params.refundNo] - 退款单号（查询单笔退款，传入时可不传退款金额）
    * @returns {Promise<Object>} 退款结果
    */
   async refundResult(params) {
@@ -229,7 +312,7 @@ class GuoweiPaymentService extends BasePaymentService {
         throw PaymentError.createParamError('结算ID不能为空', 'chargeInfoId')
       }
 
-      if (!params.refundAmount || params.refundAmount <= 0) {
+      if (!params.refundNo && (!params.refundAmount || params.refundAmount <= 0)) {
         throw PaymentError.createParamError(
           '退款金额必须大于0',
           'refundAmount',
@@ -238,7 +321,13 @@ class GuoweiPaymentService extends BasePaymentService {
       }
       params.payType = this.config.paymentType
       // 调用退款结果查询接口
-      const result = await queryRefundOrderResultApi(params)
+      const result = await this.api.queryRefundOrderResultApi(params)
+
+      // 退款到达终态时结算台账
+      const refundStatus = this.parseRefundStatus(result)
+      if (refundStatus === REFUND_STATUS.SUCCESS || refundStatus === REFUND_STATUS.FAILED) {
+        await this.settleRefund(params.chargeInfoId, params.refundNo, refundStatus)
+      }
 
       this.logger.info('Refund completed', result)
       return result
@@ -269,13 +358,21 @@ class GuoweiPaymentService extends BasePaymentService {
       } else if (data.paymentStatus === PAYMENT_STATUS.SUCCESS) {
         // 已付款调用付款退款接口
         queryParams.refundAmount = params.orderAmount
-        result = await this.refund(queryParams)
+        result = await this._refundUntilSettled(queryParams)
+        if (result.refundStatus === REFUND_STATUS.FAILED) {
+          throw PaymentError.fromCode(ERROR_CODES.REFUND_FAILED, {
+            chargeInfoId: params.chargeInfoId,
+            refundNo: result.refundNo,
+          })
+        }
+        await this.recordJournal(params.chargeInfoId, JOURNAL_STEPS.REVERSED)
       } else if (
         data.paymentStatus === PAYMENT_STATUS.PENDING ||
         data.paymentStatus === PAYMENT_STATUS.PROCESSING
       ) {
         // 调用关闭接口（国卫使用关闭接口实现取消）
-        result = await closePayOrderApi(queryParams)
+        result = await this.api.closePayOrderApi(queryParams)
+        await this.recordJournal(params.chargeInfoId, JOURNAL_STEPS.CLOSED)
       }
       this.logger.info('Payment cancelled', result)
       return result
@@ -299,7 +396,8 @@ class GuoweiPaymentService extends BasePaymentService {
       const queryParams = this.getPayApiParams(params)
 
       // 调用关闭接口
-      const result = await closePayOrderApi(queryParams)
+      const result = await this.api.closePayOrderApi(queryParams)
+      await this.recordJournal(params.chargeInfoId, JOURNAL_STEPS.CLOSED)
 
       this.logger.info('Payment closed', result)
       return result
@@ -309,13 +407,54 @@ class GuoweiPaymentService extends BasePaymentService {
     }
   }
 
+  /**
+   * 冲正订单（用于恢复未完结交易）
+   * @description 国卫按订单实际状态处理：已支付则退款，未支付则关闭
+   * @param {Object} params - 交易参数（来自交易日志）
+   * @returns {Promise<Object>} 冲正结果
+   */
+  async reversePayment(params) {
+    return this.cancelPayment(params)
+  }
+
+  /**
+   * 解析国卫支付状态查询响应中的支付状态
+   * @param {Object} result - 支付状态查询响应
+   * @returns {string|null} 支付状态（PAYMENT_STATUS）
+   */
+  parsePaymentStatus(result) {
+    return result?.data?.paymentStatus ?? null
+  }
+
+  /**
+   * 解析国卫退款结果查询响应中的退款状态
+   * @param {Object} result - 退款结果查询响应
+   * @returns {string|null} 退款状态（REFUND_STATUS）
+   */
+  parseRefundStatus(result) {
+    return result?.data?.data?.refundStatus ?? null
+  }
+
+  /**
+   * 退款并等待退款结果
+   * @private
+   * @param {Object} params - 退款参数
+   * @returns {Promise<Object>} 退款结果（未注入跟踪器时 refundStatus 为退款中）
+   */
+  async _refundUntilSettled(params) {
+    const result = await this.refund(params)
+    const outcome = await this.trackRefund({ ...params, refundNo: result.refundNo })
+    return { ...result, refundStatus: outcome?.refundStatus ?? result.refundStatus }
+  }
+
   /**
    * 获取弹窗配置
+   * @param {string} [payScanMode] - 扫码模式（SCAN_MODES），默认取配置
    * @returns {Object} 弹窗配置
    */
-  getDialogConfig() {
+  getDialogConfig(payScanMode = this.config.payScanMode) {
     let width = '500px'
-    if (this.config.payScanMode === SCAN_MODES.ACTIVE) {
+    if (payScanMode === SCAN_MODES.ACTIVE) {
       width = '580px'
     }
     return {
@@ -330,20 +469,33 @@ class GuoweiPaymentService extends BasePaymentService {
   /**
    * 显示支付弹窗（使用 DialogManager）
    * @param {Object} paymentInfo - 支付信息
+   * @param {boolean} [isInsuranceCharge] - 是否医保结算
+   * @param {string} [nodeId] - 弹窗挂载节点
+   * @param {PaymentSession} session - 支付会话，保存弹窗实例、事件处理器、状态机和支付驱动
    * @returns {Promise<Object>} 弹窗处理结果
    */
-  async showPaymentDialog(paymentInfo, isInsuranceCharge, nodeId) {
+  async showPaymentDialog(paymentInfo, isInsuranceCharge, nodeId, session) {
     this.logger.info('Showing payment dialog via DialogManager', paymentInfo)
+    // 支付状态统一由状态机驱动，弹窗订阅状态变化；支付流程由无界面驱动执行，弹窗只负责展示和交互
+    const stateMachine = this._createStateMachine(paymentInfo, session)
+    const driver = new HeadlessPaymentDriver(this, paymentInfo, {
+      stateMachine,
+      session,
+      pollingInterval: this.config.pollingInterval,
+    })
+    session.update({ driver })
     try {
       // 使用 DialogManager 打开弹窗，返回控制器对象
       const dialogController = await this.dialogManager.openPaymentDialog(
         {
           strategy: this, // 传递策略实例
           paymentInfo,
-          config: this.getDialogConfig(),
+          config: this.getDialogConfig(paymentInfo.payScanMode),
           autoPolling: paymentInfo.payScanMode === SCAN_MODES.ACTIVE ? true : false,
           pollingInterval: this.config.pollingInterval || 3000,
           isInsuranceCharge,
+          stateMachine,
+          poller: driver.poller,
         },
         nodeId
       )
@@ -351,188 +503,203 @@ class GuoweiPaymentService extends BasePaymentService {
       // 获取弹窗实例
       const dialogInstance = dialogController.instance
       // 保存弹窗实例引用，用于后续清理
-      this.currentDialogInstance = dialogInstance
+      session.update({ dialogInstance })
 
       // 延迟绑定事件，确保弹窗先显示，避免阻塞渲染
-      // 使用 Vue 实例的 $nextTick 确保 DOM 更新完成后再绑定事件
-      if (dialogInstance && typeof dialogInstance.$nextTick === 'function') {
-        await dialogInstance.$nextTick()
+      // 等待 DOM 更新完成后再绑定事件（由弹窗渲染器实现）
+      if (dialogInstance && typeof dialogInstance.nextTick === 'function') {
+        await dialogInstance.nextTick()
       } else {
-        // 如果 $nextTick 不可用，使用 setTimeout 延迟执行
+        // 如果 nextTick 不可用，使用 setTimeout 延迟执行
         await new Promise((resolve) => setTimeout(resolve, 0))
       }
-      this._bindDialogEvents(dialogInstance, paymentInfo)
+      this._bindDialogEvents(dialogInstance, driver, session)
 
       // 等待弹窗完成并返回结果
       const result = await dialogController.waitForResult()
       this.logger.info('Dialog completed', result)
 
       // 弹窗关闭后清理事件监听器
-      this._unbindDialogEvents(dialogInstance)
-      this.currentDialogInstance = null
+      this._releaseDialog(session)
+      driver.destroy()
+      this._destroyStateMachine(session)
 
       return result
     } catch (error) {
       this.logger.error('Dialog error', error)
       // 发生错误时也要清理事件监听器
-      if (this.currentDialogInstance) {
-        try {
-          this._unbindDialogEvents(this.currentDialogInstance)
-        } catch (cleanupError) {
-          this.logger.error('Failed to cleanup dialog events on error', cleanupError)
-        }
-        this.currentDialogInstance = null
-      }
+      this._releaseDialog(session)
+      driver.destroy()
+      this._destroyStateMachine(session)
       throw error
     }
   }
 
   /**
-   * 绑定弹窗事件处理器
+   * 释放会话中的弹窗（解绑事件处理器并清除引用）
+   * @private
+   * @param {PaymentSession} session - 支付会话
+   */
+  _releaseDialog(session) {
+    if (!session?.dialogInstance) {
+      return
+    }
+    try {
+      this._unbindDialogEvents(session.dialogInstance, session.dialogHandlers)
+    } catch (cleanupError) {
+      this.logger.warn('Failed to cleanup dialog events', cleanupError)
+    }
+    session.update({ dialogInstance: null, dialogHandlers: {} })
+  }
+
+  /**
+   * 创建支付状态机
    * @private
-   * @param {VueComponent} dialogInstance - 弹窗实例
    * @param {Object} paymentInfo - 支付信息
+   * @param {PaymentSession} session - 支付会话
+   * @returns {PaymentStateMachine} 状态机实例
    */
-  _bindDialogEvents(dialogInstance, paymentInfo) {
-    if (!dialogInstance || typeof dialogInstance.$on !== 'function') {
+  _createStateMachine(paymentInfo, session) {
+    const stateMachine = new PaymentStateMachine(null, {
+      context: { chargeInfoId: paymentInfo?.chargeInfoId, payType: this.config.paymentType },
+    })
+    // 向服务层订阅者转发状态变化
+    stateMachine.on('state:changed', (event) => this.emit('state:changed', event))
+    session.update({ stateMachine })
+    return stateMachine
+  }
+
+  /**
+   * 销毁会话中的支付状态机
+   * @private
+   * @param {PaymentSession} session - 支付会话
+   */
+  _destroyStateMachine(session) {
+    if (session.stateMachine) {
+      session.stateMachine.destroy()
+      session.update({ stateMachine: null })
+    }
+  }
+
+  /**
+   * 绑定弹窗事件处理器
+   * @description 弹窗作为支付驱动的一个使用方：弹窗事件转为驱动调用，状态经状态机回流到弹窗
+   * @private
+   * @param {DialogRenderer} dialogInstance - 弹窗实例（渲染器）
+   * @param {HeadlessPaymentDriver} driver - 支付驱动
+   * @param {PaymentSession} session - 支付会话（保存已绑定的事件处理器）
+   */
+  _bindDialogEvents(dialogInstance, driver, session) {
+    if (!dialogInstance || typeof dialogInstance.on !== 'function') {
       this.logger.error('Invalid dialog instance for binding events')
       return
     }
 
+    const setActionLoading = (key, loading) => {
+      dialogInstance.setLoading(key, loading)
+    }
+    const updateQRCode = (payUrl) => {
+      if (payUrl) {
+        dialogInstance.setQRCode(payUrl)
+      }
+    }
+    const handlers = {}
+    session.update({ dialogHandlers: handlers })
+
     try {
-      // 初始化事件处理器
+      // 初始化事件处理器：主扫模式创建订单并展示二维码
       const initDialogHandler = async () => {
-        this.logger.debug('Dialog init', { chargeInfoId: paymentInfo?.chargeInfoId })
+        this.logger.debug('Dialog init', { chargeInfoId: driver.paymentInfo.chargeInfoId })
         try {
-          if (paymentInfo.payScanMode === SCAN_MODES.ACTIVE) {
-            const { rawResponse } = await this.createPayment(paymentInfo)
-            if (rawResponse?.payUrl && dialogInstance.updateQRCodeUrl) {
-              dialogInstance.updateQRCodeUrl(rawResponse.payUrl)
-            }
+          if (driver.isActiveMode()) {
+            const { payUrl } = await driver.createOrder()
+            updateQRCode(payUrl)
           }
         } catch (error) {
           this.logger.error('Dialog init failed', error)
-          if (dialogInstance.updateStatus) {
-            dialogInstance.updateStatus(PAYMENT_STATUS.FAILED)
-          }
         }
       }
-      dialogInstance.$on('init-dialog', initDialogHandler)
-      this.eventHandlers['init-dialog'] = initDialogHandler
+      dialogInstance.on('init-dialog', initDialogHandler)
+      handlers['init-dialog'] = initDialogHandler
 
       // 查询状态事件处理器
       const queryStatusHandler = async () => {
         try {
-          const result = await this.queryPaymentStatus(paymentInfo)
-          const data = result?.data || {}
-          if (dialogInstance.updateStatus) {
-            dialogInstance.updateStatus(data.paymentStatus)
-          }
-          if (dialogInstance.setActionLoading) {
-            dialogInstance.setActionLoading('query', false)
-          }
+          // 与定时轮询重叠时合并为一次查询
+          await driver.poller.poll()
         } catch (error) {
-          if (dialogInstance.setActionLoading) {
-            dialogInstance.setActionLoading('query', false)
-          }
           this.logger.error('Query status error', error)
+        } finally {
+          setActionLoading('query', false)
         }
       }
-      dialogInstance.$on('query-status', queryStatusHandler)
-      this.eventHandlers['query-status'] = queryStatusHandler
+      dialogInstance.on('query-status', queryStatusHandler)
+      handlers['query-status'] = queryStatusHandler
 
       // 取消支付事件处理器
       const cancelPaymentHandler = async () => {
         try {
-          await this.cancelPayment(paymentInfo)
-          if (dialogInstance.updateStatus) {
-            dialogInstance.updateStatus(PAYMENT_STATUS.WAITING)
-          }
-          if (dialogInstance.setActionLoading) {
-            dialogInstance.setActionLoading('cancel', false)
-          }
+          await driver.cancel()
         } catch (error) {
           this.logger.error('Cancel payment error', error)
-          if (dialogInstance.updateStatus) {
-            dialogInstance.updateStatus(PAYMENT_STATUS.WAITING)
-          }
-          if (dialogInstance.setActionLoading) {
-            dialogInstance.setActionLoading('cancel', false)
-          }
+        } finally {
+          setActionLoading('cancel', false)
         }
       }
-      dialogInstance.$on('cancel-payment', cancelPaymentHandler)
-      this.eventHandlers['cancel-payment'] = cancelPaymentHandler
+      dialogInstance.on('cancel-payment', cancelPaymentHandler)
+      handlers['cancel-payment'] = cancelPaymentHandler
 
-      // 重试支付事件处理器
+      // 重试支付事件处理器（弹窗随后重新初始化）
       const retryPaymentHandler = async () => {
         try {
-          await this.cancelPayment(paymentInfo)
-          if (dialogInstance.setActionLoading) {
-            dialogInstance.setActionLoading('retry', false)
-          }
+          await driver.cancelOrder()
         } catch (error) {
           this.logger.error('Retry payment error', error)
-          if (dialogInstance.setActionLoading) {
-            dialogInstance.setActionLoading('retry', false)
-          }
+        } finally {
+          setActionLoading('retry', false)
         }
       }
-      dialogInstance.$on('retry-payment', retryPaymentHandler)
-      this.eventHandlers['retry-payment'] = retryPaymentHandler
+      dialogInstance.on('retry-payment', retryPaymentHandler)
+      handlers['retry-payment'] = retryPaymentHandler
 
-      // 放弃支付事件处理器
+      // 放弃支付事件处理器（弹窗自行迁移到已放弃）
       const abandonPaymentHandler = async () => {
         try {
-          await this.cancelPayment(paymentInfo)
+          await driver.cancelOrder()
         } catch (error) {
           this.logger.error('Abandon payment error', error)
         }
       }
-      dialogInstance.$on('abandon-payment', abandonPaymentHandler)
-      this.eventHandlers['abandon-payment'] = abandonPaymentHandler
+      dialogInstance.on('abandon-payment', abandonPaymentHandler)
+      handlers['abandon-payment'] = abandonPaymentHandler
 
       // 刷新支付码事件处理器
-      const refreshQrcodeHandler = async ({ paymentInfo: refreshPaymentInfo }) => {
+      const refreshQrcodeHandler = async () => {
         try {
-          await this.cancelPayment(refreshPaymentInfo || paymentInfo)
-          const { rawResponse } = await this.createPayment(refreshPaymentInfo || paymentInfo)
-          if (rawResponse?.payUrl && dialogInstance.updateQRCodeUrl) {
-            dialogInstance.updateQRCodeUrl(rawResponse.payUrl)
-          }
-          if (dialogInstance.setActionLoading) {
-            dialogInstance.setActionLoading('refresh', false)
-          }
+          updateQRCode(await driver.refreshQRCode())
         } catch (error) {
-          if (dialogInstance.setActionLoading) {
-            dialogInstance.setActionLoading('refresh', false)
-          }
           this.logger.error('Refresh qrcode error', error)
-          if (dialogInstance.updateStatus) {
-            dialogInstance.updateStatus(PAYMENT_STATUS.FAILED)
-          }
+        } finally {
+          setActionLoading('refresh', false)
         }
       }
-      dialogInstance.$on('refresh-qrcode', refreshQrcodeHandler)
-      this.eventHandlers['refresh-qrcode'] = refreshQrcodeHandler
+      dialogInstance.on('refresh-qrcode', refreshQrcodeHandler)
+      handlers['refresh-qrcode'] = refreshQrcodeHandler
 
-      // 创建支付订单事件处理器
+      // 创建支付订单事件处理器：被扫模式提交付款码
       const createPaymentHandler = async ({ paymentInfo: createPaymentInfo }) => {
         try {
-          await this.createPayment(createPaymentInfo || paymentInfo)
+          await driver.submitAuthCode(createPaymentInfo?.payQRCode)
         } catch (error) {
           this.logger.error('Create payment error', error)
-          if (dialogInstance.updateStatus) {
-            dialogInstance.updateStatus(PAYMENT_STATUS.FAILED)
-          }
         }
       }
-      dialogInstance.$on('create-payment', createPaymentHandler)
-      this.eventHandlers['create-payment'] = createPaymentHandler
+      dialogInstance.on('create-payment', createPaymentHandler)
+      handlers['create-payment'] = createPaymentHandler
     } catch (error) {
       this.logger.error('Failed to bind dialog events', error)
       // 如果绑定失败，清理已绑定的事件
-      this._unbindDialogEvents(dialogInstance)
+      this._unbindDialogEvents(dialogInstance, handlers)
       throw error
     }
   }
@@ -540,20 +707,21 @@ class GuoweiPaymentService extends BasePaymentService {
   /**
    * 解绑弹窗事件处理器
    * @private
-   * @param {VueComponent} dialogInstance - 弹窗实例
+   * @param {DialogRenderer} dialogInstance - 弹窗实例（渲染器）
+   * @param {Object} [handlers] - 已绑定的事件处理器（key: 事件名），不传时只做兜底清理
    */
-  _unbindDialogEvents(dialogInstance) {
+  _unbindDialogEvents(dialogInstance, handlers = {}) {
     if (!dialogInstance) {
       return
     }
 
     try {
       // 移除所有绑定的事件监听器
-      Object.keys(this.eventHandlers).forEach((eventName) => {
-        const handler = this.eventHandlers[eventName]
-        if (handler && typeof dialogInstance.$off === 'function') {
+      Object.keys(handlers).forEach((eventName) => {
+        const handler = handlers[eventName]
+        if (handler && typeof dialogInstance.off === 'function') {
           try {
-            dialogInstance.$off(eventName, handler)
+            dialogInstance.off(eventName, handler)
             this.logger.debug(`Unbound event listener: ${eventName}`)
           } catch (error) {
             this.logger.warn(`Failed to unbind event listener: ${eventName}`, error)
@@ -562,7 +730,7 @@ class GuoweiPaymentService extends BasePaymentService {
       })
 
       // 如果组件实例还存在，移除所有事件监听器（兜底清理）
-      if (dialogInstance && typeof dialogInstance.$off === 'function') {
+      if (dialogInstance && typeof dialogInstance.off === 'function') {
         try {
           // 移除所有可能的事件监听器
           const eventNames = [
@@ -577,15 +745,12 @@ class GuoweiPaymentService extends BasePaymentService {
             'close',
           ]
           eventNames.forEach((eventName) => {
-            dialogInstance.$off(eventName)
+            dialogInstance.off(eventName)
           })
         } catch (error) {
           this.logger.warn('Failed to remove all event listeners', error)
         }
       }
-
-      // 清空事件处理器引用
-      this.eventHandlers = {}
     } catch (error) {
       this.logger.error('Error in _unbindDialogEvents', error)
     }
@@ -596,7 +761,7 @@ class GuoweiPaymentService extends BasePaymentService {
     const { chargeInfoId, payScanMode, payType } = params
     const queryParams = {
       chargeInfoId,
-      payOrderNo: this.payOrderNo || '',
+      payOrderNo: params.payOrderNo || '',
       payScanMode: payScanMode || this.config.payScanMode,
       payType: payType || this.config.paymentType,
     }
@@ -676,4 +841,10 @@ class GuoweiPaymentService extends BasePaymentService {
   }
 }
 
+// 注册到支付服务工厂
+PaymentFactory.register(PAYMENT_TYPE_SWITCHES.GUOWEI_PAYMENT, GuoweiPaymentService, {
+  name: '国卫统一支付',
+  description: '国卫统一支付服务',
+})
+
 export default GuoweiPaymentService
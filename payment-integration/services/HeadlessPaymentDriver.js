@@ -0,0 +1,349 @@
+/**
+ * 无界面支付驱动
+ * @description 以编程接口驱动扫码支付流程（创建订单、获取二维码内容、提交付款码、查询/轮询状态、取消），
+ * 不依赖 Vue 弹窗，适用于自助机、批量后台等场景；支付弹窗也通过它驱动支付流程。
+ * 创建订单、查询状态的结果通过支付服务的 request:succeeded / request:failed 事件上报，供 PaymentManager 统计支付平台健康状态
+ */
+
+import EventEmitter from '../utils/EventEmitter.js'
+import { defaultLogger } from '../utils/Logger.js'
+import PaymentStateMachine from '../utils/PaymentStateMachine.js'
+import PaymentSession from './PaymentSession.js'
+import StatusPoller, { SETTLED_STATUSES } from './StatusPoller.js'
+import { SCAN_MODES, PAYMENT_STATUS } from '../constants/paymentTypes.js'
+
+class HeadlessPaymentDriver extends EventEmitter {
+  /**
+   * 构造函数
+   * @param {BasePaymentService} service - 支付服务（需实现 createPayment、queryPaymentStatus、cancelPayment）
+   * @param {Object} paymentInfo - 支付信息（chargeInfoId、orderAmount、businessType 等）
+   * @param {Object} [options] - 配置选项
+   * @param {PaymentStateMachine} [options.stateMachine] - 支付状态机，不传则自行创建
+   * @param {PaymentSession} [options.session] - 支付会话（保存支付订单号、冲正方法），不传则自行创建并在销毁时关闭
+   * @param {number} [options.pollingInterval] - 首次轮询间隔（毫秒），默认取服务配置
+   * @param {Object} [options.polling] - 轮询配置（maxInterval、backoff、deadline、pauseWhenHidden），见 StatusPoller
+   */
+  constructor(service, paymentInfo, options = {}) {
+    super()
+    this.service = service
+    this.paymentInfo = {
+      ...paymentInfo,
+      payScanMode: paymentInfo.payScanMode || service.config.payScanMode || SCAN_MODES.PASSIVE,
+      payType: paymentInfo.payType || service.config.paymentType,
+    }
+    this.pollingInterval = options.pollingInterval || service.config.pollingInterval
+    this.ownsStateMachine = !options.stateMachine
+    this.stateMachine =
+      options.stateMachine ||
+      new PaymentStateMachine(null, {
+        context: { chargeInfoId: paymentInfo.chargeInfoId, payType: this.paymentInfo.payType },
+      })
+    this.logger = defaultLogger.child('HeadlessPaymentDriver')
+    this.ownsSession = !options.session
+    this.session =
+      options.session ||
+      new PaymentSession(paymentInfo, { paymentType: service.config.paymentType })
+    if (this.ownsSession) {
+      this.session.update({ stateMachine: this.stateMachine, driver: this })
+    }
+    // 完成支付记录的进行中请求（推送与查询同时报告成功时共用）
+    this.completion = null
+    // 状态轮询（支付弹窗通过 poller 属性共用）
+    this.poller = new StatusPoller(() => this.queryStatus(), {
+      ...options.polling,
+      interval: this.pollingInterval,
+      stateMachine: this.stateMachine,
+    })
+    this.unsubscribeState = this.stateMachine.on('state:changed', (event) =>
+      this.emit('state:changed', event)
+    )
+    // 推送通道连接期间暂停定时查询，断开后恢复轮询
+    if (this.session.pushConnected) {
+      this.poller.suspend()
+    }
+    this.unsubscribePush = this.session.on('session:push', ({ connected }) =>
+      connected ? this.poller.suspend() : this.poller.resume()
+    )
+  }
+
+  /**
+   * 支付订单号（保存在支付会话中）
+   * @returns {string}
+   */
+  get payOrderNo() {
+    return this.session.payOrderNo
+  }
+
+  /**
+   * 主扫支付链接（保存在支付会话中）
+   * @returns {string}
+   */
+  get payUrl() {
+    return this.session.payUrl
+  }
+
+  /**
+   * 是否为主扫模式（患者扫描二维码）
+   * @returns {boolean}
+   */
+  isActiveMode() {
+    return this.paymentInfo.payScanMode === SCAN_MODES.ACTIVE
+  }
+
+  /**
+   * 获取当前支付状态
+   * @returns {string|null}
+   */
+  getStatus() {
+    return this.stateMachine.getStatus()
+  }
+
+  /**
+   * 开始支付
+   * @description 主扫模式创建订单并返回二维码内容；被扫模式等待 submitAuthCode
+   * @returns {Promise<Object>} { status, payUrl }
+   */
+  async start() {
+    this.completion = null
+    this.stateMachine.transition(
+      this.isActiveMode() ? PAYMENT_STATUS.ACTIVE_INIT : PAYMENT_STATUS.PASSIVE_INIT
+    )
+    if (this.isActiveMode()) {
+      await this.createOrder()
+    }
+    return { status: this.getStatus(), payUrl: this.payUrl }
+  }
+
+  /**
+   * 创建支付订单
+   * @param {Object} [extra] - 附加参数（如被扫付款码 payQRCode）
+   * @returns {Promise<Object>} { payUrl, payOrderNo, result }
+   */
+  async createOrder(extra = {}) {
+    try {
+      const result = await this.service.createPayment({ ...this.paymentInfo, ...extra })
+      this._reportRequest('createPayment')
+      this.session.update({
+        payUrl: result?.payUrl || '',
+        payOrderNo: result?.payOrderNo || '',
+        revertHandler: result?.revertHandler,
+      })
+      this.emit('order:created', {
+        chargeInfoId: this.paymentInfo.chargeInfoId,
+        payOrderNo: this.payOrderNo,
+        payUrl: this.payUrl,
+      })
+      return { payUrl: this.payUrl, payOrderNo: this.payOrderNo, result }
+    } catch (error) {
+      this.logger.error('Create order failed', error)
+      this._reportRequest('createPayment', error)
+      this.stateMachine.transition(PAYMENT_STATUS.FAILED, { error: error?.message })
+      throw error
+    }
+  }
+
+  /**
+   * 获取主扫二维码内容
+   * @returns {string} 支付链接（生成二维码用）
+   */
+  getQRCodePayload() {
+    return this.payUrl
+  }
+
+  /**
+   * 提交被扫付款码
+   * @param {string} authCode - 扫码枪读取的患者付款码
+   * @returns {Promise<Object>} { payUrl, payOrderNo, result }
+   */
+  async submitAuthCode(authCode) {
+    this.stateMachine.transition(PAYMENT_STATUS.PROCESSING)
+    return this.createOrder({ payQRCode: authCode })
+  }
+
+  /**
+   * 查询支付状态并驱动状态机
+   * @returns {Promise<string|null>} 支付状态
+   */
+  async queryStatus() {
+    let result
+    try {
+      result = await this.service.queryPaymentStatus({
+        ...this.paymentInfo,
+        payOrderNo: this.payOrderNo,
+      })
+    } catch (error) {
+      this._reportRequest('queryPaymentStatus', error)
+      throw error
+    }
+    this._reportRequest('queryPaymentStatus')
+    return this.applyStatus(this.service.parsePaymentStatus(result))
+  }
+
+  /**
+   * 上报支付平台请求结果
+   * @private
+   * @param {string} operation - 操作名称（createPayment、queryPaymentStatus）
+   * @param {Error} [error] - 请求失败的错误，不传表示成功
+   */
+  _reportRequest(operation, error) {
+    const context = {
+      operation,
+      paymentType: this.service.config.paymentType,
+      chargeInfoId: this.paymentInfo.chargeInfoId,
+    }
+    if (error) {
+      this.service.emit('request:failed', { ...context, error })
+    } else {
+      this.service.emit('request:succeeded', context)
+    }
+  }
+
+  /**
+   * 应用查询或推送得到的支付状态
+   * @description 支付成功时先完成支付记录（交易日志、退款台账），再迁移到成功；
+   * 订单已取消、放弃或已成功时不能迁移到成功，迟到的推送或查询结果不再记账
+   * @param {string|null} status - 支付状态（PAYMENT_STATUS）
+   * @param {Object} [meta] - 迁移附加信息（如 { source: 'push' }）
+   * @returns {Promise<string|null>} 支付状态（成功被忽略时返回当前状态）
+   */
+  async applyStatus(status, meta = {}) {
+    if (status === PAYMENT_STATUS.SUCCESS) {
+      if (!this.stateMachine.can(PAYMENT_STATUS.SUCCESS)) {
+        if (this.getStatus() !== PAYMENT_STATUS.SUCCESS) {
+          this.logger.warn('Ignoring payment success for a settled order', {
+            chargeInfoId: this.paymentInfo.chargeInfoId,
+            payOrderNo: this.payOrderNo,
+            status: this.getStatus(),
+            ...meta,
+          })
+        }
+        return this.getStatus()
+      }
+      if (!this.completion) {
+        this.completion = this.service.completePayment({
+          ...this.paymentInfo,
+          payOrderNo: this.payOrderNo,
+        })
+      }
+      await this.completion
+    }
+    this.stateMachine.transition(status, meta)
+    return status
+  }
+
+  /**
+   * 开始轮询支付状态
+   * @description 间隔按退避系数逐步拉长，支付结束后自动停止；已在轮询时不重新计时
+   * @param {number|Object} [options] - 首次轮询间隔（毫秒）或轮询配置（interval、maxInterval、backoff、deadline）
+   */
+  startPolling(options = {}) {
+    this.poller.start(typeof options === 'number' ? { interval: options } : options)
+  }
+
+  /**
+   * 停止轮询
+   */
+  stopPolling() {
+    this.poller.stop()
+  }
+
+  /**
+   * 轮询直到支付结束
+   * @param {Object} [options] - 选项
+   * @param {number} [options.interval] - 首次轮询间隔（毫秒）
+   * @param {number} [options.timeout] - 超时时间（毫秒），超时后迁移到超时状态
+   * @returns {Promise<Object>} { status, payOrderNo }
+   */
+  waitForResult(options = {}) {
+    const { interval, timeout } = options
+    return new Promise((resolve) => {
+      let settled = false
+      const finish = () => {
+        if (settled) {
+          return
+        }
+        settled = true
+        unsubscribe()
+        unsubscribeTimeout()
+        this.stopPolling()
+        resolve({ status: this.getStatus(), payOrderNo: this.payOrderNo })
+      }
+      const unsubscribe = this.stateMachine.on('state:changed', ({ to }) => {
+        if (SETTLED_STATUSES.includes(to)) {
+          finish()
+        }
+      })
+      // 当前状态不能迁移到超时时，截止后直接结束等待
+      const unsubscribeTimeout = this.poller.on('poll:timeout', finish)
+      if (SETTLED_STATUSES.includes(this.getStatus())) {
+        finish()
+        return
+      }
+      this.stopPolling()
+      this.startPolling({ interval, deadline: timeout })
+    })
+  }
+
+  /**
+   * 撤销当前订单（已支付退款，未支付关闭），不改变状态
+   * @returns {Promise<Object|null>} 撤销结果
+   */
+  async cancelOrder() {
+    this.stopPolling()
+    this.completion = null
+    return this.service.cancelPayment({ ...this.paymentInfo, payOrderNo: this.payOrderNo })
+  }
+
+  /**
+   * 取消支付，回到等待操作（可重新支付或放弃）
+   * @returns {Promise<Object|null>} 撤销结果
+   */
+  async cancel() {
+    try {
+      return await this.cancelOrder()
+    } finally {
+      this.stateMachine.transition(PAYMENT_STATUS.WAITING)
+    }
+  }
+
+  /**
+   * 放弃支付
+   * @returns {Promise<void>}
+   */
+  async abandon() {
+    if (this.getStatus() !== PAYMENT_STATUS.WAITING) {
+      await this.cancel()
+    }
+    this.stateMachine.transition(PAYMENT_STATUS.ABANDONED)
+  }
+
+  /**
+   * 刷新二维码（撤销旧订单后重新创建）
+   * @returns {Promise<string>} 新的支付链接
+   */
+  async refreshQRCode() {
+    await this.cancelOrder()
+    const { payUrl } = await this.createOrder()
+    return payUrl
+  }
+
+  /**
+   * 销毁
+   */
+  destroy() {
+    this.poller.destroy()
+    this.unsubscribePush()
+    this.unsubscribeState()
+    if (this.ownsStateMachine) {
+      this.stateMachine.destroy()
+    }
+    if (this.ownsSession) {
+      this.session.close()
+    }
+    this.removeAllListeners()
+  }
+}
+
+export { SETTLED_STATUSES }
+
+export default HeadlessPaymentDriver
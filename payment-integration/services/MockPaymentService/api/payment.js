@@ -0,0 +1,41 @@
+/**
+ * 模拟支付业务接口编写文件
+ * @description 与国卫支付接口同名同格式，请求由内存中的模拟网关处理，不发起网络请求
+ */
+
+// 模拟网络延迟
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * 创建模拟支付接口
+ * @param {MockPaymentGateway} gateway - 模拟支付网关
+ * @param {Object} [options] - 选项
+ * @param {number} [options.latency=0] - 每次请求的模拟网络延迟（毫秒）
+ * @returns {Object} 接口方法（响应格式与 axios 一致）
+ */
+export const createPaymentApi = (gateway, options = {}) => {
+  const { latency = 0 } = options
+  const call = async (name, params) => {
+    if (latency > 0) {
+      await wait(latency)
+    }
+    return { data: gateway.handle(name, params), status: 200, headers: {} }
+  }
+
+  return {
+    // 模拟支付-创建支付订单
+    createPayOrderApi: (params) => call('createPayOrder', params),
+
+    // 模拟支付-支付订单状态查询接口
+    queryPayOrderResultApi: (params) => call('queryPayOrderResult', params),
+
+    // 模拟支付-订单关闭
+    closePayOrderApi: (params) => call('closePayOrder', params),
+
+    // 模拟支付-订单退款
+    refundPayOrderApi: (params) => call('refundPayOrder', params),
+
+    // 模拟支付-退款结果查询
+    queryRefundOrderResultApi: (params) => call('queryRefundOrderResult', params),
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * 模拟支付服务
+ * @description 支付环境为 PAYMENT_ENV.MOCK 时使用，沿用国卫支付的弹窗与扫码支付流程，
+ * 接口请求由内存中的模拟网关按脚本化结果（成功、延迟、失败、超时）响应，供 QA 与 CI 离线演练完整流程
+ */
+
+import GuoweiPaymentService from '../GuoWeiPaymentService/index.js'
+import MockPaymentGateway from '../../mock/MockPaymentGateway.js'
+import { createPaymentApi } from './api/payment.js'
+import { PAYMENT_WAY_SWITCHES, PAYMENT_TYPE_SWITCHES } from '../../constants/switchCodes.js'
+import PaymentFactory from '../../factories/PaymentFactory.js'
+
+class MockPaymentService extends GuoweiPaymentService {
+  /**
+   * 构造函数
+   * @param {Object} config - 服务配置
+   * @param {Object} [config.mock] - 模拟配置
+   * @param {string} [config.mock.outcome] - 默认支付结果（MOCK_OUTCOMES），默认成功
+   * @param {number} [config.mock.delay] - 到达支付结果的时间（毫秒）
+   * @param {string} [config.mock.refundOutcome] - 默认退款结果（MOCK_OUTCOMES），默认成功
+   * @param {number} [config.mock.refundDelay] - 到达退款结果的时间（毫秒）
+   * @param {number} [config.mock.latency] - 每次请求的模拟网络延迟（毫秒）
+   * @param {MockPaymentGateway} [config.mock.gateway] - 模拟网关，不传则自行创建
+   */
+  constructor(config = {}) {
+    super(config)
+    const { gateway, latency, ...scenario } = this.config.mock || {}
+    this.gateway = gateway || new MockPaymentGateway(scenario)
+    // 模拟支付接口（替换国卫支付接口）
+    this.api = createPaymentApi(this.gateway, { latency })
+  }
+
+  /**
+   * 追加脚本化结果（依次用于后续创建的订单）
+   * @param {...(Object|string)} scenarios - 场景或结果（MOCK_OUTCOMES）
+   * @returns {MockPaymentService} 服务本身
+   */
+  script(...scenarios) {
+    this.gateway.script(...scenarios)
+    return this
+  }
+
+  /**
+   * 判断是否开启聚合支付（业务层判断）
+   * @description 模拟支付不校验支付平台，只判断自付金额与线上支付
+   * @param {Object} paymentData - 支付数据
+   * @returns {Promise<boolean>} 是否开启聚合支付
+   */
+  async isAggregatedPaymentEnabled(paymentData) {
+    return Boolean(
+      paymentData &&
+        Number(paymentData.thirdSelfPayAmount) > 0 &&
+        paymentData.payType === PAYMENT_WAY_SWITCHES.ONLINE &&
+        paymentData.onlineType
+    )
+  }
+
+  /**
+   * 获取服务名称
+   * @returns {string} 服务名称
+   */
+  getServiceName() {
+    return 'MockPaymentService'
+  }
+}
+
+// 注册到支付工厂（模拟环境下由 PaymentManager 选用）
+PaymentFactory.register(PAYMENT_TYPE_SWITCHES.MOCK_PAYMENT, MockPaymentService, {
+  name: '模拟支付',
+  description: '模拟支付服务（PAYMENT_ENV.MOCK）',
+})
+
+export default MockPaymentService
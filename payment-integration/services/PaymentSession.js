@@ -0,0 +1,145 @@
+/**
+ * 支付会话
+ * @description 保存单笔结算的支付过程状态（支付订单号、冲正方法、弹窗实例与事件处理器、状态机、支付驱动），
+ * 每个 chargeInfoId 一个会话，支付服务本身不保存订单状态，多笔结算并发支付时互不覆盖
+ */
+
+import EventEmitter from '../utils/EventEmitter.js'
+
+class PaymentSession extends EventEmitter {
+  /**
+   * 构造函数
+   * @param {Object} paymentData - 支付数据
+   * @param {string} paymentData.chargeInfoId - 结算ID
+   * @param {Object} [options] - 会话选项
+   * @param {string} [options.paymentType] - 支付类型（PAYMENT_TYPE_SWITCHES）
+   */
+  constructor(paymentData = {}, options = {}) {
+    super()
+    this.chargeInfoId = paymentData.chargeInfoId
+    this.paymentType = options.paymentType || ''
+    this.paymentData = { ...paymentData }
+    // 支付订单号（创建订单后写入）
+    this.payOrderNo = ''
+    // 主扫支付链接
+    this.payUrl = ''
+    // 冲正方法（创建订单/发起收费后写入）
+    this.revertHandler = null
+    // 支付弹窗实例与已绑定的事件处理器（key: 事件名）
+    this.dialogInstance = null
+    this.dialogHandlers = {}
+    // 支付状态机与支付驱动
+    this.stateMachine = null
+    this.driver = null
+    // 最近一次支付状态（状态机销毁后保留）
+    this.lastStatus = null
+    this.unsubscribeState = null
+    // 支付结果推送通道是否已连接（连接期间暂停定时轮询）
+    this.pushConnected = false
+    this.closed = false
+    this.createdAt = new Date().toISOString()
+    this.updatedAt = this.createdAt
+  }
+
+  /**
+   * 获取会话ID（即结算ID）
+   * @returns {string}
+   */
+  get id() {
+    return this.chargeInfoId
+  }
+
+  /**
+   * 获取当前支付状态
+   * @description 状态机已销毁时返回最近一次的状态
+   * @returns {string|null} 支付状态（PAYMENT_STATUS）
+   */
+  getStatus() {
+    return this.stateMachine ? this.stateMachine.getStatus() : this.lastStatus
+  }
+
+  /**
+   * 更新会话状态
+   * @param {Object} fields - 要更新的字段（payOrderNo、payUrl、revertHandler 等）
+   * @returns {PaymentSession} 会话本身
+   */
+  update(fields = {}) {
+    if (fields.stateMachine !== undefined && fields.stateMachine !== this.stateMachine) {
+      this._watchStateMachine(fields.stateMachine)
+    }
+    Object.keys(fields).forEach((key) => {
+      if (fields[key] !== undefined) {
+        this[key] = fields[key]
+      }
+    })
+    this.updatedAt = new Date().toISOString()
+    return this
+  }
+
+  /**
+   * 监听状态机的状态变更，转为会话的 session:status 事件
+   * @private
+   * @param {PaymentStateMachine|null} stateMachine - 新的状态机
+   */
+  _watchStateMachine(stateMachine) {
+    if (this.unsubscribeState) {
+      this.unsubscribeState()
+      this.unsubscribeState = null
+    }
+    if (!stateMachine) {
+      return
+    }
+    this.lastStatus = stateMachine.getStatus()
+    this.unsubscribeState = stateMachine.on('state:changed', ({ from, to }) => {
+      this.lastStatus = to
+      this.updatedAt = new Date().toISOString()
+      this.emit('session:status', { ...this.toJSON(), from })
+    })
+  }
+
+  /**
+   * 更新推送通道连接状态
+   * @param {boolean} connected - 是否已连接
+   */
+  setPushConnected(connected) {
+    if (this.pushConnected === connected) {
+      return
+    }
+    this.update({ pushConnected: connected })
+    this.emit('session:push', { chargeInfoId: this.chargeInfoId, connected })
+  }
+
+  /**
+   * 关闭会话
+   * @description 支付流程结束后调用，通知跟踪方（PaymentManager）移除会话；重复调用无副作用。
+   * 弹窗、支付驱动、状态机由各自的使用方销毁，关闭会话不影响仍在进行的清理
+   */
+  close() {
+    if (this.closed) {
+      return
+    }
+    this.closed = true
+    this.updatedAt = new Date().toISOString()
+    this._watchStateMachine(null)
+    this.emit('session:closed', this.toJSON())
+    this.removeAllListeners()
+  }
+
+  /**
+   * 获取会话快照（不含弹窗、驱动等运行时对象）
+   * @returns {Object} 会话快照
+   */
+  toJSON() {
+    return {
+      chargeInfoId: this.chargeInfoId,
+      paymentType: this.paymentType,
+      payOrderNo: this.payOrderNo,
+      status: this.getStatus(),
+      closed: this.closed,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    }
+  }
+}
+
+export default PaymentSession
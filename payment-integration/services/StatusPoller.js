@@ -0,0 +1,331 @@
+/**
+ * 支付状态轮询器
+ * @description 支付弹窗与无界面支付驱动共用的状态轮询：轮询间隔按退避系数逐步拉长（默认 2–5 秒，
+ * 见详细设计文档「支付状态轮询间隔」），标签页隐藏时暂停、恢复可见时立即查询一次，支付结束后停止，
+ * 超过整体截止时间迁移到超时状态；手动查询与定时查询重叠时合并为一次请求。
+ * 推送通道连接期间可暂停定时查询（suspend），轮询作为推送断开时的兜底
+ */
+
+import EventEmitter from '../utils/EventEmitter.js'
+import { defaultLogger } from '../utils/Logger.js'
+import { PAYMENT_STATUS } from '../constants/paymentTypes.js'
+
+/**
+ * 停止轮询的状态（终态之外，需要调用方决定重新支付或放弃）
+ */
+const SETTLED_STATUSES = [
+  PAYMENT_STATUS.SUCCESS,
+  PAYMENT_STATUS.FAILED,
+  PAYMENT_STATUS.CLOSED,
+  PAYMENT_STATUS.CANCELLED,
+  PAYMENT_STATUS.TIMEOUT,
+  PAYMENT_STATUS.ABANDONED,
+]
+
+/**
+ * 默认配置
+ */
+const DEFAULT_OPTIONS = {
+  interval: 2000, // 首次轮询间隔（毫秒）
+  maxInterval: 5000, // 最大轮询间隔（毫秒）
+  backoff: 1.5, // 每次查询后间隔的增长系数，1 为固定间隔
+  deadline: 0, // 整体截止时间（毫秒，自 start 起算），到期迁移到超时状态，0 为不限
+  pauseWhenHidden: true, // 标签页隐藏时暂停
+}
+
+/**
+ * 合并配置（未传的字段保持不变）
+ * @param {Object} base - 原配置
+ * @param {Object} [overrides] - 覆盖的配置
+ * @returns {Object} 合并后的配置
+ */
+const mergeOptions = (base, overrides = {}) =>
+  Object.keys(DEFAULT_OPTIONS).reduce(
+    (result, key) => {
+      if (overrides[key] !== undefined && overrides[key] !== null) {
+        result[key] = overrides[key]
+      }
+      return result
+    },
+    { ...base }
+  )
+
+class StatusPoller extends EventEmitter {
+  /**
+   * 构造函数
+   * @param {Function} query - 查询函数，返回支付状态（PAYMENT_STATUS）或其 Promise
+   * @param {Object} [options] - 配置选项
+   * @param {number} [options.interval=2000] - 首次轮询间隔（毫秒）
+   * @param {number} [options.maxInterval=5000] - 最大轮询间隔（毫秒）
+   * @param {number} [options.backoff=1.5] - 间隔增长系数
+   * @param {number} [options.deadline=0] - 整体截止时间（毫秒），0 为不限
+   * @param {boolean} [options.pauseWhenHidden=true] - 标签页隐藏时是否暂停
+   * @param {PaymentStateMachine} [options.stateMachine] - 支付状态机，进入 SETTLED_STATUSES 时停止，截止时迁移到 TIMEOUT
+   */
+  constructor(query, options = {}) {
+    super()
+    const { stateMachine = null, ...pollingOptions } = options
+    this.query = query
+    this.options = mergeOptions(DEFAULT_OPTIONS, pollingOptions)
+    // 本次轮询生效的配置（start 时可覆盖）
+    this.runOptions = this.options
+    this.stateMachine = stateMachine
+    this.logger = defaultLogger.child('StatusPoller')
+    this.running = false
+    // 标签页隐藏暂停 / 推送通道连接期间暂停（跨 start、stop 保持）
+    this.paused = false
+    this.suspended = false
+    this.attempts = 0
+    this.startedAt = 0
+    this.currentInterval = this.options.interval
+    this.pollingTimer = null
+    this.deadlineTimer = null
+    // 进行中的查询（重叠的查询共用同一个 Promise）
+    this.inFlight = null
+    this.visibilityListener = null
+    this.unsubscribeState = stateMachine
+      ? stateMachine.on('state:changed', ({ to }) => {
+          if (SETTLED_STATUSES.includes(to)) {
+            this.stop()
+          }
+        })
+      : null
+  }
+
+  /**
+   * 更新配置（未传的字段保持不变）
+   * @param {Object} [options] - 配置选项（interval、maxInterval、backoff、deadline、pauseWhenHidden）
+   */
+  configure(options = {}) {
+    this.options = mergeOptions(this.options, options)
+  }
+
+  /**
+   * 开始轮询
+   * @description 已在轮询时不重新计时；首次查询在一个轮询间隔之后
+   * @param {Object} [options] - 本次轮询的配置（覆盖构造时的配置，仅本次生效）
+   */
+  start(options = {}) {
+    if (this.running) {
+      return
+    }
+    if (this.stateMachine && SETTLED_STATUSES.includes(this.stateMachine.getStatus())) {
+      return
+    }
+    this.runOptions = mergeOptions(this.options, options)
+    this.running = true
+    this.attempts = 0
+    this.startedAt = Date.now()
+    this.currentInterval = this.runOptions.interval
+    if (this.runOptions.deadline > 0) {
+      this.deadlineTimer = setTimeout(() => this._expire(), this.runOptions.deadline)
+    }
+    this._watchVisibility()
+    this.paused = this._isHidden()
+    this._schedule()
+  }
+
+  /**
+   * 停止轮询（进行中的查询不受影响）
+   */
+  stop() {
+    this.running = false
+    this.paused = false
+    clearTimeout(this.pollingTimer)
+    clearTimeout(this.deadlineTimer)
+    this.pollingTimer = null
+    this.deadlineTimer = null
+    this._unwatchVisibility()
+  }
+
+  /**
+   * 是否正在轮询
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.running
+  }
+
+  /**
+   * 立即查询一次
+   * @description 已有进行中的查询时返回同一个结果，不重复请求
+   * @returns {Promise<string|null>} 支付状态
+   */
+  poll() {
+    if (this.inFlight) {
+      return this.inFlight
+    }
+    let pending
+    try {
+      // 同步调用查询函数，弹窗查询（发出 query-status 事件）无需等待微任务
+      pending = Promise.resolve(this.query())
+    } catch (error) {
+      pending = Promise.reject(error)
+    }
+    this.inFlight = pending
+      .then(
+        (status) => {
+          this.emit('poll:result', {
+            status: status ?? null,
+            attempts: this.attempts,
+            elapsed: this.startedAt ? Date.now() - this.startedAt : 0,
+          })
+          if (SETTLED_STATUSES.includes(status)) {
+            this.stop()
+          }
+          return status ?? null
+        },
+        (error) => {
+          this.logger.warn('Status query failed', { error: error?.message })
+          this.emit('poll:error', { error, attempts: this.attempts })
+          throw error
+        }
+      )
+      .finally(() => {
+        this.inFlight = null
+      })
+    return this.inFlight
+  }
+
+  /**
+   * 安排下一次查询
+   * @private
+   */
+  _schedule() {
+    clearTimeout(this.pollingTimer)
+    this.pollingTimer = null
+    if (!this.running || this.paused || this.suspended) {
+      return
+    }
+    this.pollingTimer = setTimeout(() => this._tick(), this.currentInterval)
+  }
+
+  /**
+   * 立即查询一次后继续按间隔轮询
+   * @private
+   */
+  _catchUp() {
+    this.poll()
+      .catch(() => {})
+      .finally(() => this._schedule())
+  }
+
+  /**
+   * 暂停定时查询（如推送通道已连接），手动查询与截止时间不受影响
+   */
+  suspend() {
+    this.suspended = true
+    this._schedule()
+  }
+
+  /**
+   * 恢复定时查询，轮询中时立即查询一次补上暂停期间的状态变化
+   */
+  resume() {
+    if (!this.suspended) {
+      return
+    }
+    this.suspended = false
+    if (this.running && !this.paused) {
+      this._catchUp()
+    }
+  }
+
+  /**
+   * 定时查询：查询完成后按退避系数拉长间隔
+   * @private
+   */
+  _tick() {
+    this.pollingTimer = null
+    this.attempts++
+    const { backoff, interval, maxInterval } = this.runOptions
+    this.currentInterval = Math.min(this.currentInterval * backoff, Math.max(maxInterval, interval))
+    this.poll()
+      .catch(() => {})
+      .finally(() => this._schedule())
+  }
+
+  /**
+   * 截止时间到达：停止轮询并迁移到超时状态
+   * @private
+   */
+  _expire() {
+    this.deadlineTimer = null
+    if (!this.running) {
+      return
+    }
+    const { deadline } = this.runOptions
+    this.logger.warn('Status polling deadline reached', { attempts: this.attempts, deadline })
+    this.stop()
+    if (this.stateMachine) {
+      this.stateMachine.transition(PAYMENT_STATUS.TIMEOUT, { deadline })
+    }
+    this.emit('poll:timeout', { attempts: this.attempts, deadline })
+  }
+
+  /**
+   * 当前标签页是否隐藏
+   * @private
+   */
+  _isHidden() {
+    return (
+      this.runOptions.pauseWhenHidden &&
+      typeof document !== 'undefined' &&
+      document.visibilityState === 'hidden'
+    )
+  }
+
+  /**
+   * 监听标签页可见性：隐藏时暂停，恢复可见时立即查询一次后继续轮询
+   * @private
+   */
+  _watchVisibility() {
+    if (this.visibilityListener || typeof document === 'undefined') {
+      return
+    }
+    this.visibilityListener = () => {
+      if (!this.running) {
+        return
+      }
+      if (this._isHidden()) {
+        this.paused = true
+        this._schedule()
+        return
+      }
+      if (this.paused) {
+        this.paused = false
+        if (!this.suspended) {
+          this._catchUp()
+        }
+      }
+    }
+    document.addEventListener('visibilitychange', this.visibilityListener)
+  }
+
+  /**
+   * 移除可见性监听
+   * @private
+   */
+  _unwatchVisibility() {
+    if (this.visibilityListener) {
+      document.removeEventListener('visibilitychange', this.visibilityListener)
+      this.visibilityListener = null
+    }
+  }
+
+  /**
+   * 销毁
+   */
+  destroy() {
+    this.stop()
+    if (this.unsubscribeState) {
+      this.unsubscribeState()
+      this.unsubscribeState = null
+    }
+    this.removeAllListeners()
+  }
+}
+
+export { SETTLED_STATUSES }
+
+export default StatusPoller
@@ -2,25 +2,82 @@
  * 源启支付业务接口编写文件
  */
 
-import request from './axios'
-import { PAYMENT, VERSION } from '../../../config/apiTypes'
-
-// 源启结算(获取报文)
-export const preCreatePayOrder = (params) => {
-  return request.post(`/${PAYMENT}/${VERSION}/settlement/payment/preCreatePayOrder`, params)
-}
-
-// 源启结算(保存报文)
-export const sufCreatePayOrder = (params) => {
-  return request.post(`/${PAYMENT}/${VERSION}/settlement/payment/sufCreatePayOrder`, params)
-}
-
-// 源启退费确认(获取报文)
-export const preRefundPayOrder = (params) => {
-  return request.post(`/${PAYMENT}/${VERSION}/settlement/payment/preRefundPayOrder`, params)
-}
-
-// 源启退费确认(保存报文)
-export const sufRefundPayOrder = (params) => {
-  return request.post(`/${PAYMENT}/${VERSION}/settlement/payment/sufRefundPayOrder`, params)
-}
+import { IDEMPOTENCY_HEADER } from '../../../config/apiTypes'
+import EndpointRegistry from '../../../utils/EndpointRegistry'
+import { PAYMENT_TYPE_SWITCHES } from '../../../constants/switchCodes'
+
+// 接口地址（由端点注册表按支付环境与覆盖配置解析）
+const endpoint = (name) => EndpointRegistry.resolve(PAYMENT_TYPE_SWITCHES.YUANQI_PAYMENT, name)
+
+// 写操作携带幂等键请求头（同一次收费/退费的获取与保存报文共用一个键）
+const idempotencyHeaders = (params) =>
+  params?.idempotencyKey ? { [IDEMPOTENCY_HEADER]: params.idempotencyKey } : {}
+
+/**
+ * 创建源启支付接口
+ * @param {HttpClient} request - HTTP 客户端（由 PaymentFactory 注入服务）
+ * @returns {Object} 接口方法
+ */
+export const createPaymentApi = (request) => ({
+  // 源启结算(获取报文)
+  preCreatePayOrder: (params) => {
+    return request.post(endpoint('preCreatePayOrder'), params, {
+      headers: idempotencyHeaders(params),
+    })
+  },
+
+  // 源启结算(保存报文)
+  sufCreatePayOrder: (params) => {
+    return request.post(endpoint('sufCreatePayOrder'), params, {
+      headers: idempotencyHeaders(params),
+    })
+  },
+
+  // 源启退费确认(获取报文)
+  preRefundPayOrder: (params) => {
+    return request.post(endpoint('preRefundPayOrder'), params, {
+      headers: idempotencyHeaders(params),
+    })
+  },
+
+  // 源启退费确认(保存报文)
+  sufRefundPayOrder: (params) => {
+    return request.post(endpoint('sufRefundPayOrder'), params, {
+      headers: idempotencyHeaders(params),
+    })
+  },
+
+  // 源启交易查询(获取报文)
+  preQueryPayOrder: (params) => {
+    return request.post(endpoint('preQueryPayOrder'), params)
+  },
+
+  // 源启交易查询(保存报文)
+  sufQueryPayOrder: (params) => {
+    return request.post(endpoint('sufQueryPayOrder'), params)
+  },
+
+  // 源启撤销交易(获取报文)
+  preReversePayOrder: (params) => {
+    return request.post(endpoint('preReversePayOrder'), params, {
+      headers: idempotencyHeaders(params),
+    })
+  },
+
+  // 源启撤销交易(保存报文)
+  sufReversePayOrder: (params) => {
+    return request.post(endpoint('sufReversePayOrder'), params, {
+      headers: idempotencyHeaders(params),
+    })
+  },
+
+  // 源启退费查询(获取报文)
+  preQueryRefundOrder: (params) => {
+    return request.post(endpoint('preQueryRefundOrder'), params)
+  },
+
+  // 源启退费查询(保存报文)
+  sufQueryRefundOrder: (params) => {
+    return request.post(endpoint('sufQueryRefundOrder'), params)
+  },
+})
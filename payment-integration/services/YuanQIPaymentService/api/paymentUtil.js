@@ -1,6 +1,11 @@
 // 公共的支付工具
-import * as apiPayment from './payment.js'
-const isClient = !!window.CefClient
+
+import PaymentError from '../../../utils/PaymentError'
+import { ERROR_CODES } from '../../../constants/errorCodes'
+import { DEFAULT_TERMINAL_OPTIONS } from '../../../config/terminal'
+
+// 是否运行在源启客户端（CEF）中，调用时判断，避免非浏览器环境加载模块时报错
+const isClient = () => typeof window !== 'undefined' && !!window.CefClient
 
 // 源启支付客户端日志记录
 const paymentLogger = (inParam, outParam) => {
@@ -11,7 +16,7 @@ const paymentLogger = (inParam, outParam) => {
     const outMessage = typeof outParam === 'string' ? outParam : JSON.stringify(outParam)
     //
     const message = `【源启支付日志】: 入参: ${inMessage} 反参: ${outMessage}`
-    if (!isClient) {
+    if (!isClient()) {
       console.log(message)
     } else {
       window?.dragonSdk?.sdkInstance?.clientUtil?.writeLog(message)
@@ -22,47 +27,205 @@ const paymentLogger = (inParam, outParam) => {
   }
 }
 
+// 解析终端配置来源（偏好设置可能是 JSON 字符串）
+const parseTerminalSource = (source) => {
+  if (!source) {
+    return {}
+  }
+  if (typeof source === 'string') {
+    try {
+      return JSON.parse(source)
+    } catch {
+      throw PaymentError.createConfigError('源启终端服务配置无效：不是合法的 JSON', { source })
+    }
+  }
+  return source
+}
+
 /**
- * 源启调用方法
+ * 合并源启终端服务配置
+ * @description 依次合并默认配置与各配置来源（后者优先），请求头逐项合并（值为 null 时去掉该请求头）；
+ * url 未设置时由 protocol、host、port、path 拼接
+ * @param {...(Object|string)} sources - 配置来源（对象或 JSON 字符串，空值忽略）
+ * @returns {Object} 终端配置（url、headers、timeout、healthTimeout 等）
+ * @throws {PaymentError} 配置无效（CONFIG_ERROR）
+ */
+export const resolveTerminalOptions = (...sources) => {
+  const options = sources.map(parseTerminalSource).reduce(
+    (merged, source) => ({
+      ...merged,
+      ...source,
+      headers: { ...merged.headers, ...source.headers },
+    }),
+    { ...DEFAULT_TERMINAL_OPTIONS }
+  )
+
+  const errors = []
+  const port = Number(options.port)
+  if (!options.url && (!Number.isInteger(port) || port <= 0 || port > 65535)) {
+    errors.push(`端口无效: ${options.port}`)
+  }
+  if (options.url && !/^https?:\/\//.test(options.url)) {
+    errors.push(`地址无效: ${options.url}`)
+  }
+  for (const key of ['timeout', 'healthTimeout']) {
+    if (!(Number(options[key]) >= 0)) {
+      errors.push(`${key} 无效: ${options[key]}`)
+    }
+  }
+  if (errors.length > 0) {
+    throw PaymentError.createConfigError(`源启终端服务配置无效：${errors.join('；')}`, {
+      options,
+      errors,
+    })
+  }
+
+  const path = options.path.startsWith('/') ? options.path : `/${options.path}`
+  return {
+    ...options,
+    url: options.url || `${options.protocol}://${options.host}:${port}${path}`,
+    // 值为 null 的请求头表示去掉默认请求头
+    headers: Object.fromEntries(
+      Object.entries(options.headers).filter(([, value]) => value !== null && value !== undefined)
+    ),
+    timeout: Number(options.timeout),
+    healthTimeout: Number(options.healthTimeout),
+  }
+}
+
+// 带超时的 fetch，超时后中止请求（读取响应体也计入超时）
+const fetchWithTimeout = async (url, init, timeout, read = () => null) => {
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null
+  const timer = controller && timeout > 0 ? setTimeout(() => controller.abort(), timeout) : null
+  try {
+    const response = await fetch(url, { ...init, signal: controller?.signal })
+    return { response, body: await read(response) }
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+// 是否为超时中止
+const isAbortError = (error) => error?.name === 'AbortError'
+
+/**
+ * 源启获取报文方法
+ * @description 只调用后端接口，不调用终端；抛出异常时终端未收到请求
+ * @param {Object} api - 源启支付接口（createPaymentApi 创建）
+ * @param {string} apiName - 接口名
+ * @param {Object} params - 接口参数
+ * @param {string} msg - 操作描述（用于错误提示）
+ * @returns {Promise<Object>} 终端请求报文
  */
-export const yuanQiCallApi = async (apiName, params, msg) => {
+export const yuanQiRequestParams = async (api, apiName, params, msg) => {
   // 调用后端接口获取报文
-  const result = await apiPayment[apiName](params)
+  const result = await api[apiName](params)
   const data = result?.data || {}
   // 验证响应数据
   if (data?.code && data?.code !== '200' && !data?.data?.requestParams) {
     throw new Error(data?.message || data?.msg || `${msg}失败`)
   }
+  return data?.data?.requestParams
+}
+
+/**
+ * 源启调用方法
+ * @param {Object} api - 源启支付接口（createPaymentApi 创建）
+ * @param {string} apiName - 接口名
+ * @param {Object} params - 接口参数
+ * @param {string} msg - 操作描述（用于错误提示）
+ * @param {Object} [terminal] - 终端服务配置（resolveTerminalOptions 返回值）
+ */
+export const yuanQiCallApi = async (api, apiName, params, msg, terminal) => {
+  const requestParams = await yuanQiRequestParams(api, apiName, params, msg)
   // 用获取的报文去调用源启
-  const res = await postOrgineTerminalService(data?.data?.requestParams)
+  const res = await postOrgineTerminalService(requestParams, terminal)
   return res
 }
 
+/**
+ * 源启报文交换方法（获取报文 -> 终端 -> 保存报文）
+ * @description 用于查询、撤销等由后端解析终端响应的交易：终端响应通过保存报文接口提交，返回保存报文接口的响应体
+ * @param {Object} api - 源启支付接口（createPaymentApi 创建）
+ * @param {string} preName - 获取报文接口名
+ * @param {string} sufName - 保存报文接口名
+ * @param {Object} params - 接口参数（获取与保存报文共用）
+ * @param {string} msg - 操作描述（用于错误提示）
+ * @param {Object} [terminal] - 终端服务配置（resolveTerminalOptions 返回值）
+ * @returns {Promise<Object>} 保存报文接口响应体 { code, msg, data }
+ */
+export const yuanQiExchangeApi = async (api, preName, sufName, params, msg, terminal) => {
+  const res = await yuanQiCallApi(api, preName, params, msg, terminal)
+  const result = await api[sufName]({ ...params, result: JSON.stringify(res) })
+  const data = result?.data || {}
+  if (data?.code && data?.code !== '200') {
+    throw new Error(data?.message || data?.msg || `${msg}失败`)
+  }
+  return data
+}
+
 /**
  * 源启终端服务 HTTP 调用工具方法
+ * @param {Object} [data] - 报文
+ * @param {Object} [terminal] - 终端服务配置（resolveTerminalOptions 返回值），默认使用默认配置
+ * @returns {Promise<Object>} 终端响应
+ * @throws {PaymentError} 调用超时（REQUEST_TIMEOUT）
  */
-export const postOrgineTerminalService = async (data = null) => {
-  // 从配置、环境变量或默认值获取URL
-  const baseUrl = 'http://localhost:10001/OrgineTerminal/OrginePowerWCAService'
+export const postOrgineTerminalService = async (
+  data = null,
+  terminal = resolveTerminalOptions()
+) => {
+  const { url, headers, timeout } = terminal
   try {
-    const res = await fetch(baseUrl, {
-      method: 'POST',
-      'X-Requested-With': 'XMLHttpRequest',
-
-      body: JSON.stringify(data),
-    }).then((response) => {
-      if (!response.ok) {
-        throw new Error(`源启端口连接错误: ${response?.status} ${response?.statusText}`)
-      }
-      return response.json()
-    })
+    const { response, body: res } = await fetchWithTimeout(
+      url,
+      { method: 'POST', headers, body: JSON.stringify(data) },
+      timeout,
+      (response) => (response.ok ? response.json() : null)
+    )
+    if (!response.ok) {
+      throw new Error(`源启端口连接错误: ${response?.status} ${response?.statusText}`)
+    }
     paymentLogger(data, res)
     if (res?.result?.code !== 'success') {
       throw new Error(res?.result?.msg || '请求失败')
     }
     return res
   } catch (error) {
+    if (isAbortError(error)) {
+      paymentLogger(data, `timeout after ${timeout}ms`)
+      throw new PaymentError(
+        `源启终端服务调用失败: 请求超时（${timeout}ms）`,
+        ERROR_CODES.REQUEST_TIMEOUT,
+        { url, timeout }
+      )
+    }
     paymentLogger(data, error?.message || error)
     throw new Error(`源启终端服务调用失败: ${error?.message || error}`)
   }
 }
+
+/**
+ * 源启终端服务健康检查
+ * @description 向终端服务地址发送 GET 请求，收到任意 HTTP 响应即视为服务可用；不抛出异常
+ * @param {Object} [terminal] - 终端服务配置（resolveTerminalOptions 返回值），默认使用默认配置
+ * @returns {Promise<Object>} { available, url, status, latency, error }
+ */
+export const checkOrgineTerminalService = async (terminal = resolveTerminalOptions()) => {
+  const { url, headers, healthTimeout } = terminal
+  const startedAt = Date.now()
+  try {
+    const { response } = await fetchWithTimeout(url, { method: 'GET', headers }, healthTimeout)
+    return { available: true, url, status: response.status, latency: Date.now() - startedAt }
+  } catch (error) {
+    return {
+      available: false,
+      url,
+      status: null,
+      latency: Date.now() - startedAt,
+      error: isAbortError(error)
+        ? `连接超时（${healthTimeout}ms）`
+        : `无法连接: ${error?.message || error}`,
+    }
+  }
+}
@@ -5,84 +5,320 @@
 
 import BasePaymentService from '../BasePaymentService.js'
 import PaymentError from '../../utils/PaymentError.js'
-import { yuanQiCallApi } from './api/paymentUtil.js'
-import { PAYMENT_STATUS } from '../../constants/paymentTypes.js'
+import {
+  yuanQiCallApi,
+  yuanQiExchangeApi,
+  yuanQiRequestParams,
+  postOrgineTerminalService,
+  resolveTerminalOptions,
+  checkOrgineTerminalService,
+} from './api/paymentUtil.js'
+import { createPaymentApi } from './api/payment.js'
+import {
+  PAYMENT_STATUS,
+  JOURNAL_STEPS,
+  REFUND_STATUS,
+  COMPENSATION_STATUS,
+  SCAN_MODES,
+} from '../../constants/paymentTypes.js'
+import { ERROR_CODES } from '../../constants/errorCodes.js'
 import { PAYMENT_WAY_SWITCHES, PAYMENT_TYPE_SWITCHES } from '../../constants/switchCodes.js'
+import PaymentFactory from '../../factories/PaymentFactory.js'
+import PaymentStateMachine from '../../utils/PaymentStateMachine.js'
+import { IDEMPOTENT_OPERATIONS } from '../../managers/IdempotencyManager.js'
+import { createRefundNo } from '../../managers/RefundLedger.js'
+import { getPreferenceItem } from '../../utils/GlobalAccessor.js'
+import { TERMINAL_PREFERENCE_KEY } from '../../config/terminal.js'
 class YuanqiPaymentService extends BasePaymentService {
   constructor(config = {}) {
     // 合并默认配置
     const finalConfig = { ...config }
     super(finalConfig)
-    this.revertHandler = null
+    // 源启支付接口（使用注入的 HTTP 客户端）
+    this.api = createPaymentApi(this.httpClient)
+  }
+
+  /**
+   * 获取支付服务能力
+   * @description 源启仅支持被扫，收费、退费均为同步交易（processPayment 直接返回结果，不支持先创建订单）
+   * @returns {Object} 能力描述（字段见 PAYMENT_CAPABILITIES）
+   */
+  getCapabilities() {
+    return {
+      scanModes: [SCAN_MODES.PASSIVE],
+      asyncResult: false,
+      query: true,
+      cancel: true,
+      close: true,
+      refund: true,
+      partialRefund: true,
+      refundQuery: true,
+      reversal: true,
+    }
+  }
+
+  /**
+   * 获取源启终端服务配置
+   * @description 依次合并默认配置、服务配置 terminal（init 选项 yuanqiTerminal）与工作站偏好设置，工作站设置优先；
+   * 每次调用时读取，修改工作站设置无需重新初始化
+   * @returns {Object} 终端配置（url、headers、timeout、healthTimeout 等）
+   * @throws {PaymentError} 配置无效（CONFIG_ERROR）
+   */
+  getTerminalOptions() {
+    return resolveTerminalOptions(this.config.terminal, getPreferenceItem(TERMINAL_PREFERENCE_KEY))
+  }
+
+  /**
+   * 检查源启终端服务是否可用
+   * @description 收费前调用，本地终端服务未启动时界面可提前提示；不抛出异常
+   * @returns {Promise<Object>} { available, url, status, latency, error }
+   */
+  async checkTerminal() {
+    let terminal = null
+    try {
+      terminal = this.getTerminalOptions()
+    } catch (error) {
+      this.logger.warn('Invalid Yuanqi terminal options', error)
+      return { available: false, url: null, status: null, latency: 0, error: error.message }
+    }
+    const result = await checkOrgineTerminalService(terminal)
+    if (result.available) {
+      this.logger.info('Yuanqi terminal is available', result)
+    } else {
+      this.logger.warn('Yuanqi terminal is unavailable', result)
+    }
+    return result
   }
 
   /**
    * 处理支付
-   * @param {Object} _paymentData - 支付数据
+   * @param {Object} paymentData - 支付数据
+   * @param {boolean} [isInsuranceCharge] - 是否医保结算（源启不使用）
+   * @param {string} [nodeId] - 弹窗挂载节点（源启不使用）
+   * @param {PaymentSession} [session] - 支付会话（PaymentManager 按结算ID创建），不传则自行创建并在支付结束时关闭
    * @returns {Promise<Object>} 处理结果
-   * @abstract
    */
-  async processPayment(paymentData) {
+  async processPayment(paymentData, isInsuranceCharge, nodeId, session) {
+    if (!paymentData?.idempotencyKey) {
+      return this.withIdempotencyKey(IDEMPOTENT_OPERATIONS.CHARGE, paymentData, (params) =>
+        this.processPayment(params, isInsuranceCharge, nodeId, session)
+      )
+    }
     this.logger.info('Processing Yuanqi payment', {
       chargeInfoId: paymentData?.chargeInfoId,
       orderAmount: paymentData?.orderAmount,
     })
+    const paymentSession = session || this.createSession(paymentData)
+    // 源启为同步收费：支付中 -> 成功/失败
+    const stateMachine = new PaymentStateMachine(null, {
+      context: { chargeInfoId: paymentData?.chargeInfoId, payType: this.config.paymentType },
+    })
+    stateMachine.on('state:changed', (event) => this.emit('state:changed', event))
+    paymentSession.update({ stateMachine })
     try {
+      stateMachine.transition(PAYMENT_STATUS.PROCESSING)
+      const terminal = this.getTerminalOptions()
       const chargeParams = {
         chargeInfoId: paymentData.chargeInfoId, //结算id
         orderAmount: paymentData?.orderAmount || 0, //收费金额
         businessType: paymentData?.businessType, //业务场景
         payScanMode: '2',
         payType: this.config.paymentType,
+        idempotencyKey: paymentData.idempotencyKey, //幂等键（获取与保存报文共用）
       }
+      await this.recordJournal(paymentData.chargeInfoId, JOURNAL_STEPS.PRE_CREATING, {
+        businessType: chargeParams.businessType,
+        orderAmount: chargeParams.orderAmount,
+      })
       // 发起收费
-      const res = await yuanQiCallApi('preCreatePayOrder', chargeParams, '发起收费')
-      // 创建结算失败的冲正方法
-      this.revertHandler = async () => {
-        const refundParams = {
-          chargeInfoId: paymentData.chargeInfoId, //结算id
-          refundAmount: paymentData?.orderAmount, //收费金额
-          businessType: paymentData?.businessType, //业务场景
-          payScanMode: '2',
-          payType: this.config.paymentType,
-        }
-        try {
-          const res = await yuanQiCallApi('preRefundPayOrder', refundParams, '发起退费')
-          await yuanQiCallApi(
-            'sufRefundPayOrder',
-            { ...refundParams, result: JSON.stringify(res) },
-            '确认退费'
-          )
-        } catch (cancelError) {
-          this.logger.error('Failed to rollback Yuanqi payment order', cancelError)
+      const res = await yuanQiCallApi(
+        this.api,
+        'preCreatePayOrder',
+        chargeParams,
+        '发起收费',
+        terminal
+      )
+      await this.recordJournal(paymentData.chargeInfoId, JOURNAL_STEPS.PRE_CREATED, {
+        businessType: chargeParams.businessType,
+        orderAmount: chargeParams.orderAmount,
+        payScanMode: chargeParams.payScanMode,
+        payType: chargeParams.payType,
+      })
+      // 创建结算失败的冲正方法：冲正成功后重复调用直接返回结果，冲正失败后再次调用会重新执行
+      let reversal = null
+      const revertHandler = () => {
+        if (!reversal) {
+          reversal = this.reverseCharge({
+            chargeInfoId: paymentData.chargeInfoId, //结算id
+            refundAmount: paymentData?.orderAmount, //收费金额
+            businessType: paymentData?.businessType, //业务场景
+            payScanMode: '2',
+            payType: this.config.paymentType,
+            refundNo: createRefundNo(paymentData.chargeInfoId), //退款单号（重试时沿用）
+            idempotencyKey: this.idempotency.generateKey(
+              paymentData.chargeInfoId,
+              IDEMPOTENT_OPERATIONS.REFUND
+            ),
+          }).then((record) => {
+            if (record.status !== COMPENSATION_STATUS.SUCCEEDED) {
+              reversal = null
+            }
+            return record
+          })
         }
+        return reversal
       }
+      paymentSession.update({ revertHandler })
       try {
         // 确认收费
         await yuanQiCallApi(
+          this.api,
           'sufCreatePayOrder',
           { ...chargeParams, result: JSON.stringify(res) },
-          '确认收费'
+          '确认收费',
+          terminal
         )
+        await this.recordJournal(paymentData.chargeInfoId, JOURNAL_STEPS.COMPLETED)
+        await this.recordPaidAmount(paymentData.chargeInfoId, {
+          paidAmount: chargeParams.orderAmount,
+        })
+        stateMachine.transition(PAYMENT_STATUS.SUCCESS)
       } catch (error) {
-        // 确认收费失败的话需要冲正
-        this.revertHandler()
+        // 确认收费失败的话需要冲正，冲正重试耗尽时提示人工处理
+        const record = await revertHandler()
+        if (record.status !== COMPENSATION_STATUS.SUCCEEDED) {
+          throw new PaymentError(
+            `确认收费失败且冲正未完成，请联系管理员处理：${error?.message || '确认收费失败'}`,
+            ERROR_CODES.COMPENSATION_FAILED,
+            {
+              chargeInfoId: paymentData.chargeInfoId,
+              refundNo: record.data.refundNo,
+              error: record.lastError,
+            }
+          )
+        }
         throw new Error(error?.message || '确认收费失败')
       }
 
       return {
-        finalStatus: PAYMENT_STATUS.SUCCESS,
-        revertHandler: this.revertHandler,
+        finalStatus: stateMachine.getStatus(),
+        revertHandler,
       }
     } catch (error) {
+      stateMachine.transition(PAYMENT_STATUS.FAILED)
       this.logger.error('Payment process failed', {
         error: error?.message,
         chargeInfoId: paymentData?.chargeInfoId,
       })
       throw error
+    } finally {
+      stateMachine.destroy()
+      paymentSession.update({ stateMachine: null })
+      if (!session) {
+        paymentSession.close()
+      }
     }
   }
 
+  /**
+   * 获取冲正补偿步骤
+   * @description 发起退费与确认退费分别持久化：终端已退费后的重试只重新确认退费，不会重复退费；
+   * 每一步执行时读取终端配置，修改工作站设置后重新执行即可生效
+   * @returns {Array<Object>} 补偿步骤 [{ name, run(data, results) }]
+   */
+  getReversalSteps() {
+    return [
+      {
+        name: 'refundRequested',
+        run: async (data) => {
+          // 同一退款单号重复占用时返回已有记录
+          await this.reserveRefund(data)
+          return yuanQiCallApi(
+            this.api,
+            'preRefundPayOrder',
+            data,
+            '发起退费',
+            this.getTerminalOptions()
+          )
+        },
+      },
+      {
+        name: 'refundConfirmed',
+        run: (data, results) =>
+          yuanQiCallApi(
+            this.api,
+            'sufRefundPayOrder',
+            { ...data, result: JSON.stringify(results.refundRequested) },
+            '确认退费',
+            this.getTerminalOptions()
+          ),
+      },
+    ]
+  }
+
+  /**
+   * 冲正收费
+   * @description 确认收费失败时全额退费。以补偿方式执行，失败按退避间隔重试；
+   * 重试耗尽时保留补偿记录并释放退款额度，可通过 PaymentManager.retryCompensation 重新执行
+   * @param {Object} data - 冲正数据（chargeInfoId、refundAmount、businessType、refundNo、idempotencyKey 等）
+   * @returns {Promise<Object>} 补偿记录（status 为 SUCCEEDED 或 FAILED），不抛出异常
+   */
+  async reverseCharge(data) {
+    await this.recordJournal(data.chargeInfoId, JOURNAL_STEPS.REVERSING)
+    const record = await this.runCompensation({
+      chargeInfoId: data.chargeInfoId,
+      reason: 'sufCreatePayOrder',
+      data,
+      steps: this.getReversalSteps(),
+    })
+    // 重新执行时以持久化的数据为准（退款单号不变）
+    const { chargeInfoId, refundNo } = record.data
+    if (record.status === COMPENSATION_STATUS.SUCCEEDED) {
+      await this.settleRefund(chargeInfoId, refundNo, REFUND_STATUS.SUCCESS)
+      await this.recordJournal(chargeInfoId, JOURNAL_STEPS.REVERSED)
+    } else {
+      await this.settleRefund(chargeInfoId, refundNo, REFUND_STATUS.FAILED)
+      this.logger.error('Failed to rollback Yuanqi payment order', {
+        chargeInfoId,
+        refundNo,
+        attempts: record.attempts,
+        error: record.lastError,
+      })
+    }
+    return record
+  }
+
+  /**
+   * 重新执行冲正补偿
+   * @param {Object} record - 补偿记录（来自 CompensationManager）
+   * @returns {Promise<Object>} 补偿记录
+   */
+  resumeCompensation(record) {
+    return this.reverseCharge(record.data)
+  }
+
+  /**
+   * 冲正订单（用于恢复未完结交易）
+   * @description 存在未完成的冲正补偿时重新执行该补偿，避免重复退费；否则按交易实际状态处理（同 cancelPayment）
+   * @param {Object} params - 交易参数（来自交易日志）
+   * @returns {Promise<Object>} 冲正结果（refundNo、refundStatus）
+   * @throws {PaymentError} 冲正补偿仍未完成（COMPENSATION_FAILED）
+   */
+  async reversePayment(params) {
+    const pending = await this.compensations?.get(params.chargeInfoId)
+    if (!pending) {
+      return this.cancelPayment(params)
+    }
+    const record = await this.resumeCompensation(pending)
+    if (record.status !== COMPENSATION_STATUS.SUCCEEDED) {
+      throw PaymentError.fromCode(ERROR_CODES.COMPENSATION_FAILED, {
+        chargeInfoId: params.chargeInfoId,
+        error: record.lastError,
+      })
+    }
+    return { refundNo: record.data.refundNo, refundStatus: REFUND_STATUS.SUCCESS }
+  }
+
   /**
    * 退款
    * @param {Object} params - 退款参数
@@ -90,9 +326,20 @@ class YuanqiPaymentService extends BasePaymentService {
    * @param {number} params.refundAmount - 退款金额
    * @param {string} [params.payScanMode] - 扫码模式
    * @param {string} [params.payType] - 支付类型
-   * @returns {Promise<Object>} 退款结果
+   * @param {string} [params.idempotencyKey] - 幂等键，不传则自动生成
+   * @param {string} [params.refundNo] - 退款单号，不传则自动生成
+   * @returns {Promise<Object>} 退款结果（refundNo、refundStatus）
+   * @throws {PaymentError} 退款金额超过可退余额（REFUND_EXCEEDS_BALANCE）
    */
   async refund(params) {
+    if (!params?.idempotencyKey) {
+      return this.withIdempotencyKey(
+        IDEMPOTENT_OPERATIONS.REFUND,
+        params,
+        (refundParams) => this.refund(refundParams),
+        params?.refundAmount
+      )
+    }
     this.logger.info('Processing Yuanqi refund', params)
 
     try {
@@ -109,21 +356,234 @@ class YuanqiPaymentService extends BasePaymentService {
         businessType: params?.businessType, //业务场景
         payScanMode: '2',
         payType: this.config.paymentType,
+        idempotencyKey: params.idempotencyKey, //幂等键
+        refundNo: params.refundNo, //退款单号
       }
-      // 发起退费
-      const res = await yuanQiCallApi('preRefundPayOrder', refundParams, '发起退费')
-      // 确认退费
-      await yuanQiCallApi(
-        'sufRefundPayOrder',
-        { ...refundParams, result: JSON.stringify(res) },
-        '确认退费'
-      )
+      const terminal = this.getTerminalOptions()
+      // 占用退款额度并生成退款单号（重试时沿用）
+      refundParams.refundNo = (await this.reserveRefund(refundParams)).refundNo
+      params.refundNo = refundParams.refundNo
+      let requestParams = null
+      try {
+        // 获取退费报文
+        requestParams = await yuanQiRequestParams(
+          this.api,
+          'preRefundPayOrder',
+          refundParams,
+          '发起退费'
+        )
+      } catch (preError) {
+        // 终端未收到退费请求，确定未退费，释放占用的额度
+        await this.settleRefund(params.chargeInfoId, refundParams.refundNo, REFUND_STATUS.FAILED)
+        throw preError
+      }
+      try {
+        // 发起退费
+        const res = await postOrgineTerminalService(requestParams, terminal)
+        // 确认退费
+        await yuanQiCallApi(
+          this.api,
+          'sufRefundPayOrder',
+          { ...refundParams, result: JSON.stringify(res) },
+          '确认退费',
+          terminal
+        )
+      } catch (refundError) {
+        // 终端可能已退费，保留额度并按退款单号确认结果
+        return this.confirmUnknownRefund(refundParams, refundError)
+      }
+      // 源启为同步退费，确认退费成功即退款成功
+      await this.settleRefund(params.chargeInfoId, refundParams.refundNo, REFUND_STATUS.SUCCESS)
+      return { refundNo: refundParams.refundNo, refundStatus: REFUND_STATUS.SUCCESS }
     } catch (error) {
       this.logger.error('Refund failed', error)
       throw error
     }
   }
 
+  /**
+   * 获取查询、撤销报文的公共参数
+   * @param {Object} params - 交易参数
+   * @returns {Object} 报文参数（chargeInfoId、businessType、payScanMode、payType）
+   */
+  getApiParams(params) {
+    return {
+      chargeInfoId: params.chargeInfoId, //结算id
+      businessType: params.businessType, //业务场景
+      payScanMode: '2',
+      payType: this.config.paymentType,
+    }
+  }
+
+  /**
+   * 查询交易状态
+   * @description 通过终端查询交易，后端解析终端响应后返回支付状态
+   * @param {Object} params - 查询参数
+   * @param {string} params.chargeInfoId - 结算ID
+   * @param {string} [params.businessType] - 业务场景
+   * @returns {Promise<Object>} 查询结果 { code, msg, data: { paymentStatus } }
+   */
+  async queryPaymentStatus(params) {
+    try {
+      if (!params?.chargeInfoId) {
+        throw PaymentError.createParamError('结算ID不能为空', 'chargeInfoId')
+      }
+      return await yuanQiExchangeApi(
+        this.api,
+        'preQueryPayOrder',
+        'sufQueryPayOrder',
+        this.getApiParams(params),
+        '查询交易',
+        this.getTerminalOptions()
+      )
+    } catch (error) {
+      this.logger.error('Payment query failed', error)
+      throw error
+    }
+  }
+
+  /**
+   * 退费结果查询
+   * @description 源启为同步退费，用于退费请求结果未知（如终端超时）时确认退费结果；到达终态时结算台账
+   * @param {Object} params - 查询参数
+   * @param {string} params.chargeInfoId - 结算ID
+   * @param {string} [params.refundNo] - 退款单号（查询单笔退费，传入时可不传退款金额）
+   * @param {number} [params.refundAmount] - 退款金额
+   * @returns {Promise<Object>} 查询结果 { code, msg, data: { refundNo, refundStatus } }
+   */
+  async refundResult(params) {
+    this.logger.info('Processing Yuanqi refund result query', params)
+
+    try {
+      if (!params?.chargeInfoId) {
+        throw PaymentError.createParamError('结算ID不能为空', 'chargeInfoId')
+      }
+      if (!params.refundNo && (!params.refundAmount || params.refundAmount <= 0)) {
+        throw PaymentError.createParamError(
+          '退款金额必须大于0',
+          'refundAmount',
+          params.refundAmount
+        )
+      }
+      const result = await yuanQiExchangeApi(
+        this.api,
+        'preQueryRefundOrder',
+        'sufQueryRefundOrder',
+        {
+          ...this.getApiParams(params),
+          refundNo: params.refundNo,
+          refundAmount: params.refundAmount,
+        },
+        '查询退费',
+        this.getTerminalOptions()
+      )
+
+      // 退款到达终态时结算台账
+      const refundStatus = this.parseRefundStatus(result)
+      if (refundStatus === REFUND_STATUS.SUCCESS || refundStatus === REFUND_STATUS.FAILED) {
+        await this.settleRefund(params.chargeInfoId, params.refundNo, refundStatus)
+      }
+      return result
+    } catch (error) {
+      this.logger.error('Refund result query failed', error)
+      throw error
+    }
+  }
+
+  /**
+   * 取消订单
+   * @description 按交易实际状态处理：已收费则全额退费，未完成则撤销交易，查询不到交易时不处理
+   * @param {Object} params - 取消参数
+   * @param {string} params.chargeInfoId - 结算ID
+   * @param {number} params.orderAmount - 订单金额（已收费时的退费金额）
+   * @returns {Promise<Object|null>} 取消结果（退费结果或撤销结果）
+   */
+  async cancelPayment(params) {
+    this.logger.info('Cancelling Yuanqi payment', params)
+
+    try {
+      const paymentStatus = this.parsePaymentStatus(await this.queryPaymentStatus(params))
+      let result = null
+      if (!paymentStatus) {
+        return result
+      } else if (paymentStatus === PAYMENT_STATUS.SUCCESS) {
+        // 已收费调用退费
+        result = await this.refund({
+          ...this.getApiParams(params),
+          refundAmount: params.orderAmount,
+        })
+        await this.recordJournal(params.chargeInfoId, JOURNAL_STEPS.REVERSED)
+      } else if (
+        paymentStatus === PAYMENT_STATUS.PENDING ||
+        paymentStatus === PAYMENT_STATUS.PROCESSING
+      ) {
+        // 未完成的交易撤销
+        result = await this.closePayment(this.getApiParams(params))
+      }
+      this.logger.info('Payment cancelled', result)
+      return result
+    } catch (error) {
+      this.logger.error('Payment cancellation failed', error)
+      throw error
+    }
+  }
+
+  /**
+   * 关闭订单
+   * @description 通过终端撤销未完成的交易（已收费的交易需退费）
+   * @param {Object} params - 关闭参数
+   * @param {string} params.chargeInfoId - 结算ID
+   * @param {string} [params.idempotencyKey] - 幂等键，不传则自动生成
+   * @returns {Promise<Object>} 撤销结果 { code, msg, data }
+   */
+  async closePayment(params) {
+    if (!params?.idempotencyKey) {
+      return this.withIdempotencyKey(IDEMPOTENT_OPERATIONS.CLOSE_PAYMENT, params, (closeParams) =>
+        this.closePayment(closeParams)
+      )
+    }
+    this.logger.info('Closing Yuanqi payment', params)
+
+    try {
+      if (!params?.chargeInfoId) {
+        throw PaymentError.createParamError('结算ID不能为空', 'chargeInfoId')
+      }
+      const result = await yuanQiExchangeApi(
+        this.api,
+        'preReversePayOrder',
+        'sufReversePayOrder',
+        { ...this.getApiParams(params), idempotencyKey: params.idempotencyKey },
+        '撤销交易',
+        this.getTerminalOptions()
+      )
+      await this.recordJournal(params.chargeInfoId, JOURNAL_STEPS.CLOSED)
+
+      this.logger.info('Payment closed', result)
+      return result
+    } catch (error) {
+      this.logger.error('Payment close failed', error)
+      throw error
+    }
+  }
+
+  /**
+   * 解析源启交易查询响应中的支付状态
+   * @param {Object} result - 交易查询响应
+   * @returns {string|null} 支付状态（PAYMENT_STATUS）
+   */
+  parsePaymentStatus(result) {
+    return result?.data?.paymentStatus ?? null
+  }
+
+  /**
+   * 解析源启退费查询响应中的退款状态
+   * @param {Object} result - 退费查询响应
+   * @returns {string|null} 退款状态（REFUND_STATUS）
+   */
+  parseRefundStatus(result) {
+    return result?.data?.refundStatus ?? null
+  }
+
   /**
    * 判断是否开启聚合支付（业务层判断）
    * @description 在基础配置检查通过后，进行业务层面的判断
@@ -189,4 +649,10 @@ class YuanqiPaymentService extends BasePaymentService {
   }
 }
 
+// 注册到支付服务工厂
+PaymentFactory.register(PAYMENT_TYPE_SWITCHES.YUANQI_PAYMENT, YuanqiPaymentService, {
+  name: '源启统一支付',
+  description: '源启统一支付服务',
+})
+
 export default YuanqiPaymentService
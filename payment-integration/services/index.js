@@ -0,0 +1,13 @@
+/**
+ * 内置支付服务
+ * @description 加载内置聚合支付服务，各服务在模块加载时自行注册到 PaymentFactory
+ * @note 扩展厂商参照内置服务，在自身模块中调用 PaymentFactory.register 完成注册
+ */
+
+export { default as BasePaymentService } from './BasePaymentService.js'
+export { default as HeadlessPaymentDriver } from './HeadlessPaymentDriver.js'
+export { default as PaymentSession } from './PaymentSession.js'
+export { default as StatusPoller } from './StatusPoller.js'
+export { default as GuoweiPaymentService } from './GuoWeiPaymentService/index.js'
+export { default as YuanqiPaymentService } from './YuanQIPaymentService/index.js'
+export { default as MockPaymentService } from './MockPaymentService/index.js'
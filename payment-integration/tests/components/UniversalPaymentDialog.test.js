@@ -0,0 +1,273 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createLocalVue, mount } from '@vue/test-utils'
+import UniversalPaymentDialog from '../../components/payment-dialog-manager.vue'
+import DialogManager from '../../managers/DialogManager.js'
+import PaymentStateMachine from '../../utils/PaymentStateMachine.js'
+import { PAYMENT_STATUS, SCAN_MODES } from '../../constants/paymentTypes.js'
+import { installHaicApp } from '../helpers/haicApp.js'
+import { installElementStubs } from '../helpers/elementStubs.js'
+
+const paymentInfo = (overrides = {}) => ({
+  chargeInfoId: 'C4001',
+  orderAmount: 30,
+  payScanMode: SCAN_MODES.PASSIVE,
+  ...overrides,
+})
+
+describe('UniversalPaymentDialog', () => {
+  let host
+  let HostVue
+  let wrapper
+
+  /**
+   * 通过宿主 Vue 挂载弹窗
+   */
+  const mountDialog = (propsData = {}) => {
+    wrapper = mount(UniversalPaymentDialog, {
+      localVue: window.__haicApp__.__TOOLKITS__.Vue,
+      propsData: { visible: true, paymentInfo: paymentInfo(), autoPolling: false, ...propsData },
+    })
+    return wrapper
+  }
+
+  const buttonLabels = () =>
+    wrapper.findAll('.el-dialog__footer button').wrappers.map((b) => b.text())
+
+  const clickButton = async (label) => {
+    const button = wrapper
+      .findAll('.el-dialog__footer button')
+      .wrappers.find((b) => b.text() === label)
+    expect(button, `button ${label}`).toBeTruthy()
+    await button.trigger('click')
+    await flush()
+  }
+
+  const flush = async () => {
+    await Promise.resolve()
+    await wrapper.vm.$nextTick()
+  }
+
+  const statusChanges = () => (wrapper.emitted('status-change') || []).map(([event]) => event.to)
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    HostVue = installElementStubs(createLocalVue())
+    host = installHaicApp({ Vue: HostVue })
+    HostVue.prototype.$confirm = vi.fn().mockResolvedValue('confirm')
+  })
+
+  afterEach(() => {
+    wrapper?.destroy()
+    wrapper = null
+    host.uninstall()
+    vi.useRealTimers()
+  })
+
+  describe('passive scan mode', () => {
+    it('opens waiting for the scanner and emits init-dialog', async () => {
+      mountDialog()
+      await flush()
+
+      expect(wrapper.vm.currentStatus).toBe(PAYMENT_STATUS.PASSIVE_INIT)
+      expect(wrapper.find('.title-text').text()).toBe('统一支付结算,请患者扫码支付')
+      expect(wrapper.find('.el-input').isVisible()).toBe(true)
+      expect(buttonLabels()).toEqual(['取消支付'])
+      expect(wrapper.emitted('init-dialog')).toBeUndefined()
+
+      vi.advanceTimersByTime(50)
+      expect(wrapper.emitted('init-dialog')[0][0]).toMatchObject({ chargeInfoId: 'C4001' })
+    })
+
+    it('starts the payment when a code is scanned', async () => {
+      mountDialog({ autoPolling: true, pollingInterval: 1000 })
+      await flush()
+
+      const input = wrapper.find('.el-input')
+      input.element.value = '283456789012345678'
+      await input.trigger('input')
+      await input.trigger('change')
+      await flush()
+
+      expect(wrapper.vm.currentStatus).toBe(PAYMENT_STATUS.PROCESSING)
+      expect(wrapper.emitted('create-payment')[0][0].paymentInfo).toMatchObject({
+        chargeInfoId: 'C4001',
+        payQRCode: '283456789012345678',
+      })
+      expect(buttonLabels()).toEqual(['取消支付', '刷新结果'])
+
+      vi.advanceTimersByTime(1000)
+      expect(wrapper.emitted('query-status')).toHaveLength(1)
+    })
+
+    it('moves to waiting when the cashier cancels before scanning', async () => {
+      mountDialog()
+      await flush()
+
+      await clickButton('取消支付')
+
+      expect(wrapper.vm.currentStatus).toBe(PAYMENT_STATUS.WAITING)
+      expect(wrapper.find('.title-text').text()).toBe('等待支付')
+      expect(buttonLabels()).toEqual(['放弃支付', '重新支付'])
+      expect(wrapper.emitted('status-change').pop()[0]).toMatchObject({
+        from: PAYMENT_STATUS.PASSIVE_INIT,
+        to: PAYMENT_STATUS.WAITING,
+      })
+    })
+
+    it('restarts the payment on retry', async () => {
+      mountDialog()
+      await flush()
+      await clickButton('取消支付')
+
+      await clickButton('重新支付')
+
+      expect(wrapper.emitted('retry-payment')).toHaveLength(1)
+      expect(wrapper.vm.currentStatus).toBe(PAYMENT_STATUS.PASSIVE_INIT)
+      expect(buttonLabels()).toEqual(['取消支付'])
+    })
+  })
+
+  describe('active scan mode', () => {
+    it('shows the QR code area with cancel, refresh and query actions', async () => {
+      mountDialog({ paymentInfo: paymentInfo({ payScanMode: SCAN_MODES.ACTIVE }) })
+      await flush()
+
+      expect(wrapper.vm.currentStatus).toBe(PAYMENT_STATUS.ACTIVE_INIT)
+      expect(wrapper.find('.universal-payment-dialog__qrcode').exists()).toBe(true)
+      expect(buttonLabels()).toEqual(['取消支付', '刷新支付码', '刷新结果'])
+    })
+
+    it('emits cancel-payment, refresh-qrcode and query-status from the actions', async () => {
+      mountDialog({ paymentInfo: paymentInfo({ payScanMode: SCAN_MODES.ACTIVE }) })
+      await flush()
+
+      await clickButton('刷新支付码')
+      await clickButton('刷新结果')
+      await clickButton('取消支付')
+
+      expect(wrapper.emitted('refresh-qrcode')).toHaveLength(1)
+      expect(wrapper.emitted('query-status')).toHaveLength(1)
+      expect(wrapper.emitted('cancel-payment')[0][0].paymentInfo.chargeInfoId).toBe('C4001')
+    })
+  })
+
+  describe('service driven transitions', () => {
+    let machine
+
+    beforeEach(async () => {
+      machine = new PaymentStateMachine(null, { context: { chargeInfoId: 'C4001' } })
+      mountDialog({ stateMachine: machine })
+      await flush()
+      machine.transition(PAYMENT_STATUS.PROCESSING)
+      await flush()
+    })
+
+    it('follows the status pushed through the shared state machine', async () => {
+      machine.transition(PAYMENT_STATUS.PENDING)
+      await flush()
+
+      expect(statusChanges()).toEqual([PAYMENT_STATUS.PROCESSING, PAYMENT_STATUS.PENDING])
+      expect(buttonLabels()).toEqual(['取消支付', '刷新结果'])
+    })
+
+    it('reports success and closes itself after the auto close delay', async () => {
+      machine.transition(PAYMENT_STATUS.SUCCESS)
+      await flush()
+
+      expect(wrapper.find('.title-text').text()).toBe('统一平台支付成功，HIS结算中...')
+      expect(buttonLabels()).toEqual([])
+      expect(wrapper.emitted('final-status')[0][0]).toMatchObject({
+        status: PAYMENT_STATUS.SUCCESS,
+      })
+      expect(wrapper.emitted('update:visible')).toBeUndefined()
+
+      vi.advanceTimersByTime(3000)
+      expect(wrapper.emitted('update:visible')[0]).toEqual([false])
+    })
+
+    it('offers to go back to waiting after a failure', async () => {
+      machine.transition(PAYMENT_STATUS.FAILED)
+      await flush()
+
+      expect(buttonLabels()).toEqual(['返回等待支付'])
+      await clickButton('返回等待支付')
+
+      expect(machine.getStatus()).toBe(PAYMENT_STATUS.WAITING)
+      expect(buttonLabels()).toEqual(['放弃支付', '重新支付'])
+    })
+
+    it('ignores illegal transitions', async () => {
+      machine.transition(PAYMENT_STATUS.SUCCESS)
+      await flush()
+
+      expect(machine.transition(PAYMENT_STATUS.FAILED)).toBe(false)
+      await flush()
+      expect(wrapper.vm.currentStatus).toBe(PAYMENT_STATUS.SUCCESS)
+    })
+  })
+
+  describe('abandon', () => {
+    beforeEach(async () => {
+      mountDialog()
+      await flush()
+      await clickButton('取消支付')
+    })
+
+    it('abandons the payment after confirmation', async () => {
+      await clickButton('放弃支付')
+
+      expect(HostVue.prototype.$confirm).toHaveBeenCalledWith(
+        '确定要放弃支付吗?',
+        '提示',
+        expect.any(Object)
+      )
+      expect(wrapper.emitted('abandon-payment')).toHaveLength(1)
+      expect(wrapper.vm.currentStatus).toBe(PAYMENT_STATUS.ABANDONED)
+      expect(wrapper.find('.title-text').text()).toBe('已放弃支付')
+      expect(wrapper.emitted('final-status')[0][0].status).toBe(PAYMENT_STATUS.ABANDONED)
+    })
+
+    it('keeps waiting when the confirmation is dismissed', async () => {
+      HostVue.prototype.$confirm.mockRejectedValue('cancel')
+
+      await wrapper.vm.handleAbandonPayment().catch(() => {})
+      await flush()
+
+      expect(wrapper.emitted('abandon-payment')).toBeUndefined()
+      expect(wrapper.vm.currentStatus).toBe(PAYMENT_STATUS.WAITING)
+    })
+  })
+
+  describe('through DialogManager', () => {
+    let dialogManager
+
+    beforeEach(() => {
+      dialogManager = DialogManager.getInstance()
+      dialogManager.initialize(window.__haicApp__.__TOOLKITS__.Vue, UniversalPaymentDialog)
+    })
+
+    afterEach(() => {
+      dialogManager.destroy()
+    })
+
+    it('mounts the dialog with the host Vue and resolves with the final status', async () => {
+      const machine = new PaymentStateMachine()
+      const controller = await dialogManager.openPaymentDialog({
+        paymentInfo: paymentInfo(),
+        stateMachine: machine,
+      })
+      await controller.instance.nextTick()
+
+      expect(document.body.querySelector('.title-text').textContent).toBe(
+        '统一支付结算,请患者扫码支付'
+      )
+
+      machine.transition(PAYMENT_STATUS.PROCESSING)
+      machine.transition(PAYMENT_STATUS.SUCCESS)
+
+      await expect(controller.waitForResult()).resolves.toMatchObject({
+        status: PAYMENT_STATUS.SUCCESS,
+      })
+    })
+  })
+})
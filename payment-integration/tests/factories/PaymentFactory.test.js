@@ -0,0 +1,124 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import PaymentFactory from '../../factories/PaymentFactory.js'
+import BasePaymentService from '../../services/BasePaymentService.js'
+import PaymentError from '../../utils/PaymentError.js'
+import { ERROR_CODES } from '../../constants/errorCodes.js'
+import { SCAN_MODES } from '../../constants/paymentTypes.js'
+import StubHttpClient from '../helpers/StubHttpClient.js'
+
+const TEST_TYPE = 'test-payment'
+
+class TestPaymentService extends BasePaymentService {
+  getServiceName() {
+    return 'TestPaymentService'
+  }
+}
+
+describe('PaymentFactory caching', () => {
+  let factory
+
+  beforeEach(() => {
+    factory = PaymentFactory.getInstance()
+    PaymentFactory.register(TEST_TYPE, TestPaymentService)
+  })
+
+  afterEach(() => {
+    PaymentFactory.unregister(TEST_TYPE)
+    factory.clearAllCache()
+  })
+
+  it('returns the cached instance for the same payment type', () => {
+    const first = PaymentFactory.create(TEST_TYPE)
+    const second = PaymentFactory.create(TEST_TYPE, { timeout: 1 })
+
+    expect(first).toBeInstanceOf(TestPaymentService)
+    expect(second).toBe(first)
+    expect(factory.hasCache(TEST_TYPE)).toBe(true)
+    expect(factory.getCachedService(TEST_TYPE)).toBe(first)
+    expect(factory.getCacheStats().cacheKeys).toContain(TEST_TYPE)
+  })
+
+  it('creates a fresh, uncached instance when useCache is false', () => {
+    const cached = PaymentFactory.create(TEST_TYPE)
+    const fresh = PaymentFactory.create(TEST_TYPE, { useCache: false })
+
+    expect(fresh).not.toBe(cached)
+    expect(factory.getCachedService(TEST_TYPE)).toBe(cached)
+  })
+
+  it('does not populate the cache when useCache is false', () => {
+    PaymentFactory.create(TEST_TYPE, { useCache: false })
+
+    expect(factory.hasCache(TEST_TYPE)).toBe(false)
+  })
+
+  it('passes config and the injected HTTP client to the service', () => {
+    const httpClient = new StubHttpClient()
+    const service = PaymentFactory.create(TEST_TYPE, { httpClient, timeout: 5000 })
+
+    expect(service.httpClient).toBe(httpClient)
+    expect(service.config).toMatchObject({ paymentType: TEST_TYPE, timeout: 5000 })
+  })
+
+  it('destroys the cached instance when its cache is cleared', () => {
+    const service = PaymentFactory.create(TEST_TYPE)
+    const destroy = vi.spyOn(service, 'destroy')
+
+    factory.clearServiceCache(TEST_TYPE)
+
+    expect(destroy).toHaveBeenCalledTimes(1)
+    expect(factory.hasCache(TEST_TYPE)).toBe(false)
+    expect(PaymentFactory.create(TEST_TYPE)).not.toBe(service)
+  })
+
+  it('drops the cached instance when the payment type is registered again', () => {
+    const service = PaymentFactory.create(TEST_TYPE)
+
+    class ReplacementService extends TestPaymentService {}
+    PaymentFactory.register(TEST_TYPE, ReplacementService)
+
+    const replacement = PaymentFactory.create(TEST_TYPE)
+    expect(replacement).not.toBe(service)
+    expect(replacement).toBeInstanceOf(ReplacementService)
+  })
+
+  it('rejects unregistered payment types with a config error', () => {
+    let error
+    try {
+      PaymentFactory.create('unknown-payment')
+    } catch (e) {
+      error = e
+    }
+
+    expect(error).toBeInstanceOf(PaymentError)
+    expect(error.code).toBe(ERROR_CODES.CONFIG_ERROR)
+    expect(factory.hasCache('unknown-payment')).toBe(false)
+  })
+})
+
+describe('BasePaymentService capabilities', () => {
+  it('infers capabilities from the methods a service implements', () => {
+    class QueryOnlyService extends TestPaymentService {
+      async createPayment() {}
+      async queryPaymentStatus() {}
+    }
+
+    expect(new TestPaymentService().getCapabilities()).toMatchObject({
+      asyncResult: false,
+      query: false,
+      refund: false,
+      reversal: false,
+    })
+    expect(new QueryOnlyService().getCapabilities()).toEqual({
+      scanModes: Object.values(SCAN_MODES),
+      asyncResult: true,
+      query: true,
+      cancel: false,
+      close: false,
+      refund: false,
+      partialRefund: false,
+      refundQuery: false,
+      reversal: false,
+    })
+  })
+})
@@ -0,0 +1,57 @@
+/**
+ * Web Locks 测试替身
+ * @description 实现 navigator.locks.request 的排他锁：按请求顺序授予，支持 ifAvailable 与 signal。
+ * 多个 PaymentLockManager 共用同一个实例即模拟同源的多个标签页
+ */
+
+class FakeLockManager {
+  constructor() {
+    // 锁名 -> 是否被持有
+    this.heldNames = new Set()
+    // 锁名 -> 等待队列
+    this.pending = new Map()
+  }
+
+  request(name, options, callback) {
+    if (this.heldNames.has(name) || this.pending.get(name)?.length) {
+      if (options.ifAvailable) {
+        return Promise.resolve(callback(null))
+      }
+      return new Promise((resolve, reject) => {
+        const request = { callback, resolve, reject }
+        if (!this.pending.has(name)) {
+          this.pending.set(name, [])
+        }
+        this.pending.get(name).push(request)
+        options.signal?.addEventListener('abort', () => {
+          const queue = this.pending.get(name) || []
+          if (queue.includes(request)) {
+            this.pending.set(
+              name,
+              queue.filter((item) => item !== request)
+            )
+            reject(Object.assign(new Error('The request was aborted'), { name: 'AbortError' }))
+          }
+        })
+      })
+    }
+    return this._grant(name, callback)
+  }
+
+  /**
+   * 授予锁，回调返回的 Promise 完成后释放并交给下一个请求
+   * @private
+   */
+  _grant(name, callback) {
+    this.heldNames.add(name)
+    return Promise.resolve(callback({ name, mode: 'exclusive' })).finally(() => {
+      this.heldNames.delete(name)
+      const next = this.pending.get(name)?.shift()
+      if (next) {
+        this._grant(name, next.callback).then(next.resolve, next.reject)
+      }
+    })
+  }
+}
+
+export default FakeLockManager
@@ -0,0 +1,54 @@
+/**
+ * HTTP 客户端测试替身
+ * @description 按请求地址最后一段路径（接口名）返回预设响应体，并记录所有请求
+ */
+
+import HttpClient from '../../transports/HttpClient.js'
+
+class StubHttpClient extends HttpClient {
+  /**
+   * 构造函数
+   * @param {Object} [routes] - 接口名 -> 响应体、Error 或 (data, config) => 响应体
+   */
+  constructor(routes = {}) {
+    super()
+    this.routes = { ...routes }
+    this.requests = []
+  }
+
+  /**
+   * 设置接口响应
+   * @param {string} name - 接口名
+   * @param {Object|Error|Function} response - 响应体、Error 或 (data, config) => 响应体
+   * @returns {StubHttpClient} 当前实例
+   */
+  reply(name, response) {
+    this.routes[name] = response
+    return this
+  }
+
+  async request(config) {
+    this.requests.push(config)
+    const name = config.url.split('/').pop()
+    if (!(name in this.routes)) {
+      throw new Error(`No stubbed response for ${name}`)
+    }
+    const route = this.routes[name]
+    const body = typeof route === 'function' ? await route(config.data, config) : route
+    if (body instanceof Error) {
+      throw body
+    }
+    return { data: body, status: 200, headers: {}, config }
+  }
+
+  /**
+   * 获取某接口的请求记录
+   * @param {string} name - 接口名
+   * @returns {Array<Object>} 请求配置列表
+   */
+  calls(name) {
+    return this.requests.filter((config) => config.url.split('/').pop() === name)
+  }
+}
+
+export default StubHttpClient
@@ -0,0 +1,76 @@
+/**
+ * Element UI 组件替身
+ * @description 以渲染函数实现弹窗用到的 el-dialog、el-button、el-input、el-image 与 v-loading，
+ * 保留插槽、属性与事件，测试无需加载 Element UI
+ */
+
+const ElDialog = {
+  name: 'ElDialog',
+  props: { visible: Boolean },
+  render(h) {
+    return h('div', { class: 'el-dialog', attrs: { 'data-visible': String(this.visible) } }, [
+      h('div', { class: 'el-dialog__body' }, this.$slots.default),
+      h('div', { class: 'el-dialog__footer' }, this.$slots.footer),
+    ])
+  },
+}
+
+const ElButton = {
+  name: 'ElButton',
+  props: { type: String, plain: Boolean, loading: Boolean, disabled: Boolean },
+  render(h) {
+    return h(
+      'button',
+      {
+        class: ['el-button', this.type && `el-button--${this.type}`],
+        attrs: { disabled: this.disabled || this.loading },
+        on: { click: (event) => this.$emit('click', event) },
+      },
+      this.$slots.default
+    )
+  },
+}
+
+const ElInput = {
+  name: 'ElInput',
+  props: { value: [String, Number], placeholder: String },
+  methods: {
+    focus() {
+      this.$refs.input.focus()
+    },
+  },
+  render(h) {
+    return h('input', {
+      ref: 'input',
+      class: 'el-input',
+      attrs: { placeholder: this.placeholder },
+      domProps: { value: this.value },
+      on: {
+        input: (event) => this.$emit('input', event.target.value),
+        change: (event) => this.$emit('change', event.target.value),
+      },
+    })
+  },
+}
+
+const ElImage = {
+  name: 'ElImage',
+  props: { src: String, fit: String },
+  render(h) {
+    return h('img', { class: 'el-image', attrs: { src: this.src } })
+  },
+}
+
+/**
+ * 在 Vue 构造函数上注册 Element UI 替身
+ * @param {Function} Vue - Vue 构造函数（可为 createLocalVue 创建的子类）
+ * @returns {Function} Vue 构造函数
+ */
+export function installElementStubs(Vue) {
+  Vue.component('el-dialog', ElDialog)
+  Vue.component('el-button', ElButton)
+  Vue.component('el-input', ElInput)
+  Vue.component('el-image', ElImage)
+  Vue.directive('loading', {})
+  return Vue
+}
@@ -0,0 +1,42 @@
+/**
+ * 模拟 HAIC 宿主上下文
+ * @description 在 window.__haicApp__ 上安装系统开关模块、偏好设置与工具集，供 GlobalAccessor 读取
+ */
+
+import { vi } from 'vitest'
+
+/**
+ * 安装模拟宿主上下文
+ * @param {Object} [options] - 配置
+ * @param {Object} [options.switches] - 系统开关值（开关编码 -> 值）
+ * @param {Object} [options.preferences] - 偏好设置（键 -> 值）
+ * @param {Function} [options.Vue] - 宿主 Vue 构造函数，不传则使用空构造函数
+ * @param {Object} [options.imaAxios] - 宿主 axios 实例
+ * @returns {Object} { app, switchModule, uninstall() }
+ */
+export function installHaicApp(options = {}) {
+  const { switches = {}, preferences = {}, imaAxios = null } = options
+  const Vue = options.Vue || function HostVue() {}
+
+  const switchModule = {
+    getSwitchValue: vi.fn(async (code) => switches[code]),
+  }
+  Vue.prototype.$preferenceSetDme = {
+    getItem: (key) => preferences[key],
+  }
+
+  const app = {
+    __TOOLKITS__: { Vue, imaAxios },
+    getContext: (name) => (name === 'switchModule' ? switchModule : null),
+  }
+  window.__haicApp__ = app
+
+  return {
+    app,
+    switchModule,
+    uninstall() {
+      delete Vue.prototype.$preferenceSetDme
+      delete window.__haicApp__
+    },
+  }
+}
@@ -0,0 +1,165 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import CompensationManager from '../../managers/CompensationManager.js'
+import { COMPENSATION_STATUS } from '../../constants/paymentTypes.js'
+import { CACHE_STRATEGY_SWITCHES } from '../../constants/switchCodes.js'
+
+const saga = (steps, overrides = {}) => ({
+  chargeInfoId: 'C5001',
+  paymentType: 'yuanqi',
+  reason: 'sufCreatePayOrder',
+  data: { refundNo: 'RF1', refundAmount: 20 },
+  steps,
+  ...overrides,
+})
+
+describe('CompensationManager', () => {
+  let manager
+
+  beforeEach(() => {
+    manager = new CompensationManager({
+      storage: CACHE_STRATEGY_SWITCHES.MEMORY,
+      maxAttempts: 3,
+      interval: 1,
+      backoff: 2,
+    })
+  })
+
+  it('runs the steps in order, passing earlier results, and clears the record on success', async () => {
+    const request = vi.fn(async (data) => ({ requestedNo: data.refundNo }))
+    const confirm = vi.fn(async () => 'confirmed')
+    const events = []
+    manager.on('compensation:step', (event) => events.push(event.step))
+    const succeeded = vi.fn()
+    manager.on('compensation:succeeded', succeeded)
+
+    const record = await manager.execute(
+      saga([
+        { name: 'request', run: request },
+        { name: 'confirm', run: confirm },
+      ])
+    )
+
+    expect(record).toMatchObject({
+      status: COMPENSATION_STATUS.SUCCEEDED,
+      attempts: 1,
+      results: { request: { requestedNo: 'RF1' }, confirm: 'confirmed' },
+    })
+    expect(confirm).toHaveBeenCalledWith(
+      { refundNo: 'RF1', refundAmount: 20 },
+      expect.objectContaining({ request: { requestedNo: 'RF1' } })
+    )
+    expect(events).toEqual(['request', 'confirm'])
+    expect(succeeded).toHaveBeenCalledWith(expect.objectContaining({ chargeInfoId: 'C5001' }))
+    await expect(manager.get('C5001')).resolves.toBeNull()
+  })
+
+  it('retries with backoff and resumes at the step that failed', async () => {
+    const request = vi.fn(async () => 'requested')
+    const confirm = vi
+      .fn()
+      .mockRejectedValueOnce(new Error('确认退费失败'))
+      .mockRejectedValueOnce(new Error('确认退费失败'))
+      .mockResolvedValue('confirmed')
+    const delays = []
+    manager.on('compensation:retrying', (event) => delays.push(event.delay))
+
+    const record = await manager.execute(
+      saga([
+        { name: 'request', run: request },
+        { name: 'confirm', run: confirm },
+      ])
+    )
+
+    expect(record.status).toBe(COMPENSATION_STATUS.SUCCEEDED)
+    expect(record.attempts).toBe(3)
+    expect(request).toHaveBeenCalledTimes(1)
+    expect(confirm).toHaveBeenCalledTimes(3)
+    expect(delays).toEqual([1, 2])
+  })
+
+  it('keeps the record and emits compensation:failed once the attempts are exhausted', async () => {
+    const confirm = vi.fn().mockRejectedValue(new Error('终端无响应'))
+    const failed = vi.fn()
+    manager.on('compensation:failed', failed)
+
+    const record = await manager.execute(
+      saga([
+        { name: 'request', run: async () => 'requested' },
+        { name: 'confirm', run: confirm },
+      ])
+    )
+
+    expect(record).toMatchObject({
+      status: COMPENSATION_STATUS.FAILED,
+      attempts: 3,
+      lastError: '终端无响应',
+    })
+    expect(failed).toHaveBeenCalledWith(
+      expect.objectContaining({
+        chargeInfoId: 'C5001',
+        attempts: 3,
+        error: '终端无响应',
+        completedSteps: ['request'],
+      })
+    )
+    await expect(manager.getAll(COMPENSATION_STATUS.FAILED)).resolves.toEqual([
+      expect.objectContaining({ chargeInfoId: 'C5001', results: { request: 'requested' } }),
+    ])
+  })
+
+  it('re-drives a failed record with its persisted data and skips completed steps', async () => {
+    await manager.execute(
+      saga([
+        { name: 'request', run: async () => 'requested' },
+        { name: 'confirm', run: () => Promise.reject(new Error('终端无响应')) },
+      ])
+    )
+    const request = vi.fn()
+    const confirm = vi.fn(async () => 'confirmed')
+
+    const record = await manager.execute(
+      saga(
+        [
+          { name: 'request', run: request },
+          { name: 'confirm', run: confirm },
+        ],
+        { data: { refundNo: 'RF2' } }
+      )
+    )
+
+    expect(record).toMatchObject({ status: COMPENSATION_STATUS.SUCCEEDED, attempts: 4 })
+    expect(request).not.toHaveBeenCalled()
+    expect(confirm).toHaveBeenCalledWith(
+      { refundNo: 'RF1', refundAmount: 20 },
+      expect.objectContaining({ request: 'requested' })
+    )
+    await expect(manager.getAll()).resolves.toEqual([])
+  })
+
+  it('shares one run between concurrent executions for the same charge', async () => {
+    const request = vi.fn(async () => 'requested')
+    const steps = [{ name: 'request', run: request }]
+
+    const [first, second] = await Promise.all([
+      manager.execute(saga(steps)),
+      manager.execute(saga(steps)),
+    ])
+
+    expect(first).toBe(second)
+    expect(request).toHaveBeenCalledTimes(1)
+  })
+
+  it('stops retrying and drops the record when it is removed', async () => {
+    manager.options.interval = 60000
+    const confirm = vi.fn().mockRejectedValue(new Error('终端无响应'))
+    const running = manager.execute(saga([{ name: 'confirm', run: confirm }]))
+    await vi.waitFor(() => expect(confirm).toHaveBeenCalled())
+
+    await manager.remove('C5001')
+
+    await expect(running).resolves.toMatchObject({ status: COMPENSATION_STATUS.FAILED })
+    expect(confirm).toHaveBeenCalledTimes(1)
+    expect(manager.isRunning('C5001')).toBe(false)
+    await expect(manager.get('C5001')).resolves.toBeNull()
+  })
+})
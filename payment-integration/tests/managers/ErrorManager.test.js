@@ -0,0 +1,88 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import ErrorManager from '../../managers/ErrorManager.js'
+import PaymentError from '../../utils/PaymentError.js'
+import { ERROR_CODES } from '../../constants/errorCodes.js'
+
+describe('ErrorManager.executeWithRetry', () => {
+  let manager
+
+  beforeEach(() => {
+    manager = new ErrorManager()
+    vi.spyOn(manager, 'delay').mockResolvedValue()
+  })
+
+  it('returns the result without retrying when the operation succeeds', async () => {
+    const operation = vi.fn().mockResolvedValue('ok')
+
+    await expect(manager.executeWithRetry(operation)).resolves.toBe('ok')
+    expect(operation).toHaveBeenCalledTimes(1)
+    expect(manager.delay).not.toHaveBeenCalled()
+  })
+
+  it('retries retryable errors with exponential backoff until the operation succeeds', async () => {
+    const operation = vi
+      .fn()
+      .mockRejectedValueOnce(PaymentError.networkError('网络异常'))
+      .mockRejectedValueOnce(PaymentError.networkError('网络异常'))
+      .mockResolvedValue('ok')
+
+    await expect(manager.executeWithRetry(operation)).resolves.toBe('ok')
+    expect(operation).toHaveBeenCalledTimes(3)
+    // SystemError 策略：baseDelay 2000，backoffFactor 2，无抖动
+    expect(manager.delay.mock.calls).toEqual([[2000], [4000]])
+  })
+
+  it('throws the last error once maxRetries is exhausted', async () => {
+    const error = PaymentError.networkError('网络异常')
+    const operation = vi.fn().mockRejectedValue(error)
+
+    await expect(manager.executeWithRetry(operation)).rejects.toBe(error)
+    // SystemError 策略 maxRetries 为 2：首次执行 + 2 次重试
+    expect(operation).toHaveBeenCalledTimes(3)
+  })
+
+  it('honours the retry strategy of the requested error type', async () => {
+    manager.registerRetryStrategy('Flaky', { maxRetries: 4, baseDelay: 10 })
+    const operation = vi.fn().mockRejectedValue(PaymentError.networkError('网络异常'))
+
+    await expect(manager.executeWithRetry(operation, { errorType: 'Flaky' })).rejects.toThrow()
+    expect(operation).toHaveBeenCalledTimes(5)
+    expect(manager.delay.mock.calls.map(([ms]) => ms)).toEqual([10, 20, 40, 80])
+  })
+
+  it('does not retry non-retryable errors', async () => {
+    const error = PaymentError.createParamError('金额无效', 'orderAmount', -1)
+    const operation = vi.fn().mockRejectedValue(error)
+
+    await expect(manager.executeWithRetry(operation)).rejects.toBe(error)
+    expect(operation).toHaveBeenCalledTimes(1)
+  })
+
+  it('converts plain errors to PaymentError and records them', async () => {
+    const operation = vi.fn().mockRejectedValue(new Error('boom'))
+
+    const error = await manager
+      .executeWithRetry(operation, { context: { step: 'query' } })
+      .catch((e) => e)
+    expect(error).toBeInstanceOf(PaymentError)
+    expect(manager.getErrorHistory().length).toBeGreaterThan(0)
+  })
+
+  it('rethrows the original error without retrying when throwOriginal is set', async () => {
+    const error = PaymentError.networkError('网络异常')
+    const operation = vi.fn().mockRejectedValue(error)
+
+    await expect(manager.executeWithRetry(operation, { throwOriginal: true })).rejects.toBe(error)
+    expect(operation).toHaveBeenCalledTimes(1)
+  })
+
+  it('runs the operation once when the error type has no retry strategy', async () => {
+    const operation = vi.fn().mockRejectedValue(PaymentError.networkError('网络异常'))
+
+    const error = await manager
+      .executeWithRetry(operation, { errorType: 'Unknown' })
+      .catch((e) => e)
+    expect(error.code).toBe(ERROR_CODES.NETWORK_ERROR)
+    expect(operation).toHaveBeenCalledTimes(1)
+  })
+})
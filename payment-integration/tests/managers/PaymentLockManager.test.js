@@ -0,0 +1,218 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import PaymentLockManager, { LOCK_STORAGE_KEY } from '../../managers/PaymentLockManager.js'
+import PaymentError from '../../utils/PaymentError.js'
+import { ERROR_CODES } from '../../constants/errorCodes.js'
+import FakeLockManager from '../helpers/FakeLockManager.js'
+
+describe('PaymentLockManager', () => {
+  let locks
+  let otherTab
+
+  beforeEach(() => {
+    locks = new PaymentLockManager({ retryInterval: 10 })
+    // 共用同一个 localStorage，模拟另一个标签页
+    otherTab = new PaymentLockManager({ retryInterval: 10 })
+  })
+
+  afterEach(() => {
+    locks.destroy()
+    otherTab.destroy()
+  })
+
+  it('rejects a conflicting operation with PAYMENT_IN_PROGRESS until the lock is released', async () => {
+    const release = await locks.acquire('C1001', 'processPayment')
+
+    const error = await locks.acquire('C1001', 'refund').catch((e) => e)
+
+    expect(error).toBeInstanceOf(PaymentError)
+    expect(error.code).toBe(ERROR_CODES.PAYMENT_IN_PROGRESS)
+    expect(error.message).toBe('该结算正在支付，请稍后重试')
+    expect(error.context).toMatchObject({
+      chargeInfoId: 'C1001',
+      operation: 'refund',
+      heldBy: { operation: 'processPayment' },
+      remote: false,
+    })
+    // 其他结算不受影响
+    await expect(locks.run('C1002', 'refund', async () => 'ok')).resolves.toBe('ok')
+
+    release()
+    release()
+    await expect(locks.run('C1001', 'refund', async () => 'refunded')).resolves.toBe('refunded')
+    expect(locks.isLocked('C1001')).toBe(false)
+  })
+
+  it('serialises waiting operations in order', async () => {
+    const order = []
+    const release = await locks.acquire('C1001', 'processPayment')
+
+    const refund = locks.run(
+      'C1001',
+      'refund',
+      async () => {
+        order.push('refund')
+      },
+      { wait: true }
+    )
+    const cancel = locks.run(
+      'C1001',
+      'cancelPayment',
+      async () => {
+        order.push('cancel')
+      },
+      { wait: true }
+    )
+    expect(locks.getLocks()).toEqual([
+      expect.objectContaining({ chargeInfoId: 'C1001', operation: 'processPayment', waiting: 2 }),
+    ])
+    // 有排队的操作时，不等待的调用不能插队
+    await expect(locks.acquire('C1001', 'closePayment')).rejects.toMatchObject({
+      code: ERROR_CODES.PAYMENT_IN_PROGRESS,
+    })
+
+    order.push('payment')
+    release()
+    await Promise.all([refund, cancel])
+
+    expect(order).toEqual(['payment', 'refund', 'cancel'])
+  })
+
+  it('shares locks across tabs and wakes waiters when the other tab releases', async () => {
+    const release = await otherTab.acquire('C1001', 'refund')
+
+    const error = await locks.acquire('C1001', 'processPayment').catch((e) => e)
+    expect(error.message).toBe('该结算正在其他窗口退款，请稍后重试')
+    expect(error.context.remote).toBe(true)
+    expect(locks.getLocks()[0]).toMatchObject({ operation: 'refund', local: false })
+
+    const waiting = locks.acquire('C1001', 'processPayment', { wait: true })
+    release()
+    const releaseOwn = await waiting
+
+    expect(otherTab.getLocks()[0]).toMatchObject({ operation: 'processPayment', local: false })
+    releaseOwn()
+  })
+
+  it('takes over locks whose lease expired and gives up waiting after the timeout', async () => {
+    localStorage.setItem(
+      LOCK_STORAGE_KEY,
+      JSON.stringify({
+        C1001: {
+          chargeInfoId: 'C1001',
+          lockId: 'crashed',
+          tabId: 'gone',
+          expiresAt: Date.now() - 1,
+        },
+      })
+    )
+    const release = await locks.acquire('C1001', 'refund')
+    expect(locks.getLocks()).toEqual([
+      expect.objectContaining({ operation: 'refund', local: true }),
+    ])
+
+    const error = await otherTab
+      .acquire('C1001', 'cancelPayment', { wait: true, waitTimeout: 30 })
+      .catch((e) => e)
+
+    expect(error.code).toBe(ERROR_CODES.PAYMENT_IN_PROGRESS)
+    expect(error.context.waitTimeout).toBe(30)
+    release()
+  })
+
+  it('reports a lock taken over by another tab while it is still held', async () => {
+    const lost = vi.fn()
+    const shortLease = new PaymentLockManager({ ttl: 30 })
+    shortLease.on('lock:lost', lost)
+    const release = await shortLease.acquire('C1001', 'processPayment')
+    // 另一个标签页写入新的锁记录（如本页挂起超过租期后被接管）
+    localStorage.setItem(
+      LOCK_STORAGE_KEY,
+      JSON.stringify({
+        C1001: {
+          chargeInfoId: 'C1001',
+          lockId: 'other',
+          tabId: 'other',
+          expiresAt: Date.now() + 1000,
+        },
+      })
+    )
+
+    await vi.waitFor(() => expect(lost).toHaveBeenCalledTimes(1))
+    expect(lost).toHaveBeenCalledWith(
+      expect.objectContaining({ chargeInfoId: 'C1001', operation: 'processPayment' })
+    )
+    release()
+    // 释放时不删除其他标签页的锁记录
+    expect(shortLease.isLocked('C1001')).toBe(true)
+    shortLease.destroy()
+    localStorage.removeItem(LOCK_STORAGE_KEY)
+  })
+
+  describe('with Web Locks', () => {
+    let webLocks
+
+    beforeEach(() => {
+      locks.destroy()
+      otherTab.destroy()
+      webLocks = new FakeLockManager()
+      locks = new PaymentLockManager({ locks: webLocks })
+      otherTab = new PaymentLockManager({ locks: webLocks })
+    })
+
+    it('lets the browser decide who holds the lock regardless of the lock table', async () => {
+      // 锁表中的记录（如 localStorage 不一致）不影响获取
+      localStorage.setItem(
+        LOCK_STORAGE_KEY,
+        JSON.stringify({
+          C1001: {
+            chargeInfoId: 'C1001',
+            lockId: 'stale',
+            tabId: 'gone',
+            expiresAt: Date.now() + 1000,
+          },
+        })
+      )
+      const release = await otherTab.acquire('C1001', 'refund')
+
+      const error = await locks.acquire('C1001', 'processPayment').catch((e) => e)
+
+      expect(error.message).toBe('该结算正在其他窗口退款，请稍后重试')
+      expect(locks.getLocks()[0]).toMatchObject({ operation: 'refund', local: false })
+      release()
+      await expect(locks.run('C1001', 'refund', async () => 'refunded')).resolves.toBe('refunded')
+      expect(locks.isLocked('C1001')).toBe(false)
+    })
+
+    it('queues waiting operations across tabs in order and honours the timeout', async () => {
+      const order = []
+      const release = await otherTab.acquire('C1001', 'processPayment')
+
+      const refund = locks.run('C1001', 'refund', async () => order.push('refund'), { wait: true })
+      const cancel = otherTab.run('C1001', 'cancelPayment', async () => order.push('cancel'), {
+        wait: true,
+      })
+      const error = await locks
+        .acquire('C1001', 'closePayment', { wait: true, waitTimeout: 20 })
+        .catch((e) => e)
+      expect(error.context.waitTimeout).toBe(20)
+      expect(locks.getLocks()[0]).toMatchObject({ operation: 'processPayment', waiting: 1 })
+
+      order.push('payment')
+      release()
+      await Promise.all([refund, cancel])
+
+      expect(order).toEqual(['payment', 'refund', 'cancel'])
+      expect(locks.getLocks()).toEqual([])
+    })
+
+    it('rejects waiting operations when destroyed', async () => {
+      const release = await otherTab.acquire('C1001', 'processPayment')
+      const waiting = locks.acquire('C1001', 'refund', { wait: true })
+
+      locks.destroy()
+
+      await expect(waiting).rejects.toMatchObject({ code: ERROR_CODES.PAYMENT_IN_PROGRESS })
+      release()
+    })
+  })
+})
@@ -0,0 +1,395 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import PaymentManager from '../../managers/PaymentManager.js'
+import PaymentStatusSync, { SESSION_EVENTS } from '../../managers/PaymentStatusSync.js'
+import { LOCK_STORAGE_KEY } from '../../managers/PaymentLockManager.js'
+import DialogRenderer from '../../renderers/DialogRenderer.js'
+import PaymentError from '../../utils/PaymentError.js'
+import { ERROR_CODES } from '../../constants/errorCodes.js'
+import {
+  DIALOG_RENDERERS,
+  JOURNAL_ACTIONS,
+  JOURNAL_STEPS,
+  PAYMENT_OUTCOMES,
+  PAYMENT_STATUS,
+  REFUND_STATUS,
+} from '../../constants/paymentTypes.js'
+import {
+  CACHE_STRATEGY_SWITCHES,
+  PAYMENT_SWITCH_CODES,
+  PAYMENT_TYPE_SWITCHES,
+} from '../../constants/switchCodes.js'
+import StubHttpClient from '../helpers/StubHttpClient.js'
+import { installHaicApp } from '../helpers/haicApp.js'
+
+const ok = (data = {}) => ({ code: '200', msg: 'success', data })
+
+const paymentData = (overrides = {}) => ({
+  chargeInfoId: 'C1001',
+  businessType: '1',
+  onlineType: '1',
+  orderAmount: 12.5,
+  ...overrides,
+})
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20))
+
+// 已打开的测试弹窗
+const dialogs = []
+
+/**
+ * 测试用弹窗渲染器：记录打开的弹窗，由用例发出弹窗事件
+ */
+class TestDialogRenderer extends DialogRenderer {
+  open(props) {
+    this.props = props
+    this.opened = true
+    dialogs.push(this)
+    return this
+  }
+
+  updateStatus() {}
+
+  setQRCode() {}
+
+  setLoading() {}
+
+  close() {
+    this.opened = false
+  }
+}
+
+describe('PaymentManager', () => {
+  let host
+  let http
+  let manager
+
+  const init = (options = {}) =>
+    manager.init({
+      httpClient: http,
+      journalStorage: CACHE_STRATEGY_SWITCHES.MEMORY,
+      dialogRenderer: DIALOG_RENDERERS.DOM,
+      statusSync: false,
+      ...options,
+    })
+
+  beforeEach(() => {
+    host = installHaicApp({
+      switches: {
+        [PAYMENT_SWITCH_CODES.PAYMENT_TYPE]: PAYMENT_TYPE_SWITCHES.GUOWEI_PAYMENT,
+        [PAYMENT_SWITCH_CODES.PAYMENT_ENABLED]: '1',
+      },
+    })
+    http = new StubHttpClient({
+      createPayOrder: ok({ payOrderNo: 'P1001' }),
+      queryPayOrderResult: ok({ paymentStatus: PAYMENT_STATUS.PROCESSING }),
+      closePayOrder: ok(),
+    })
+    manager = new PaymentManager()
+    dialogs.length = 0
+  })
+
+  afterEach(() => {
+    manager.destroy()
+    host.uninstall()
+  })
+
+  describe('failover', () => {
+    const { GUOWEI_PAYMENT, MOCK_PAYMENT } = PAYMENT_TYPE_SWITCHES
+
+    // 通过支付弹窗提交付款码并刷新结果，两次请求都因网关无响应失败
+    const failDialogRequests = async () => {
+      const payment = manager.processOutpatientPayment(paymentData())
+      await vi.waitFor(() => expect(dialogs).toHaveLength(1))
+      await settle()
+      dialogs[0].emit('create-payment', { paymentInfo: { payQRCode: 'code-1' } })
+      dialogs[0].emit('query-status')
+      await settle()
+      dialogs[0].emit('close')
+      await payment
+    }
+
+    beforeEach(async () => {
+      const networkError = new PaymentError('网关无响应', ERROR_CODES.NETWORK_ERROR)
+      http.reply('createPayOrder', networkError)
+      http.reply('queryPayOrderResult', networkError)
+      await init({
+        dialogRenderer: () => new TestDialogRenderer(),
+        failover: { paymentType: MOCK_PAYMENT, threshold: 2 },
+      })
+    })
+
+    it('moves new orders to the backup once payment dialog requests fail', async () => {
+      const failover = vi.fn()
+      manager.on('payment:failover', failover)
+
+      await failDialogRequests()
+      const driver = await manager.createHeadlessPayment(paymentData({ chargeInfoId: 'C1002' }))
+
+      expect(driver.service.config.paymentType).toBe(MOCK_PAYMENT)
+      expect(failover).toHaveBeenCalledWith(
+        expect.objectContaining({ chargeInfoId: 'C1002', from: GUOWEI_PAYMENT, to: MOCK_PAYMENT })
+      )
+      driver.destroy()
+    })
+
+    it('keeps a charge that is already journalled on its original provider', async () => {
+      await failDialogRequests()
+      const driver = await manager.createHeadlessPayment(paymentData())
+
+      expect(driver.service.config.paymentType).toBe(GUOWEI_PAYMENT)
+      expect(manager.getProviderHealth().providers[GUOWEI_PAYMENT].healthy).toBe(false)
+      driver.destroy()
+    })
+
+    it('counts a successful driver request as recovery', async () => {
+      await failDialogRequests()
+      http.reply('queryPayOrderResult', ok({ paymentStatus: PAYMENT_STATUS.PROCESSING }))
+      const pinned = await manager.createHeadlessPayment(paymentData())
+      await pinned.queryStatus()
+      pinned.destroy()
+
+      const driver = await manager.createHeadlessPayment(paymentData({ chargeInfoId: 'C1002' }))
+
+      expect(driver.service.config.paymentType).toBe(GUOWEI_PAYMENT)
+      driver.destroy()
+    })
+  })
+
+  describe('charge locks', () => {
+    beforeEach(async () => {
+      http.reply('refundPayOrder', ok())
+      http.reply('queryRefundOrderResult', ok({ refundStatus: REFUND_STATUS.SUCCESS }))
+      await init({
+        dialogRenderer: () => new TestDialogRenderer(),
+        refundTracking: { interval: 1, deadline: 1000 },
+      })
+      await manager.getRefundLedger().recordPayment('C1001', { paidAmount: 12.5 })
+    })
+
+    it('rejects a refund while the payment dialog of the same charge is open', async () => {
+      const payment = manager.processOutpatientPayment(paymentData())
+      await vi.waitFor(() => expect(dialogs).toHaveLength(1))
+
+      const error = await manager.refund({ chargeInfoId: 'C1001', refundAmount: 5 }).catch((e) => e)
+
+      expect(error.code).toBe(ERROR_CODES.PAYMENT_IN_PROGRESS)
+      expect(http.calls('refundPayOrder')).toHaveLength(0)
+
+      dialogs[0].emit('close')
+      await expect(payment).resolves.toMatchObject({ outcome: PAYMENT_OUTCOMES.CANCELLED })
+      expect(manager.getLocks()).toEqual([])
+    })
+
+    it('queues a refund with { wait: true } until the payment dialog closes', async () => {
+      const payment = manager.processOutpatientPayment(paymentData())
+      await vi.waitFor(() => expect(dialogs).toHaveLength(1))
+
+      const refund = manager.refund({ chargeInfoId: 'C1001', refundAmount: 5 }, { wait: true })
+      await settle()
+      expect(http.calls('refundPayOrder')).toHaveLength(0)
+
+      dialogs[0].emit('close')
+      await payment
+
+      await expect(refund).resolves.toMatchObject({ refundStatus: REFUND_STATUS.SUCCESS })
+      expect(http.calls('refundPayOrder')).toHaveLength(1)
+    })
+
+    it('holds the lock of a headless payment until its session closes', async () => {
+      const driver = await manager.createHeadlessPayment(paymentData())
+
+      await expect(manager.createHeadlessPayment(paymentData())).rejects.toMatchObject({
+        code: ERROR_CODES.PAYMENT_IN_PROGRESS,
+      })
+      expect(manager.getLocks()).toEqual([
+        expect.objectContaining({ chargeInfoId: 'C1001', operation: 'createHeadlessPayment' }),
+      ])
+
+      driver.destroy()
+
+      expect(driver.session.closed).toBe(true)
+      expect(manager.getLocks()).toEqual([])
+      const next = await manager.createHeadlessPayment(paymentData())
+      next.destroy()
+    })
+
+    it('flags the transaction in the journal when the lock is lost mid-operation', async () => {
+      const lost = vi.fn()
+      manager.on('lock:lost', lost)
+      await init({ force: true, locking: { ttl: 30 } })
+      const driver = await manager.createHeadlessPayment(paymentData())
+      await driver.start()
+      await driver.submitAuthCode('code-1')
+      // 本页挂起超过租期后，其他标签页接管了锁
+      localStorage.setItem(
+        LOCK_STORAGE_KEY,
+        JSON.stringify({
+          C1001: {
+            chargeInfoId: 'C1001',
+            lockId: 'other',
+            tabId: 'other',
+            expiresAt: Date.now() + 1000,
+          },
+        })
+      )
+
+      await vi.waitFor(() => expect(lost).toHaveBeenCalledTimes(1))
+      expect(lost).toHaveBeenCalledWith(
+        expect.objectContaining({ chargeInfoId: 'C1001', operation: 'createHeadlessPayment' })
+      )
+      await expect(manager.journal.get('C1001')).resolves.toMatchObject({
+        step: JOURNAL_STEPS.ORDER_CREATED,
+        data: { lockLost: expect.objectContaining({ operation: 'createHeadlessPayment' }) },
+      })
+      driver.destroy()
+      localStorage.removeItem(LOCK_STORAGE_KEY)
+    })
+  })
+
+  describe('pending transactions', () => {
+    beforeEach(async () => {
+      await init()
+      await manager.journal.record('C1001', JOURNAL_STEPS.ORDER_CREATED, {
+        paymentType: PAYMENT_TYPE_SWITCHES.GUOWEI_PAYMENT,
+        businessType: '1',
+        orderAmount: 12.5,
+        payOrderNo: 'P1001',
+      })
+    })
+
+    it('refuses to confirm a transaction the provider has not reported as paid', async () => {
+      const error = await manager
+        .resolvePendingTransaction('C1001', JOURNAL_ACTIONS.CONFIRM)
+        .catch((e) => e)
+
+      expect(error.code).toBe(ERROR_CODES.BUSINESS_ERROR)
+      expect(error.context.paymentStatus).toBe(PAYMENT_STATUS.PROCESSING)
+      await expect(manager.getPendingTransactions()).resolves.toHaveLength(1)
+      await expect(manager.getRefundBalance('C1001')).resolves.toMatchObject({ paidAmount: null })
+    })
+
+    it('records the payment once the provider reports success', async () => {
+      http.reply('queryPayOrderResult', ok({ paymentStatus: PAYMENT_STATUS.SUCCESS }))
+
+      await manager.resolvePendingTransaction('C1001', JOURNAL_ACTIONS.CONFIRM)
+
+      expect(http.calls('queryPayOrderResult')[0].data).toMatchObject({ payOrderNo: 'P1001' })
+      await expect(manager.getPendingTransactions()).resolves.toEqual([])
+      await expect(manager.getRefundBalance('C1001')).resolves.toMatchObject({ paidAmount: 12.5 })
+    })
+
+    it('confirms without asking the provider only when forced', async () => {
+      await manager.resolvePendingTransaction('C1001', JOURNAL_ACTIONS.CONFIRM, {
+        force: true,
+        reason: '线下核实已扣款',
+      })
+
+      expect(http.calls('queryPayOrderResult')).toHaveLength(0)
+      await expect(manager.getRefundBalance('C1001')).resolves.toMatchObject({ paidAmount: 12.5 })
+    })
+  })
+
+  describe('status sync', () => {
+    let otherTab
+    let received
+
+    beforeEach(async () => {
+      // 同一 BroadcastChannel 名称，模拟另一个标签页
+      otherTab = new PaymentStatusSync()
+      received = []
+      SESSION_EVENTS.forEach((event) =>
+        otherTab.on(event, ({ chargeInfoId, status }) =>
+          received.push({ event, chargeInfoId, status })
+        )
+      )
+      await init({ statusSync: true })
+    })
+
+    afterEach(() => {
+      otherTab.destroy()
+    })
+
+    it('broadcasts session:final only for sessions that reached a final status', async () => {
+      const abandoned = await manager.createHeadlessPayment(paymentData())
+      await abandoned.start()
+      abandoned.destroy()
+      const paid = await manager.createHeadlessPayment(paymentData({ chargeInfoId: 'C1002' }))
+      await paid.start()
+      await paid.submitAuthCode('code-2')
+      await paid.applyStatus(PAYMENT_STATUS.SUCCESS)
+      paid.destroy()
+      await settle()
+
+      expect(received.filter(({ event }) => event !== 'session:status')).toEqual([
+        { event: 'session:created', chargeInfoId: 'C1001', status: null },
+        { event: 'session:closed', chargeInfoId: 'C1001', status: PAYMENT_STATUS.PASSIVE_INIT },
+        { event: 'session:created', chargeInfoId: 'C1002', status: null },
+        { event: 'session:final', chargeInfoId: 'C1002', status: PAYMENT_STATUS.SUCCESS },
+      ])
+    })
+
+    it('does not broadcast the sessions it closes while being destroyed', async () => {
+      await manager.createHeadlessPayment(paymentData())
+      await settle()
+      received.length = 0
+
+      manager.destroy()
+      await settle()
+
+      expect(received).toEqual([])
+    })
+  })
+
+  describe('payment notifications', () => {
+    let sockets
+
+    class FakeWebSocket {
+      constructor(url) {
+        this.url = url
+        sockets.push(this)
+      }
+
+      close() {}
+    }
+
+    const push = (data) =>
+      sockets[0].onmessage({ data: JSON.stringify({ chargeInfoId: 'C1001', ...data }) })
+
+    beforeEach(async () => {
+      sockets = []
+      await init({ notify: { url: 'ws://gateway.test/notify', WebSocket: FakeWebSocket } })
+    })
+
+    it('confirms a pushed success for the current order with the provider', async () => {
+      const driver = await manager.createHeadlessPayment(paymentData())
+      sockets[0].onopen()
+      await driver.start()
+      await driver.submitAuthCode('code-1')
+
+      push({ status: PAYMENT_STATUS.SUCCESS, amount: 12.5 })
+      push({ orderId: 'P0999', status: PAYMENT_STATUS.SUCCESS, amount: 12.5 })
+      push({ orderId: 'P1001', status: PAYMENT_STATUS.SUCCESS, amount: 1 })
+      push({ orderId: 'P1001', status: PAYMENT_STATUS.SUCCESS })
+      await new Promise((resolve) => setTimeout(resolve, 0))
+
+      expect(driver.getStatus()).toBe(PAYMENT_STATUS.PROCESSING)
+      expect(http.calls('queryPayOrderResult')).toHaveLength(0)
+      await expect(manager.getRefundBalance('C1001')).resolves.toMatchObject({ paidAmount: null })
+
+      // 支付平台仍返回处理中，推送的成功不应用
+      push({ orderId: 'P1001', status: PAYMENT_STATUS.SUCCESS, amount: 12.5 })
+      await settle()
+
+      expect(http.calls('queryPayOrderResult')).toHaveLength(1)
+      expect(driver.getStatus()).toBe(PAYMENT_STATUS.PROCESSING)
+      await expect(manager.getRefundBalance('C1001')).resolves.toMatchObject({ paidAmount: null })
+
+      http.reply('queryPayOrderResult', ok({ paymentStatus: PAYMENT_STATUS.SUCCESS }))
+      push({ orderId: 'P1001', status: PAYMENT_STATUS.SUCCESS, amount: 12.5 })
+
+      await vi.waitFor(() => expect(driver.getStatus()).toBe(PAYMENT_STATUS.SUCCESS))
+      await expect(manager.getRefundBalance('C1001')).resolves.toMatchObject({ paidAmount: 12.5 })
+      driver.destroy()
+    })
+  })
+})
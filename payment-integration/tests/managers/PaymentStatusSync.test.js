@@ -0,0 +1,70 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest'
+import PaymentStatusSync from '../../managers/PaymentStatusSync.js'
+import PaymentSession from '../../services/PaymentSession.js'
+import PaymentStateMachine from '../../utils/PaymentStateMachine.js'
+import { PAYMENT_STATUS } from '../../constants/paymentTypes.js'
+
+const nextEvent = (emitter, event) => new Promise((resolve) => emitter.once(event, resolve))
+
+describe('PaymentStatusSync', () => {
+  let sync
+  let otherTab
+
+  beforeEach(() => {
+    sync = new PaymentStatusSync()
+    // 同一 BroadcastChannel 名称，模拟另一个标签页
+    otherTab = new PaymentStatusSync()
+  })
+
+  afterEach(() => {
+    sync.destroy()
+    otherTab.destroy()
+  })
+
+  it('relays session events to other tabs as remote events', async () => {
+    const own = []
+    sync.on('session:final', (data) => own.push(data))
+
+    const received = nextEvent(otherTab, 'session:final')
+    sync.publish('session:final', {
+      chargeInfoId: 'C1001',
+      payOrderNo: 'PAY001',
+      status: PAYMENT_STATUS.SUCCESS,
+    })
+
+    await expect(received).resolves.toEqual({
+      chargeInfoId: 'C1001',
+      payOrderNo: 'PAY001',
+      status: PAYMENT_STATUS.SUCCESS,
+      remote: true,
+      tabId: sync.tabId,
+    })
+    // 本页不会收到自己发出的事件
+    expect(own).toEqual([])
+  })
+
+  it('publishes status changes of a session state machine', async () => {
+    const session = new PaymentSession({ chargeInfoId: 'C1001' })
+    session.update({ payOrderNo: 'PAY001' })
+    session.on('session:status', (snapshot) => sync.publish('session:status', snapshot))
+    const stateMachine = new PaymentStateMachine()
+    session.update({ stateMachine })
+
+    const received = nextEvent(otherTab, 'session:status')
+    stateMachine.transition(PAYMENT_STATUS.PASSIVE_INIT)
+
+    await expect(received).resolves.toMatchObject({
+      chargeInfoId: 'C1001',
+      payOrderNo: 'PAY001',
+      from: null,
+      status: PAYMENT_STATUS.PASSIVE_INIT,
+      remote: true,
+    })
+
+    // 状态机销毁后会话保留最后的状态，不再转发旧状态机的事件
+    session.update({ stateMachine: null })
+    stateMachine.transition(PAYMENT_STATUS.SUCCESS)
+    expect(session.getStatus()).toBe(PAYMENT_STATUS.PASSIVE_INIT)
+    session.close()
+  })
+})
@@ -0,0 +1,116 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import ProviderHealthTracker from '../../managers/ProviderHealthTracker.js'
+import ErrorManager from '../../managers/ErrorManager.js'
+import PaymentError from '../../utils/PaymentError.js'
+import { ERROR_CODES } from '../../constants/errorCodes.js'
+import { PAYMENT_TYPE_SWITCHES } from '../../constants/switchCodes.js'
+
+const { GUOWEI_PAYMENT, YUANQI_PAYMENT } = PAYMENT_TYPE_SWITCHES
+
+describe('ProviderHealthTracker', () => {
+  let errorManager
+  let tracker
+
+  const fail = (paymentType, code = ERROR_CODES.NETWORK_ERROR) => {
+    errorManager.handleError(new PaymentError('网关无响应', code), {
+      operation: 'createPayment',
+      paymentType,
+    })
+  }
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date('2026-01-01T08:00:00Z'))
+    errorManager = new ErrorManager()
+    tracker = new ProviderHealthTracker(errorManager, {
+      threshold: 3,
+      window: 60000,
+      cooldown: 30000,
+    })
+  })
+
+  afterEach(() => {
+    tracker.destroy()
+    errorManager.destroy()
+    vi.useRealTimers()
+  })
+
+  it('marks a provider unhealthy once its network errors reach the threshold', () => {
+    const unhealthy = vi.fn()
+    tracker.on('provider:unhealthy', unhealthy)
+    fail(GUOWEI_PAYMENT)
+    fail(GUOWEI_PAYMENT)
+    fail(YUANQI_PAYMENT)
+    // 业务错误不计入
+    fail(GUOWEI_PAYMENT, ERROR_CODES.PAYMENT_FAILED)
+
+    expect(tracker.isHealthy(GUOWEI_PAYMENT)).toBe(true)
+
+    fail(GUOWEI_PAYMENT)
+
+    expect(tracker.isHealthy(GUOWEI_PAYMENT)).toBe(false)
+    expect(tracker.isHealthy(YUANQI_PAYMENT)).toBe(true)
+    expect(unhealthy).toHaveBeenCalledTimes(1)
+    expect(unhealthy).toHaveBeenCalledWith(
+      expect.objectContaining({ paymentType: GUOWEI_PAYMENT, failures: 3 })
+    )
+  })
+
+  it('ignores errors outside the window', () => {
+    fail(GUOWEI_PAYMENT)
+    fail(GUOWEI_PAYMENT)
+    vi.advanceTimersByTime(60001)
+    fail(GUOWEI_PAYMENT)
+
+    expect(tracker.isHealthy(GUOWEI_PAYMENT)).toBe(true)
+  })
+
+  it('recovers after the cooldown without counting the earlier errors', () => {
+    const recovered = vi.fn()
+    tracker.on('provider:recovered', recovered)
+    ;[1, 2, 3].forEach(() => fail(GUOWEI_PAYMENT))
+    expect(tracker.isHealthy(GUOWEI_PAYMENT)).toBe(false)
+
+    vi.advanceTimersByTime(29999)
+    expect(tracker.isHealthy(GUOWEI_PAYMENT)).toBe(false)
+
+    vi.advanceTimersByTime(1)
+    expect(tracker.isHealthy(GUOWEI_PAYMENT)).toBe(true)
+    expect(recovered).toHaveBeenCalledWith(expect.objectContaining({ paymentType: GUOWEI_PAYMENT }))
+    expect(tracker.getStatus()).toEqual({
+      [GUOWEI_PAYMENT]: { healthy: true, unhealthyUntil: null },
+    })
+  })
+
+  it('does not count business rejections the gateway answered', () => {
+    const context = { operation: 'createPayment', paymentType: GUOWEI_PAYMENT }
+    ;[1, 2, 3, 4, 5].forEach(() => errorManager.handleError(new Error('付款码已过期'), context))
+    ;[1, 2, 3].forEach(() =>
+      errorManager.handleError(PaymentError.networkError('请求失败: 400', { status: 400 }), context)
+    )
+
+    expect(tracker.isHealthy(GUOWEI_PAYMENT)).toBe(true)
+  })
+
+  it('counts server errors and timeouts as failures', () => {
+    const context = { operation: 'createPayment', paymentType: GUOWEI_PAYMENT }
+    errorManager.handleError(PaymentError.networkError('请求失败: 503', { status: 503 }), context)
+    errorManager.handleError(
+      Object.assign(new Error('网关错误'), { response: { status: 502 } }),
+      context
+    )
+    fail(GUOWEI_PAYMENT, ERROR_CODES.REQUEST_TIMEOUT)
+
+    expect(tracker.isHealthy(GUOWEI_PAYMENT)).toBe(false)
+  })
+
+  it('recovers immediately when a call succeeds', () => {
+    ;[1, 2, 3].forEach(() => fail(GUOWEI_PAYMENT))
+    expect(tracker.isHealthy(GUOWEI_PAYMENT)).toBe(false)
+
+    vi.advanceTimersByTime(1)
+    tracker.recordSuccess(GUOWEI_PAYMENT)
+
+    expect(tracker.isHealthy(GUOWEI_PAYMENT)).toBe(true)
+  })
+})
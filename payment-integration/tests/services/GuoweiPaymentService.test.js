@@ -0,0 +1,309 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import GuoweiPaymentService from '../../services/GuoWeiPaymentService/index.js'
+import HeadlessPaymentDriver from '../../services/HeadlessPaymentDriver.js'
+import RefundLedger from '../../managers/RefundLedger.js'
+import RefundTracker from '../../managers/RefundTracker.js'
+import PaymentError from '../../utils/PaymentError.js'
+import { IDEMPOTENCY_HEADER } from '../../config/apiTypes.js'
+import { ERROR_CODES } from '../../constants/errorCodes.js'
+import { PAYMENT_STATUS, REFUND_STATUS, SCAN_MODES } from '../../constants/paymentTypes.js'
+import { CACHE_STRATEGY_SWITCHES, PAYMENT_TYPE_SWITCHES } from '../../constants/switchCodes.js'
+import StubHttpClient from '../helpers/StubHttpClient.js'
+import { installHaicApp } from '../helpers/haicApp.js'
+
+const ok = (data = {}) => ({ code: '200', msg: 'success', data })
+
+const paymentInfo = (overrides = {}) => ({
+  chargeInfoId: 'C1001',
+  businessType: '1',
+  orderAmount: 12.5,
+  payType: PAYMENT_TYPE_SWITCHES.GUOWEI_PAYMENT,
+  ...overrides,
+})
+
+describe('GuoweiPaymentService', () => {
+  let http
+  let ledger
+  let service
+
+  beforeEach(() => {
+    http = new StubHttpClient({
+      createPayOrder: ok({ payOrderNo: 'P1001', payUrl: 'https://pay.example/P1001' }),
+      queryPayOrderResult: ok({ paymentStatus: PAYMENT_STATUS.PENDING }),
+      closePayOrder: ok(),
+      refundPayOrder: ok(),
+      queryRefundOrderResult: ok({ refundStatus: REFUND_STATUS.SUCCESS }),
+    })
+    ledger = new RefundLedger({ storage: CACHE_STRATEGY_SWITCHES.MEMORY })
+    service = new GuoweiPaymentService({
+      paymentType: PAYMENT_TYPE_SWITCHES.GUOWEI_PAYMENT,
+      payScanMode: SCAN_MODES.PASSIVE,
+      httpClient: http,
+      refundLedger: ledger,
+      refundTracker: new RefundTracker({ interval: 1, deadline: 1000 }),
+    })
+  })
+
+  describe('createPayment', () => {
+    it('creates the order with an idempotency key header and returns the order number', async () => {
+      const result = await service.createPayment(paymentInfo())
+
+      expect(result).toMatchObject({ payOrderNo: 'P1001', payUrl: 'https://pay.example/P1001' })
+      expect(typeof result.revertHandler).toBe('function')
+      expect(service).not.toHaveProperty('payOrderNo')
+      const [request] = http.calls('createPayOrder')
+      expect(request.data).toMatchObject({ chargeInfoId: 'C1001', payScanMode: SCAN_MODES.PASSIVE })
+      expect(request.headers[IDEMPOTENCY_HEADER]).toBe(request.data.idempotencyKey)
+    })
+
+    it('rejects when the gateway returns an error code', async () => {
+      http.reply('createPayOrder', { code: '500', msg: '订单已存在' })
+
+      await expect(service.createPayment(paymentInfo())).rejects.toThrow('订单已存在')
+    })
+
+    it('rejects when the gateway does not return an order number', async () => {
+      http.reply('createPayOrder', ok({}))
+
+      await expect(service.createPayment(paymentInfo())).rejects.toThrow('支付订单号获取失败')
+    })
+  })
+
+  describe('processPayment', () => {
+    let host
+
+    beforeEach(() => {
+      host = installHaicApp({ preferences: { PAY_SCAN_MODE: SCAN_MODES.PASSIVE } })
+      vi.spyOn(service, 'showPaymentDialog').mockResolvedValue({
+        status: PAYMENT_STATUS.SUCCESS,
+      })
+    })
+
+    afterEach(() => {
+      host.uninstall()
+    })
+
+    it('keeps the scan mode requested by the caller', async () => {
+      await service.processPayment(paymentInfo({ payScanMode: SCAN_MODES.ACTIVE }))
+
+      expect(service.showPaymentDialog.mock.calls[0][0].payScanMode).toBe(SCAN_MODES.ACTIVE)
+    })
+
+    it('falls back to the workstation preference when no scan mode is requested', async () => {
+      await service.processPayment(paymentInfo())
+
+      expect(service.showPaymentDialog.mock.calls[0][0].payScanMode).toBe(SCAN_MODES.PASSIVE)
+    })
+  })
+
+  describe('queryPaymentStatus', () => {
+    it('queries with the given order number and parses the payment status', async () => {
+      http.reply('queryPayOrderResult', ok({ paymentStatus: PAYMENT_STATUS.SUCCESS }))
+      const { payOrderNo } = await service.createPayment(paymentInfo())
+
+      const result = await service.queryPaymentStatus(paymentInfo({ payOrderNo }))
+
+      expect(service.parsePaymentStatus(result)).toBe(PAYMENT_STATUS.SUCCESS)
+      expect(http.calls('queryPayOrderResult')[0].data).toEqual({
+        chargeInfoId: 'C1001',
+        payOrderNo: 'P1001',
+        payScanMode: SCAN_MODES.PASSIVE,
+        payType: PAYMENT_TYPE_SWITCHES.GUOWEI_PAYMENT,
+      })
+    })
+
+    it('rejects when the query fails', async () => {
+      http.reply('queryPayOrderResult', { code: '404', msg: '订单不存在' })
+
+      await expect(service.queryPaymentStatus(paymentInfo())).rejects.toThrow('订单不存在')
+    })
+  })
+
+  describe('cancelPayment', () => {
+    it('closes an order that has not been paid', async () => {
+      await service.cancelPayment(paymentInfo({ payOrderNo: 'P1001' }))
+
+      expect(http.calls('closePayOrder')).toHaveLength(1)
+      expect(http.calls('refundPayOrder')).toHaveLength(0)
+    })
+
+    it('refunds a paid order and waits for the refund result', async () => {
+      http.reply('queryPayOrderResult', ok({ paymentStatus: PAYMENT_STATUS.SUCCESS }))
+      await ledger.recordPayment('C1001', { paidAmount: 12.5 })
+
+      const result = await service.cancelPayment(paymentInfo({ payOrderNo: 'P1001' }))
+
+      expect(result.refundStatus).toBe(REFUND_STATUS.SUCCESS)
+      expect(http.calls('refundPayOrder')[0].data).toMatchObject({ refundAmount: 12.5 })
+      expect(http.calls('closePayOrder')).toHaveLength(0)
+      await expect(ledger.getBalance('C1001')).resolves.toMatchObject({ refundableAmount: 0 })
+    })
+
+    it('rejects with REFUND_FAILED when the refund of a paid order fails', async () => {
+      http.reply('queryPayOrderResult', ok({ paymentStatus: PAYMENT_STATUS.SUCCESS }))
+      http.reply('queryRefundOrderResult', ok({ refundStatus: REFUND_STATUS.FAILED }))
+
+      const error = await service.cancelPayment(paymentInfo()).catch((e) => e)
+
+      expect(error).toBeInstanceOf(PaymentError)
+      expect(error.code).toBe(ERROR_CODES.REFUND_FAILED)
+    })
+  })
+
+  describe('refund', () => {
+    it('rejects refunds above the refundable balance without calling the gateway', async () => {
+      await ledger.recordPayment('C1001', { paidAmount: 10 })
+
+      const error = await service
+        .refund({ chargeInfoId: 'C1001', refundAmount: 10.01 })
+        .catch((e) => e)
+
+      expect(error.code).toBe(ERROR_CODES.REFUND_EXCEEDS_BALANCE)
+      expect(http.calls('refundPayOrder')).toHaveLength(0)
+    })
+
+    it('releases the reserved amount when the gateway rejects the refund', async () => {
+      await ledger.recordPayment('C1001', { paidAmount: 10 })
+      http.reply('refundPayOrder', { code: '500', msg: '退款通道繁忙' })
+
+      await expect(service.refund({ chargeInfoId: 'C1001', refundAmount: 4 })).rejects.toThrow(
+        '退款通道繁忙'
+      )
+      await expect(ledger.getBalance('C1001')).resolves.toMatchObject({
+        inflightAmount: 0,
+        refundableAmount: 10,
+      })
+    })
+
+    it('confirms the refund by its refund number when the request times out', async () => {
+      await ledger.recordPayment('C1001', { paidAmount: 10 })
+      http.reply('refundPayOrder', new PaymentError('请求超时', ERROR_CODES.REQUEST_TIMEOUT))
+
+      const result = await service.refund({ chargeInfoId: 'C1001', refundAmount: 4 })
+
+      expect(result).toMatchObject({ refundStatus: REFUND_STATUS.SUCCESS })
+      expect(http.calls('queryRefundOrderResult')[0].data.refundNo).toBe(result.refundNo)
+      await expect(ledger.getBalance('C1001')).resolves.toMatchObject({
+        inflightAmount: 0,
+        refundedAmount: 4,
+      })
+    })
+
+    it('keeps the reserved amount in flight while the refund outcome is unknown', async () => {
+      await ledger.recordPayment('C1001', { paidAmount: 10 })
+      http.reply('refundPayOrder', new PaymentError('请求超时', ERROR_CODES.REQUEST_TIMEOUT))
+      http.reply('queryRefundOrderResult', ok({ refundStatus: REFUND_STATUS.PROCESSING }))
+
+      const error = await service.refund({ chargeInfoId: 'C1001', refundAmount: 4 }).catch((e) => e)
+
+      expect(error.code).toBe(ERROR_CODES.TIMEOUT_ERROR)
+      await expect(ledger.getBalance('C1001')).resolves.toMatchObject({
+        inflightAmount: 4,
+        refundableAmount: 6,
+      })
+    })
+  })
+
+  it('reverses the payment through the revert handler', async () => {
+    const { revertHandler } = await service.createPayment(paymentInfo())
+
+    await revertHandler()
+
+    expect(http.calls('refundPayOrder')[0].data).toMatchObject({
+      chargeInfoId: 'C1001',
+      payOrderNo: 'P1001',
+      refundAmount: 12.5,
+    })
+  })
+
+  describe('concurrent charges', () => {
+    beforeEach(() => {
+      http.reply('createPayOrder', (data) => ok({ payOrderNo: `P-${data.chargeInfoId}` }))
+    })
+
+    it('keeps the order number and revert handler of each charge apart', async () => {
+      const [first, second] = await Promise.all([
+        service.createPayment(paymentInfo({ chargeInfoId: 'C1001' })),
+        service.createPayment(paymentInfo({ chargeInfoId: 'C1002', orderAmount: 30 })),
+      ])
+
+      await first.revertHandler()
+
+      expect(second.payOrderNo).toBe('P-C1002')
+      expect(http.calls('refundPayOrder').map((request) => request.data)).toEqual([
+        expect.objectContaining({
+          chargeInfoId: 'C1001',
+          payOrderNo: 'P-C1001',
+          refundAmount: 12.5,
+        }),
+      ])
+    })
+
+    it('queries each driver with the order number of its own session', async () => {
+      const first = new HeadlessPaymentDriver(service, paymentInfo({ chargeInfoId: 'C1001' }))
+      const second = new HeadlessPaymentDriver(service, paymentInfo({ chargeInfoId: 'C1002' }))
+
+      await first.submitAuthCode('code-1')
+      await second.submitAuthCode('code-2')
+      await first.queryStatus()
+
+      expect(first.session.payOrderNo).toBe('P-C1001')
+      expect(second.session.payOrderNo).toBe('P-C1002')
+      expect(http.calls('queryPayOrderResult')[0].data).toMatchObject({
+        chargeInfoId: 'C1001',
+        payOrderNo: 'P-C1001',
+      })
+
+      first.destroy()
+      expect(first.session.closed).toBe(true)
+      expect(second.session.closed).toBe(false)
+      second.destroy()
+    })
+  })
+
+  describe('headless driver', () => {
+    it('does not record a pushed success once the order has been cancelled', async () => {
+      const driver = new HeadlessPaymentDriver(service, paymentInfo())
+      const completePayment = vi.spyOn(service, 'completePayment')
+      await driver.start()
+      await driver.submitAuthCode('code-1')
+      await driver.cancel()
+
+      const status = await driver.applyStatus(PAYMENT_STATUS.SUCCESS, { source: 'push' })
+
+      expect(status).toBe(PAYMENT_STATUS.WAITING)
+      expect(driver.getStatus()).toBe(PAYMENT_STATUS.WAITING)
+      expect(completePayment).not.toHaveBeenCalled()
+      await expect(ledger.getBalance('C1001')).resolves.toMatchObject({
+        paidAmount: null,
+        refundableAmount: null,
+      })
+      driver.destroy()
+    })
+  })
+
+  describe('HTTP client', () => {
+    let host
+
+    afterEach(() => {
+      host?.uninstall()
+    })
+
+    it('falls back to the host imaAxios when no client is injected', async () => {
+      const imaAxios = { post: vi.fn().mockResolvedValue({ data: ok({ payOrderNo: 'P2002' }) }) }
+      host = installHaicApp({ imaAxios })
+
+      const hostService = new GuoweiPaymentService({
+        paymentType: PAYMENT_TYPE_SWITCHES.GUOWEI_PAYMENT,
+      })
+      const result = await hostService.createPayment(paymentInfo({ chargeInfoId: 'C2002' }))
+
+      expect(imaAxios.post).toHaveBeenCalledWith(
+        expect.stringMatching(/\/createPayOrder$/),
+        expect.objectContaining({ chargeInfoId: 'C2002' }),
+        expect.any(Object)
+      )
+      expect(result.payOrderNo).toBe('P2002')
+    })
+  })
+})
@@ -0,0 +1,118 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import StatusPoller from '../../services/StatusPoller.js'
+import PaymentStateMachine from '../../utils/PaymentStateMachine.js'
+import { PAYMENT_STATUS } from '../../constants/paymentTypes.js'
+
+describe('StatusPoller', () => {
+  let stateMachine
+  let query
+  let poller
+
+  const setHidden = (hidden) => {
+    Object.defineProperty(document, 'visibilityState', {
+      configurable: true,
+      get: () => (hidden ? 'hidden' : 'visible'),
+    })
+    document.dispatchEvent(new Event('visibilitychange'))
+  }
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    stateMachine = new PaymentStateMachine(PAYMENT_STATUS.PENDING)
+    query = vi.fn().mockResolvedValue(PAYMENT_STATUS.PENDING)
+    poller = new StatusPoller(query, { stateMachine })
+  })
+
+  afterEach(() => {
+    poller.destroy()
+    delete document.visibilityState
+    vi.useRealTimers()
+  })
+
+  it('backs off from 2 s to at most 5 s and stops on a settled status', async () => {
+    poller.start()
+
+    await vi.advanceTimersByTimeAsync(1999)
+    expect(query).toHaveBeenCalledTimes(0)
+    await vi.advanceTimersByTimeAsync(1)
+    expect(query).toHaveBeenCalledTimes(1)
+    // 2000 -> 3000 -> 4500 -> 5000
+    await vi.advanceTimersByTimeAsync(3000)
+    expect(query).toHaveBeenCalledTimes(2)
+    await vi.advanceTimersByTimeAsync(4500)
+    expect(query).toHaveBeenCalledTimes(3)
+    await vi.advanceTimersByTimeAsync(5000)
+    expect(query).toHaveBeenCalledTimes(4)
+    await vi.advanceTimersByTimeAsync(5000)
+    expect(query).toHaveBeenCalledTimes(5)
+
+    query.mockResolvedValue(PAYMENT_STATUS.SUCCESS)
+    await vi.advanceTimersByTimeAsync(5000)
+    expect(poller.isRunning()).toBe(false)
+    await vi.advanceTimersByTimeAsync(20000)
+    expect(query).toHaveBeenCalledTimes(6)
+  })
+
+  it('dedupes overlapping queries', async () => {
+    let resolveQuery
+    query.mockImplementation(() => new Promise((resolve) => (resolveQuery = resolve)))
+
+    const first = poller.poll()
+    const second = poller.poll()
+    resolveQuery(PAYMENT_STATUS.PROCESSING)
+
+    expect(first).toBe(second)
+    await expect(first).resolves.toBe(PAYMENT_STATUS.PROCESSING)
+    expect(query).toHaveBeenCalledTimes(1)
+  })
+
+  it('pauses while the tab is hidden and queries once it is visible again', async () => {
+    poller.start({ backoff: 1 })
+    setHidden(true)
+
+    await vi.advanceTimersByTimeAsync(10000)
+    expect(query).not.toHaveBeenCalled()
+
+    setHidden(false)
+    await vi.advanceTimersByTimeAsync(0)
+    expect(query).toHaveBeenCalledTimes(1)
+    await vi.advanceTimersByTimeAsync(2000)
+    expect(query).toHaveBeenCalledTimes(2)
+  })
+
+  it('suspends timed queries while push is connected and catches up on resume', async () => {
+    poller.start({ backoff: 1 })
+    poller.suspend()
+
+    await vi.advanceTimersByTimeAsync(10000)
+    expect(query).not.toHaveBeenCalled()
+    // 手动查询不受影响
+    await poller.poll()
+    expect(query).toHaveBeenCalledTimes(1)
+
+    poller.resume()
+    await vi.advanceTimersByTimeAsync(0)
+    expect(query).toHaveBeenCalledTimes(2)
+    await vi.advanceTimersByTimeAsync(2000)
+    expect(query).toHaveBeenCalledTimes(3)
+  })
+
+  it('moves to TIMEOUT when the deadline passes and stops when the state machine settles', async () => {
+    const timeout = vi.fn()
+    poller.on('poll:timeout', timeout)
+    poller.start({ deadline: 7000 })
+
+    await vi.advanceTimersByTimeAsync(7000)
+
+    expect(stateMachine.getStatus()).toBe(PAYMENT_STATUS.TIMEOUT)
+    expect(timeout).toHaveBeenCalledWith({ attempts: 2, deadline: 7000 })
+    expect(poller.isRunning()).toBe(false)
+
+    // 截止时间只对本次轮询生效；状态机进入结束状态时停止
+    stateMachine.transition(PAYMENT_STATUS.WAITING)
+    poller.start()
+    expect(poller.isRunning()).toBe(true)
+    stateMachine.transition(PAYMENT_STATUS.ABANDONED)
+    expect(poller.isRunning()).toBe(false)
+  })
+})
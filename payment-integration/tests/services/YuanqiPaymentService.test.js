@@ -0,0 +1,485 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import YuanqiPaymentService from '../../services/YuanQIPaymentService/index.js'
+import RefundLedger from '../../managers/RefundLedger.js'
+import RefundTracker from '../../managers/RefundTracker.js'
+import CompensationManager from '../../managers/CompensationManager.js'
+import PaymentError from '../../utils/PaymentError.js'
+import { ERROR_CODES } from '../../constants/errorCodes.js'
+import {
+  COMPENSATION_STATUS,
+  PAYMENT_STATUS,
+  REFUND_STATUS,
+  SCAN_MODES,
+} from '../../constants/paymentTypes.js'
+import { CACHE_STRATEGY_SWITCHES, PAYMENT_TYPE_SWITCHES } from '../../constants/switchCodes.js'
+import StubHttpClient from '../helpers/StubHttpClient.js'
+import { installHaicApp } from '../helpers/haicApp.js'
+
+const TERMINAL_URL = 'http://localhost:10001/OrgineTerminal/OrginePowerWCAService'
+
+const ok = (data = {}) => ({ code: '200', msg: 'success', data })
+
+const paymentData = (overrides = {}) => ({
+  chargeInfoId: 'C3001',
+  businessType: '1',
+  orderAmount: 20,
+  ...overrides,
+})
+
+/**
+ * 模拟源启终端服务（fetch）
+ * @param {Function} [respond] - (requestParams) => 终端响应体
+ */
+const stubTerminal = (respond = () => ({ result: { code: 'success', msg: '成功' } })) => {
+  const fetch = vi.fn(async (url, init) => {
+    const body = respond(init.body ? JSON.parse(init.body) : null)
+    return { ok: true, status: 200, statusText: 'OK', json: async () => body }
+  })
+  vi.stubGlobal('fetch', fetch)
+  return fetch
+}
+
+/**
+ * 模拟不响应的终端服务，请求中止时以 AbortError 失败
+ */
+const stubHangingTerminal = () => {
+  const fetch = vi.fn(
+    (url, init) =>
+      new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => {
+          reject(Object.assign(new Error('The operation was aborted'), { name: 'AbortError' }))
+        })
+      })
+  )
+  vi.stubGlobal('fetch', fetch)
+  return fetch
+}
+
+describe('YuanqiPaymentService', () => {
+  let http
+  let ledger
+  let compensations
+  let service
+  let terminal
+
+  beforeEach(() => {
+    http = new StubHttpClient({
+      preCreatePayOrder: ok({ requestParams: { op: 'charge' } }),
+      sufCreatePayOrder: ok(),
+      preRefundPayOrder: ok({ requestParams: { op: 'refund' } }),
+      sufRefundPayOrder: ok(),
+      preQueryPayOrder: ok({ requestParams: { op: 'query' } }),
+      sufQueryPayOrder: ok({ paymentStatus: PAYMENT_STATUS.SUCCESS }),
+      preReversePayOrder: ok({ requestParams: { op: 'reverse' } }),
+      sufReversePayOrder: ok({ paymentStatus: PAYMENT_STATUS.CLOSED }),
+      preQueryRefundOrder: ok({ requestParams: { op: 'refundQuery' } }),
+      sufQueryRefundOrder: ok({ refundStatus: REFUND_STATUS.SUCCESS }),
+    })
+    ledger = new RefundLedger({ storage: CACHE_STRATEGY_SWITCHES.MEMORY })
+    compensations = new CompensationManager({
+      storage: CACHE_STRATEGY_SWITCHES.MEMORY,
+      maxAttempts: 3,
+      interval: 1,
+    })
+    service = new YuanqiPaymentService({
+      paymentType: PAYMENT_TYPE_SWITCHES.YUANQI_PAYMENT,
+      httpClient: http,
+      refundLedger: ledger,
+      compensations,
+    })
+    terminal = stubTerminal()
+    return () => vi.unstubAllGlobals()
+  })
+
+  describe('processPayment', () => {
+    it('sends the pre-charge message to the terminal and confirms the charge', async () => {
+      const states = []
+      service.on('state:changed', (event) => states.push(event.to))
+
+      const result = await service.processPayment(paymentData())
+
+      expect(result.finalStatus).toBe(PAYMENT_STATUS.SUCCESS)
+      expect(typeof result.revertHandler).toBe('function')
+      expect(states).toEqual([PAYMENT_STATUS.PROCESSING, PAYMENT_STATUS.SUCCESS])
+
+      const [pre] = http.calls('preCreatePayOrder')
+      expect(pre.data).toMatchObject({ chargeInfoId: 'C3001', orderAmount: 20, payScanMode: '2' })
+      expect(terminal).toHaveBeenCalledWith(TERMINAL_URL, expect.any(Object))
+      expect(JSON.parse(terminal.mock.calls[0][1].body)).toEqual({ op: 'charge' })
+
+      const [suf] = http.calls('sufCreatePayOrder')
+      expect(suf.data.idempotencyKey).toBe(pre.data.idempotencyKey)
+      expect(JSON.parse(suf.data.result)).toEqual({ result: { code: 'success', msg: '成功' } })
+      await expect(ledger.getBalance('C3001')).resolves.toMatchObject({ paidAmount: 20 })
+    })
+
+    it('fails without calling the terminal when the pre-charge request is rejected', async () => {
+      http.reply('preCreatePayOrder', { code: '500', msg: '结算单不存在' })
+
+      await expect(service.processPayment(paymentData())).rejects.toThrow('结算单不存在')
+      expect(terminal).not.toHaveBeenCalled()
+    })
+
+    it('fails without confirming the charge when the terminal reports an error', async () => {
+      terminal = stubTerminal(() => ({ result: { code: 'fail', msg: '余额不足' } }))
+      const states = []
+      service.on('state:changed', (event) => states.push(event.to))
+
+      await expect(service.processPayment(paymentData())).rejects.toThrow(
+        '源启终端服务调用失败: 余额不足'
+      )
+      expect(http.calls('sufCreatePayOrder')).toHaveLength(0)
+      expect(states).toEqual([PAYMENT_STATUS.PROCESSING, PAYMENT_STATUS.FAILED])
+    })
+
+    it('reverses the charge before failing when the confirmation fails', async () => {
+      http.reply('sufCreatePayOrder', { code: '500', msg: '保存报文失败' })
+
+      await expect(service.processPayment(paymentData())).rejects.toThrow('保存报文失败')
+
+      expect(http.calls('sufRefundPayOrder')).toHaveLength(1)
+      expect(http.calls('preRefundPayOrder')[0].data).toMatchObject({
+        chargeInfoId: 'C3001',
+        refundAmount: 20,
+      })
+      expect(JSON.parse(terminal.mock.calls[1][1].body)).toEqual({ op: 'refund' })
+      const [{ refundNo }] = (await ledger.get('C3001')).refunds
+      await expect(ledger.getRefund('C3001', refundNo)).resolves.toMatchObject({
+        status: REFUND_STATUS.SUCCESS,
+      })
+      await expect(compensations.getAll()).resolves.toEqual([])
+    })
+
+    it('retries only the refund confirmation once the terminal has refunded', async () => {
+      http.reply('sufCreatePayOrder', { code: '500', msg: '保存报文失败' })
+      let confirmations = 0
+      http.reply('sufRefundPayOrder', () =>
+        ++confirmations < 3 ? { code: '500', msg: '保存退费报文失败' } : ok()
+      )
+
+      await expect(service.processPayment(paymentData())).rejects.toThrow('保存报文失败')
+
+      expect(http.calls('preRefundPayOrder')).toHaveLength(1)
+      expect(http.calls('sufRefundPayOrder')).toHaveLength(3)
+      const refundRequests = http.calls('sufRefundPayOrder').map((config) => config.data)
+      expect(new Set(refundRequests.map((data) => data.refundNo)).size).toBe(1)
+      expect(new Set(refundRequests.map((data) => data.idempotencyKey)).size).toBe(1)
+    })
+
+    it('escalates a reversal that keeps failing and re-drives it later', async () => {
+      http.reply('sufCreatePayOrder', { code: '500', msg: '保存报文失败' })
+      http.reply('sufRefundPayOrder', { code: '500', msg: '保存退费报文失败' })
+      const failed = vi.fn()
+      compensations.on('compensation:failed', failed)
+
+      const error = await service.processPayment(paymentData()).catch((e) => e)
+
+      expect(error).toBeInstanceOf(PaymentError)
+      expect(error.code).toBe(ERROR_CODES.COMPENSATION_FAILED)
+      expect(error.message).toContain('保存报文失败')
+      expect(failed).toHaveBeenCalledWith(
+        expect.objectContaining({ chargeInfoId: 'C3001', attempts: 3, error: '保存退费报文失败' })
+      )
+      const [pending] = await compensations.getAll(COMPENSATION_STATUS.FAILED)
+      expect(pending.results).toHaveProperty('refundRequested')
+      await expect(ledger.getRefund('C3001', pending.data.refundNo)).resolves.toMatchObject({
+        status: REFUND_STATUS.FAILED,
+      })
+
+      // 保存报文接口恢复后人工重新执行
+      http.reply('sufRefundPayOrder', ok())
+      const record = await service.resumeCompensation(pending)
+
+      expect(record.status).toBe(COMPENSATION_STATUS.SUCCEEDED)
+      expect(http.calls('preRefundPayOrder')).toHaveLength(1)
+      expect(http.calls('sufRefundPayOrder')).toHaveLength(4)
+      await expect(ledger.getRefund('C3001', pending.data.refundNo)).resolves.toMatchObject({
+        status: REFUND_STATUS.SUCCESS,
+      })
+      await expect(compensations.getAll()).resolves.toEqual([])
+    })
+
+    it('does not refund twice when the revert handler is called again', async () => {
+      const { revertHandler } = await service.processPayment(paymentData())
+
+      const [first, second] = await Promise.all([revertHandler(), revertHandler()])
+      await revertHandler()
+
+      expect(first).toBe(second)
+      expect(first.status).toBe(COMPENSATION_STATUS.SUCCEEDED)
+      expect(http.calls('preRefundPayOrder')).toHaveLength(1)
+    })
+  })
+
+  describe('refund', () => {
+    it('refunds synchronously and settles the ledger', async () => {
+      await ledger.recordPayment('C3001', { paidAmount: 20 })
+
+      const result = await service.refund({ chargeInfoId: 'C3001', refundAmount: 5 })
+
+      expect(result).toMatchObject({ refundStatus: REFUND_STATUS.SUCCESS })
+      expect(http.calls('preRefundPayOrder')[0].data.refundNo).toBe(result.refundNo)
+      expect(JSON.parse(http.calls('sufRefundPayOrder')[0].data.result)).toMatchObject({
+        result: { code: 'success' },
+      })
+      await expect(ledger.getBalance('C3001')).resolves.toMatchObject({
+        refundedAmount: 5,
+        refundableAmount: 15,
+      })
+    })
+
+    it('releases the reserved amount when the refund message is rejected', async () => {
+      await ledger.recordPayment('C3001', { paidAmount: 20 })
+      http.reply('preRefundPayOrder', { code: '500', msg: '退费报文生成失败' })
+
+      await expect(service.refund({ chargeInfoId: 'C3001', refundAmount: 5 })).rejects.toThrow(
+        '退费报文生成失败'
+      )
+      expect(terminal).not.toHaveBeenCalled()
+      await expect(ledger.getBalance('C3001')).resolves.toMatchObject({
+        inflightAmount: 0,
+        refundableAmount: 20,
+      })
+    })
+
+    it('keeps the reserved amount in flight once the terminal has been contacted', async () => {
+      await ledger.recordPayment('C3001', { paidAmount: 20 })
+      stubTerminal(() => ({ result: { code: 'fail', msg: '终端忙' } }))
+
+      await expect(service.refund({ chargeInfoId: 'C3001', refundAmount: 5 })).rejects.toThrow(
+        '终端忙'
+      )
+      expect(http.calls('sufRefundPayOrder')).toHaveLength(0)
+      await expect(ledger.getBalance('C3001')).resolves.toMatchObject({
+        inflightAmount: 5,
+        refundableAmount: 15,
+      })
+    })
+
+    it('resolves an unknown refund outcome by its refund number', async () => {
+      service.refundTracker = new RefundTracker({ interval: 1, deadline: 1000 })
+      await ledger.recordPayment('C3001', { paidAmount: 20 })
+      stubTerminal((requestParams) =>
+        requestParams.op === 'refund'
+          ? { result: { code: 'fail', msg: '终端响应超时' } }
+          : { result: { code: 'success', msg: '成功' } }
+      )
+
+      const result = await service.refund({ chargeInfoId: 'C3001', refundAmount: 5 })
+
+      expect(result).toMatchObject({ refundStatus: REFUND_STATUS.SUCCESS })
+      expect(http.calls('preQueryRefundOrder')[0].data.refundNo).toBe(result.refundNo)
+      await expect(ledger.getBalance('C3001')).resolves.toMatchObject({
+        inflightAmount: 0,
+        refundedAmount: 5,
+      })
+    })
+
+    it('rejects non-positive refund amounts', async () => {
+      const error = await service.refund({ chargeInfoId: 'C3001', refundAmount: 0 }).catch((e) => e)
+
+      expect(error).toBeInstanceOf(PaymentError)
+      expect(http.requests).toHaveLength(0)
+    })
+  })
+
+  describe('queryPaymentStatus', () => {
+    it('queries the transaction through the terminal and returns the parsed status', async () => {
+      const result = await service.queryPaymentStatus({ chargeInfoId: 'C3001', businessType: '1' })
+
+      expect(service.parsePaymentStatus(result)).toBe(PAYMENT_STATUS.SUCCESS)
+      expect(http.calls('preQueryPayOrder')[0].data).toMatchObject({
+        chargeInfoId: 'C3001',
+        businessType: '1',
+        payScanMode: '2',
+      })
+      expect(JSON.parse(terminal.mock.calls[0][1].body)).toEqual({ op: 'query' })
+      expect(JSON.parse(http.calls('sufQueryPayOrder')[0].data.result)).toMatchObject({
+        result: { code: 'success' },
+      })
+    })
+
+    it('fails when the query message cannot be saved', async () => {
+      http.reply('sufQueryPayOrder', { code: '500', msg: '交易不存在' })
+
+      await expect(service.queryPaymentStatus({ chargeInfoId: 'C3001' })).rejects.toThrow(
+        '交易不存在'
+      )
+    })
+
+    it('requires a charge id', async () => {
+      await expect(service.queryPaymentStatus({})).rejects.toBeInstanceOf(PaymentError)
+      expect(http.requests).toHaveLength(0)
+    })
+  })
+
+  describe('refundResult', () => {
+    it('settles the ledger once the refund reaches a final status', async () => {
+      await ledger.recordPayment('C3001', { paidAmount: 20 })
+      const { refundNo } = await ledger.reserve('C3001', 5)
+
+      const result = await service.refundResult({ chargeInfoId: 'C3001', refundNo })
+
+      expect(service.parseRefundStatus(result)).toBe(REFUND_STATUS.SUCCESS)
+      expect(http.calls('preQueryRefundOrder')[0].data.refundNo).toBe(refundNo)
+      await expect(ledger.getBalance('C3001')).resolves.toMatchObject({ refundedAmount: 5 })
+    })
+
+    it('lets the refund tracker poll Yuanqi refunds', async () => {
+      service.refundTracker = {
+        track: (refund, query) => query(),
+      }
+
+      await expect(
+        service.trackRefund({ chargeInfoId: 'C3001', refundNo: 'RF1' })
+      ).resolves.toMatchObject({ refundStatus: REFUND_STATUS.SUCCESS })
+    })
+  })
+
+  describe('cancelPayment', () => {
+    it('refunds a charge the terminal has completed', async () => {
+      await ledger.recordPayment('C3001', { paidAmount: 20 })
+
+      const result = await service.cancelPayment({ chargeInfoId: 'C3001', orderAmount: 20 })
+
+      expect(result).toMatchObject({ refundStatus: REFUND_STATUS.SUCCESS })
+      expect(http.calls('preRefundPayOrder')[0].data).toMatchObject({ refundAmount: 20 })
+      expect(http.calls('preReversePayOrder')).toHaveLength(0)
+    })
+
+    it('reverses a charge that has not completed', async () => {
+      http.reply('sufQueryPayOrder', ok({ paymentStatus: PAYMENT_STATUS.PROCESSING }))
+
+      const result = await service.cancelPayment({ chargeInfoId: 'C3001', orderAmount: 20 })
+
+      expect(service.parsePaymentStatus(result)).toBe(PAYMENT_STATUS.CLOSED)
+      const [pre] = http.calls('preReversePayOrder')
+      expect(pre.data.idempotencyKey).toBe(http.calls('sufReversePayOrder')[0].data.idempotencyKey)
+      expect(http.calls('preRefundPayOrder')).toHaveLength(0)
+    })
+
+    it('does nothing when the terminal has no record of the charge', async () => {
+      http.reply('sufQueryPayOrder', ok({ paymentStatus: null }))
+
+      await expect(service.cancelPayment({ chargeInfoId: 'C3001' })).resolves.toBeNull()
+      expect(http.calls('preReversePayOrder')).toHaveLength(0)
+      expect(http.calls('preRefundPayOrder')).toHaveLength(0)
+    })
+
+    it('is used to reverse pending journal entries without a compensation record', async () => {
+      http.reply('sufQueryPayOrder', ok({ paymentStatus: PAYMENT_STATUS.PENDING }))
+
+      await service.reversePayment({ chargeInfoId: 'C3001', orderAmount: 20 })
+
+      expect(http.calls('sufReversePayOrder')).toHaveLength(1)
+    })
+  })
+
+  it('declares passive scan only and no asynchronous order creation', () => {
+    expect(service.getCapabilities()).toMatchObject({
+      scanModes: [SCAN_MODES.PASSIVE],
+      asyncResult: false,
+      query: true,
+      partialRefund: true,
+      reversal: true,
+    })
+  })
+
+  describe('terminal options', () => {
+    let host
+
+    afterEach(() => {
+      host?.uninstall()
+      host = null
+    })
+
+    it('sends the configured headers to the configured terminal address', async () => {
+      service.config.terminal = { host: '10.0.0.8', port: 18001, headers: { 'X-Station': 'W01' } }
+
+      await service.processPayment(paymentData())
+
+      const [url, init] = terminal.mock.calls[0]
+      expect(url).toBe('http://10.0.0.8:18001/OrgineTerminal/OrginePowerWCAService')
+      expect(init.headers).toEqual({ 'X-Requested-With': 'XMLHttpRequest', 'X-Station': 'W01' })
+      expect(init.signal).toBeDefined()
+    })
+
+    it('drops default headers overridden with null', () => {
+      service.config.terminal = { headers: { 'X-Requested-With': null } }
+
+      expect(service.getTerminalOptions().headers).toEqual({})
+    })
+
+    it('lets the workstation preference override the service config', async () => {
+      service.config.terminal = { port: 18001 }
+      host = installHaicApp({
+        preferences: { YUANQI_TERMINAL: '{"url":"http://127.0.0.1:19000/terminal"}' },
+      })
+
+      expect(service.getTerminalOptions()).toMatchObject({
+        url: 'http://127.0.0.1:19000/terminal',
+        timeout: 120000,
+      })
+    })
+
+    it('rejects an invalid terminal config before requesting the pre-charge message', async () => {
+      service.config.terminal = { port: 'abc' }
+
+      const error = await service.processPayment(paymentData()).catch((e) => e)
+
+      expect(error).toBeInstanceOf(PaymentError)
+      expect(error.code).toBe(ERROR_CODES.CONFIG_ERROR)
+      expect(http.requests).toHaveLength(0)
+    })
+
+    it('aborts the terminal call after the configured timeout', async () => {
+      stubHangingTerminal()
+      service.config.terminal = { timeout: 20 }
+
+      const error = await service.processPayment(paymentData()).catch((e) => e)
+
+      expect(error).toBeInstanceOf(PaymentError)
+      expect(error.code).toBe(ERROR_CODES.REQUEST_TIMEOUT)
+      expect(error.message).toBe('源启终端服务调用失败: 请求超时（20ms）')
+      expect(http.calls('sufCreatePayOrder')).toHaveLength(0)
+    })
+  })
+
+  describe('checkTerminal', () => {
+    it('reports the terminal as available when it answers', async () => {
+      const result = await service.checkTerminal()
+
+      expect(result).toMatchObject({ available: true, url: TERMINAL_URL, status: 200 })
+      expect(terminal.mock.calls[0][1].method).toBe('GET')
+    })
+
+    it('reports the terminal as unavailable when the connection fails', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('Failed to fetch')))
+
+      await expect(service.checkTerminal()).resolves.toMatchObject({
+        available: false,
+        url: TERMINAL_URL,
+        error: '无法连接: Failed to fetch',
+      })
+    })
+
+    it('reports a timeout when the terminal does not answer in time', async () => {
+      stubHangingTerminal()
+      service.config.terminal = { healthTimeout: 10 }
+
+      await expect(service.checkTerminal()).resolves.toMatchObject({
+        available: false,
+        error: '连接超时（10ms）',
+      })
+    })
+
+    it('reports an invalid config without throwing', async () => {
+      service.config.terminal = { url: 'localhost:10001' }
+
+      const result = await service.checkTerminal()
+
+      expect(result.available).toBe(false)
+      expect(result.error).toContain('地址无效')
+    })
+  })
+})
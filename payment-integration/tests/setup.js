@@ -0,0 +1,21 @@
+/**
+ * 测试全局设置
+ * @description 静默模块日志输出，并在每个用例后清理宿主上下文与本地存储
+ */
+
+import { afterEach, beforeEach, vi } from 'vitest'
+
+const silenceConsole = () => {
+  for (const method of ['debug', 'info', 'log', 'warn', 'error']) {
+    vi.spyOn(console, method).mockImplementation(() => {})
+  }
+}
+
+// 模块加载时的日志（如服务注册）也一并静默
+silenceConsole()
+beforeEach(silenceConsole)
+
+afterEach(() => {
+  delete window.__haicApp__
+  window.localStorage?.clear()
+})
@@ -0,0 +1,98 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest'
+import PaymentNotifyChannel from '../../transports/PaymentNotifyChannel.js'
+import { createMockServer } from '../../mock/server.js'
+import { MOCK_OUTCOMES } from '../../mock/MockPaymentGateway.js'
+import { PAYMENT_STATUS } from '../../constants/paymentTypes.js'
+
+const waitFor = (emitter, event, predicate = () => true) =>
+  new Promise((resolve) => {
+    const unsubscribe = emitter.on(event, (data) => {
+      if (predicate(data)) {
+        unsubscribe()
+        resolve(data)
+      }
+    })
+  })
+
+describe('PaymentNotifyChannel', () => {
+  let server
+  let port
+  let channel
+
+  beforeEach(async () => {
+    server = createMockServer({ port: 0, terminalPort: null, notifyInterval: 20 })
+    ;({ port } = await server.listen())
+  })
+
+  afterEach(async () => {
+    channel?.destroy()
+    channel = null
+    await server.close()
+  })
+
+  it('receives status changes pushed by the stand-in server over WebSocket', async () => {
+    channel = new PaymentNotifyChannel({ url: `ws://127.0.0.1:${port}/notify` })
+    const notifications = []
+    channel.on('notify', (data) => notifications.push(data))
+
+    const connected = waitFor(channel, 'connected')
+    channel.subscribe('C1001')
+    await expect(connected).resolves.toEqual({ chargeInfoId: 'C1001' })
+    expect(channel.isConnected('C1001')).toBe(true)
+
+    const { data } = server.gateway.createPayOrder(
+      { chargeInfoId: 'C1001', orderAmount: 100 },
+      { outcome: MOCK_OUTCOMES.DELAY, delay: 100 }
+    )
+    await waitFor(channel, 'notify', ({ status }) => status === PAYMENT_STATUS.SUCCESS)
+
+    expect(notifications.map(({ status }) => status)).toEqual([
+      PAYMENT_STATUS.PENDING,
+      PAYMENT_STATUS.SUCCESS,
+    ])
+    expect(notifications[1]).toMatchObject({
+      chargeInfoId: 'C1001',
+      orderId: data.payOrderNo,
+      amount: 100,
+    })
+  })
+
+  it('reports the disconnect and stops reconnecting once unsubscribed', async () => {
+    channel = new PaymentNotifyChannel({
+      url: `ws://127.0.0.1:${port}/notify`,
+      reconnectInterval: 10,
+    })
+    const connected = waitFor(channel, 'connected')
+    channel.subscribe('C1001')
+    await connected
+
+    const disconnected = waitFor(channel, 'disconnected')
+    await server.close()
+    await expect(disconnected).resolves.toMatchObject({ chargeInfoId: 'C1001' })
+    expect(channel.isConnected('C1001')).toBe(false)
+
+    channel.unsubscribe('C1001')
+    expect(channel.subscriptions.size).toBe(0)
+  })
+
+  it('streams notifications as server-sent events', async () => {
+    server.gateway.createPayOrder({ chargeInfoId: 'C1002', orderAmount: 50 })
+    const controller = new AbortController()
+    const response = await fetch(`http://127.0.0.1:${port}/notify?chargeInfoId=C1002`, {
+      signal: controller.signal,
+    })
+    expect(response.headers.get('content-type')).toContain('text/event-stream')
+
+    const reader = response.body.getReader()
+    const decoder = new TextDecoder()
+    let text = ''
+    while (!text.includes('data: ')) {
+      const { value } = await reader.read()
+      text += decoder.decode(value)
+    }
+    controller.abort()
+
+    const event = JSON.parse(text.split('data: ')[1].split('\n')[0])
+    expect(event).toMatchObject({ chargeInfoId: 'C1002', status: PAYMENT_STATUS.SUCCESS })
+  })
+})
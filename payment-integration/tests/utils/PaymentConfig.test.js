@@ -0,0 +1,97 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest'
+import PaymentConfig from '../../utils/PaymentConfig.js'
+import { PAYMENT_SWITCH_CODES, PAYMENT_TYPE_SWITCHES } from '../../constants/switchCodes.js'
+import { installHaicApp } from '../helpers/haicApp.js'
+
+describe('PaymentConfig.fetchFromSystemSwitches', () => {
+  let config
+  let host
+
+  beforeEach(() => {
+    config = new PaymentConfig()
+  })
+
+  afterEach(() => {
+    host?.uninstall()
+    host = null
+  })
+
+  it('reads every payment switch from the HAIC switch module', async () => {
+    host = installHaicApp({
+      switches: {
+        [PAYMENT_SWITCH_CODES.PAYMENT_TYPE]: '3',
+        [PAYMENT_SWITCH_CODES.PAYMENT_ENABLED]: '1',
+        [PAYMENT_SWITCH_CODES.PAYMENT_ENV]: 'sandbox',
+        [PAYMENT_SWITCH_CODES.PAYMENT_ENDPOINTS]: '{"2":{"baseUrl":"/gw"}}',
+        [PAYMENT_SWITCH_CODES.PAYMENT_ROUTES]: '[{"paymentType":"3","businessTypes":["3"]}]',
+        [PAYMENT_SWITCH_CODES.PAYMENT_BACKUP_TYPE]: '2',
+      },
+    })
+
+    await expect(config.fetchFromSystemSwitches()).resolves.toEqual({
+      paymentType: '3',
+      paymentEnabled: '1',
+      paymentEnv: 'sandbox',
+      endpoints: '{"2":{"baseUrl":"/gw"}}',
+      routes: '[{"paymentType":"3","businessTypes":["3"]}]',
+      backupPaymentType: '2',
+      _source: 'systemSwitches',
+    })
+    expect(host.switchModule.getSwitchValue).toHaveBeenCalledTimes(6)
+  })
+
+  it('extracts the first value from object-shaped switch values', async () => {
+    host = installHaicApp({
+      switches: {
+        [PAYMENT_SWITCH_CODES.PAYMENT_TYPE]: { SETT034: '2' },
+        [PAYMENT_SWITCH_CODES.PAYMENT_ENABLED]: { SETT009: '1' },
+      },
+    })
+
+    const result = await config.fetchFromSystemSwitches()
+    expect(result.paymentType).toBe('2')
+    expect(result.paymentEnabled).toBe('1')
+  })
+
+  it('falls back to defaults for missing or empty switches', async () => {
+    host = installHaicApp({
+      switches: { [PAYMENT_SWITCH_CODES.PAYMENT_TYPE]: {} },
+    })
+
+    await expect(config.fetchFromSystemSwitches()).resolves.toMatchObject({
+      paymentType: PAYMENT_TYPE_SWITCHES.GUOWEI_PAYMENT,
+      paymentEnabled: PAYMENT_TYPE_SWITCHES.DISABLED,
+      paymentEnv: null,
+      endpoints: null,
+      routes: null,
+      backupPaymentType: null,
+    })
+  })
+
+  it('throws when the HAIC switch module is unavailable', async () => {
+    await expect(config.fetchFromSystemSwitches()).rejects.toThrow('HAIC系统开关模块不可用')
+  })
+
+  it('adds the scan mode preference when loading config', async () => {
+    host = installHaicApp({
+      switches: { [PAYMENT_SWITCH_CODES.PAYMENT_ENABLED]: '1' },
+      preferences: { PAY_SCAN_MODE: '1' },
+    })
+
+    const result = await config.loadConfig()
+    expect(result.payScanMode).toBe('1')
+    expect(config.getLastSuccessConfig()).toBe(result)
+  })
+
+  it('reuses the last successful config when the switch module goes away', async () => {
+    host = installHaicApp({ switches: { [PAYMENT_SWITCH_CODES.PAYMENT_ENABLED]: '1' } })
+    const loaded = await config.loadConfig()
+    host.uninstall()
+
+    await expect(config.loadConfig()).resolves.toBe(loaded)
+  })
+
+  it('returns the fallback config when nothing has been loaded yet', async () => {
+    await expect(config.loadConfig()).resolves.toEqual(PaymentConfig.getFallbackConfig())
+  })
+})
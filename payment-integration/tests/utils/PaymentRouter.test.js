@@ -0,0 +1,89 @@
+import { beforeEach, describe, expect, it } from 'vitest'
+import PaymentRouter from '../../utils/PaymentRouter.js'
+import PaymentError from '../../utils/PaymentError.js'
+import { ERROR_CODES } from '../../constants/errorCodes.js'
+import { BUSINESS_TYPES } from '../../constants/paymentTypes.js'
+import { PAYMENT_TYPE_SWITCHES } from '../../constants/switchCodes.js'
+
+const { GUOWEI_PAYMENT, YUANQI_PAYMENT } = PAYMENT_TYPE_SWITCHES
+const paymentTypes = [GUOWEI_PAYMENT, YUANQI_PAYMENT]
+
+describe('PaymentRouter', () => {
+  let router
+
+  beforeEach(() => {
+    router = new PaymentRouter()
+  })
+
+  it('routes by business type and falls back to the default payment type', () => {
+    router.configure({
+      defaultPaymentType: GUOWEI_PAYMENT,
+      paymentTypes,
+      rules: [{ paymentType: YUANQI_PAYMENT, businessTypes: [BUSINESS_TYPES.INPATIENT_PREPAY] }],
+    })
+
+    expect(router.resolve({ businessType: BUSINESS_TYPES.INPATIENT_PREPAY })).toBe(YUANQI_PAYMENT)
+    expect(router.resolve({ businessType: BUSINESS_TYPES.OUTPATIENT_CHARGE })).toBe(GUOWEI_PAYMENT)
+    expect(router.resolve()).toBe(GUOWEI_PAYMENT)
+    expect(router.getPaymentTypes()).toEqual([GUOWEI_PAYMENT, YUANQI_PAYMENT])
+  })
+
+  it('applies the first matching rule across campus and half-open amount ranges', () => {
+    router.configure({
+      defaultPaymentType: GUOWEI_PAYMENT,
+      paymentTypes,
+      rules: JSON.stringify([
+        { paymentType: YUANQI_PAYMENT, campusIds: ['east'], maxAmount: 5000 },
+        { paymentType: GUOWEI_PAYMENT, campusIds: ['east'] },
+        { paymentType: YUANQI_PAYMENT, minAmount: 100, maxAmount: 200 },
+      ]),
+    })
+
+    expect(router.resolve({ campusId: 'east', orderAmount: 4999.99 })).toBe(YUANQI_PAYMENT)
+    expect(router.resolve({ campusId: 'east', orderAmount: 5000 })).toBe(GUOWEI_PAYMENT)
+    expect(router.resolve({ campusId: 'west', orderAmount: 100 })).toBe(YUANQI_PAYMENT)
+    expect(router.resolve({ campusId: 'west', orderAmount: 200 })).toBe(GUOWEI_PAYMENT)
+    // 没有金额时金额规则不命中
+    expect(router.resolve({ campusId: 'west' })).toBe(GUOWEI_PAYMENT)
+  })
+
+  it('rejects invalid rules with a config error and keeps the previous rules', () => {
+    router.configure({
+      defaultPaymentType: GUOWEI_PAYMENT,
+      paymentTypes,
+      rules: [{ paymentType: YUANQI_PAYMENT, businessTypes: [BUSINESS_TYPES.INPATIENT_PREPAY] }],
+    })
+
+    let error
+    try {
+      router.configure({
+        defaultPaymentType: GUOWEI_PAYMENT,
+        paymentTypes,
+        rules: [
+          { name: '未知平台', paymentType: '9' },
+          { paymentType: YUANQI_PAYMENT, businessTypes: ['8'], minAmount: 10, maxAmount: 5 },
+        ],
+      })
+    } catch (e) {
+      error = e
+    }
+
+    expect(error).toBeInstanceOf(PaymentError)
+    expect(error.code).toBe(ERROR_CODES.CONFIG_ERROR)
+    expect(error.context.errors).toEqual([
+      '第 1 条规则（未知平台）的支付类型 9 未注册',
+      '第 2 条规则的业务类型 8 无效',
+      '第 2 条规则的 minAmount 必须小于 maxAmount',
+    ])
+    expect(router.getRules()).toHaveLength(1)
+  })
+
+  it('rejects switch values that are not a JSON array', () => {
+    expect(() => router.configure({ defaultPaymentType: GUOWEI_PAYMENT, rules: '{' })).toThrow(
+      '路由规则不是合法的 JSON'
+    )
+    expect(() =>
+      router.configure({ defaultPaymentType: GUOWEI_PAYMENT, rules: { paymentType: '3' } })
+    ).toThrow('路由规则必须是数组')
+  })
+})
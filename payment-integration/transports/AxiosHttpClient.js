@@ -0,0 +1,33 @@
+/**
+ * axios HTTP 客户端
+ * @description 包装 axios 实例（含 HAIC 宿主的 imaAxios），get/post 直接委托，保留宿主拦截器与自定义配置（如 cancelExceptionMsgTip）
+ */
+
+import HttpClient from './HttpClient.js'
+
+class AxiosHttpClient extends HttpClient {
+  /**
+   * 构造函数
+   * @param {Object|Function} axios - axios 实例
+   */
+  constructor(axios) {
+    super()
+    this.axios = axios
+  }
+
+  request(config) {
+    return typeof this.axios.request === 'function'
+      ? this.axios.request(config)
+      : this.axios(config)
+  }
+
+  get(url, config = {}) {
+    return this.axios.get(url, config)
+  }
+
+  post(url, data, config = {}) {
+    return this.axios.post(url, data, config)
+  }
+}
+
+export default AxiosHttpClient
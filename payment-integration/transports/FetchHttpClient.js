@@ -0,0 +1,104 @@
+/**
+ * fetch HTTP 客户端
+ * @description 基于 fetch 的默认实现，浏览器与 Node 18+ 均可使用；非 2xx 响应与 axios 一样视为失败
+ */
+
+import HttpClient from './HttpClient.js'
+import PaymentError from '../utils/PaymentError.js'
+import { ERROR_CODES } from '../constants/errorCodes.js'
+
+class FetchHttpClient extends HttpClient {
+  /**
+   * 构造函数
+   * @param {Object} [options] - 配置选项
+   * @param {string} [options.baseURL] - 基础地址，拼接在相对地址前
+   * @param {number} [options.timeout=30000] - 超时时间（毫秒），0 表示不限制
+   * @param {Object} [options.headers] - 公共请求头
+   * @param {string} [options.credentials] - fetch credentials 选项
+   * @param {Function} [options.fetch] - fetch 实现，默认全局 fetch
+   */
+  constructor(options = {}) {
+    super()
+    this.baseURL = options.baseURL || ''
+    this.timeout = options.timeout ?? 30000
+    this.headers = options.headers || {}
+    this.credentials = options.credentials
+    this.fetch = options.fetch || ((...args) => globalThis.fetch(...args))
+  }
+
+  async request(config) {
+    const { method = 'get', data, params, headers = {}, timeout = this.timeout } = config
+    const url = this._buildUrl(config.url, params)
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null
+    const timer = controller && timeout > 0 ? setTimeout(() => controller.abort(), timeout) : null
+
+    try {
+      const response = await this.fetch(url, {
+        method: method.toUpperCase(),
+        headers: { 'Content-Type': 'application/json', ...this.headers, ...headers },
+        body: data === undefined ? undefined : JSON.stringify(data),
+        credentials: this.credentials,
+        signal: controller?.signal,
+      })
+      const result = {
+        data: await this._parseBody(response),
+        status: response.status,
+        statusText: response.statusText,
+        headers: Object.fromEntries(response.headers?.entries?.() || []),
+        config,
+      }
+      if (!response.ok) {
+        throw PaymentError.networkError(`请求失败: ${response.status} ${response.statusText}`, {
+          url,
+          status: response.status,
+          response: result,
+        })
+      }
+      return result
+    } catch (error) {
+      if (error instanceof PaymentError) {
+        throw error
+      }
+      if (error?.name === 'AbortError') {
+        throw new PaymentError('请求超时', ERROR_CODES.REQUEST_TIMEOUT, { url, timeout })
+      }
+      throw PaymentError.networkError(`网络请求失败: ${error?.message || error}`, {
+        url,
+        originalError: error,
+      })
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  /**
+   * 拼接基础地址与查询参数
+   * @private
+   */
+  _buildUrl(url, params) {
+    const fullUrl = /^https?:\/\//.test(url) ? url : `${this.baseURL.replace(/\/+$/, '')}${url}`
+    const query = params ? new URLSearchParams(params).toString() : ''
+    if (!query) {
+      return fullUrl
+    }
+    return `${fullUrl}${fullUrl.includes('?') ? '&' : '?'}${query}`
+  }
+
+  /**
+   * 解析响应体（JSON 优先，否则返回文本）
+   * @private
+   */
+  async _parseBody(response) {
+    const text = await response.text()
+    if (!text) {
+      return null
+    }
+    try {
+      return JSON.parse(text)
+    } catch {
+      return text
+    }
+  }
+}
+
+export default FetchHttpClient
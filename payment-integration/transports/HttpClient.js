@@ -0,0 +1,40 @@
+/**
+ * HTTP 客户端基类
+ * @description 支付服务的 API 模块只通过该接口发起请求，不依赖宿主的请求库；
+ * 响应格式与 axios 一致（{ data, status, headers }），宿主 axios、fetch 或测试替身实现 request 即可接入
+ */
+
+class HttpClient {
+  /**
+   * 发起请求
+   * @param {Object} _config - 请求配置（url、method、data、params、headers、timeout，其余字段透传给实现）
+   * @returns {Promise<Object>} 响应 { data, status, headers }
+   * @abstract
+   */
+  request(_config) {
+    throw new Error('Method not implemented: request')
+  }
+
+  /**
+   * GET 请求
+   * @param {string} url - 请求地址
+   * @param {Object} [config] - 请求配置
+   * @returns {Promise<Object>} 响应 { data, status, headers }
+   */
+  get(url, config = {}) {
+    return this.request({ ...config, method: 'get', url })
+  }
+
+  /**
+   * POST 请求
+   * @param {string} url - 请求地址
+   * @param {Object} [data] - 请求体
+   * @param {Object} [config] - 请求配置
+   * @returns {Promise<Object>} 响应 { data, status, headers }
+   */
+  post(url, data, config = {}) {
+    return this.request({ ...config, method: 'post', url, data })
+  }
+}
+
+export default HttpClient
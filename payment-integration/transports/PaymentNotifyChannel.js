@@ -0,0 +1,229 @@
+/**
+ * 支付结果推送通道
+ * @description 通过 WebSocket 或 SSE（EventSource）订阅结算网关推送的支付通知（PaymentNotifyData），
+ * 每个结算（chargeInfoId）一条连接；断开后按退避间隔自动重连，连接状态通过 connected / disconnected 事件通知，
+ * 调用方据此在推送不可用时回退到状态轮询
+ */
+
+import EventEmitter from '../utils/EventEmitter.js'
+import Logger from '../utils/Logger.js'
+import PaymentError from '../utils/PaymentError.js'
+
+/**
+ * 推送方式
+ */
+const NOTIFY_TRANSPORTS = {
+  WEBSOCKET: 'websocket',
+  SSE: 'sse',
+}
+
+/**
+ * 默认配置
+ */
+const DEFAULT_OPTIONS = {
+  reconnectInterval: 3000, // 首次重连间隔（毫秒），之后每次翻倍
+  maxReconnectInterval: 30000, // 最大重连间隔（毫秒）
+}
+
+class PaymentNotifyChannel extends EventEmitter {
+  /**
+   * 构造函数
+   * @param {Object} options - 配置选项
+   * @param {string} options.url - 推送地址，ws:// 或 wss:// 使用 WebSocket，其余使用 SSE；连接时附加 chargeInfoId 查询参数
+   * @param {string} [options.transport] - 推送方式（NOTIFY_TRANSPORTS），默认按地址判断
+   * @param {number} [options.reconnectInterval=3000] - 首次重连间隔（毫秒）
+   * @param {number} [options.maxReconnectInterval=30000] - 最大重连间隔（毫秒）
+   * @param {Function} [options.WebSocket] - WebSocket 实现，默认全局 WebSocket
+   * @param {Function} [options.EventSource] - EventSource 实现，默认全局 EventSource
+   * @throws {PaymentError} 未配置推送地址（CONFIG_ERROR）
+   */
+  constructor(options = {}) {
+    super()
+    if (!options.url) {
+      throw PaymentError.createConfigError('支付结果推送地址不能为空', { options })
+    }
+    this.options = { ...DEFAULT_OPTIONS, ...options }
+    this.url = options.url
+    this.transport =
+      options.transport ||
+      (/^wss?:\/\//i.test(options.url) ? NOTIFY_TRANSPORTS.WEBSOCKET : NOTIFY_TRANSPORTS.SSE)
+    this.WebSocket = options.WebSocket || globalThis.WebSocket
+    this.EventSource = options.EventSource || globalThis.EventSource
+    this.logger = new Logger('PaymentNotifyChannel')
+    // 订阅（key: chargeInfoId，value: { source, connected, attempts, reconnectTimer }）
+    this.subscriptions = new Map()
+  }
+
+  /**
+   * 推送方式在当前环境是否可用
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof this._getConstructor() === 'function'
+  }
+
+  /**
+   * 订阅结算的支付通知
+   * @description 已订阅时不重复连接；当前环境不支持推送时不连接，调用方继续轮询
+   * @param {string} chargeInfoId - 结算ID
+   */
+  subscribe(chargeInfoId) {
+    if (!chargeInfoId || this.subscriptions.has(chargeInfoId)) {
+      return
+    }
+    if (!this.isSupported()) {
+      this.logger.warn('Push transport unavailable, falling back to polling', {
+        transport: this.transport,
+      })
+      return
+    }
+    const subscription = { source: null, connected: false, attempts: 0, reconnectTimer: null }
+    this.subscriptions.set(chargeInfoId, subscription)
+    this._connect(chargeInfoId, subscription)
+  }
+
+  /**
+   * 取消订阅并关闭连接
+   * @param {string} chargeInfoId - 结算ID
+   */
+  unsubscribe(chargeInfoId) {
+    const subscription = this.subscriptions.get(chargeInfoId)
+    if (!subscription) {
+      return
+    }
+    this.subscriptions.delete(chargeInfoId)
+    clearTimeout(subscription.reconnectTimer)
+    this._close(subscription)
+    if (subscription.connected) {
+      this.emit('disconnected', { chargeInfoId, reason: 'unsubscribed' })
+    }
+  }
+
+  /**
+   * 结算的推送连接是否可用
+   * @param {string} chargeInfoId - 结算ID
+   * @returns {boolean}
+   */
+  isConnected(chargeInfoId) {
+    return this.subscriptions.get(chargeInfoId)?.connected || false
+  }
+
+  /**
+   * 获取当前推送方式的实现
+   * @private
+   */
+  _getConstructor() {
+    return this.transport === NOTIFY_TRANSPORTS.WEBSOCKET ? this.WebSocket : this.EventSource
+  }
+
+  /**
+   * 建立连接
+   * @private
+   */
+  _connect(chargeInfoId, subscription) {
+    const Transport = this._getConstructor()
+    const separator = this.url.includes('?') ? '&' : '?'
+    const url = `${this.url}${separator}chargeInfoId=${encodeURIComponent(chargeInfoId)}`
+    let source
+    try {
+      source = new Transport(url)
+    } catch (error) {
+      this.logger.warn('Failed to open push connection', { chargeInfoId, error })
+      this._scheduleReconnect(chargeInfoId, subscription)
+      return
+    }
+    subscription.source = source
+    source.onopen = () => {
+      subscription.attempts = 0
+      subscription.connected = true
+      this.emit('connected', { chargeInfoId })
+    }
+    source.onmessage = (event) => this._receive(chargeInfoId, event.data)
+    // WebSocket 出错后总会触发 close；EventSource 出错后自行重连，统一关闭后按退避间隔重连
+    const handleDisconnect = () => {
+      if (subscription.source !== source) {
+        return
+      }
+      this._close(subscription)
+      if (subscription.connected) {
+        subscription.connected = false
+        this.emit('disconnected', { chargeInfoId, reason: 'closed' })
+      }
+      this._scheduleReconnect(chargeInfoId, subscription)
+    }
+    source.onerror = handleDisconnect
+    if (this.transport === NOTIFY_TRANSPORTS.WEBSOCKET) {
+      source.onclose = handleDisconnect
+    }
+  }
+
+  /**
+   * 关闭连接（不触发重连）
+   * @private
+   */
+  _close(subscription) {
+    const { source } = subscription
+    subscription.source = null
+    if (!source) {
+      return
+    }
+    source.onopen = null
+    source.onmessage = null
+    source.onerror = null
+    source.onclose = null
+    try {
+      source.close()
+    } catch (error) {
+      this.logger.warn('Failed to close push connection', { error })
+    }
+  }
+
+  /**
+   * 按退避间隔重连
+   * @private
+   */
+  _scheduleReconnect(chargeInfoId, subscription) {
+    if (this.subscriptions.get(chargeInfoId) !== subscription) {
+      return
+    }
+    const { reconnectInterval, maxReconnectInterval } = this.options
+    const delay = Math.min(reconnectInterval * 2 ** subscription.attempts, maxReconnectInterval)
+    subscription.attempts++
+    clearTimeout(subscription.reconnectTimer)
+    subscription.reconnectTimer = setTimeout(() => {
+      subscription.reconnectTimer = null
+      if (this.subscriptions.get(chargeInfoId) === subscription) {
+        this._connect(chargeInfoId, subscription)
+      }
+    }, delay)
+  }
+
+  /**
+   * 处理推送消息（非 JSON 的心跳消息忽略）
+   * @private
+   */
+  _receive(chargeInfoId, raw) {
+    let data
+    try {
+      data = typeof raw === 'string' ? JSON.parse(raw) : raw
+    } catch {
+      return
+    }
+    if (!data || typeof data !== 'object') {
+      return
+    }
+    this.emit('notify', { ...data, chargeInfoId: data.chargeInfoId || chargeInfoId })
+  }
+
+  /**
+   * 销毁（关闭所有连接）
+   */
+  destroy() {
+    Array.from(this.subscriptions.keys()).forEach((chargeInfoId) => this.unsubscribe(chargeInfoId))
+    this.removeAllListeners()
+  }
+}
+
+export { NOTIFY_TRANSPORTS }
+
+export default PaymentNotifyChannel
@@ -0,0 +1,38 @@
+/**
+ * HTTP 传输层
+ * @description 支付服务的 API 模块通过 HttpClient 接口发起请求，内置 axios（宿主 imaAxios）与 fetch 两种实现；
+ * 支付结果推送通过 PaymentNotifyChannel（WebSocket / SSE）接收
+ */
+
+import HttpClient from './HttpClient.js'
+import AxiosHttpClient from './AxiosHttpClient.js'
+import FetchHttpClient from './FetchHttpClient.js'
+import PaymentNotifyChannel, { NOTIFY_TRANSPORTS } from './PaymentNotifyChannel.js'
+import PaymentError from '../utils/PaymentError.js'
+import { getHostHttpClient } from '../utils/GlobalAccessor.js'
+
+/**
+ * 创建 HTTP 客户端
+ * @description 传入 HttpClient 直接使用；传入 axios 实例时包装为 AxiosHttpClient；
+ * 不传时优先使用 HAIC 宿主的 imaAxios，宿主不可用（如 Node 环境）时使用 fetch
+ * @param {HttpClient|Object} [client] - HTTP 客户端或 axios 实例
+ * @returns {HttpClient} HTTP 客户端
+ * @throws {PaymentError} 传入的客户端不支持 post 请求（CONFIG_ERROR）
+ */
+export function createHttpClient(client) {
+  if (client instanceof HttpClient) {
+    return client
+  }
+  if (client) {
+    if (typeof client.post !== 'function') {
+      throw PaymentError.createConfigError('HTTP 客户端必须是 HttpClient 或 axios 实例', {
+        client,
+      })
+    }
+    return new AxiosHttpClient(client)
+  }
+  const hostClient = getHostHttpClient()
+  return hostClient ? new AxiosHttpClient(hostClient) : new FetchHttpClient()
+}
+
+export { HttpClient, AxiosHttpClient, FetchHttpClient, PaymentNotifyChannel, NOTIFY_TRANSPORTS }
@@ -8,6 +8,7 @@ export {
   PaymentQueryResult,
   RefundParams,
   RefundResult,
+  PaymentOutcome,
   PaymentNotifyData,
   PaymentConfig,
 } from './payment.js'
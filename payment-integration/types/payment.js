@@ -71,12 +71,26 @@
  * @property {string} createTime - 创建时间
  */
 
+/**
+ * @typedef {Object} PaymentOutcome
+ * @property {boolean} success - 是否支付成功
+ * @property {string} outcome - 结果类型（PAYMENT_OUTCOMES）
+ * @property {string} finalStatus - 支付最终状态（PAYMENT_STATUS）
+ * @property {string} businessType - 业务类型
+ * @property {string} chargeInfoId - 结算ID
+ * @property {number} orderAmount - 支付金额
+ * @property {string} [payOrderNo] - 支付订单号
+ * @property {Function|null} revertHandler - 回滚函数（HIS 结算失败时调用，不抛出异常；源启返回冲正补偿记录）
+ * @property {Object} rawResult - 服务层原始结果
+ */
+
 /**
  * @typedef {Object} PaymentNotifyData
+ * @description 结算网关推送的支付通知，见 PaymentNotifyChannel
  * @property {string} chargeInfoId - 支付ID
- * @property {string} orderId - 订单ID
+ * @property {string} orderId - 订单ID（支付订单号 payOrderNo）
  * @property {string} tradeNo - 交易流水号
- * @property {string} status - 支付状态
+ * @property {string} status - 支付状态（PAYMENT_STATUS）
  * @property {number} amount - 支付金额
  * @property {string} [buyerAccount] - 买家账号
  * @property {string} payTime - 支付时间
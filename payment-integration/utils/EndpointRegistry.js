@@ -0,0 +1,272 @@
+/**
+ * 支付接口端点注册表
+ * @description 按支付平台维护接口路径与各支付环境的基础地址，合并默认配置、系统开关与 init 选项的覆盖项，
+ * 在 init 时统一校验；各服务的 API 模块通过 resolve 获取接口地址
+ */
+
+import PaymentError from './PaymentError.js'
+import { defaultLogger } from './Logger.js'
+import { DEFAULT_ENDPOINTS } from '../config/endpoints.js'
+import { PAYMENT_ENV } from '../constants/paymentTypes.js'
+
+const logger = defaultLogger.child('EndpointRegistry')
+
+/**
+ * 合法的基础地址：以 / 开头的网关相对地址，或 http(s) 绝对地址
+ */
+const BASE_URL_PATTERN = /^(\/|https?:\/\/)/
+
+/**
+ * 拼接基础地址与相对路径
+ * @param {string} baseUrl - 基础地址
+ * @param {string} path - 相对路径
+ * @returns {string} 接口地址
+ */
+const joinUrl = (baseUrl, path) => `${baseUrl.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`
+
+/**
+ * 复制端点定义
+ * @param {Object} definition - 端点定义
+ * @returns {Object} 端点定义副本
+ */
+const cloneDefinition = (definition = {}) => ({
+  baseUrls: { ...(definition.baseUrls || {}) },
+  paths: { ...(definition.paths || {}) },
+})
+
+class EndpointRegistry {
+  constructor() {
+    this.env = PAYMENT_ENV.PRODUCTION
+    // 默认端点定义（key: paymentType）
+    this.definitions = new Map(
+      Object.entries(DEFAULT_ENDPOINTS).map(([paymentType, definition]) => [
+        paymentType,
+        cloneDefinition(definition),
+      ])
+    )
+    // 合并覆盖项后的端点（key: paymentType，value: { baseUrl, paths }），configure 前按默认配置解析
+    this.endpoints = null
+  }
+
+  /**
+   * 获取单例
+   * @returns {EndpointRegistry} 注册表实例
+   */
+  static getInstance() {
+    if (!EndpointRegistry.instance) {
+      EndpointRegistry.instance = new EndpointRegistry()
+    }
+    return EndpointRegistry.instance
+  }
+
+  /**
+   * 获取接口地址
+   * @param {string} paymentType - 支付类型（PAYMENT_TYPE_SWITCHES）
+   * @param {string} name - 接口名
+   * @returns {string} 接口地址
+   */
+  static resolve(paymentType, name) {
+    return EndpointRegistry.getInstance().resolve(paymentType, name)
+  }
+
+  /**
+   * 注册支付平台的默认端点（扩展厂商在注册服务时调用）
+   * @param {string} paymentType - 支付类型
+   * @param {Object} definition - 端点定义
+   * @param {Object} definition.baseUrls - 各支付环境的基础地址（key: PAYMENT_ENV）
+   * @param {Object} definition.paths - 接口相对路径（key: 接口名）
+   */
+  register(paymentType, definition) {
+    this.definitions.set(paymentType, cloneDefinition(definition))
+    this.endpoints = null
+    logger.info('Endpoints registered', { paymentType })
+  }
+
+  /**
+   * 合并覆盖项并校验
+   * @description 覆盖项按顺序合并，后者优先；覆盖项格式：
+   * { [paymentType]: { baseUrl?: 当前环境基础地址, baseUrls?: { [PAYMENT_ENV]: 基础地址 }, paths?: { 接口名: 相对路径 } } }，
+   * 也可以是该格式的 JSON 字符串（系统开关）
+   * @param {Object} [options] - 配置选项
+   * @param {string} [options.env] - 支付环境（PAYMENT_ENV），默认生产环境
+   * @param {Array<Object|string>} [options.overrides] - 覆盖项列表
+   * @returns {Object} 合并后的端点（key: paymentType，value: { baseUrl, paths }）
+   * @throws {PaymentError} 端点配置无效（CONFIG_ERROR）
+   */
+  configure(options = {}) {
+    const env = options.env || PAYMENT_ENV.PRODUCTION
+    if (!Object.values(PAYMENT_ENV).includes(env)) {
+      throw PaymentError.createConfigError(`支付接口端点配置无效：未知的支付环境 ${env}`, {
+        env,
+        errors: [`未知的支付环境 ${env}`],
+      })
+    }
+
+    const errors = []
+
+    const merged = new Map(
+      Array.from(this.definitions.entries()).map(([paymentType, definition]) => [
+        paymentType,
+        cloneDefinition(definition),
+      ])
+    )
+    ;(options.overrides || []).forEach((override) => {
+      this._mergeOverride(merged, this._parseOverride(override, errors), env, errors)
+    })
+
+    const endpoints = {}
+    merged.forEach((definition, paymentType) => {
+      endpoints[paymentType] = this._resolveDefinition(paymentType, definition, env, errors)
+    })
+
+    if (errors.length > 0) {
+      logger.error('Invalid endpoint configuration', { env, errors })
+      throw PaymentError.createConfigError(`支付接口端点配置无效：${errors.join('；')}`, {
+        env,
+        errors,
+      })
+    }
+
+    this.env = env
+    this.endpoints = endpoints
+    logger.info('Endpoints configured', { env, paymentTypes: Object.keys(endpoints) })
+    return this.getEndpoints()
+  }
+
+  /**
+   * 解析覆盖项（系统开关的值为 JSON 字符串）
+   * @private
+   */
+  _parseOverride(override, errors) {
+    if (!override) {
+      return {}
+    }
+    if (typeof override === 'string') {
+      try {
+        return JSON.parse(override)
+      } catch (error) {
+        errors.push(`端点覆盖配置不是合法的 JSON：${error.message}`)
+        return {}
+      }
+    }
+    if (typeof override !== 'object') {
+      errors.push('端点覆盖配置必须是对象')
+      return {}
+    }
+    return override
+  }
+
+  /**
+   * 合并单个覆盖项
+   * @private
+   */
+  _mergeOverride(merged, override, env, errors) {
+    Object.entries(override).forEach(([paymentType, item = {}]) => {
+      const definition = merged.get(paymentType)
+      if (!definition) {
+        errors.push(`未注册的支付类型 ${paymentType}`)
+        return
+      }
+      Object.keys(item.baseUrls || {}).forEach((key) => {
+        if (!Object.values(PAYMENT_ENV).includes(key)) {
+          errors.push(`支付类型 ${paymentType} 配置了未知的支付环境 ${key}`)
+        }
+      })
+      Object.keys(item.paths || {}).forEach((name) => {
+        if (!(name in definition.paths)) {
+          errors.push(`支付类型 ${paymentType} 不存在接口 ${name}`)
+        }
+      })
+      Object.assign(definition.baseUrls, item.baseUrls || {})
+      if (item.baseUrl !== undefined) {
+        definition.baseUrls[env] = item.baseUrl
+      }
+      Object.assign(definition.paths, item.paths || {})
+    })
+  }
+
+  /**
+   * 按环境解析并校验端点定义
+   * @private
+   */
+  _resolveDefinition(paymentType, definition, env, errors) {
+    const baseUrl = definition.baseUrls[env]
+    if (typeof baseUrl !== 'string' || !BASE_URL_PATTERN.test(baseUrl)) {
+      errors.push(`支付类型 ${paymentType} 在 ${env} 环境的基础地址无效：${baseUrl}`)
+    }
+    Object.entries(definition.paths).forEach(([name, path]) => {
+      if (typeof path !== 'string' || !path.trim()) {
+        errors.push(`支付类型 ${paymentType} 的接口 ${name} 路径为空`)
+      }
+    })
+    return { baseUrl, paths: { ...definition.paths } }
+  }
+
+  /**
+   * 获取当前生效的端点（未 configure 时按默认配置解析）
+   * @private
+   */
+  _getEndpoints() {
+    if (!this.endpoints) {
+      this.configure({ env: this.env })
+    }
+    return this.endpoints
+  }
+
+  /**
+   * 获取接口地址
+   * @param {string} paymentType - 支付类型（PAYMENT_TYPE_SWITCHES）
+   * @param {string} name - 接口名
+   * @returns {string} 接口地址
+   * @throws {PaymentError} 支付类型或接口未注册（CONFIG_ERROR）
+   */
+  resolve(paymentType, name) {
+    const endpoint = this._getEndpoints()[paymentType]
+    const path = endpoint?.paths[name]
+    if (!path) {
+      throw PaymentError.createConfigError(`未配置支付接口 ${paymentType}/${name}`, {
+        paymentType,
+        name,
+      })
+    }
+    return joinUrl(endpoint.baseUrl, path)
+  }
+
+  /**
+   * 获取当前生效的端点
+   * @returns {Object} key: paymentType，value: { baseUrl, paths, urls }
+   */
+  getEndpoints() {
+    const endpoints = this._getEndpoints()
+    return Object.fromEntries(
+      Object.entries(endpoints).map(([paymentType, { baseUrl, paths }]) => [
+        paymentType,
+        {
+          baseUrl,
+          paths: { ...paths },
+          urls: Object.fromEntries(
+            Object.entries(paths).map(([name, path]) => [name, joinUrl(baseUrl, path)])
+          ),
+        },
+      ])
+    )
+  }
+
+  /**
+   * 获取当前支付环境
+   * @returns {string} 支付环境（PAYMENT_ENV）
+   */
+  getEnv() {
+    return this.env
+  }
+
+  /**
+   * 恢复默认配置（保留已注册的端点定义）
+   */
+  reset() {
+    this.env = PAYMENT_ENV.PRODUCTION
+    this.endpoints = null
+  }
+}
+
+export default EndpointRegistry
@@ -90,6 +90,29 @@ export function getPreferenceItem(key, defaultValue = null) {
   }
 }
 
+/**
+ * 安全获取宿主 HTTP 客户端（imaAxios）
+ * @returns {Object|null} axios 实例或 null
+ */
+export function getHostHttpClient() {
+  try {
+    if (typeof window === 'undefined') {
+      return null
+    }
+
+    const client = window?.__haicApp__?.__TOOLKITS__?.imaAxios || null
+
+    if (!client) {
+      logger.debug('Host imaAxios not found')
+    }
+
+    return client
+  } catch (error) {
+    logger.error('Failed to access host imaAxios', error)
+    return null
+  }
+}
+
 /**
  * 检查全局环境是否可用
  * @returns {boolean} 是否可用
@@ -110,5 +133,6 @@ export default {
   getGlobalVue,
   getSwitchModule,
   getPreferenceItem,
+  getHostHttpClient,
   isGlobalEnvironmentAvailable,
 }
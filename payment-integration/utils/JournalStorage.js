@@ -0,0 +1,209 @@
+/**
+ * 交易日志存储
+ * @description 为 TransactionJournal、RefundLedger、CompensationManager 提供持久化存储，优先使用 IndexedDB，降级到 localStorage / 内存
+ * 记录均以 chargeInfoId 为主键
+ */
+
+import { CACHE_STRATEGY_SWITCHES } from '../constants/switchCodes.js'
+import { defaultLogger } from './Logger.js'
+
+const logger = defaultLogger.child('JournalStorage')
+
+const DB_NAME = 'payment-integration'
+const DB_VERSION = 3
+const LOCAL_STORAGE_KEY = 'payment_transaction_journal'
+
+/**
+ * IndexedDB 对象仓库
+ */
+export const JOURNAL_STORES = {
+  /** 交易日志 */
+  TRANSACTIONS: 'transactions',
+  /** 退款台账 */
+  REFUND_LEDGERS: 'refundLedgers',
+  /** 冲正补偿 */
+  COMPENSATIONS: 'compensations',
+}
+
+/**
+ * 各对象仓库降级到 localStorage 时使用的 key
+ */
+const LOCAL_STORAGE_KEYS = {
+  [JOURNAL_STORES.TRANSACTIONS]: LOCAL_STORAGE_KEY,
+  [JOURNAL_STORES.REFUND_LEDGERS]: 'payment_refund_ledger',
+  [JOURNAL_STORES.COMPENSATIONS]: 'payment_compensations',
+}
+
+/**
+ * 内存存储（页面刷新后丢失，仅作兜底）
+ */
+class MemoryJournalStore {
+  constructor() {
+    this.type = CACHE_STRATEGY_SWITCHES.MEMORY
+    this.entries = new Map()
+  }
+
+  async get(id) {
+    return this.entries.get(id) || null
+  }
+
+  async getAll() {
+    return Array.from(this.entries.values())
+  }
+
+  async put(entry) {
+    this.entries.set(entry.chargeInfoId, entry)
+  }
+
+  async remove(id) {
+    this.entries.delete(id)
+  }
+}
+
+/**
+ * localStorage 存储
+ * @description 所有交易以对象形式保存在同一个 key 下
+ */
+class LocalStorageJournalStore {
+  constructor(storageKey = LOCAL_STORAGE_KEY) {
+    this.type = CACHE_STRATEGY_SWITCHES.LOCAL_STORAGE
+    this.storageKey = storageKey
+  }
+
+  _read() {
+    return JSON.parse(localStorage.getItem(this.storageKey) || '{}')
+  }
+
+  _write(entries) {
+    localStorage.setItem(this.storageKey, JSON.stringify(entries))
+  }
+
+  async get(id) {
+    return this._read()[id] || null
+  }
+
+  async getAll() {
+    return Object.values(this._read())
+  }
+
+  async put(entry) {
+    const entries = this._read()
+    entries[entry.chargeInfoId] = entry
+    this._write(entries)
+  }
+
+  async remove(id) {
+    const entries = this._read()
+    delete entries[id]
+    this._write(entries)
+  }
+}
+
+/**
+ * IndexedDB 存储
+ * @description 以 chargeInfoId 为主键保存记录
+ */
+class IndexedDBJournalStore {
+  constructor(storeName = JOURNAL_STORES.TRANSACTIONS) {
+    this.type = CACHE_STRATEGY_SWITCHES.INDEXED_DB
+    this.storeName = storeName
+    this.dbPromise = null
+  }
+
+  _open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION)
+        request.onupgradeneeded = () => {
+          const db = request.result
+          Object.values(JOURNAL_STORES).forEach((name) => {
+            if (!db.objectStoreNames.contains(name)) {
+              db.createObjectStore(name, { keyPath: 'chargeInfoId' })
+            }
+          })
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      })
+    }
+    return this.dbPromise
+  }
+
+  async _run(mode, action) {
+    const db = await this._open()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode)
+      const request = action(transaction.objectStore(this.storeName))
+      transaction.oncomplete = () => resolve(request?.result)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  }
+
+  async get(id) {
+    const entry = await this._run('readonly', (store) => store.get(id))
+    return entry || null
+  }
+
+  async getAll() {
+    const entries = await this._run('readonly', (store) => store.getAll())
+    return entries || []
+  }
+
+  async put(entry) {
+    await this._run('readwrite', (store) => store.put(entry))
+  }
+
+  async remove(id) {
+    await this._run('readwrite', (store) => store.delete(id))
+  }
+}
+
+/**
+ * 检查 localStorage 是否可用
+ * @returns {boolean}
+ */
+function isLocalStorageAvailable() {
+  try {
+    if (typeof localStorage === 'undefined') {
+      return false
+    }
+    const testKey = `${LOCAL_STORAGE_KEY}__test`
+    localStorage.setItem(testKey, '1')
+    localStorage.removeItem(testKey)
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * 创建交易日志存储
+ * @param {string} [strategy] - 存储策略（CACHE_STRATEGY_SWITCHES），不传则自动选择
+ * @param {string} [storeName] - 对象仓库（JOURNAL_STORES），默认交易日志
+ * @returns {MemoryJournalStore|LocalStorageJournalStore|IndexedDBJournalStore} 存储实例
+ */
+export function createJournalStore(strategy, storeName = JOURNAL_STORES.TRANSACTIONS) {
+  const hasIndexedDB = typeof indexedDB !== 'undefined'
+  const hasLocalStorage = isLocalStorageAvailable()
+
+  if (strategy === CACHE_STRATEGY_SWITCHES.MEMORY) {
+    return new MemoryJournalStore()
+  }
+  if ((!strategy || strategy === CACHE_STRATEGY_SWITCHES.INDEXED_DB) && hasIndexedDB) {
+    return new IndexedDBJournalStore(storeName)
+  }
+  if (hasLocalStorage) {
+    return new LocalStorageJournalStore(LOCAL_STORAGE_KEYS[storeName])
+  }
+
+  logger.warn('No persistent storage available, journal falls back to memory', {
+    strategy,
+    storeName,
+  })
+  return new MemoryJournalStore()
+}
+
+export { MemoryJournalStore, LocalStorageJournalStore, IndexedDBJournalStore }
+
+export default createJournalStore
@@ -85,10 +85,15 @@ class PaymentConfig {
 
     // 🎯 并行获取所有系统开关配置
     // 并行获取是否开启聚合支付的系统开关值
-    const [paymentType, paymentEnabled] = await Promise.all([
-      switchModule.getSwitchValue(PAYMENT_SWITCH_CODES.PAYMENT_TYPE),
-      switchModule.getSwitchValue(PAYMENT_SWITCH_CODES.PAYMENT_ENABLED),
-    ])
+    const [paymentType, paymentEnabled, paymentEnv, endpoints, routes, backupPaymentType] =
+      await Promise.all([
+        switchModule.getSwitchValue(PAYMENT_SWITCH_CODES.PAYMENT_TYPE),
+        switchModule.getSwitchValue(PAYMENT_SWITCH_CODES.PAYMENT_ENABLED),
+        switchModule.getSwitchValue(PAYMENT_SWITCH_CODES.PAYMENT_ENV),
+        switchModule.getSwitchValue(PAYMENT_SWITCH_CODES.PAYMENT_ENDPOINTS),
+        switchModule.getSwitchValue(PAYMENT_SWITCH_CODES.PAYMENT_ROUTES),
+        switchModule.getSwitchValue(PAYMENT_SWITCH_CODES.PAYMENT_BACKUP_TYPE),
+      ])
 
     // 🚀 构建完整配置对象
     // 处理系统开关返回的数据格式（可能是对象格式，需要提取实际值）
@@ -116,6 +121,13 @@ class PaymentConfig {
       // 核心配置
       paymentType: normalizedPaymentType,
       paymentEnabled: normalizedPaymentEnabled,
+      // 支付环境与接口端点覆盖配置（JSON），由 EndpointRegistry 在 init 时校验
+      paymentEnv: extractSwitchValue(paymentEnv, null) || null,
+      endpoints: extractSwitchValue(endpoints, null) || null,
+      // 支付路由规则（JSON），由 PaymentRouter 在 init 时校验
+      routes: extractSwitchValue(routes, null) || null,
+      // 备用支付平台，主平台不可用时新订单切换到备用平台
+      backupPaymentType: extractSwitchValue(backupPaymentType, null) || null,
       _source: 'systemSwitches',
     }
   }
@@ -68,6 +68,36 @@ class PaymentError extends Error {
     return new PaymentError(message, ERROR_CODES.BUSINESS_ERROR, context)
   }
 
+  /**
+   * 创建退款超额错误
+   * @param {string} message - 错误消息
+   * @param {Object} [context] - 错误上下文（退款金额、可退余额等）
+   * @returns {PaymentError}
+   */
+  static refundExceedsBalance(message, context) {
+    return new PaymentError(message, ERROR_CODES.REFUND_EXCEEDS_BALANCE, context)
+  }
+
+  /**
+   * 创建结算处理中错误
+   * @param {string} message - 错误消息
+   * @param {Object} [context] - 错误上下文（结算ID、操作、持有锁的操作等）
+   * @returns {PaymentError}
+   */
+  static paymentInProgress(message, context) {
+    return new PaymentError(message, ERROR_CODES.PAYMENT_IN_PROGRESS, context)
+  }
+
+  /**
+   * 创建不支持的操作错误
+   * @param {string} message - 错误消息
+   * @param {Object} [context] - 错误上下文（支付类型、操作、所需能力等）
+   * @returns {PaymentError}
+   */
+  static unsupportedOperation(message, context) {
+    return new PaymentError(message, ERROR_CODES.INVALID_SERVICE_TYPE, context)
+  }
+
   /**
    * 创建配置错误
    * @param {string} message - 错误消息
@@ -0,0 +1,184 @@
+/**
+ * 支付路由
+ * @description 按业务类型、院区、金额区间选择支付平台；规则按顺序匹配，第一条命中的规则生效，
+ * 均未命中时使用默认支付类型（系统开关 SETT034）
+ */
+
+import PaymentError from './PaymentError.js'
+import { defaultLogger } from './Logger.js'
+import { BUSINESS_TYPES } from '../constants/paymentTypes.js'
+
+const logger = defaultLogger.child('PaymentRouter')
+
+/**
+ * 是否为非负金额
+ * @param {any} value - 金额
+ * @returns {boolean}
+ */
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0
+
+/**
+ * 金额转为分（避免浮点误差）
+ * @param {number|string} amount - 金额（元）
+ * @returns {number} 金额（分）
+ */
+const toFen = (amount) => Math.round(Number(amount) * 100)
+
+class PaymentRouter {
+  constructor() {
+    this.defaultPaymentType = null
+    this.rules = []
+  }
+
+  /**
+   * 设置路由规则并校验
+   * @description 规则格式：{ paymentType, name?, businessTypes?: [BUSINESS_TYPES], campusIds?: [院区ID], minAmount?, maxAmount? }，
+   * 金额区间为 [minAmount, maxAmount)（元）；未配置的条件不参与匹配。规则也可以是 JSON 字符串（系统开关）
+   * @param {Object} options - 配置选项
+   * @param {string} options.defaultPaymentType - 默认支付类型
+   * @param {Array<Object>|string} [options.rules] - 路由规则
+   * @param {Array<string>} [options.paymentTypes] - 已注册的支付类型，用于校验规则
+   * @returns {Array<Object>} 生效的路由规则
+   * @throws {PaymentError} 路由规则无效（CONFIG_ERROR）
+   */
+  configure(options = {}) {
+    const errors = []
+    const rules = this._parseRules(options.rules, errors)
+    rules.forEach((rule, index) => this._validateRule(rule, index, options.paymentTypes, errors))
+
+    if (errors.length > 0) {
+      logger.error('Invalid payment routes', { errors })
+      throw PaymentError.createConfigError(`支付路由规则无效：${errors.join('；')}`, { errors })
+    }
+
+    this.defaultPaymentType = options.defaultPaymentType
+    this.rules = rules
+    logger.info('Payment routes configured', {
+      defaultPaymentType: this.defaultPaymentType,
+      rules: rules.length,
+    })
+    return this.getRules()
+  }
+
+  /**
+   * 解析路由规则（系统开关的值为 JSON 字符串）
+   * @private
+   */
+  _parseRules(rules, errors) {
+    if (!rules) {
+      return []
+    }
+    let parsed = rules
+    if (typeof rules === 'string') {
+      try {
+        parsed = JSON.parse(rules)
+      } catch (error) {
+        errors.push(`路由规则不是合法的 JSON：${error.message}`)
+        return []
+      }
+    }
+    if (!Array.isArray(parsed)) {
+      errors.push('路由规则必须是数组')
+      return []
+    }
+    return parsed.map((rule) => ({ ...rule }))
+  }
+
+  /**
+   * 校验单条路由规则
+   * @private
+   */
+  _validateRule(rule, index, paymentTypes, errors) {
+    const label = `第 ${index + 1} 条规则${rule.name ? `（${rule.name}）` : ''}`
+    if (!rule.paymentType) {
+      errors.push(`${label}缺少 paymentType`)
+    } else if (paymentTypes && !paymentTypes.includes(rule.paymentType)) {
+      errors.push(`${label}的支付类型 ${rule.paymentType} 未注册`)
+    }
+
+    const businessTypes = Object.values(BUSINESS_TYPES)
+    if (rule.businessTypes !== undefined) {
+      if (!Array.isArray(rule.businessTypes)) {
+        errors.push(`${label}的 businessTypes 必须是数组`)
+      } else {
+        rule.businessTypes
+          .filter((type) => !businessTypes.includes(String(type)))
+          .forEach((type) => errors.push(`${label}的业务类型 ${type} 无效`))
+      }
+    }
+    if (rule.campusIds !== undefined && !Array.isArray(rule.campusIds)) {
+      errors.push(`${label}的 campusIds 必须是数组`)
+    }
+
+    ;['minAmount', 'maxAmount'].forEach((field) => {
+      if (rule[field] !== undefined && !isAmount(rule[field])) {
+        errors.push(`${label}的 ${field} 必须是非负数`)
+      }
+    })
+    if (isAmount(rule.minAmount) && isAmount(rule.maxAmount) && rule.minAmount >= rule.maxAmount) {
+      errors.push(`${label}的 minAmount 必须小于 maxAmount`)
+    }
+  }
+
+  /**
+   * 规则是否命中
+   * @private
+   */
+  _matches(rule, params) {
+    if (
+      rule.businessTypes &&
+      !rule.businessTypes.map(String).includes(String(params.businessType))
+    ) {
+      return false
+    }
+    if (rule.campusIds && !rule.campusIds.map(String).includes(String(params.campusId))) {
+      return false
+    }
+    if (rule.minAmount !== undefined || rule.maxAmount !== undefined) {
+      const amount = params.orderAmount
+      if (amount === undefined || amount === null || Number.isNaN(Number(amount))) {
+        return false
+      }
+      if (rule.minAmount !== undefined && toFen(amount) < toFen(rule.minAmount)) {
+        return false
+      }
+      if (rule.maxAmount !== undefined && toFen(amount) >= toFen(rule.maxAmount)) {
+        return false
+      }
+    }
+    return true
+  }
+
+  /**
+   * 选择支付类型
+   * @param {Object} [params] - 支付参数
+   * @param {string} [params.businessType] - 业务类型（BUSINESS_TYPES）
+   * @param {string} [params.campusId] - 院区ID
+   * @param {number} [params.orderAmount] - 支付金额（元）
+   * @returns {string} 支付类型
+   */
+  resolve(params = {}) {
+    const rule = this.rules.find((item) => this._matches(item, params || {}))
+    return rule ? rule.paymentType : this.defaultPaymentType
+  }
+
+  /**
+   * 获取生效的路由规则
+   * @returns {Array<Object>} 路由规则副本
+   */
+  getRules() {
+    return this.rules.map((rule) => ({ ...rule }))
+  }
+
+  /**
+   * 获取规则及默认值涉及的所有支付类型
+   * @returns {Array<string>} 支付类型
+   */
+  getPaymentTypes() {
+    return Array.from(
+      new Set([this.defaultPaymentType, ...this.rules.map((rule) => rule.paymentType)])
+    ).filter(Boolean)
+  }
+}
+
+export default PaymentRouter
@@ -0,0 +1,178 @@
+/**
+ * 支付状态机
+ * @description 声明支付状态的合法迁移，统一驱动服务层与支付弹窗的状态变化
+ */
+
+import EventEmitter from './EventEmitter.js'
+import { defaultLogger } from './Logger.js'
+import { PAYMENT_STATUS } from '../constants/paymentTypes.js'
+
+const {
+  PASSIVE_INIT,
+  ACTIVE_INIT,
+  WAITING,
+  PENDING,
+  PROCESSING,
+  SUCCESS,
+  FAILED,
+  CANCELLED,
+  CLOSED,
+  REFUNDING,
+  REFUNDED,
+  TIMEOUT,
+  ABANDONED,
+} = PAYMENT_STATUS
+
+/**
+ * 初始状态（状态机创建后允许进入的第一个状态）
+ */
+const INITIAL_STATUSES = [PASSIVE_INIT, ACTIVE_INIT, PROCESSING]
+
+/**
+ * 支付流程终态（到达后弹窗结束，不再轮询）
+ */
+const FINAL_STATUSES = [SUCCESS, ABANDONED, REFUNDED]
+
+/**
+ * 合法状态迁移表
+ * @description key: 当前状态，value: 允许迁移到的状态
+ */
+const TRANSITIONS = {
+  // 被扫初始化：扫码后进入支付中，取消返回等待
+  [PASSIVE_INIT]: [PROCESSING, PENDING, SUCCESS, FAILED, WAITING, TIMEOUT],
+  // 主扫初始化：展示二维码，轮询结果
+  [ACTIVE_INIT]: [PENDING, PROCESSING, SUCCESS, FAILED, CLOSED, CANCELLED, WAITING, TIMEOUT],
+  // 等待操作：重新支付或放弃
+  [WAITING]: [PASSIVE_INIT, ACTIVE_INIT, ABANDONED],
+  [PENDING]: [PROCESSING, SUCCESS, FAILED, CLOSED, CANCELLED, TIMEOUT, WAITING],
+  [PROCESSING]: [PENDING, SUCCESS, FAILED, CLOSED, CANCELLED, TIMEOUT, WAITING],
+  [FAILED]: [WAITING, PASSIVE_INIT, ACTIVE_INIT],
+  [CANCELLED]: [WAITING, ABANDONED, PASSIVE_INIT, ACTIVE_INIT],
+  [CLOSED]: [WAITING, ABANDONED, PASSIVE_INIT, ACTIVE_INIT],
+  // 超时后仍可能查询到支付结果
+  [TIMEOUT]: [WAITING, SUCCESS, FAILED, CLOSED, PASSIVE_INIT, ACTIVE_INIT],
+  [SUCCESS]: [REFUNDING, REFUNDED],
+  // 退款失败回到支付成功
+  [REFUNDING]: [REFUNDED, SUCCESS],
+  [REFUNDED]: [],
+  [ABANDONED]: [],
+}
+
+class PaymentStateMachine extends EventEmitter {
+  /**
+   * 构造函数
+   * @param {string|null} [initialStatus] - 初始状态，默认未开始
+   * @param {Object} [options] - 配置选项
+   * @param {Object} [options.context] - 状态上下文（随事件一起发出，如 chargeInfoId）
+   * @param {boolean} [options.strict=false] - 非法迁移时是否抛出异常
+   */
+  constructor(initialStatus = null, options = {}) {
+    super()
+    this.status = initialStatus
+    this.context = options.context || {}
+    this.strict = options.strict || false
+    this.history = []
+    this.logger = defaultLogger.child('PaymentStateMachine')
+  }
+
+  /**
+   * 判断是否为支付流程终态
+   * @param {string} status - 支付状态
+   * @returns {boolean}
+   */
+  static isFinalStatus(status) {
+    return FINAL_STATUSES.includes(status)
+  }
+
+  /**
+   * 判断状态迁移是否合法
+   * @param {string|null} from - 当前状态
+   * @param {string} to - 目标状态
+   * @returns {boolean}
+   */
+  static canTransition(from, to) {
+    if (from === null || from === undefined) {
+      return INITIAL_STATUSES.includes(to)
+    }
+    return (TRANSITIONS[from] || []).includes(to)
+  }
+
+  /**
+   * 获取当前状态
+   * @returns {string|null}
+   */
+  getStatus() {
+    return this.status
+  }
+
+  /**
+   * 判断能否迁移到目标状态
+   * @param {string} to - 目标状态
+   * @returns {boolean}
+   */
+  can(to) {
+    return PaymentStateMachine.canTransition(this.status, to)
+  }
+
+  /**
+   * 迁移状态
+   * @param {string} to - 目标状态
+   * @param {Object} [meta] - 迁移附加信息（随事件发出）
+   * @returns {boolean} 是否发生迁移（相同状态或非法迁移返回 false）
+   */
+  transition(to, meta = {}) {
+    const from = this.status
+    if (!to || to === from) {
+      return false
+    }
+
+    if (!this.can(to)) {
+      this.logger.warn('Illegal payment status transition rejected', {
+        from,
+        to,
+        context: this.context,
+      })
+      this.emit('state:rejected', { from, to, context: this.context, meta })
+      if (this.strict) {
+        throw new Error(`非法的支付状态迁移: ${from} -> ${to}`)
+      }
+      return false
+    }
+
+    this.status = to
+    const event = {
+      from,
+      to,
+      context: this.context,
+      meta,
+      timestamp: new Date().toISOString(),
+    }
+    this.history.push(event)
+    this.emit('state:changed', event)
+
+    if (PaymentStateMachine.isFinalStatus(to)) {
+      this.emit('state:final', event)
+    }
+    return true
+  }
+
+  /**
+   * 获取状态迁移历史
+   * @returns {Array} 迁移记录
+   */
+  getHistory() {
+    return this.history.slice()
+  }
+
+  /**
+   * 销毁
+   */
+  destroy() {
+    this.removeAllListeners()
+    this.history = []
+  }
+}
+
+export { TRANSITIONS, INITIAL_STATUSES, FINAL_STATUSES }
+
+export default PaymentStateMachine
@@ -0,0 +1,17 @@
+import { defineConfig } from 'vitest/config'
+import vue from '@vitejs/plugin-vue2'
+
+export default defineConfig({
+  plugins: [vue()],
+  css: {
+    preprocessorOptions: {
+      scss: { api: 'modern-compiler' },
+    },
+  },
+  test: {
+    environment: 'jsdom',
+    include: ['tests/**/*.test.js'],
+    setupFiles: ['tests/setup.js'],
+    restoreMocks: true,
+  },
+})